@@ -0,0 +1,143 @@
+(function() {
+    // Atribuição de origem (cupom de parceiro, UTMs, referrer e página de entrada)
+    // Capturada na primeira visita e guardada por VALIDADE_DIAS, para que o código
+    // do parceiro não se perca quando o visitante navega entre /xp, /, /casas e /doha
+    const CHAVE_STORAGE = 'upx:attribution';
+    const VALIDADE_DIAS = 30;
+    const PARAMETROS_CAMPANHA = ['cupom', 'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+    // Usado quando o localStorage não está disponível (ex: navegação privada)
+    let atribuicaoEmMemoria = null;
+
+    // Lê a atribuição salva, descartando a que já expirou
+    function lerAtribuicao() {
+        try {
+            const salva = JSON.parse(localStorage.getItem(CHAVE_STORAGE) || 'null');
+            if (salva && salva.expiresAt > Date.now()) {
+                return salva;
+            }
+            localStorage.removeItem(CHAVE_STORAGE);
+            return null;
+        } catch (erro) {
+            return atribuicaoEmMemoria;
+        }
+    }
+
+    // Salva a atribuição com a data de expiração
+    function salvarAtribuicao(atribuicao) {
+        atribuicaoEmMemoria = atribuicao;
+        try {
+            localStorage.setItem(CHAVE_STORAGE, JSON.stringify(atribuicao));
+        } catch (erro) {
+            // Sem storage a atribuição vale só para esta página
+        }
+    }
+
+    // Referrer externo (navegação interna não conta como origem)
+    function obterReferrerExterno() {
+        if (!document.referrer) return '';
+        try {
+            const referrer = new URL(document.referrer);
+            return referrer.host === window.location.host ? '' : document.referrer;
+        } catch (erro) {
+            return '';
+        }
+    }
+
+    // Captura a origem da visita atual
+    // Uma visita com cupom ou UTMs substitui a atribuição anterior; as demais não
+    function capturarAtribuicao() {
+        const params = new URLSearchParams(window.location.search);
+        const campanha = {};
+        PARAMETROS_CAMPANHA.forEach(function(parametro) {
+            const valor = (params.get(parametro) || '').trim();
+            if (valor) {
+                campanha[parametro] = parametro === 'cupom' ? valor.toUpperCase() : valor;
+            }
+        });
+
+        const temCampanha = Object.keys(campanha).length > 0;
+        if (!temCampanha && lerAtribuicao()) return;
+
+        const agora = Date.now();
+        salvarAtribuicao(Object.assign({}, campanha, {
+            referrer: obterReferrerExterno(),
+            landingPage: window.location.origin + window.location.pathname + window.location.search,
+            capturedAt: agora,
+            expiresAt: agora + VALIDADE_DIAS * 24 * 60 * 60 * 1000
+        }));
+    }
+
+    // Retorna os dados de atribuição (sem os campos internos) ou null
+    function obterAtribuicao() {
+        const atribuicao = lerAtribuicao();
+        if (!atribuicao) return null;
+
+        const dados = {};
+        PARAMETROS_CAMPANHA.concat(['referrer', 'landingPage']).forEach(function(campo) {
+            if (atribuicao[campo]) {
+                dados[campo] = atribuicao[campo];
+            }
+        });
+        return dados;
+    }
+
+    // Texto curto identificando a origem, ex: "(Ref: cupom UP10, origem instagram/cpc/verao)"
+    function obterReferencia() {
+        const atribuicao = obterAtribuicao();
+        if (!atribuicao) return '';
+
+        const partes = [];
+        if (atribuicao.cupom) {
+            partes.push('cupom ' + atribuicao.cupom);
+        }
+        const origem = [atribuicao.utm_source, atribuicao.utm_medium, atribuicao.utm_campaign].filter(Boolean).join('/');
+        if (origem) {
+            partes.push('origem ' + origem);
+        }
+        return partes.length > 0 ? '(Ref: ' + partes.join(', ') + ')' : '';
+    }
+
+    // Acrescenta a referência ao texto de uma mensagem de WhatsApp (sem duplicar)
+    function adicionarReferencia(mensagem) {
+        const referencia = obterReferencia();
+        if (!referencia || (mensagem || '').indexOf(referencia) !== -1) {
+            return mensagem || '';
+        }
+        return mensagem ? mensagem + '\n\n' + referencia : referencia;
+    }
+
+    // Reescreve links de WhatsApp para os nossos números no momento do clique
+    // Links de compartilhamento (wa.me/?text=, sem número) não são alterados
+    function adicionarReferenciaAoLink(evento) {
+        const link = evento.target.closest && evento.target.closest('a[href]');
+        if (!link) return;
+
+        let url;
+        try {
+            url = new URL(link.href);
+        } catch (erro) {
+            return;
+        }
+
+        const ehWaMe = url.hostname === 'wa.me' && /^\/\d+/.test(url.pathname);
+        const ehApiWhatsApp = url.hostname === 'api.whatsapp.com' && url.searchParams.get('phone');
+        if (!ehWaMe && !ehApiWhatsApp) return;
+
+        const texto = adicionarReferencia(url.searchParams.get('text') || '');
+        if (texto) {
+            // encodeURIComponent (e não searchParams.set) para os espaços virarem %20, não "+"
+            url.searchParams.delete('text');
+            const separador = url.search ? '&' : '?';
+            link.href = url.toString() + separador + 'text=' + encodeURIComponent(texto);
+        }
+    }
+
+    capturarAtribuicao();
+    document.addEventListener('click', adicionarReferenciaAoLink, true);
+
+    window.UpAttribution = {
+        get: obterAtribuicao,
+        appendToMessage: adicionarReferencia
+    };
+})();
@@ -311,7 +311,9 @@
     
     // Enviar mensagem para WhatsApp
     function sendToWhatsApp(message) {
-        const encodedMessage = encodeURIComponent(message);
+        // Inclui o cupom/origem do visitante (attribution.js)
+        const messageWithRef = window.UpAttribution ? window.UpAttribution.appendToMessage(message) : message;
+        const encodedMessage = encodeURIComponent(messageWithRef);
         const whatsappURL = `https://wa.me/${CONFIG.phoneNumber}?text=${encodedMessage}`;
         window.open(whatsappURL, '_blank');
     }
@@ -0,0 +1,89 @@
+/**
+ * Layout and shared data of the server-rendered pages (the team's /admin pages and the
+ * /parceiros partner portal). Pages are rendered on the server with the html`` tag from xp/html.js, so every value coming from
+ * Baserow or from visitors is escaped
+ */
+
+import { listExperienceRows } from './experiences.js';
+import { DEFAULT_LOCALE, resolveLocalizedField } from '../../xp/schema.js';
+import { html } from '../../xp/html.js';
+
+// Links of the admin menu
+const ADMIN_PAGES = [
+    { path: '/admin/leads', label: 'Leads' },
+    { path: '/admin/editor', label: 'Experiências' },
+    { path: '/admin/analytics', label: 'Funil de conversão' }
+];
+
+/**
+ * Loads the names of the experiences, so admin pages show names instead of row IDs
+ * @param {Object} env - Function environment bindings
+ * @returns {Promise<Map<number, string>>} Experience ID -> name (empty if Baserow is unavailable)
+ */
+export async function getExperienceNames(env) {
+    try {
+        const { rows, truncated } = await listExperienceRows(env);
+        if (truncated) {
+            console.warn('[Admin] Experiences table has more rows than are listed; some names show as IDs');
+        }
+        return new Map(rows.map(row => [row.id, resolveLocalizedField(row, 'name', DEFAULT_LOCALE).value]));
+    } catch (error) {
+        console.error('[Admin] Error loading experience names:', error);
+        return new Map();
+    }
+}
+
+/**
+ * Renders a complete page
+ * @param {Object} options - Page options
+ * @param {string} options.title - Page title
+ * @param {SafeHtml} options.content - Page body (built with html``)
+ * @param {Array<Object>} options.menu - Links above the title, as { path, label }
+ * @param {number} options.status - HTTP status code
+ * @param {Object} options.headers - Extra response headers (e.g. Set-Cookie)
+ * @param {SafeHtml} options.head - Extra <head> markup (stylesheets, module scripts)
+ * @returns {Response} HTML response, never cached nor indexed
+ */
+export function renderPage({ title, content, menu = [], status = 200, headers = {}, head = '' }) {
+    const page = html`<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex, nofollow">
+    <title>${title} · UP Experiences</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+    ${head}
+</head>
+<body class="bg-gray-50 text-gray-800">
+    <main class="max-w-6xl mx-auto p-4 sm:p-8">
+        ${menu.length > 0 && html`
+            <nav class="flex gap-4 mb-4 text-sm">
+                ${menu.map(page => html`<a href="${page.path}" class="text-blue-600 hover:underline">${page.label}</a>`)}
+            </nav>
+        `}
+        <h1 class="text-2xl font-bold mb-6">${title}</h1>
+        ${content}
+    </main>
+</body>
+</html>`;
+
+    return new Response(String(page), {
+        status,
+        headers: {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': 'no-store',
+            'X-Robots-Tag': 'noindex',
+            ...headers
+        }
+    });
+}
+
+/**
+ * Renders a complete admin page, with the admin menu
+ * @param {Object} options - Page options (see renderPage)
+ * @returns {Response} HTML response
+ */
+export function renderAdminPage(options) {
+    return renderPage({ ...options, menu: ADMIN_PAGES });
+}
@@ -0,0 +1,104 @@
+/**
+ * Conversion funnel events stored in the ANALYTICS_DB D1 database
+ * Shared by POST /api/events (written by xp/analytics.js) and the /admin/analytics report
+ * Schema: migrations/0001_create_events.sql
+ */
+
+// Events the site sends (see xp/analytics.js); anything else is dropped
+export const EVENT_NAMES = [
+    'catalog_rendered',
+    'experience_impression',
+    'contact_click',
+    'modal_open',
+    'modal_abandon',
+    'lead_submitted',
+    'lead_failed',
+    'whatsapp_opened'
+];
+
+// Report columns, in funnel order: column -> event counted
+export const FUNNEL_STEPS = {
+    impressions: 'experience_impression',
+    contactClicks: 'contact_click',
+    modalOpens: 'modal_open',
+    modalAbandons: 'modal_abandon',
+    leads: 'lead_submitted',
+    leadFailures: 'lead_failed',
+    whatsappOpens: 'whatsapp_opened'
+};
+
+/**
+ * Gets the analytics database
+ * Bind a D1 database as ANALYTICS_DB (see wrangler.toml) to turn analytics on
+ * @param {Object} env - Function environment bindings
+ * @returns {Object|null} D1 database, or null when analytics are not configured
+ */
+export function getAnalyticsDb(env) {
+    return env.ANALYTICS_DB || null;
+}
+
+/**
+ * Stores events, one row per experience they mention (or one row without experience)
+ * @param {Object} db - D1 database
+ * @param {Array<Object>} events - Validated events ({ name, sessionId, experienceIds, properties })
+ * @returns {Promise<number>} Number of rows written
+ */
+export async function recordEvents(db, events) {
+    const createdAt = new Date().toISOString();
+    const insert = db.prepare(
+        'INSERT INTO events (name, experience_id, session_id, properties, created_at) VALUES (?1, ?2, ?3, ?4, ?5)'
+    );
+
+    const statements = events.flatMap(({ name, sessionId, experienceIds, properties }) => {
+        const propertiesJson = JSON.stringify(properties);
+        const ids = experienceIds.length > 0 ? experienceIds : [null];
+        return ids.map(experienceId => insert.bind(name, experienceId, sessionId, propertiesJson, createdAt));
+    });
+
+    if (statements.length > 0) {
+        await db.batch(statements);
+    }
+    return statements.length;
+}
+
+/**
+ * Counts, per experience, the sessions that reached each funnel step
+ * Sessions rather than events, so a visitor scrolling past a card twice counts once
+ * @param {Object} db - D1 database
+ * @param {Object} options - Report options
+ * @param {string} options.since - ISO timestamp of the start of the period
+ * @returns {Promise<Object>} { sessions, experiences: [{ experienceId, impressions, ..., conversionRate }] }
+ */
+export async function getFunnelReport(db, { since }) {
+    // Step names are the constants above, never request input
+    const counts = Object.entries(FUNNEL_STEPS)
+        .map(([column, name]) => `COUNT(DISTINCT CASE WHEN name = '${name}' THEN session_id END) AS ${column}`)
+        .join(',\n            ');
+
+    const [{ results: rows }, sessions] = await Promise.all([
+        db.prepare(`
+            SELECT experience_id AS experienceId,
+            ${counts}
+            FROM events
+            WHERE experience_id IS NOT NULL AND created_at >= ?1
+            GROUP BY experience_id
+        `).bind(since).all(),
+        db.prepare(`
+            SELECT COUNT(DISTINCT session_id) AS count
+            FROM events
+            WHERE name = 'catalog_rendered' AND created_at >= ?1
+        `).bind(since).first('count')
+    ]);
+
+    const experiences = rows.map(row => ({
+        ...row,
+        // Share of the visitors who saw the card and sent a lead for it
+        conversionRate: row.impressions > 0 ? row.leads / row.impressions : null,
+        // Share of the opened forms that were sent
+        formCompletionRate: row.modalOpens > 0 ? row.leads / row.modalOpens : null
+    }));
+
+    experiences.sort((a, b) => b.leads - a.leads || b.impressions - a.impressions);
+
+    return { sessions: sessions || 0, experiences };
+}
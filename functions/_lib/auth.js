@@ -0,0 +1,175 @@
+/**
+ * Access control
+ * - the team's /admin pages use HTTP Basic auth against the ADMIN_PASSWORD secret
+ *   (`wrangler pages secret put ADMIN_PASSWORD`); the user name is not checked
+ * - partners (/parceiros) get a session cookie signed with the PARTNER_SESSION_SECRET secret
+ * Without their secret these pages stay closed
+ *
+ * Browsers send Basic credentials with cross-site form posts too, so admin writes must also come
+ * from our own pages and carry a body type a plain <form> cannot send (see requireAdmin)
+ */
+
+import { errorResponse } from './baserow.js';
+
+const REALM = 'UP Experiences admin';
+
+// Methods that only read; every other method must pass the same-origin and body type checks
+const SAFE_METHODS = ['GET', 'HEAD'];
+
+const encoder = new TextEncoder();
+
+/**
+ * Compares two strings in constant time, so response times do not leak secrets
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {Promise<boolean>} True if both are equal
+ */
+export async function safeEqual(a, b) {
+    // Hashing first gives both sides the same length
+    const [hashA, hashB] = await Promise.all([a, b].map(value =>
+        crypto.subtle.digest('SHA-256', encoder.encode(value))));
+
+    const bytesA = new Uint8Array(hashA);
+    const bytesB = new Uint8Array(hashB);
+    let difference = 0;
+    bytesA.forEach((byte, index) => {
+        difference |= byte ^ bytesB[index];
+    });
+    return difference === 0;
+}
+
+/**
+ * Reads the password of a Basic Authorization header
+ * @param {Request} request - Incoming request
+ * @returns {string|null} Password, or null when the header is missing or malformed
+ */
+function getBasicPassword(request) {
+    const [scheme, encoded] = (request.headers.get('Authorization') || '').split(' ');
+    if (scheme !== 'Basic' || !encoded) return null;
+
+    try {
+        const credentials = atob(encoded);
+        const separator = credentials.indexOf(':');
+        return separator >= 0 ? credentials.slice(separator + 1) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Checks that a request was sent by one of our own pages
+ * Sec-Fetch-Site is trusted when the browser sends it, Origin otherwise; clients that send
+ * neither are not browsers, so they cannot be tricked into carrying the team's credentials
+ * @param {Request} request - Incoming request
+ * @returns {boolean} True unless the request comes from another site
+ */
+function isSameOrigin(request) {
+    const fetchSite = request.headers.get('Sec-Fetch-Site');
+    if (fetchSite) return fetchSite === 'same-origin';
+
+    const origin = request.headers.get('Origin');
+    return !origin || origin === new URL(request.url).origin;
+}
+
+/**
+ * Reads the media type of a request body
+ * @param {Request} request - Incoming request
+ * @returns {string} e.g. "application/json" (empty when there is no Content-Type)
+ */
+function getMediaType(request) {
+    return (request.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Checks that a request comes from the team
+ * Writes (any method but GET/HEAD) must also come from our own pages and carry the expected body
+ * type: JSON by default, which cross-site forms cannot send
+ * e.g. const denied = await requireAdmin(request, env); if (denied) return denied;
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Function environment bindings
+ * @param {Object} options - Check options
+ * @param {string} options.bodyType - Media type writes must send (e.g. 'multipart/form-data' for uploads)
+ * @returns {Promise<Response|null>} Response to send when access is denied, null when allowed
+ */
+export async function requireAdmin(request, env, { bodyType = 'application/json' } = {}) {
+    if (!env.ADMIN_PASSWORD) {
+        return errorResponse('Admin is not configured', 503);
+    }
+
+    const isWrite = !SAFE_METHODS.includes(request.method);
+    if (isWrite && !isSameOrigin(request)) {
+        console.warn('[Admin] Blocked cross-site', request.method, new URL(request.url).pathname);
+        return errorResponse('Cross-site requests are not allowed', 403);
+    }
+
+    const password = getBasicPassword(request);
+    if (password !== null && await safeEqual(password, env.ADMIN_PASSWORD)) {
+        if (isWrite && getMediaType(request) !== bodyType) {
+            return errorResponse(`Expected ${bodyType}`, 415);
+        }
+        return null;
+    }
+
+    return new Response('Authentication required', {
+        status: 401,
+        headers: {
+            'WWW-Authenticate': `Basic realm="${REALM}", charset="UTF-8"`,
+            'Cache-Control': 'no-store'
+        }
+    });
+}
+
+/**
+ * Signs a value with HMAC-SHA256
+ * @param {string} value - Value to sign
+ * @param {string} secret - Signing secret
+ * @returns {Promise<string>} Base64url signature
+ */
+async function sign(value, secret) {
+    const key = await crypto.subtle.importKey('raw', encoder.encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(value)));
+    return btoa(String.fromCharCode(...signature)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Creates a signed token that expires
+ * @param {string} subject - What the token grants access to (must not contain ".")
+ * @param {number} maxAgeSeconds - Lifetime of the token
+ * @param {string} secret - Signing secret
+ * @returns {Promise<string>} Token as subject.expiry.signature
+ */
+export async function createSignedToken(subject, maxAgeSeconds, secret) {
+    const payload = `${subject}.${Math.floor(Date.now() / 1000) + maxAgeSeconds}`;
+    return `${payload}.${await sign(payload, secret)}`;
+}
+
+/**
+ * Reads a token made by createSignedToken
+ * @param {string|null} token - Token
+ * @param {string} secret - Signing secret
+ * @returns {Promise<string|null>} Subject, or null when the token is malformed, forged or expired
+ */
+export async function readSignedToken(token, secret) {
+    const [subject, expiry, signature] = (token || '').split('.');
+    if (!subject || !expiry || !signature) return null;
+
+    const payload = `${subject}.${expiry}`;
+    if (!await safeEqual(signature, await sign(payload, secret))) return null;
+
+    return Number(expiry) > Date.now() / 1000 ? subject : null;
+}
+
+/**
+ * Reads a cookie of a request
+ * @param {Request} request - Incoming request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value, or null when it is not set
+ */
+export function getCookie(request, name) {
+    const cookie = (request.headers.get('Cookie') || '')
+        .split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith(`${name}=`));
+    return cookie ? cookie.slice(name.length + 1) : null;
+}
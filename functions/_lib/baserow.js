@@ -0,0 +1,169 @@
+/**
+ * Shared helpers for the Baserow proxy functions
+ * Keeps the API token on the server and centralizes table configuration
+ */
+
+// Baserow table IDs
+export const EXPERIENCES_TABLE_ID = 583812;
+export const CONTACTS_TABLE_ID = 592260;
+
+// Variables holding the IDs of optional tables (features stay off until they are set in wrangler.toml)
+export const COUPONS_TABLE_VAR = 'BASEROW_COUPONS_TABLE_ID';
+export const REVIEWS_TABLE_VAR = 'BASEROW_REVIEWS_TABLE_ID';
+
+/**
+ * Gets the ID of an optional table from its environment variable
+ * @param {Object} env - Function environment bindings
+ * @param {string} name - Variable name (e.g. COUPONS_TABLE_VAR)
+ * @returns {number|null} Table ID, or null when the table is not configured
+ */
+export function getOptionalTableId(env, name) {
+    const tableId = parseInt(env[name], 10);
+    return Number.isInteger(tableId) && tableId > 0 ? tableId : null;
+}
+
+// Default Baserow host - override with BASEROW_API_URL (e.g. the stub in tests/stubs/baserow.js)
+const DEFAULT_BASEROW_API_URL = 'https://api.baserow.io';
+
+/**
+ * Gets the Baserow host without a trailing slash
+ * @param {Object} env - Function environment bindings
+ * @returns {string} Base URL
+ */
+function getBaseUrl(env) {
+    return (env.BASEROW_API_URL || DEFAULT_BASEROW_API_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Builds the rows endpoint URL for a Baserow table
+ * @param {Object} env - Function environment bindings
+ * @param {number} tableId - Baserow table ID
+ * @param {Object} params - Extra query string parameters
+ * @returns {string} Full rows URL
+ */
+export function getRowsUrl(env, tableId, params = {}) {
+    const url = new URL(`${getBaseUrl(env)}/api/database/rows/table/${tableId}/`);
+
+    url.searchParams.set('user_field_names', 'true');
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            url.searchParams.set(key, String(value));
+        }
+    });
+
+    return url.toString();
+}
+
+/**
+ * Builds the URL of a single row of a Baserow table
+ * @param {Object} env - Function environment bindings
+ * @param {number} tableId - Baserow table ID
+ * @param {number|string} rowId - Row ID
+ * @returns {string} Full row URL
+ */
+export function getRowUrl(env, tableId, rowId) {
+    return `${getBaseUrl(env)}/api/database/rows/table/${tableId}/${encodeURIComponent(rowId)}/?user_field_names=true`;
+}
+
+/**
+ * Builds the URL of the Baserow file upload endpoint
+ * Uploaded files are referenced by name in file fields (e.g. Image: [{ name }])
+ * @param {Object} env - Function environment bindings
+ * @returns {string} Full upload URL
+ */
+export function getUploadFileUrl(env) {
+    return `${getBaseUrl(env)}/api/user-files/upload-file/`;
+}
+
+/**
+ * Performs an authenticated request against the Baserow REST API
+ * @param {Object} env - Function environment bindings
+ * @param {string} url - Full Baserow URL
+ * @param {Object} init - Fetch options (a FormData body is sent as multipart)
+ * @returns {Promise<Response>} Baserow response
+ * @throws {Error} If the BASEROW_TOKEN secret is not configured
+ */
+export async function baserowFetch(env, url, init = {}) {
+    if (!env.BASEROW_TOKEN) {
+        throw new Error('BASEROW_TOKEN secret is not configured');
+    }
+
+    return fetch(url, {
+        ...init,
+        headers: {
+            ...(init.headers || {}),
+            'Authorization': `Token ${env.BASEROW_TOKEN}`,
+            // fetch sets the multipart Content-Type (with its boundary) itself
+            ...(init.body instanceof FormData ? {} : { 'Content-Type': 'application/json' })
+        }
+    });
+}
+
+/**
+ * Lists rows of a table whose columns equal the given values
+ * @param {Object} env - Function environment bindings
+ * @param {number} tableId - Baserow table ID
+ * @param {Object} filters - Map of column name to the value it must equal
+ * @param {Object} params - Extra query string parameters (e.g. size, order_by)
+ * @returns {Promise<Object>} Baserow list response ({ count, results, ... })
+ * @throws {Error} If Baserow answers with an error
+ */
+export async function findRows(env, tableId, filters = {}, params = {}) {
+    const filterParams = {};
+    Object.entries(filters).forEach(([column, value]) => {
+        filterParams[`filter__${column}__equal`] = value;
+    });
+
+    const response = await baserowFetch(env, getRowsUrl(env, tableId, { ...filterParams, ...params }));
+    if (!response.ok) {
+        throw new Error(`Baserow table ${tableId} returned ${response.status}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Creates a JSON response
+ * @param {*} data - Serializable response body
+ * @param {number} status - HTTP status code
+ * @param {Object} headers - Extra response headers
+ * @returns {Response} JSON response
+ */
+export function jsonResponse(data, status = 200, headers = {}) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Cache-Control': 'no-store',
+            ...headers
+        }
+    });
+}
+
+/**
+ * Creates a JSON error response
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Response} JSON error response
+ */
+export function errorResponse(message, status) {
+    return jsonResponse({ error: message }, status);
+}
+
+/**
+ * Copies only whitelisted fields from a request body
+ * @param {Object} body - Parsed request body
+ * @param {Object} schema - Map of field name to validator function
+ * @returns {Object} Object containing only allowed, valid fields
+ */
+export function pickAllowedFields(body, schema) {
+    const result = {};
+
+    Object.entries(schema).forEach(([field, isValid]) => {
+        if (Object.prototype.hasOwnProperty.call(body, field) && isValid(body[field])) {
+            result[field] = body[field];
+        }
+    });
+
+    return result;
+}
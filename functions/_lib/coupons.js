@@ -0,0 +1,124 @@
+/**
+ * Coupon validation against the Baserow partners/coupons table
+ * Shared by GET /api/coupons (live preview) and POST /api/contacts (enforcement)
+ * The same table holds the partner portal access and commission rules (see partners.js)
+ */
+
+import { CONTACTS_TABLE_ID, COUPONS_TABLE_VAR, getOptionalTableId, findRows } from './baserow.js';
+
+// Coupons table: app field -> Baserow column
+// Codes are stored upper-case; an empty Experiences field means the coupon applies to all
+export const COUPON_COLUMNS = {
+    code: 'Code',
+    active: 'Active',
+    percentOff: 'Discount percent',
+    amountOff: 'Discount amount',
+    validFrom: 'Valid from',
+    validUntil: 'Valid until',
+    usageLimit: 'Usage limit',
+    experiences: 'Experiences',
+    // Partner portal (/parceiros): display name and the secret code the partner logs in with
+    partnerName: 'Partner name',
+    accessCode: 'Access code',
+    // Commission rules; every filled one is added up (fixed amounts in BRL)
+    commissionPercent: 'Commission percent',
+    commissionPerPerson: 'Commission per person',
+    commissionPerBooking: 'Commission per booking'
+};
+
+// Contacts column holding the coupon code of a lead (used to count usages)
+const CONTACT_COUPON_COLUMN = 'Parceiro_id';
+
+// Validity dates are compared in the timezone the team works in
+const COUPON_TIMEZONE = 'America/Sao_Paulo';
+
+/**
+ * Normalizes a coupon code typed by a visitor
+ * @param {*} code - Raw code
+ * @returns {string|null} Upper-case code, or null if it cannot be a coupon
+ */
+export function normalizeCouponCode(code) {
+    if (typeof code !== 'string') return null;
+
+    const normalized = code.trim().toUpperCase();
+    return /^[A-Z0-9_-]{2,40}$/.test(normalized) ? normalized : null;
+}
+
+/**
+ * Gets today's date in the coupon timezone
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function getToday() {
+    // The en-CA locale formats dates as YYYY-MM-DD
+    return new Date().toLocaleDateString('en-CA', { timeZone: COUPON_TIMEZONE });
+}
+
+/**
+ * Reads a positive number from a coupon column
+ * @param {*} value - Raw column value
+ * @returns {number|null} Number or null when empty
+ */
+export function toPositiveNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Validates a coupon for a set of experiences
+ * A coupon is accepted if it applies to at least one of the experiences
+ * @param {Object} env - Function environment bindings
+ * @param {string} rawCode - Code typed by the visitor
+ * @param {Array<number>} experienceIds - Selected experience IDs
+ * @returns {Promise<Object>} { valid: true, code, discount } or { valid: false, reason }
+ * @throws {Error} If Baserow cannot be reached
+ */
+export async function validateCoupon(env, rawCode, experienceIds = []) {
+    const code = normalizeCouponCode(rawCode);
+    if (!code) {
+        return { valid: false, reason: 'not-found' };
+    }
+
+    const tableId = getOptionalTableId(env, COUPONS_TABLE_VAR);
+    const { results } = await findRows(env, tableId, { [COUPON_COLUMNS.code]: code }, { size: 1 });
+    const coupon = results[0];
+    if (!coupon) {
+        return { valid: false, reason: 'not-found' };
+    }
+
+    if (!coupon[COUPON_COLUMNS.active]) {
+        return { valid: false, reason: 'inactive' };
+    }
+
+    const today = getToday();
+    const validFrom = coupon[COUPON_COLUMNS.validFrom];
+    const validUntil = coupon[COUPON_COLUMNS.validUntil];
+    if (validFrom && today < validFrom) {
+        return { valid: false, reason: 'not-started' };
+    }
+    if (validUntil && today > validUntil) {
+        return { valid: false, reason: 'expired' };
+    }
+
+    const experiences = coupon[COUPON_COLUMNS.experiences] || [];
+    if (experiences.length > 0 && !experiences.some(experience => experienceIds.includes(experience.id))) {
+        return { valid: false, reason: 'not-applicable' };
+    }
+
+    const usageLimit = toPositiveNumber(coupon[COUPON_COLUMNS.usageLimit]);
+    if (usageLimit) {
+        const { count } = await findRows(env, CONTACTS_TABLE_ID, { [CONTACT_COUPON_COLUMN]: code }, { size: 1 });
+        if (count >= usageLimit) {
+            return { valid: false, reason: 'limit-reached' };
+        }
+    }
+
+    return {
+        valid: true,
+        code,
+        discount: {
+            percentOff: toPositiveNumber(coupon[COUPON_COLUMNS.percentOff]),
+            // Fixed amounts are in BRL
+            amountOff: toPositiveNumber(coupon[COUPON_COLUMNS.amountOff])
+        }
+    };
+}
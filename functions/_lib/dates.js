@@ -0,0 +1,18 @@
+/**
+ * Calendar dates as the team sees them
+ * The team works in Rio de Janeiro; "today" and "leads of the 3rd" mean the date there, not in UTC
+ */
+
+export const TEAM_TIME_ZONE = 'America/Sao_Paulo';
+
+/**
+ * Gets the team's calendar date of a timestamp
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Date as YYYY-MM-DD, or an empty string when the timestamp is invalid
+ */
+export function getTeamDate(timestamp) {
+    const date = new Date(timestamp);
+    if (!timestamp || Number.isNaN(date.getTime())) return '';
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', { timeZone: TEAM_TIME_ZONE }).format(date);
+}
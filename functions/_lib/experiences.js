@@ -0,0 +1,100 @@
+/**
+ * Experiences table, as the team edits it in /admin/editor
+ * Only the columns in EDITABLE_EXPERIENCE_FIELDS can be written; the localized ones follow
+ * SUPPORTED_LOCALES in xp/schema.js, so adding a language there adds it to the editor
+ */
+
+import { EXPERIENCES_TABLE_ID, findRows } from './baserow.js';
+import { SUPPORTED_LOCALES, LOCALIZED_FIELDS, EXPERIENCE_COLUMNS } from '../../xp/schema.js';
+
+// Pagination - Baserow accepts up to 200 rows per page
+const EXPERIENCES_PAGE_SIZE = 200;
+const MAX_EXPERIENCE_PAGES = 10;
+
+// Files a row can hold in its Image field
+const MAX_IMAGES = 20;
+
+/**
+ * Checks for a string up to a maximum length (empty clears the column)
+ * @param {number} maxLength - Maximum allowed length
+ * @returns {Function} Validator function
+ */
+const isText = (maxLength) => (value) => typeof value === 'string' && value.length <= maxLength;
+
+/**
+ * Checks for a number that is zero or more, or null to clear the column
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value can be written
+ */
+const isOptionalAmount = (value) => value === null || (Number.isFinite(value) && value >= 0);
+
+/**
+ * Checks for a YYYY-MM-DD date, or null to clear the column
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value can be written
+ */
+const isOptionalDate = (value) => value === null || (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value));
+
+/**
+ * Checks for an empty string or an http(s) URL
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value can be written
+ */
+const isOptionalUrl = (value) => value === '' || (isText(2000)(value) && /^https?:\/\/\S+$/.test(value.trim()));
+
+/**
+ * Checks a file field value: files uploaded to Baserow, referenced by name
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value can be written
+ */
+const isFileList = (value) =>
+    Array.isArray(value) &&
+    value.length <= MAX_IMAGES &&
+    value.every(file => typeof file?.name === 'string' && /^[\w.-]{1,255}$/.test(file.name));
+
+// Columns the editor may write, with their validators
+export const EDITABLE_EXPERIENCE_FIELDS = {
+    ...Object.fromEntries(SUPPORTED_LOCALES.flatMap(locale => [
+        [LOCALIZED_FIELDS.name[locale], isText(200)],
+        [LOCALIZED_FIELDS.description[locale], isText(10000)]
+    ])),
+    [EXPERIENCE_COLUMNS.imageUrl]: isOptionalUrl,
+    [EXPERIENCE_COLUMNS.images]: isFileList,
+    [EXPERIENCE_COLUMNS.pricePerPerson]: isOptionalAmount,
+    [EXPERIENCE_COLUMNS.pricePerGroup]: isOptionalAmount,
+    [EXPERIENCE_COLUMNS.childPrice]: isOptionalAmount,
+    [EXPERIENCE_COLUMNS.order]: isOptionalAmount,
+    [EXPERIENCE_COLUMNS.featured]: (value) => typeof value === 'boolean',
+    [EXPERIENCE_COLUMNS.published]: (value) => typeof value === 'boolean',
+    [EXPERIENCE_COLUMNS.availableFrom]: isOptionalDate,
+    [EXPERIENCE_COLUMNS.availableUntil]: isOptionalDate
+};
+
+/**
+ * Lists the fields of a request body that cannot be written
+ * Unlike contacts, edits are never dropped silently: the editor shows what was rejected
+ * @param {Object} body - Parsed request body
+ * @returns {Array<string>} Unknown or invalid field names
+ */
+export function getInvalidExperienceFields(body) {
+    return Object.keys(body).filter(field =>
+        !Object.prototype.hasOwnProperty.call(EDITABLE_EXPERIENCE_FIELDS, field) ||
+        !EDITABLE_EXPERIENCE_FIELDS[field](body[field]));
+}
+
+/**
+ * Lists every row of the experiences table, listed or not
+ * @param {Object} env - Function environment bindings
+ * @returns {Promise<Object>} { rows, truncated } (truncated when more rows than MAX_EXPERIENCE_PAGES hold)
+ * @throws {Error} If Baserow answers with an error
+ */
+export async function listExperienceRows(env) {
+    const rows = [];
+    for (let page = 1; page <= MAX_EXPERIENCE_PAGES; page++) {
+        const data = await findRows(env, EXPERIENCES_TABLE_ID, {}, { size: EXPERIENCES_PAGE_SIZE, page });
+        rows.push(...data.results);
+        if (!data.next) return { rows, truncated: false };
+    }
+
+    return { rows, truncated: true };
+}
@@ -0,0 +1,104 @@
+/**
+ * Leads from the Baserow contacts table
+ * Shared by POST /api/contacts (columns it writes), the /admin/leads inbox and the /parceiros
+ * partner portal (how rows are read)
+ */
+
+import { CONTACTS_TABLE_ID, findRows } from './baserow.js';
+import { getTeamDate } from './dates.js';
+
+// Columns written by the proxy itself (never accepted from the browser)
+export const LEAD_COLUMNS = {
+    idempotencyKey: 'Idempotency key',
+    normalizedPhone: 'Phone normalized',
+    submittedAt: 'Submitted at',
+    repeatCount: 'Repeat count'
+};
+
+// Lead pipeline (Status single select); leads without a status are new
+export const DEFAULT_LEAD_STATUS = 'Novo';
+
+// Pagination - Baserow accepts up to 200 rows per page
+const LEADS_PAGE_SIZE = 200;
+const MAX_LEAD_PAGES = 10;
+
+/**
+ * Reads a text or single select field as a trimmed string
+ * @param {*} value - Raw field value
+ * @returns {string} Text value
+ */
+function getText(value) {
+    if (value && typeof value === 'object') value = value.value;
+    return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+}
+
+/**
+ * Converts a contacts row to the lead shape used by the admin and partner pages
+ * @param {Object} row - Raw Baserow row
+ * @returns {Object} Lead
+ */
+export function toLead(row) {
+    const whatsapp = getText(row.Whatsapp);
+
+    return {
+        id: row.id,
+        name: getText(row.Name),
+        whatsapp,
+        // Digits with the country code, as wa.me expects
+        phone: getText(row[LEAD_COLUMNS.normalizedPhone]) || whatsapp.replace(/\D/g, ''),
+        email: getText(row.Email),
+        channel: getText(row['Preferred channel']),
+        experiences: (Array.isArray(row.Experiências) ? row.Experiências : [])
+            .map(link => ({ id: link.id, name: getText(link.value) })),
+        partnerCode: getText(row.Parceiro_id),
+        language: getText(row.Language),
+        date: getText(row.Date),
+        adults: Number(row.Adults) || 0,
+        children: Number(row.Children) || 0,
+        timeSlot: getText(row['Preferred time']),
+        status: getText(row.Status) || DEFAULT_LEAD_STATUS,
+        // Amount of the confirmed booking in BRL, filled in by the team
+        bookingValue: parseFloat(row['Booking value']) || 0,
+        submittedAt: getText(row[LEAD_COLUMNS.submittedAt]),
+        repeatCount: parseInt(row[LEAD_COLUMNS.repeatCount], 10) || 0
+    };
+}
+
+/**
+ * Lists leads, newest first
+ * Experience and partner are filtered by Baserow; the date range is applied here, on the team's
+ * calendar, and paging stops at the first lead older than the range
+ * @param {Object} env - Function environment bindings
+ * @param {Object} filters - Lead filters (all optional)
+ * @param {string} filters.from - First day as YYYY-MM-DD
+ * @param {string} filters.to - Last day as YYYY-MM-DD
+ * @param {number} filters.experienceId - Only leads for this experience
+ * @param {string} filters.partnerCode - Only leads with this coupon code
+ * @returns {Promise<Object>} { leads, truncated } (truncated when more leads than MAX_LEAD_PAGES hold)
+ * @throws {Error} If Baserow answers with an error
+ */
+export async function listLeads(env, { from = '', to = '', experienceId = null, partnerCode = '' } = {}) {
+    const equalFilters = partnerCode ? { Parceiro_id: partnerCode } : {};
+    const params = { order_by: '-id', size: LEADS_PAGE_SIZE };
+    if (experienceId) {
+        params['filter__Experiências__link_row_has'] = experienceId;
+    }
+
+    const leads = [];
+    for (let page = 1; page <= MAX_LEAD_PAGES; page++) {
+        const data = await findRows(env, CONTACTS_TABLE_ID, equalFilters, { ...params, page });
+
+        for (const lead of data.results.map(toLead)) {
+            const day = getTeamDate(lead.submittedAt);
+            // Rows are ordered by ID, which follows submission time
+            if (from && day && day < from) return { leads, truncated: false };
+            if ((from || to) && !day) continue;
+            if (to && day > to) continue;
+            leads.push(lead);
+        }
+
+        if (!data.next) return { leads, truncated: false };
+    }
+
+    return { leads, truncated: true };
+}
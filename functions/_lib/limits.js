@@ -0,0 +1,82 @@
+/**
+ * Rate limit counters
+ * Counts hits per key in fixed time windows, stored in the RATE_LIMITS KV namespace so every
+ * isolate and location sees the same counts (in-memory counters reset with each isolate)
+ * KV is eventually consistent, so concurrent hits may be counted a little late; the limits
+ * are meant to stop floods and guessing, not to be exact
+ * Without the binding nothing is counted and every hit is allowed
+ */
+
+// Shortest expiration KV accepts
+const MIN_TTL_SECONDS = 60;
+
+let hasWarnedUnbound = false;
+
+/**
+ * Gets the KV namespace of the counters
+ * @param {Object} env - Function environment bindings
+ * @returns {Object|null} KV namespace, or null when it is not bound
+ */
+function getStore(env) {
+    if (env.RATE_LIMITS) return env.RATE_LIMITS;
+
+    if (!hasWarnedUnbound) {
+        hasWarnedUnbound = true;
+        console.warn('[RateLimit] RATE_LIMITS is not bound; requests are not rate limited');
+    }
+    return null;
+}
+
+/**
+ * Builds the storage key of the current window
+ * @param {Object} limit - Limit definition ({ name, windowSeconds })
+ * @param {string} key - Counted subject (e.g. client IP)
+ * @returns {string} KV key
+ */
+function getWindowKey(limit, key) {
+    const window = Math.floor(Date.now() / 1000 / limit.windowSeconds);
+    return `${limit.name}:${key}:${window}`;
+}
+
+/**
+ * Reads the hits counted in the current window
+ * @param {Object} env - Function environment bindings
+ * @param {Object} limit - Limit definition ({ name, windowSeconds })
+ * @param {string} key - Counted subject (e.g. client IP)
+ * @returns {Promise<number>} Hits so far (0 without the binding)
+ */
+export async function getRateCount(env, limit, key) {
+    const store = getStore(env);
+    if (!store) return 0;
+
+    return Number(await store.get(getWindowKey(limit, key))) || 0;
+}
+
+/**
+ * Adds hits to the current window
+ * @param {Object} env - Function environment bindings
+ * @param {Object} limit - Limit definition ({ name, windowSeconds })
+ * @param {string} key - Counted subject (e.g. client IP)
+ * @param {number} amount - Hits to add
+ * @returns {Promise<number>} Hits counted in the window, including these
+ */
+export async function addRateCount(env, limit, key, amount = 1) {
+    const store = getStore(env);
+    if (!store) return 0;
+
+    const windowKey = getWindowKey(limit, key);
+    const count = (Number(await store.get(windowKey)) || 0) + amount;
+    await store.put(windowKey, String(count), {
+        expirationTtl: Math.max(MIN_TTL_SECONDS, limit.windowSeconds)
+    });
+    return count;
+}
+
+/**
+ * Identifies the client of a request for rate limiting
+ * @param {Request} request - Incoming request
+ * @returns {string} Client IP as seen by Cloudflare ('unknown' outside Cloudflare)
+ */
+export function getClientKey(request) {
+    return request.headers.get('CF-Connecting-IP') || 'unknown';
+}
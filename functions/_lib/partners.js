@@ -0,0 +1,241 @@
+/**
+ * Partners (hotels, Airbnb hosts) for the /parceiros portal
+ * A partner is a row of the partners/coupons table: they log in with their coupon code and the
+ * Access code the team gave them, and see the leads whose Parceiro_id is their code
+ */
+
+import { COUPONS_TABLE_VAR, getOptionalTableId, findRows } from './baserow.js';
+import { COUPON_COLUMNS, normalizeCouponCode, toPositiveNumber } from './coupons.js';
+import { safeEqual, createSignedToken, readSignedToken, getCookie } from './auth.js';
+import { listLeads } from './leads.js';
+import { getTeamDate } from './dates.js';
+import { getRateCount, addRateCount, getClientKey } from './limits.js';
+
+// Session cookie, limited to the portal
+const SESSION_COOKIE = 'upx_partner';
+const SESSION_PATH = '/parceiros';
+const SESSION_MAX_AGE_SECONDS = 30 * 24 * 60 * 60;
+
+// Settlement months, as in ?mes=2026-10
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Access codes shorter than this do not open the portal: with the login limits below, a code of
+// 12 random characters cannot be guessed
+export const MIN_ACCESS_CODE_LENGTH = 12;
+
+// Failed logins allowed per IP and per coupon code within the window, counted in the shared
+// RATE_LIMITS store (see limits.js) so every isolate enforces the same limit
+const MAX_FAILED_LOGINS = 10;
+const FAILED_LOGIN_LIMIT = { name: 'login', windowSeconds: 15 * 60 };
+
+// Lead statuses that earn a commission (see DEFAULT_LEAD_STATUS in leads.js)
+export const COMMISSIONED_STATUSES = ['Confirmado'];
+
+/**
+ * Checks that the portal can be used
+ * Without the RATE_LIMITS store failed logins could not be counted, so the portal stays closed
+ * @param {Object} env - Function environment bindings
+ * @returns {boolean} True when the partners table, the session secret and the login limits are configured
+ */
+export function isPartnerPortalConfigured(env) {
+    return Boolean(getOptionalTableId(env, COUPONS_TABLE_VAR) && env.PARTNER_SESSION_SECRET && env.RATE_LIMITS);
+}
+
+/**
+ * Converts a partners row to the partner shape used by the portal
+ * @param {Object} row - Raw Baserow row
+ * @returns {Object} { code, name, commission: { percent, perPerson, perBooking } }
+ */
+function toPartner(row) {
+    const code = row[COUPON_COLUMNS.code];
+    return {
+        code,
+        name: (row[COUPON_COLUMNS.partnerName] || '').trim() || code,
+        commission: {
+            percent: toPositiveNumber(row[COUPON_COLUMNS.commissionPercent]),
+            perPerson: toPositiveNumber(row[COUPON_COLUMNS.commissionPerPerson]),
+            perBooking: toPositiveNumber(row[COUPON_COLUMNS.commissionPerBooking])
+        }
+    };
+}
+
+/**
+ * Loads a partners row by coupon code
+ * @param {Object} env - Function environment bindings
+ * @param {string} code - Normalized coupon code
+ * @returns {Promise<Object|null>} Raw row, or null when there is none
+ * @throws {Error} If Baserow cannot be reached
+ */
+async function findPartnerRow(env, code) {
+    const { results } = await findRows(env, getOptionalTableId(env, COUPONS_TABLE_VAR), { [COUPON_COLUMNS.code]: code }, { size: 1 });
+    return results[0] || null;
+}
+
+/**
+ * Reads the access code of a partners row
+ * @param {Object|null} row - Raw Baserow row
+ * @returns {string} Access code, or an empty string when there is none
+ */
+function getAccessCode(row) {
+    const accessCode = row?.[COUPON_COLUMNS.accessCode];
+    return typeof accessCode === 'string' ? accessCode.trim() : '';
+}
+
+/**
+ * Checks a partner's login
+ * Inactive coupons can still log in, to see the leads they brought while they ran
+ * @param {Object} env - Function environment bindings
+ * @param {string} rawCode - Coupon code as typed
+ * @param {string} accessCode - Access code as typed
+ * @returns {Promise<Object|null>} Partner, or null when the code or access code is wrong
+ * @throws {Error} If Baserow cannot be reached
+ */
+export async function authenticatePartner(env, rawCode, accessCode) {
+    const code = normalizeCouponCode(rawCode);
+    if (!code || typeof accessCode !== 'string' || accessCode.trim().length < MIN_ACCESS_CODE_LENGTH) return null;
+
+    const row = await findPartnerRow(env, code);
+    const expected = getAccessCode(row);
+    // Partners without an access code (or with one too short to be safe) have no portal access
+    if (expected && expected.length < MIN_ACCESS_CODE_LENGTH) {
+        console.warn('[Partners] Access code of', code, 'is shorter than', MIN_ACCESS_CODE_LENGTH, 'characters; login refused');
+        return null;
+    }
+    if (!expected || !await safeEqual(accessCode.trim(), expected)) return null;
+
+    return toPartner(row);
+}
+
+/**
+ * Gets the keys a login attempt is throttled by
+ * @param {Request} request - Login request
+ * @param {string} rawCode - Coupon code as typed
+ * @returns {Array<string>} IP and coupon code keys
+ */
+function getLoginThrottleKeys(request, rawCode) {
+    return [`ip:${getClientKey(request)}`, `code:${normalizeCouponCode(rawCode) || ''}`];
+}
+
+/**
+ * Checks whether an IP or a coupon code had too many failed logins recently
+ * @param {Object} env - Function environment bindings
+ * @param {Request} request - Login request
+ * @param {string} rawCode - Coupon code as typed
+ * @returns {Promise<boolean>} True when the login must wait
+ */
+export async function isLoginThrottled(env, request, rawCode) {
+    const counts = await Promise.all(getLoginThrottleKeys(request, rawCode)
+        .map(key => getRateCount(env, FAILED_LOGIN_LIMIT, key)));
+    return counts.some(count => count >= MAX_FAILED_LOGINS);
+}
+
+/**
+ * Counts a failed login against its IP and coupon code
+ * @param {Object} env - Function environment bindings
+ * @param {Request} request - Login request
+ * @param {string} rawCode - Coupon code as typed
+ */
+export async function recordFailedLogin(env, request, rawCode) {
+    await Promise.all(getLoginThrottleKeys(request, rawCode)
+        .map(key => addRateCount(env, FAILED_LOGIN_LIMIT, key)));
+}
+
+/**
+ * Gets the partner logged in on a request
+ * The row is read again on every request, so removing the access code ends the sessions
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Function environment bindings
+ * @returns {Promise<Object|null>} Partner, or null when not logged in
+ * @throws {Error} If Baserow cannot be reached
+ */
+export async function getSessionPartner(request, env) {
+    const code = await readSignedToken(getCookie(request, SESSION_COOKIE), env.PARTNER_SESSION_SECRET);
+    if (!code) return null;
+
+    const row = await findPartnerRow(env, code);
+    return getAccessCode(row).length >= MIN_ACCESS_CODE_LENGTH ? toPartner(row) : null;
+}
+
+/**
+ * Builds the Set-Cookie header that logs a partner in
+ * @param {Object} env - Function environment bindings
+ * @param {Object} partner - Partner
+ * @returns {Promise<string>} Set-Cookie value
+ */
+export async function createSessionCookie(env, partner) {
+    const token = await createSignedToken(partner.code, SESSION_MAX_AGE_SECONDS, env.PARTNER_SESSION_SECRET);
+    return `${SESSION_COOKIE}=${token}; Path=${SESSION_PATH}; Max-Age=${SESSION_MAX_AGE_SECONDS}; HttpOnly; Secure; SameSite=Lax`;
+}
+
+/**
+ * Builds the Set-Cookie header that logs a partner out
+ * @returns {string} Set-Cookie value
+ */
+export function clearSessionCookie() {
+    return `${SESSION_COOKIE}=; Path=${SESSION_PATH}; Max-Age=0; HttpOnly; Secure; SameSite=Lax`;
+}
+
+/**
+ * Calculates the commission of a lead under a partner's rules
+ * Only leads in COMMISSIONED_STATUSES earn; every rule the partner has is added up
+ * @param {Object} lead - Lead (see toLead)
+ * @param {Object} commission - Partner rules ({ percent, perPerson, perBooking })
+ * @returns {number} Commission in BRL, rounded to cents
+ */
+export function getCommission(lead, { percent, perPerson, perBooking }) {
+    if (!COMMISSIONED_STATUSES.includes(lead.status)) return 0;
+
+    const amount = (percent ? lead.bookingValue * percent / 100 : 0)
+        + (perPerson ? (lead.adults + lead.children) * perPerson : 0)
+        + (perBooking || 0);
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Reads the settlement month of a request
+ * @param {URL} url - Request URL
+ * @returns {string} Month as YYYY-MM (the current month by default)
+ */
+export function getStatementMonth(url) {
+    const month = url.searchParams.get('mes') || '';
+    return MONTH_PATTERN.test(month) ? month : getTeamDate(new Date().toISOString()).slice(0, 7);
+}
+
+/**
+ * Lists a partner's leads of a month with the commission each earned
+ * Leads only carry what the partner may see: the customer's first name, never their contacts
+ * @param {Object} env - Function environment bindings
+ * @param {Object} partner - Partner
+ * @param {string} month - Month as YYYY-MM (leads received in it, on the team's calendar)
+ * @returns {Promise<Object>} { month, leads, confirmedCount, totalCommission, truncated }
+ * @throws {Error} If Baserow cannot be reached
+ */
+export async function getPartnerStatement(env, partner, month) {
+    // Day 31 also closes shorter months: dates are compared as text
+    const { leads, truncated } = await listLeads(env, {
+        from: `${month}-01`,
+        to: `${month}-31`,
+        partnerCode: partner.code
+    });
+
+    const statement = leads.map(lead => ({
+        id: lead.id,
+        submittedAt: lead.submittedAt,
+        firstName: lead.name.split(/\s+/)[0],
+        experiences: lead.experiences,
+        date: lead.date,
+        adults: lead.adults,
+        children: lead.children,
+        status: lead.status,
+        bookingValue: lead.bookingValue,
+        commission: getCommission(lead, partner.commission)
+    }));
+
+    return {
+        month,
+        leads: statement,
+        confirmedCount: statement.filter(lead => COMMISSIONED_STATUSES.includes(lead.status)).length,
+        totalCommission: Math.round(statement.reduce((sum, lead) => sum + lead.commission, 0) * 100) / 100,
+        truncated
+    };
+}
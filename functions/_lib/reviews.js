@@ -0,0 +1,112 @@
+/**
+ * Customer reviews from the Baserow reviews table
+ * Shared by GET /api/reviews and the /xp middleware (structured data for ?exp=<id> links)
+ * Only approved reviews ever leave the server, reduced to the fields the site shows
+ */
+
+import { REVIEWS_TABLE_VAR, getOptionalTableId, findRows } from './baserow.js';
+import { normalizeLocale } from '../../xp/schema.js';
+
+// Reviews table: app field -> Baserow column
+export const REVIEW_COLUMNS = {
+    // Link to the experiences table
+    experience: 'Experience',
+    author: 'Author',
+    country: 'Country',
+    // Rating field (1-5 stars)
+    rating: 'Rating',
+    text: 'Text',
+    // Locale of the text, e.g. "pt-br" (single select or text)
+    language: 'Language',
+    // Boolean; reviews are published only once approved
+    approved: 'Approved',
+    date: 'Date'
+};
+
+// Pagination - Baserow accepts up to 200 rows per page
+const REVIEWS_PAGE_SIZE = 200;
+const MAX_REVIEW_PAGES = 10;
+
+// Longest review text returned (the table has no limit)
+const MAX_TEXT_LENGTH = 2000;
+
+/**
+ * Reads a text, single select or link row field as a trimmed string
+ * @param {*} value - Raw field value
+ * @returns {string} Text value
+ */
+function getText(value) {
+    if (Array.isArray(value)) value = value[0];
+    if (value && typeof value === 'object') value = value.value;
+    return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+}
+
+/**
+ * Reads the experience a review belongs to
+ * @param {*} value - Link row field ([{ id, value }]) or number
+ * @returns {number|null} Experience ID
+ */
+function getExperienceId(value) {
+    const id = Array.isArray(value) ? value[0]?.id : Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Converts a review row to the public review shape
+ * @param {Object} row - Raw Baserow row
+ * @returns {Object|null} Review, or null when it is not approved or incomplete
+ */
+export function toPublicReview(row) {
+    const experienceId = getExperienceId(row[REVIEW_COLUMNS.experience]);
+    const rating = Number(row[REVIEW_COLUMNS.rating]);
+    const author = getText(row[REVIEW_COLUMNS.author]);
+
+    if (row[REVIEW_COLUMNS.approved] !== true || !experienceId || !author ||
+        !Number.isInteger(rating) || rating < 1 || rating > 5) {
+        return null;
+    }
+
+    const date = getText(row[REVIEW_COLUMNS.date]);
+
+    return {
+        id: row.id,
+        experienceId,
+        author: author.slice(0, 100),
+        country: getText(row[REVIEW_COLUMNS.country]).slice(0, 60),
+        rating,
+        text: getText(row[REVIEW_COLUMNS.text]).slice(0, MAX_TEXT_LENGTH),
+        language: normalizeLocale(getText(row[REVIEW_COLUMNS.language])) || '',
+        date: /^\d{4}-\d{2}-\d{2}/.test(date) ? date.slice(0, 10) : ''
+    };
+}
+
+/**
+ * Lists the approved reviews, newest first
+ * @param {Object} env - Function environment bindings
+ * @param {Object} options - List options
+ * @param {number} options.experienceId - Only reviews of this experience
+ * @returns {Promise<Array<Object>>} Public reviews (empty when reviews are not configured)
+ * @throws {Error} If Baserow answers with an error
+ */
+export async function listApprovedReviews(env, { experienceId } = {}) {
+    const tableId = getOptionalTableId(env, REVIEWS_TABLE_VAR);
+    if (!tableId) return [];
+
+    const params = {
+        [`filter__${REVIEW_COLUMNS.approved}__boolean`]: 'true',
+        order_by: '-id',
+        size: REVIEWS_PAGE_SIZE
+    };
+    if (experienceId) {
+        params[`filter__${REVIEW_COLUMNS.experience}__link_row_has`] = experienceId;
+    }
+
+    const reviews = [];
+    for (let page = 1; page <= MAX_REVIEW_PAGES; page++) {
+        const data = await findRows(env, tableId, {}, { ...params, page });
+        reviews.push(...data.results.map(toPublicReview).filter(Boolean));
+        if (!data.next) break;
+    }
+
+    return reviews;
+}
@@ -0,0 +1,134 @@
+/**
+ * GET /admin/analytics?days=30
+ * Conversion funnel per experience: how many visitors saw each card, asked for contact, opened
+ * the form, sent a lead and went on to WhatsApp, with the resulting conversion rates
+ */
+
+import { getAnalyticsDb, getFunnelReport } from '../_lib/analytics.js';
+import { requireAdmin } from '../_lib/auth.js';
+import { renderAdminPage, getExperienceNames } from '../_lib/admin.js';
+import { html } from '../../xp/html.js';
+
+// Periods offered above the table, in days
+const PERIODS = [7, 30, 90];
+const DEFAULT_PERIOD = 30;
+const MAX_PERIOD = 365;
+
+// Count columns of the table: report field -> header
+const COUNT_COLUMNS = {
+    impressions: 'Impressões',
+    contactClicks: 'Cliques em contato',
+    modalOpens: 'Formulários abertos',
+    modalAbandons: 'Abandonos',
+    leads: 'Leads',
+    leadFailures: 'Falhas no envio',
+    whatsappOpens: 'WhatsApp'
+};
+
+/**
+ * Reads the requested period
+ * @param {URL} url - Request URL
+ * @returns {number} Number of days, between 1 and MAX_PERIOD
+ */
+function getPeriod(url) {
+    const days = Number(url.searchParams.get('days'));
+    return Number.isInteger(days) && days > 0 ? Math.min(days, MAX_PERIOD) : DEFAULT_PERIOD;
+}
+
+/**
+ * Formats a rate as a percentage
+ * @param {number|null} rate - Rate between 0 and 1
+ * @returns {string} e.g. "4,2%" or "–" without data
+ */
+function formatRate(rate) {
+    if (rate === null) return '–';
+    return `${(rate * 100).toLocaleString('pt-BR', { maximumFractionDigits: 1 })}%`;
+}
+
+/**
+ * Renders the report table
+ * @param {Object} report - Funnel report (see getFunnelReport)
+ * @param {Map<number, string>} names - Experience names
+ * @returns {SafeHtml} Table markup
+ */
+function renderReportTable(report, names) {
+    if (report.experiences.length === 0) {
+        return html`<p class="text-gray-600">Nenhum evento registrado neste período.</p>`;
+    }
+
+    return html`
+        <div class="overflow-x-auto bg-white rounded-xl shadow">
+            <table class="min-w-full text-sm">
+                <thead class="bg-gray-100 text-left">
+                    <tr>
+                        <th class="px-4 py-3">Experiência</th>
+                        ${Object.values(COUNT_COLUMNS).map(header => html`<th class="px-4 py-3 text-right">${header}</th>`)}
+                        <th class="px-4 py-3 text-right" title="Leads / impressões">Conversão</th>
+                        <th class="px-4 py-3 text-right" title="Leads / formulários abertos">Conclusão do formulário</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${report.experiences.map(row => html`
+                        <tr class="border-t border-gray-100">
+                            <td class="px-4 py-3">${names.get(row.experienceId) || `#${row.experienceId}`}</td>
+                            ${Object.keys(COUNT_COLUMNS).map(column => html`<td class="px-4 py-3 text-right">${row[column]}</td>`)}
+                            <td class="px-4 py-3 text-right font-semibold">${formatRate(row.conversionRate)}</td>
+                            <td class="px-4 py-3 text-right">${formatRate(row.formCompletionRate)}</td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Handles report requests
+ * @param {Object} context - Pages Function context
+ * @returns {Promise<Response>} Report page
+ */
+export async function onRequestGet({ request, env }) {
+    const denied = await requireAdmin(request, env);
+    if (denied) return denied;
+
+    const db = getAnalyticsDb(env);
+    if (!db) {
+        return renderAdminPage({
+            title: 'Funil de conversão',
+            content: html`<p class="text-gray-600">O banco de eventos (ANALYTICS_DB) não está configurado: os eventos são descartados e o relatório fica vazio até criá-lo (veja wrangler.toml).</p>`,
+            status: 503
+        });
+    }
+
+    const days = getPeriod(new URL(request.url));
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    let report;
+    try {
+        report = await getFunnelReport(db, { since });
+    } catch (error) {
+        console.error('[Analytics] Error building report:', error);
+        return renderAdminPage({
+            title: 'Funil de conversão',
+            content: html`<p class="text-red-600">Não foi possível carregar os eventos.</p>`,
+            status: 500
+        });
+    }
+
+    const names = await getExperienceNames(env);
+
+    return renderAdminPage({
+        title: 'Funil de conversão',
+        content: html`
+            <nav class="flex flex-wrap items-center gap-2 mb-4 text-sm">
+                <span class="text-gray-600">Período:</span>
+                ${PERIODS.map(period => period === days
+                    ? html`<span class="px-3 py-1 rounded-full bg-blue-600 text-white">${period} dias</span>`
+                    : html`<a href="?days=${period}" class="px-3 py-1 rounded-full bg-white shadow hover:bg-gray-100">${period} dias</a>`)}
+            </nav>
+            <p class="mb-4 text-gray-600">Visitantes que viram o catálogo: <strong>${report.sessions}</strong></p>
+            ${renderReportTable(report, names)}
+            <p class="mt-4 text-xs text-gray-500">Cada coluna conta visitantes (sessões), não cliques repetidos.</p>
+        `
+    });
+}
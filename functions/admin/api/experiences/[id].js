@@ -0,0 +1,63 @@
+/**
+ * PATCH /admin/api/experiences/:id
+ * Saves the columns the editor changed in an experience (see EDITABLE_EXPERIENCE_FIELDS)
+ */
+
+import {
+    EXPERIENCES_TABLE_ID,
+    getRowUrl,
+    baserowFetch,
+    jsonResponse,
+    errorResponse
+} from '../../../_lib/baserow.js';
+import { requireAdmin } from '../../../_lib/auth.js';
+import { getInvalidExperienceFields } from '../../../_lib/experiences.js';
+
+/**
+ * Updates an experience
+ * @param {Object} context - Pages Function context
+ * @returns {Promise<Response>} Updated row, or error
+ */
+export async function onRequestPatch({ request, env, params }) {
+    const denied = await requireAdmin(request, env);
+    if (denied) return denied;
+
+    if (!/^[1-9]\d{0,9}$/.test(params.id)) {
+        return errorResponse('Invalid experience ID', 400);
+    }
+
+    let body;
+    try {
+        body = await request.json();
+    } catch {
+        return errorResponse('Invalid JSON body', 400);
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return errorResponse('Invalid JSON body', 400);
+    }
+
+    const invalidFields = getInvalidExperienceFields(body);
+    if (invalidFields.length > 0) {
+        return jsonResponse({ error: 'Invalid experience data', fields: invalidFields }, 422);
+    }
+
+    try {
+        const response = await baserowFetch(env, getRowUrl(env, EXPERIENCES_TABLE_ID, params.id), {
+            method: 'PATCH',
+            body: JSON.stringify(body)
+        });
+        if (response.status === 404) {
+            return errorResponse('Experience not found', 404);
+        }
+        if (!response.ok) {
+            console.error('[Admin] Baserow experience update error:', response.status, await response.text());
+            return errorResponse('Failed to save experience', 502);
+        }
+
+        console.log('[Admin] Updated experience', params.id, Object.keys(body).join(', '));
+        return jsonResponse(await response.json());
+    } catch (error) {
+        console.error('[Admin] Error saving experience:', error);
+        return errorResponse('Failed to save experience', 502);
+    }
+}
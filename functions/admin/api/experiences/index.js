@@ -0,0 +1,77 @@
+/**
+ * /admin/api/experiences
+ * Experiences table for the editor (/admin/editor)
+ *   GET  - every row, listed or not, with all its columns
+ *   POST - creates a row from the editable columns (see EDITABLE_EXPERIENCE_FIELDS)
+ */
+
+import {
+    EXPERIENCES_TABLE_ID,
+    getRowsUrl,
+    baserowFetch,
+    jsonResponse,
+    errorResponse
+} from '../../../_lib/baserow.js';
+import { requireAdmin } from '../../../_lib/auth.js';
+import { listExperienceRows, getInvalidExperienceFields } from '../../../_lib/experiences.js';
+
+/**
+ * Lists the experiences
+ * @param {Object} context - Pages Function context
+ * @returns {Promise<Response>} { results, truncated } with the raw rows
+ */
+export async function onRequestGet({ request, env }) {
+    const denied = await requireAdmin(request, env);
+    if (denied) return denied;
+
+    try {
+        const { rows, truncated } = await listExperienceRows(env);
+        return jsonResponse({ results: rows, truncated });
+    } catch (error) {
+        console.error('[Admin] Error loading experiences:', error);
+        return errorResponse('Failed to load experiences', 502);
+    }
+}
+
+/**
+ * Creates an experience
+ * @param {Object} context - Pages Function context
+ * @returns {Promise<Response>} Created row (201), or error
+ */
+export async function onRequestPost({ request, env }) {
+    const denied = await requireAdmin(request, env);
+    if (denied) return denied;
+
+    let body;
+    try {
+        body = await request.json();
+    } catch {
+        return errorResponse('Invalid JSON body', 400);
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return errorResponse('Invalid JSON body', 400);
+    }
+
+    const invalidFields = getInvalidExperienceFields(body);
+    if (invalidFields.length > 0) {
+        return jsonResponse({ error: 'Invalid experience data', fields: invalidFields }, 422);
+    }
+
+    try {
+        const response = await baserowFetch(env, getRowsUrl(env, EXPERIENCES_TABLE_ID), {
+            method: 'POST',
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            console.error('[Admin] Baserow experience create error:', response.status, await response.text());
+            return errorResponse('Failed to create experience', 502);
+        }
+
+        const row = await response.json();
+        console.log('[Admin] Created experience', row.id);
+        return jsonResponse(row, 201);
+    } catch (error) {
+        console.error('[Admin] Error creating experience:', error);
+        return errorResponse('Failed to create experience', 502);
+    }
+}
@@ -0,0 +1,57 @@
+/**
+ * POST /admin/api/uploads
+ * Uploads an experience photo to Baserow for the editor (multipart, field "file")
+ * The answer is the Baserow file ({ name, url, thumbnails, ... }); saving { name } in the
+ * Image column attaches it to a row
+ */
+
+import { getUploadFileUrl, baserowFetch, jsonResponse, errorResponse } from '../../_lib/baserow.js';
+import { requireAdmin } from '../../_lib/auth.js';
+
+// Photos only; larger files slow the catalog down even with thumbnails
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/avif', 'image/gif'];
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Handles photo uploads
+ * @param {Object} context - Pages Function context
+ * @returns {Promise<Response>} Uploaded Baserow file, or error
+ */
+export async function onRequestPost({ request, env }) {
+    const denied = await requireAdmin(request, env, { bodyType: 'multipart/form-data' });
+    if (denied) return denied;
+
+    let file;
+    try {
+        file = (await request.formData()).get('file');
+    } catch {
+        return errorResponse('Invalid multipart body', 400);
+    }
+    if (!(file instanceof File)) {
+        return jsonResponse({ error: 'Missing file', fields: ['file'] }, 422);
+    }
+    if (!ALLOWED_TYPES.includes(file.type)) {
+        return jsonResponse({ error: 'Unsupported file type', fields: ['file'], reason: 'type' }, 415);
+    }
+    if (file.size > MAX_FILE_BYTES) {
+        return jsonResponse({ error: 'File too large', fields: ['file'], reason: 'size' }, 413);
+    }
+
+    const upload = new FormData();
+    upload.append('file', file, file.name);
+
+    try {
+        const response = await baserowFetch(env, getUploadFileUrl(env), { method: 'POST', body: upload });
+        if (!response.ok) {
+            console.error('[Admin] Baserow upload error:', response.status, await response.text());
+            return errorResponse('Failed to upload file', 502);
+        }
+
+        const uploaded = await response.json();
+        console.log('[Admin] Uploaded', uploaded.name, `(${file.size} bytes)`);
+        return jsonResponse(uploaded, 201);
+    } catch (error) {
+        console.error('[Admin] Error uploading file:', error);
+        return errorResponse('Failed to upload file', 502);
+    }
+}
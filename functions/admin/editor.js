@@ -0,0 +1,57 @@
+/**
+ * GET /admin/editor
+ * Experience editor: the page is a shell for xp/editor.js, which loads the rows from
+ * /admin/api/experiences and previews each edit with the catalog's own card
+ */
+
+import { requireAdmin } from '../_lib/auth.js';
+import { renderAdminPage } from '../_lib/admin.js';
+import { html } from '../../xp/html.js';
+
+/**
+ * Handles editor requests
+ * @param {Object} context - Pages Function context
+ * @returns {Promise<Response>} Editor page
+ */
+export async function onRequestGet({ request, env }) {
+    const denied = await requireAdmin(request, env);
+    if (denied) return denied;
+
+    return renderAdminPage({
+        title: 'Experiências',
+        // The catalog's styles and icons, so the preview looks like the card on /xp
+        head: html`
+            <link rel="stylesheet" href="/xp/style.css">
+            <link href="https://fonts.cdnfonts.com/css/orkney?styles=21467,21465,21466,21464" rel="stylesheet">
+            <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.0/css/all.min.css" crossorigin="anonymous" referrerpolicy="no-referrer">
+            <script type="module" src="/xp/editor.js"></script>
+        `,
+        content: html`
+            <div class="flex flex-wrap items-end gap-3 mb-6 text-sm">
+                <label class="flex flex-col gap-1">Experiência
+                    <select id="experiencePicker" class="border rounded px-3 py-2 bg-white min-w-64" disabled>
+                        <option>Carregando...</option>
+                    </select>
+                </label>
+                <button id="newExperience" type="button" class="px-4 py-2 rounded border border-gray-300 bg-white hover:bg-gray-100">
+                    Nova experiência
+                </button>
+                <p id="editorStatus" class="py-2 text-gray-600" role="status" aria-live="polite"></p>
+            </div>
+            <div class="grid gap-6 xl:grid-cols-[minmax(0,3fr)_minmax(0,2fr)] items-start">
+                <form id="experienceForm" class="flex flex-col gap-6" novalidate hidden></form>
+                <aside class="flex flex-col gap-4 xl:sticky xl:top-4" aria-labelledby="previewTitle">
+                    <div class="flex items-center justify-between gap-3">
+                        <h2 id="previewTitle" class="text-lg font-semibold">Prévia do card</h2>
+                        <label class="text-sm">Idioma
+                            <select id="previewLocale" class="border rounded px-2 py-1 bg-white"></select>
+                        </label>
+                    </div>
+                    <div id="missingTranslations"></div>
+                    <div id="cardPreview" inert></div>
+                </aside>
+            </div>
+            <noscript><p class="text-red-600">O editor precisa de JavaScript.</p></noscript>
+        `
+    });
+}
@@ -0,0 +1,211 @@
+/**
+ * GET /admin/leads?from=2026-10-01&to=2026-10-31&experience=12&partner=UP10
+ * Lead inbox: contacts with their experiences, partner code, language and submission time,
+ * filtered by period, experience and partner, with a one-click WhatsApp reply
+ */
+
+import { listLeads } from '../_lib/leads.js';
+import { TEAM_TIME_ZONE, getTeamDate } from '../_lib/dates.js';
+import { requireAdmin } from '../_lib/auth.js';
+import { renderAdminPage, getExperienceNames } from '../_lib/admin.js';
+import { html } from '../../xp/html.js';
+
+// Period shown when the page is opened without filters
+const DEFAULT_PERIOD_DAYS = 30;
+
+// Catalog languages (Language column) -> label, and the greeting the WhatsApp reply starts with
+const LANGUAGES = {
+    'pt-br': { label: 'Português', greeting: (name) => `Olá, ${name}! Aqui é da UP Experiences.` },
+    'en-us': { label: 'English', greeting: (name) => `Hi ${name}! This is UP Experiences.` }
+};
+const DEFAULT_LANGUAGE = 'pt-br';
+
+/**
+ * Reads the filters of the request
+ * Without any query string the page shows the last DEFAULT_PERIOD_DAYS days; an empty
+ * "from" field means no start date
+ * @param {URL} url - Request URL
+ * @returns {Object} { from, to, experienceId, partnerCode }
+ */
+function getFilters(url) {
+    const params = url.searchParams;
+    const readDate = (name) => (/^\d{4}-\d{2}-\d{2}$/.test(params.get(name) || '') ? params.get(name) : '');
+    const experienceId = Number(params.get('experience'));
+
+    return {
+        from: params.has('from')
+            ? readDate('from')
+            : getTeamDate(new Date(Date.now() - DEFAULT_PERIOD_DAYS * 24 * 60 * 60 * 1000).toISOString()),
+        to: readDate('to'),
+        experienceId: Number.isInteger(experienceId) && experienceId > 0 ? experienceId : null,
+        // Coupon codes are stored upper case (see functions/_lib/coupons.js)
+        partnerCode: (params.get('partner') || '').trim().toUpperCase().slice(0, 100)
+    };
+}
+
+/**
+ * Formats a submission time in the team's time zone
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} e.g. "03/10/2026 14:25"
+ */
+function formatSubmittedAt(timestamp) {
+    const date = new Date(timestamp);
+    if (!timestamp || Number.isNaN(date.getTime())) return '–';
+    return date.toLocaleString('pt-BR', { timeZone: TEAM_TIME_ZONE, dateStyle: 'short', timeStyle: 'short' });
+}
+
+/**
+ * Builds the wa.me link that opens a chat with the lead, greeting them in their language
+ * @param {Object} lead - Lead (see toLead)
+ * @returns {string} wa.me URL, or an empty string when the lead has no phone
+ */
+function getWhatsAppUrl(lead) {
+    if (!lead.phone) return '';
+
+    const { greeting } = LANGUAGES[lead.language] || LANGUAGES[DEFAULT_LANGUAGE];
+    const firstName = lead.name.split(/\s+/)[0];
+    return `https://wa.me/${lead.phone}?text=${encodeURIComponent(greeting(firstName))}`;
+}
+
+/**
+ * Renders the filter form
+ * @param {Object} filters - Current filters
+ * @param {Map<number, string>} names - Experience names
+ * @returns {SafeHtml} Form markup
+ */
+function renderFilters(filters, names) {
+    const experiences = [...names.entries()].sort(([, a], [, b]) => a.localeCompare(b, 'pt-BR'));
+
+    return html`
+        <form method="get" class="flex flex-wrap items-end gap-4 mb-6 p-4 bg-white rounded-xl shadow text-sm">
+            <label class="flex flex-col gap-1">De
+                <input type="date" name="from" value="${filters.from}" class="border rounded px-2 py-1">
+            </label>
+            <label class="flex flex-col gap-1">Até
+                <input type="date" name="to" value="${filters.to}" class="border rounded px-2 py-1">
+            </label>
+            <label class="flex flex-col gap-1">Experiência
+                <select name="experience" class="border rounded px-2 py-1">
+                    <option value="">Todas</option>
+                    ${experiences.map(([id, name]) => html`
+                        <option value="${id}" ${id === filters.experienceId ? 'selected' : ''}>${name}</option>
+                    `)}
+                </select>
+            </label>
+            <label class="flex flex-col gap-1">Parceiro (cupom)
+                <input type="text" name="partner" value="${filters.partnerCode}" class="border rounded px-2 py-1 uppercase">
+            </label>
+            <button type="submit" class="px-4 py-2 rounded bg-blue-600 text-white hover:bg-blue-700">Filtrar</button>
+            <a href="/admin/leads" class="px-2 py-2 text-gray-600 hover:underline">Limpar</a>
+        </form>
+    `;
+}
+
+/**
+ * Renders how to reach a lead
+ * @param {Object} lead - Lead (see toLead)
+ * @returns {SafeHtml} Contact cell markup
+ */
+function renderContact(lead) {
+    const whatsappUrl = getWhatsAppUrl(lead);
+
+    return html`
+        ${whatsappUrl && html`
+            <a href="${whatsappUrl}" target="_blank" rel="noopener noreferrer"
+               class="inline-block px-3 py-1 rounded-full bg-green-500 text-white hover:bg-green-600 whitespace-nowrap">WhatsApp</a>
+        `}
+        ${lead.email && html`<a href="mailto:${lead.email}" class="block text-blue-600 hover:underline">${lead.email}</a>`}
+        ${lead.whatsapp && html`<span class="block text-gray-500">${lead.whatsapp}</span>`}
+        ${lead.channel && html`<span class="block text-xs text-gray-500">Prefere: ${lead.channel}</span>`}
+    `;
+}
+
+/**
+ * Renders the leads table
+ * @param {Array<Object>} leads - Leads (see toLead)
+ * @param {Map<number, string>} names - Experience names
+ * @returns {SafeHtml} Table markup
+ */
+function renderLeadsTable(leads, names) {
+    if (leads.length === 0) {
+        return html`<p class="text-gray-600">Nenhum lead encontrado com esses filtros.</p>`;
+    }
+
+    return html`
+        <div class="overflow-x-auto bg-white rounded-xl shadow">
+            <table class="min-w-full text-sm">
+                <thead class="bg-gray-100 text-left">
+                    <tr>
+                        <th class="px-4 py-3">Recebido em</th>
+                        <th class="px-4 py-3">Nome</th>
+                        <th class="px-4 py-3">Experiências</th>
+                        <th class="px-4 py-3">Viagem</th>
+                        <th class="px-4 py-3">Parceiro</th>
+                        <th class="px-4 py-3">Idioma</th>
+                        <th class="px-4 py-3">Contato</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${leads.map(lead => html`
+                        <tr class="border-t border-gray-100 align-top">
+                            <td class="px-4 py-3 whitespace-nowrap">
+                                ${formatSubmittedAt(lead.submittedAt)}
+                                ${lead.repeatCount > 0 && html`<span class="block text-xs text-gray-500" title="Envios repetidos">+${lead.repeatCount}</span>`}
+                            </td>
+                            <td class="px-4 py-3">${lead.name}</td>
+                            <td class="px-4 py-3">
+                                <ul>${lead.experiences.map(experience => html`<li>${names.get(experience.id) || experience.name || `#${experience.id}`}</li>`)}</ul>
+                            </td>
+                            <td class="px-4 py-3 whitespace-nowrap">
+                                ${lead.date ? lead.date.split('-').reverse().join('/') : '–'}
+                                ${lead.adults > 0 && html`<span class="block text-xs text-gray-500">${lead.adults} adulto(s)${lead.children > 0 ? `, ${lead.children} criança(s)` : ''}</span>`}
+                                ${lead.timeSlot && html`<span class="block text-xs text-gray-500">${lead.timeSlot}</span>`}
+                            </td>
+                            <td class="px-4 py-3">${lead.partnerCode || '–'}</td>
+                            <td class="px-4 py-3">${LANGUAGES[lead.language]?.label || lead.language || '–'}</td>
+                            <td class="px-4 py-3">${renderContact(lead)}</td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Handles inbox requests
+ * @param {Object} context - Pages Function context
+ * @returns {Promise<Response>} Inbox page
+ */
+export async function onRequestGet({ request, env }) {
+    const denied = await requireAdmin(request, env);
+    if (denied) return denied;
+
+    const filters = getFilters(new URL(request.url));
+
+    let result;
+    try {
+        result = await listLeads(env, filters);
+    } catch (error) {
+        console.error('[Admin] Error loading leads:', error);
+        return renderAdminPage({
+            title: 'Leads',
+            content: html`<p class="text-red-600">Não foi possível carregar os leads do Baserow.</p>`,
+            status: 502
+        });
+    }
+
+    const names = await getExperienceNames(env);
+
+    return renderAdminPage({
+        title: 'Leads',
+        content: html`
+            ${renderFilters(filters, names)}
+            <p class="mb-4 text-gray-600">${result.leads.length} lead(s)</p>
+            ${result.truncated && html`
+                <p class="mb-4 text-amber-700">Mostrando só os leads mais recentes. Escolha um período menor para ver todos.</p>
+            `}
+            ${renderLeadsTable(result.leads, names)}
+        `
+    });
+}
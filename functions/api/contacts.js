@@ -0,0 +1,323 @@
+/**
+ * POST /api/contacts
+ * Writes contact leads to Baserow, accepting only whitelisted fields
+ *
+ * Repeat submissions do not create new rows:
+ * - a request whose Idempotency-Key header was already saved returns the saved row (double taps, retries)
+ * - the same phone (or email, for leads that chose email) asking about the same experiences
+ *   within DUPLICATE_WINDOW_MS is merged into the earlier lead, whose Repeat count is incremented;
+ *   the earlier lead keeps everything else (name, date, party, coupon), so a repeat cannot move a
+ *   commission to another partner
+ *
+ * Concurrent requests with the same Idempotency-Key can both miss the lookup; after inserting, the
+ * lowest row with the key wins and the others are deleted. Repeat merging has no such check and
+ * is best-effort: two leads sent at the same moment may both be saved
+ */
+
+import {
+    CONTACTS_TABLE_ID,
+    COUPONS_TABLE_VAR,
+    getOptionalTableId,
+    getRowsUrl,
+    getRowUrl,
+    findRows,
+    baserowFetch,
+    jsonResponse,
+    errorResponse,
+    pickAllowedFields
+} from '../_lib/baserow.js';
+import { validateCoupon } from '../_lib/coupons.js';
+import { LEAD_COLUMNS } from '../_lib/leads.js';
+import { SUPPORTED_LOCALES } from '../../xp/schema.js';
+
+/**
+ * Checks for a non-empty string up to a maximum length
+ * @param {number} maxLength - Maximum allowed length
+ * @returns {Function} Validator function
+ */
+const isShortString = (maxLength) => (value) =>
+    typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+
+/**
+ * Checks for an integer within a range
+ * @param {number} min - Minimum allowed value
+ * @param {number} max - Maximum allowed value
+ * @returns {Function} Validator function
+ */
+const isIntegerInRange = (min, max) => (value) =>
+    Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Checks for a real calendar date formatted as YYYY-MM-DD
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a valid date
+ */
+const isIsoDate = (value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+
+    // Rejects dates such as 2026-02-30 that Date would roll over
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+/**
+ * Checks for a plausible email address
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value looks like user@domain.tld
+ */
+const isEmail = (value) =>
+    typeof value === 'string' && value.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value.trim());
+
+// International phone number: "+", country code and subscriber number, up to 15 digits
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+// How a lead wants to be contacted (values of the Preferred channel single select)
+const CONTACT_CHANNELS = ['WhatsApp', 'Email', 'Telefone'];
+
+// Fields the browser is allowed to write to the contacts table
+const CONTACT_FIELDS = {
+    Name: isShortString(200),
+    // E.164, as the contact modal sends it
+    Whatsapp: (value) => typeof value === 'string' && E164_PATTERN.test(value),
+    Email: isEmail,
+    'Preferred channel': (value) => CONTACT_CHANNELS.includes(value),
+    Experiências: (value) =>
+        Array.isArray(value) &&
+        value.length > 0 &&
+        value.every(id => Number.isInteger(id) && id > 0),
+    Parceiro_id: isShortString(100),
+    Date: isIsoDate,
+    Adults: isIntegerInRange(1, 50),
+    Children: isIntegerInRange(0, 50),
+    'Preferred time': isShortString(40),
+    // Catalog language, so the team answers in it
+    Language: (value) => SUPPORTED_LOCALES.includes(value),
+    'UTM source': isShortString(200),
+    'UTM medium': isShortString(200),
+    'UTM campaign': isShortString(200),
+    'UTM term': isShortString(200),
+    'UTM content': isShortString(200),
+    Referrer: isShortString(1000),
+    'Landing page': isShortString(1000)
+};
+
+const REQUIRED_FIELDS = ['Name', 'Experiências'];
+
+// Repeat leads for the same phone and experiences within this window are merged
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// How many recent leads of a phone are inspected when looking for a repeat
+const DUPLICATE_LOOKUP_SIZE = 20;
+
+/**
+ * Reads the Idempotency-Key header
+ * @param {Request} request - Incoming request
+ * @returns {string|null} Key, or null when missing or malformed
+ */
+function getIdempotencyKey(request) {
+    const key = (request.headers.get('Idempotency-Key') || '').trim();
+    return /^[A-Za-z0-9_-]{8,100}$/.test(key) ? key : null;
+}
+
+/**
+ * Lists the required fields of a contact
+ * Leads that chose email need an email address; every other lead (including older
+ * clients that do not send a channel) needs a phone number
+ * @param {Object} contact - Whitelisted contact fields
+ * @returns {Array<string>} Required field names
+ */
+function getRequiredFields(contact) {
+    return [...REQUIRED_FIELDS, contact['Preferred channel'] === 'Email' ? 'Email' : 'Whatsapp'];
+}
+
+/**
+ * Gets a comparable key for a set of experience IDs
+ * @param {Array<number|Object>} experiences - IDs, or Baserow link row values ({ id })
+ * @returns {string} Sorted, comma-separated IDs
+ */
+function getExperiencesKey(experiences) {
+    return (experiences || [])
+        .map(experience => (typeof experience === 'object' ? experience.id : experience))
+        .sort((a, b) => a - b)
+        .join(',');
+}
+
+/**
+ * Finds an earlier lead of the same phone (or email) for the same experiences
+ * @param {Object} env - Function environment bindings
+ * @param {Object} contact - Contact being submitted
+ * @returns {Promise<Object|null>} Earlier lead row or null
+ */
+async function findRecentDuplicate(env, contact) {
+    const filter = contact[LEAD_COLUMNS.normalizedPhone]
+        ? { [LEAD_COLUMNS.normalizedPhone]: contact[LEAD_COLUMNS.normalizedPhone] }
+        : { Email: contact.Email };
+    const { results } = await findRows(env, CONTACTS_TABLE_ID, filter,
+        { order_by: '-id', size: DUPLICATE_LOOKUP_SIZE });
+
+    const experiencesKey = getExperiencesKey(contact.Experiências);
+    const windowStart = Date.now() - DUPLICATE_WINDOW_MS;
+
+    return results.find(row =>
+        Date.parse(row[LEAD_COLUMNS.submittedAt]) >= windowStart &&
+        getExperiencesKey(row.Experiências) === experiencesKey
+    ) || null;
+}
+
+/**
+ * Resolves a race between requests with the same Idempotency-Key that were inserted together
+ * The lowest row wins; a later row is deleted. Lookup errors keep the row (a possible duplicate
+ * lead is better than a lost one)
+ * @param {Object} env - Function environment bindings
+ * @param {Object} contact - Contact that was inserted
+ * @param {number} rowId - ID of the inserted row
+ * @returns {Promise<Object|null>} Winning row when the inserted one lost, otherwise null
+ */
+async function findIdempotencyWinner(env, contact, rowId) {
+    const idempotencyKey = contact[LEAD_COLUMNS.idempotencyKey];
+    if (!idempotencyKey) return null;
+
+    try {
+        const { results } = await findRows(env, CONTACTS_TABLE_ID,
+            { [LEAD_COLUMNS.idempotencyKey]: idempotencyKey }, { order_by: 'id', size: 1 });
+        const original = results[0];
+        if (!original || original.id === rowId) return null;
+
+        const response = await baserowFetch(env, getRowUrl(env, CONTACTS_TABLE_ID, rowId), { method: 'DELETE' });
+        if (response.ok) {
+            console.log('[Proxy] Removed row', rowId, 'racing row', original.id, 'for the same idempotency key');
+        } else {
+            console.error('[Proxy] Baserow contacts delete error:', response.status, await response.text());
+        }
+        return original;
+    } catch (error) {
+        console.error('[Proxy] Error re-checking idempotency key:', error);
+        return null;
+    }
+}
+
+/**
+ * Writes a contact row, merging it into an earlier lead when it is a repeat
+ * @param {Object} env - Function environment bindings
+ * @param {Object} contact - Validated contact fields
+ * @returns {Promise<Response>} Created (201) or merged (200) row ID
+ */
+async function saveContact(env, contact) {
+    const duplicate = await findRecentDuplicate(env, contact);
+
+    if (duplicate) {
+        // Only the counter changes: the original submission time is kept so the window does
+        // not slide forever, and the lead's details and coupon stay as first sent
+        const response = await baserowFetch(env, getRowUrl(env, CONTACTS_TABLE_ID, duplicate.id), {
+            method: 'PATCH',
+            body: JSON.stringify({
+                [LEAD_COLUMNS.repeatCount]: (parseInt(duplicate[LEAD_COLUMNS.repeatCount], 10) || 0) + 1
+            })
+        });
+
+        if (!response.ok) {
+            console.error('[Proxy] Baserow contacts merge error:', response.status, await response.text());
+            return errorResponse('Failed to save contact', 502);
+        }
+
+        console.log('[Proxy] Merged repeat lead into row', duplicate.id);
+        return jsonResponse({ id: duplicate.id, duplicate: true });
+    }
+
+    const response = await baserowFetch(env, getRowsUrl(env, CONTACTS_TABLE_ID), {
+        method: 'POST',
+        body: JSON.stringify(contact)
+    });
+
+    if (!response.ok) {
+        console.error('[Proxy] Baserow contacts error:', response.status, await response.text());
+        return errorResponse('Failed to save contact', 502);
+    }
+
+    const row = await response.json();
+    const original = await findIdempotencyWinner(env, contact, row.id);
+    if (original) {
+        return jsonResponse({ id: original.id, duplicate: true });
+    }
+    return jsonResponse({ id: row.id }, 201);
+}
+
+/**
+ * Handles contact submissions
+ * @param {Object} context - Pages Function context
+ * @returns {Promise<Response>} Created (201), replayed or merged (200) row ID, or error
+ */
+export async function onRequestPost({ request, env }) {
+    let body;
+    try {
+        body = await request.json();
+    } catch {
+        return errorResponse('Invalid JSON body', 400);
+    }
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return errorResponse('Invalid JSON body', 400);
+    }
+
+    // A number the team cannot dial is rejected rather than dropped, so the lead can fix it
+    if ('Whatsapp' in body && !CONTACT_FIELDS.Whatsapp(body.Whatsapp)) {
+        return jsonResponse({ error: 'Invalid contact data', fields: ['Whatsapp'], reason: 'format' }, 422);
+    }
+
+    const contact = pickAllowedFields(body, CONTACT_FIELDS);
+    const missingFields = getRequiredFields(contact).filter(field => !(field in contact));
+    if (missingFields.length > 0) {
+        return jsonResponse({ error: 'Invalid contact data', fields: missingFields }, 422);
+    }
+
+    // Replay of a request that was already saved (checked first: its own row counts as a coupon usage)
+    const idempotencyKey = getIdempotencyKey(request);
+    if (idempotencyKey) {
+        try {
+            const { results } = await findRows(env, CONTACTS_TABLE_ID,
+                { [LEAD_COLUMNS.idempotencyKey]: idempotencyKey }, { size: 1 });
+            if (results[0]) {
+                return jsonResponse({ id: results[0].id, duplicate: true });
+            }
+        } catch (error) {
+            console.error('[Proxy] Error looking up idempotency key:', error);
+            return errorResponse('Failed to save contact', 502);
+        }
+    }
+
+    // Only coupons that exist and apply to the selected experiences reach the CRM;
+    // without a coupons table nothing can be checked, so the code is dropped
+    if (contact.Parceiro_id && !getOptionalTableId(env, COUPONS_TABLE_VAR)) {
+        delete contact.Parceiro_id;
+    } else if (contact.Parceiro_id) {
+        try {
+            const coupon = await validateCoupon(env, contact.Parceiro_id, contact.Experiências);
+            if (!coupon.valid) {
+                return jsonResponse({ error: 'Invalid coupon', fields: ['Parceiro_id'], reason: coupon.reason }, 422);
+            }
+            contact.Parceiro_id = coupon.code;
+        } catch (error) {
+            console.error('[Proxy] Error validating coupon:', error);
+            return errorResponse('Failed to validate coupon', 502);
+        }
+    }
+
+    if (contact.Whatsapp) {
+        // Digits only, e.g. "5521987654321", for duplicate detection
+        contact[LEAD_COLUMNS.normalizedPhone] = contact.Whatsapp.slice(1);
+    }
+    if (contact.Email) {
+        contact.Email = contact.Email.trim().toLowerCase();
+    }
+    contact[LEAD_COLUMNS.submittedAt] = new Date().toISOString();
+    if (idempotencyKey) {
+        contact[LEAD_COLUMNS.idempotencyKey] = idempotencyKey;
+    }
+
+    try {
+        return await saveContact(env, contact);
+    } catch (error) {
+        console.error('[Proxy] Error saving contact:', error);
+        return errorResponse('Failed to save contact', 502);
+    }
+}
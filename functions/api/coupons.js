@@ -0,0 +1,44 @@
+/**
+ * GET /api/coupons?code=UP10&experiences=12,34
+ * Checks a coupon so the contact modal can preview the discount before submitting
+ */
+
+import { COUPONS_TABLE_VAR, getOptionalTableId, jsonResponse, errorResponse } from '../_lib/baserow.js';
+import { validateCoupon } from '../_lib/coupons.js';
+
+/**
+ * Parses a comma-separated list of experience IDs
+ * @param {string|null} value - Raw query string value
+ * @returns {Array<number>} Positive integer IDs
+ */
+function parseExperienceIds(value) {
+    return (value || '')
+        .split(',')
+        .map(id => Number(id))
+        .filter(id => Number.isInteger(id) && id > 0);
+}
+
+/**
+ * Handles coupon checks
+ * @param {Object} context - Pages Function context
+ * @returns {Promise<Response>} { valid, code, discount } or { valid: false, reason }
+ */
+export async function onRequestGet({ request, env }) {
+    if (!getOptionalTableId(env, COUPONS_TABLE_VAR)) {
+        return errorResponse('Coupons are not configured', 503);
+    }
+
+    const params = new URL(request.url).searchParams;
+    const code = params.get('code');
+    if (!code) {
+        return jsonResponse({ error: 'Missing coupon code', fields: ['code'] }, 422);
+    }
+
+    try {
+        const result = await validateCoupon(env, code, parseExperienceIds(params.get('experiences')));
+        return jsonResponse(result);
+    } catch (error) {
+        console.error('[Proxy] Error validating coupon:', error);
+        return errorResponse('Failed to validate coupon', 502);
+    }
+}
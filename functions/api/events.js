@@ -0,0 +1,113 @@
+/**
+ * POST /api/events
+ * Receives batched conversion funnel events from visitors' browsers (see xp/analytics.js) and
+ * stores them in the ANALYTICS_DB D1 database for the /admin/analytics report
+ * Without the database the events are accepted and dropped, so browsers do not log failed beacons
+ */
+
+import { errorResponse } from '../_lib/baserow.js';
+import { EVENT_NAMES, getAnalyticsDb, recordEvents } from '../_lib/analytics.js';
+
+// sendBeacon bodies are small; anything bigger is not from our site
+const MAX_BODY_LENGTH = 32 * 1024;
+const MAX_EVENTS = 20;
+
+// A trip lead mentions several experiences; more than this is not a real selection
+const MAX_EXPERIENCE_IDS = 10;
+
+// Properties are a few short labels and counts (source, channel, reason, count)
+const MAX_PROPERTIES = 5;
+const MAX_PROPERTY_LENGTH = 40;
+const PROPERTY_NAME = /^[a-zA-Z]{1,20}$/;
+
+// Random ids from createIdempotencyKey()
+const SESSION_ID = /^[\w-]{8,64}$/;
+
+/**
+ * Reads the experience IDs of an event
+ * @param {*} value - Raw value
+ * @returns {Array<number>|null} Positive integer IDs, or null when the value is invalid
+ */
+function getExperienceIds(value) {
+    if (value === undefined) return [];
+    if (!Array.isArray(value) || value.length > MAX_EXPERIENCE_IDS) return null;
+
+    const ids = value.map(Number);
+    return ids.every(id => Number.isInteger(id) && id > 0) ? [...new Set(ids)] : null;
+}
+
+/**
+ * Keeps the short string and number properties of an event
+ * @param {*} value - Raw properties
+ * @returns {Object} Clean properties
+ */
+function getProperties(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+
+    return Object.fromEntries(Object.entries(value)
+        .filter(([name, item]) => PROPERTY_NAME.test(name)
+            && (typeof item === 'string' || (typeof item === 'number' && Number.isFinite(item))))
+        .slice(0, MAX_PROPERTIES)
+        .map(([name, item]) => [name, typeof item === 'string' ? item.slice(0, MAX_PROPERTY_LENGTH) : item]));
+}
+
+/**
+ * Validates one browser event
+ * @param {Object} event - Raw event
+ * @returns {Object|null} Clean event, or null when it is not a valid event
+ */
+function toEvent(event) {
+    if (!event || typeof event !== 'object' || !EVENT_NAMES.includes(event.name)) return null;
+    if (typeof event.sessionId !== 'string' || !SESSION_ID.test(event.sessionId)) return null;
+
+    const experienceIds = getExperienceIds(event.experienceIds);
+    if (!experienceIds) return null;
+
+    return {
+        name: event.name,
+        sessionId: event.sessionId,
+        experienceIds,
+        properties: getProperties(event.properties)
+    };
+}
+
+/**
+ * Handles event batches
+ * @param {Object} context - Pages Function context
+ * @returns {Promise<Response>} 204 once stored (or dropped), or an error for malformed batches
+ */
+export async function onRequestPost({ request, env }) {
+    const db = getAnalyticsDb(env);
+    if (!db) {
+        return new Response(null, { status: 204 });
+    }
+
+    if (Number(request.headers.get('Content-Length')) > MAX_BODY_LENGTH) {
+        return errorResponse('Event batch too large', 413);
+    }
+
+    const text = await request.text();
+    if (text.length > MAX_BODY_LENGTH) {
+        return errorResponse('Event batch too large', 413);
+    }
+
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch {
+        return errorResponse('Invalid JSON body', 400);
+    }
+
+    if (!body || !Array.isArray(body.events)) {
+        return errorResponse('Invalid JSON body', 400);
+    }
+
+    try {
+        await recordEvents(db, body.events.slice(0, MAX_EVENTS).map(toEvent).filter(Boolean));
+    } catch (error) {
+        console.error('[Analytics] Error storing events:', error);
+        return errorResponse('Failed to store events', 500);
+    }
+
+    return new Response(null, { status: 204 });
+}
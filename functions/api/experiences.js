@@ -0,0 +1,77 @@
+/**
+ * GET /api/experiences
+ * Proxies the experiences table so the Baserow token never reaches the browser
+ * Only listed experiences are served: unpublished and out-of-season rows stay on the server,
+ * using the team's date so the catalog changes at midnight in Rio
+ */
+
+import {
+    EXPERIENCES_TABLE_ID,
+    getRowsUrl,
+    baserowFetch,
+    jsonResponse,
+    errorResponse
+} from '../_lib/baserow.js';
+import { getTeamDate } from '../_lib/dates.js';
+import { isExperienceListed } from '../../xp/schema.js';
+
+// Query parameters forwarded to Baserow
+const FORWARDED_PARAMS = ['page', 'size'];
+
+/**
+ * Rewrites a Baserow pagination link to point at this proxy
+ * @param {string|null} link - Baserow `next`/`previous` URL
+ * @param {URL} requestUrl - URL of the incoming request
+ * @returns {string|null} Proxy URL or null
+ */
+function toProxyLink(link, requestUrl) {
+    if (!link) return null;
+
+    const upstream = new URL(link);
+    const proxied = new URL(requestUrl.pathname, requestUrl.origin);
+    FORWARDED_PARAMS.forEach(param => {
+        const value = upstream.searchParams.get(param);
+        if (value) proxied.searchParams.set(param, value);
+    });
+
+    return proxied.pathname + proxied.search;
+}
+
+/**
+ * Handles experiences listing requests
+ * @param {Object} context - Pages Function context
+ * @returns {Promise<Response>} Experiences page in Baserow list format
+ */
+export async function onRequestGet({ request, env }) {
+    const requestUrl = new URL(request.url);
+    const params = {};
+    FORWARDED_PARAMS.forEach(param => {
+        params[param] = requestUrl.searchParams.get(param);
+    });
+
+    try {
+        const response = await baserowFetch(env, getRowsUrl(env, EXPERIENCES_TABLE_ID, params));
+
+        if (!response.ok) {
+            console.error('[Proxy] Baserow experiences error:', response.status);
+            return errorResponse('Failed to load experiences', 502);
+        }
+
+        const data = await response.json();
+        const today = getTeamDate(new Date().toISOString());
+        const results = data.results.filter(row => isExperienceListed(row, today));
+
+        return jsonResponse({
+            // Upper bound: hidden rows of the other pages are still counted
+            count: data.count - (data.results.length - results.length),
+            next: toProxyLink(data.next, requestUrl),
+            previous: toProxyLink(data.previous, requestUrl),
+            results
+        }, 200, {
+            'Cache-Control': 'public, max-age=60'
+        });
+    } catch (error) {
+        console.error('[Proxy] Error fetching experiences:', error);
+        return errorResponse('Failed to load experiences', 502);
+    }
+}
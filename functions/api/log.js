@@ -0,0 +1,137 @@
+/**
+ * POST /api/log
+ * Receives batched warnings and errors from visitors' browsers (see xp/logger.js) and writes
+ * them to the Functions log, so broken Baserow requests or contact flows show up for us
+ * The browser already redacts secrets; here entries are only validated and size-limited
+ * The endpoint is public, so it only takes batches from our own pages, caps how many entries
+ * one IP may log per window, and marks every line as client output
+ */
+
+import { errorResponse } from '../_lib/baserow.js';
+import { getRateCount, addRateCount, getClientKey } from '../_lib/limits.js';
+
+// sendBeacon bodies are small; anything bigger is not from our logger
+const MAX_BODY_LENGTH = 32 * 1024;
+const MAX_ENTRIES = 20;
+const MAX_FIELD_LENGTH = 2000;
+
+// Only what the logger reports
+const LEVELS = ['warn', 'error'];
+
+// Entries one IP may log per window (the logger sends at most 50 per page view)
+const CLIENT_LOG_LIMIT = { name: 'log', windowSeconds: 600 };
+const MAX_ENTRIES_PER_WINDOW = 200;
+
+// Starts every line written for a browser, so client text cannot pass as server output
+const CLIENT_LOG_PREFIX = '[Client]';
+
+/**
+ * Checks that a batch was sent by one of our pages
+ * Browsers send Sec-Fetch-Site (or at least Origin) with sendBeacon and fetch POSTs;
+ * requests with neither are scripts, not our logger
+ * @param {Request} request - Incoming request
+ * @returns {boolean} True for same-origin requests
+ */
+function isFromOwnPage(request) {
+    const fetchSite = request.headers.get('Sec-Fetch-Site');
+    if (fetchSite) return fetchSite === 'same-origin';
+
+    return request.headers.get('Origin') === new URL(request.url).origin;
+}
+
+/**
+ * Reads a string field, truncated
+ * @param {*} value - Raw value
+ * @param {number} maxLength - Maximum length kept
+ * @returns {string} String value ('' when not a string)
+ */
+function getString(value, maxLength = MAX_FIELD_LENGTH) {
+    return typeof value === 'string' ? value.slice(0, maxLength) : '';
+}
+
+/**
+ * Validates one browser log entry
+ * @param {Object} entry - Raw entry
+ * @returns {Object|null} Clean entry, or null when it is not a valid entry
+ */
+function toLogEntry(entry) {
+    if (!entry || typeof entry !== 'object' || !LEVELS.includes(entry.level)) return null;
+
+    const message = getString(entry.message);
+    if (!message) return null;
+
+    return {
+        level: entry.level,
+        scope: getString(entry.scope, 40),
+        message,
+        // Kept as JSON text so one entry is always one log line
+        details: Array.isArray(entry.details) ? JSON.stringify(entry.details).slice(0, MAX_FIELD_LENGTH) : '',
+        page: getString(entry.page, 500),
+        time: getString(entry.time, 40)
+    };
+}
+
+/**
+ * Formats an entry as a single log line
+ * JSON already escapes line breaks; U+2028/U+2029 are escaped too, as some log viewers split on them
+ * @param {Object} entry - Clean entry with client details
+ * @returns {string} Prefixed log line
+ */
+function formatLogLine(entry) {
+    const json = JSON.stringify(entry).replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+    return `${CLIENT_LOG_PREFIX} ${json}`;
+}
+
+/**
+ * Handles log batches
+ * @param {Object} context - Pages Function context
+ * @returns {Promise<Response>} 204 once logged, or an error for malformed, foreign or excess batches
+ */
+export async function onRequestPost({ request, env }) {
+    if (!isFromOwnPage(request)) {
+        return errorResponse('Cross-site requests are not allowed', 403);
+    }
+
+    if (Number(request.headers.get('Content-Length')) > MAX_BODY_LENGTH) {
+        return errorResponse('Log batch too large', 413);
+    }
+
+    const text = await request.text();
+    if (text.length > MAX_BODY_LENGTH) {
+        return errorResponse('Log batch too large', 413);
+    }
+
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch {
+        return errorResponse('Invalid JSON body', 400);
+    }
+
+    if (!body || !Array.isArray(body.entries)) {
+        return errorResponse('Invalid JSON body', 400);
+    }
+
+    const clientKey = getClientKey(request);
+    const remaining = MAX_ENTRIES_PER_WINDOW - await getRateCount(env, CLIENT_LOG_LIMIT, clientKey);
+    if (remaining <= 0) {
+        return errorResponse('Too many log entries', 429);
+    }
+
+    const entries = body.entries.slice(0, Math.min(MAX_ENTRIES, remaining)).map(toLogEntry).filter(Boolean);
+    if (entries.length > 0) {
+        await addRateCount(env, CLIENT_LOG_LIMIT, clientKey, entries.length);
+    }
+
+    const client = {
+        userAgent: getString(request.headers.get('User-Agent'), 300),
+        country: request.cf?.country || ''
+    };
+
+    entries.forEach(entry => {
+        const log = entry.level === 'error' ? console.error : console.warn;
+        log(formatLogLine({ ...entry, ...client }));
+    });
+
+    return new Response(null, { status: 204 });
+}
@@ -0,0 +1,26 @@
+/**
+ * GET /api/reviews
+ * Lists approved customer reviews for the ratings on cards and in the experience view
+ */
+
+import { jsonResponse, errorResponse } from '../_lib/baserow.js';
+import { listApprovedReviews } from '../_lib/reviews.js';
+
+/**
+ * Handles review listing requests
+ * An unconfigured reviews table returns an empty list, so the catalog simply shows no ratings
+ * @param {Object} context - Pages Function context
+ * @returns {Promise<Response>} { count, results } with public reviews
+ */
+export async function onRequestGet({ env }) {
+    try {
+        const reviews = await listApprovedReviews(env);
+
+        return jsonResponse({ count: reviews.length, results: reviews }, 200, {
+            'Cache-Control': 'public, max-age=300'
+        });
+    } catch (error) {
+        console.error('[Proxy] Error fetching reviews:', error);
+        return errorResponse('Failed to load reviews', 502);
+    }
+}
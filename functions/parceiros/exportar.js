@@ -0,0 +1,92 @@
+/**
+ * GET /parceiros/exportar?mes=2026-10
+ * The logged-in partner's statement of a month as CSV, for the monthly settlement
+ * Semicolons and decimal commas, as spreadsheets in Brazil expect
+ */
+
+import { errorResponse } from '../_lib/baserow.js';
+import { getExperienceNames } from '../_lib/admin.js';
+import {
+    isPartnerPortalConfigured,
+    getSessionPartner,
+    getStatementMonth,
+    getPartnerStatement
+} from '../_lib/partners.js';
+import { TEAM_TIME_ZONE } from '../_lib/dates.js';
+
+const CSV_HEADERS = [
+    'Lead',
+    'Recebido em',
+    'Cliente',
+    'Experiências',
+    'Data do passeio',
+    'Adultos',
+    'Crianças',
+    'Status',
+    'Valor da reserva (R$)',
+    'Comissão (R$)'
+];
+
+/**
+ * Writes one CSV cell
+ * Cells starting like a formula are prefixed, so spreadsheets never run them
+ * @param {*} value - Cell value
+ * @returns {string} Quoted cell
+ */
+function toCsvCell(value) {
+    let text = typeof value === 'number' ? value.toFixed(2).replace('.', ',') : String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Handles CSV exports
+ * @param {Object} context - Pages Function context
+ * @returns {Promise<Response>} CSV file
+ */
+export async function onRequestGet({ request, env }) {
+    if (!isPartnerPortalConfigured(env)) {
+        return errorResponse('Partner portal is not configured', 503);
+    }
+
+    try {
+        const partner = await getSessionPartner(request, env);
+        if (!partner) {
+            return new Response(null, { status: 303, headers: { Location: '/parceiros', 'Cache-Control': 'no-store' } });
+        }
+
+        const month = getStatementMonth(new URL(request.url));
+        const [statement, names] = await Promise.all([
+            getPartnerStatement(env, partner, month),
+            getExperienceNames(env)
+        ]);
+
+        const rows = statement.leads.map(lead => [
+            String(lead.id),
+            new Date(lead.submittedAt).toLocaleString('pt-BR', { timeZone: TEAM_TIME_ZONE }),
+            lead.firstName,
+            lead.experiences.map(experience => names.get(experience.id) || experience.name).join(', '),
+            lead.date ? lead.date.split('-').reverse().join('/') : '',
+            String(lead.adults),
+            String(lead.children),
+            lead.status,
+            lead.bookingValue,
+            lead.commission
+        ]);
+        rows.push(['', '', '', '', '', '', '', 'Total', '', statement.totalCommission]);
+
+        const csv = [CSV_HEADERS, ...rows].map(row => row.map(toCsvCell).join(';')).join('\r\n');
+
+        // The BOM makes Excel read the accents as UTF-8
+        return new Response(`\uFEFF${csv}\r\n`, {
+            headers: {
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="comissoes-${partner.code.toLowerCase()}-${month}.csv"`,
+                'Cache-Control': 'no-store'
+            }
+        });
+    } catch (error) {
+        console.error('[Partners] Error exporting statement:', error);
+        return errorResponse('Failed to export statement', 502);
+    }
+}
@@ -0,0 +1,245 @@
+/**
+ * /parceiros?mes=2026-10
+ * Partner portal: hotels and hosts that share /xp?cupom= links log in with their coupon code
+ * and access code, and see the leads they brought each month with the commission earned
+ *   GET  - statement of the month, or the login form
+ *   POST - login
+ */
+
+import { renderPage, getExperienceNames } from '../_lib/admin.js';
+import {
+    isPartnerPortalConfigured,
+    authenticatePartner,
+    isLoginThrottled,
+    recordFailedLogin,
+    getSessionPartner,
+    createSessionCookie,
+    getStatementMonth,
+    getPartnerStatement
+} from '../_lib/partners.js';
+import { TEAM_TIME_ZONE } from '../_lib/dates.js';
+import { html } from '../../xp/html.js';
+
+const PORTAL_TITLE = 'Portal do parceiro';
+
+/**
+ * Formats an amount in BRL
+ * @param {number} amount - Amount
+ * @returns {string} e.g. "R$ 1.250,00"
+ */
+function formatBrl(amount) {
+    return amount.toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+}
+
+/**
+ * Formats a month for headings
+ * @param {string} month - Month as YYYY-MM
+ * @returns {string} e.g. "outubro de 2026"
+ */
+function formatMonth(month) {
+    return new Date(`${month}-15T12:00:00Z`).toLocaleDateString('pt-BR', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Gets the month before or after another
+ * @param {string} month - Month as YYYY-MM
+ * @param {number} offset - Months to move (-1 or 1)
+ * @returns {string} Month as YYYY-MM
+ */
+function shiftMonth(month, offset) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    const date = new Date(Date.UTC(year, monthNumber - 1 + offset, 1));
+    return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Renders the login form
+ * @param {Object} options - Form options
+ * @param {string} options.code - Coupon code typed before
+ * @param {string} options.error - Error message
+ * @param {number} options.status - HTTP status code
+ * @returns {Response} Login page
+ */
+function renderLogin({ code = '', error = '', status = 200 } = {}) {
+    return renderPage({
+        title: PORTAL_TITLE,
+        status,
+        content: html`
+            <form method="post" class="max-w-sm flex flex-col gap-4 p-6 bg-white rounded-xl shadow">
+                <p class="text-sm text-gray-600">Entre com o seu cupom e o código de acesso que a UP Experiences enviou para você.</p>
+                ${error && html`<p class="text-sm text-red-600" role="alert">${error}</p>`}
+                <label class="flex flex-col gap-1 text-sm">Cupom
+                    <input name="code" value="${code}" required autocomplete="username" class="border rounded px-3 py-2 uppercase">
+                </label>
+                <label class="flex flex-col gap-1 text-sm">Código de acesso
+                    <input name="accessCode" type="password" required autocomplete="current-password" class="border rounded px-3 py-2">
+                </label>
+                <button type="submit" class="px-4 py-2 rounded bg-blue-600 text-white hover:bg-blue-700">Entrar</button>
+            </form>
+        `
+    });
+}
+
+/**
+ * Renders the month's leads
+ * @param {Object} statement - Partner statement (see getPartnerStatement)
+ * @param {Map<number, string>} names - Experience names
+ * @returns {SafeHtml} Table markup
+ */
+function renderStatementTable(statement, names) {
+    if (statement.leads.length === 0) {
+        return html`<p class="text-gray-600">Nenhum lead com o seu cupom neste mês.</p>`;
+    }
+
+    return html`
+        <div class="overflow-x-auto bg-white rounded-xl shadow">
+            <table class="min-w-full text-sm">
+                <thead class="bg-gray-100 text-left">
+                    <tr>
+                        <th class="px-4 py-3">Recebido em</th>
+                        <th class="px-4 py-3">Cliente</th>
+                        <th class="px-4 py-3">Experiências</th>
+                        <th class="px-4 py-3">Data do passeio</th>
+                        <th class="px-4 py-3 text-right">Pessoas</th>
+                        <th class="px-4 py-3">Status</th>
+                        <th class="px-4 py-3 text-right">Valor da reserva</th>
+                        <th class="px-4 py-3 text-right">Comissão</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${statement.leads.map(lead => html`
+                        <tr class="border-t border-gray-100 align-top">
+                            <td class="px-4 py-3 whitespace-nowrap">${new Date(lead.submittedAt).toLocaleDateString('pt-BR', { timeZone: TEAM_TIME_ZONE })}</td>
+                            <td class="px-4 py-3">${lead.firstName}</td>
+                            <td class="px-4 py-3">
+                                <ul>${lead.experiences.map(experience => html`<li>${names.get(experience.id) || experience.name}</li>`)}</ul>
+                            </td>
+                            <td class="px-4 py-3 whitespace-nowrap">${lead.date ? lead.date.split('-').reverse().join('/') : '–'}</td>
+                            <td class="px-4 py-3 text-right">${lead.adults + lead.children || '–'}</td>
+                            <td class="px-4 py-3">${lead.status}</td>
+                            <td class="px-4 py-3 text-right">${lead.bookingValue ? formatBrl(lead.bookingValue) : '–'}</td>
+                            <td class="px-4 py-3 text-right font-semibold">${formatBrl(lead.commission)}</td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Renders the partner's statement of a month
+ * @param {Object} partner - Partner
+ * @param {Object} statement - Partner statement (see getPartnerStatement)
+ * @param {Map<number, string>} names - Experience names
+ * @returns {Response} Portal page
+ */
+function renderStatement(partner, statement, names) {
+    const { month } = statement;
+
+    return renderPage({
+        title: `${PORTAL_TITLE} · ${partner.name}`,
+        content: html`
+            <div class="flex flex-wrap items-center justify-between gap-4 mb-6">
+                <nav class="flex items-center gap-3 text-sm">
+                    <a href="?mes=${shiftMonth(month, -1)}" class="px-3 py-1 rounded-full bg-white shadow hover:bg-gray-100" aria-label="Mês anterior">‹</a>
+                    <span class="font-semibold capitalize">${formatMonth(month)}</span>
+                    <a href="?mes=${shiftMonth(month, 1)}" class="px-3 py-1 rounded-full bg-white shadow hover:bg-gray-100" aria-label="Próximo mês">›</a>
+                </nav>
+                <div class="flex items-center gap-3 text-sm">
+                    <a href="/parceiros/exportar?mes=${month}" class="px-4 py-2 rounded bg-blue-600 text-white hover:bg-blue-700">Exportar CSV</a>
+                    <form method="post" action="/parceiros/sair">
+                        <button type="submit" class="text-gray-600 hover:underline">Sair</button>
+                    </form>
+                </div>
+            </div>
+            <dl class="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+                <div class="p-4 bg-white rounded-xl shadow"><dt class="text-sm text-gray-600">Leads</dt><dd class="text-2xl font-bold">${statement.leads.length}</dd></div>
+                <div class="p-4 bg-white rounded-xl shadow"><dt class="text-sm text-gray-600">Reservas confirmadas</dt><dd class="text-2xl font-bold">${statement.confirmedCount}</dd></div>
+                <div class="p-4 bg-white rounded-xl shadow"><dt class="text-sm text-gray-600">Comissão do mês</dt><dd class="text-2xl font-bold">${formatBrl(statement.totalCommission)}</dd></div>
+            </dl>
+            ${statement.truncated && html`
+                <p class="mb-4 text-amber-700">Este mês tem mais leads do que a página mostra. Fale com a equipe para o fechamento completo.</p>
+            `}
+            ${renderStatementTable(statement, names)}
+            <p class="mt-4 text-xs text-gray-500">Comissão calculada sobre reservas confirmadas, pelos leads recebidos no mês.</p>
+        `
+    });
+}
+
+/**
+ * Shows the statement of the logged-in partner, or the login form
+ * @param {Object} context - Pages Function context
+ * @returns {Promise<Response>} Portal page
+ */
+export async function onRequestGet({ request, env }) {
+    if (!isPartnerPortalConfigured(env)) {
+        return renderPage({
+            title: PORTAL_TITLE,
+            content: html`<p class="text-gray-600">O portal ainda não está disponível.</p>`,
+            status: 503
+        });
+    }
+
+    try {
+        const partner = await getSessionPartner(request, env);
+        if (!partner) return renderLogin();
+
+        const [statement, names] = await Promise.all([
+            getPartnerStatement(env, partner, getStatementMonth(new URL(request.url))),
+            getExperienceNames(env)
+        ]);
+        return renderStatement(partner, statement, names);
+    } catch (error) {
+        console.error('[Partners] Error loading statement:', error);
+        return renderPage({
+            title: PORTAL_TITLE,
+            content: html`<p class="text-red-600">Não foi possível carregar os seus leads. Tente novamente em instantes.</p>`,
+            status: 502
+        });
+    }
+}
+
+/**
+ * Logs a partner in
+ * @param {Object} context - Pages Function context
+ * @returns {Promise<Response>} Redirect to the portal, or the login form with an error
+ */
+export async function onRequestPost({ request, env }) {
+    if (!isPartnerPortalConfigured(env)) {
+        return renderLogin({ error: 'O portal ainda não está disponível.', status: 503 });
+    }
+
+    let form;
+    try {
+        form = await request.formData();
+    } catch {
+        return renderLogin({ error: 'Preencha o cupom e o código de acesso.', status: 400 });
+    }
+
+    const code = String(form.get('code') || '');
+    if (await isLoginThrottled(env, request, code)) {
+        console.warn('[Partners] Login throttled for', code);
+        return renderLogin({ code, error: 'Muitas tentativas. Tente novamente em alguns minutos.', status: 429 });
+    }
+
+    try {
+        const partner = await authenticatePartner(env, code, String(form.get('accessCode') || ''));
+        if (!partner) {
+            await recordFailedLogin(env, request, code);
+            return renderLogin({ code, error: 'Cupom ou código de acesso incorretos.', status: 401 });
+        }
+
+        return new Response(null, {
+            status: 303,
+            headers: {
+                Location: '/parceiros',
+                'Set-Cookie': await createSessionCookie(env, partner),
+                'Cache-Control': 'no-store'
+            }
+        });
+    } catch (error) {
+        console.error('[Partners] Error logging in:', error);
+        return renderLogin({ code, error: 'Não foi possível entrar agora. Tente novamente em instantes.', status: 502 });
+    }
+}
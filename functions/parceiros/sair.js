@@ -0,0 +1,21 @@
+/**
+ * POST /parceiros/sair
+ * Logs the partner out of the portal
+ */
+
+import { clearSessionCookie } from '../_lib/partners.js';
+
+/**
+ * Handles logout
+ * @returns {Response} Redirect to the login form
+ */
+export function onRequestPost() {
+    return new Response(null, {
+        status: 303,
+        headers: {
+            Location: '/parceiros',
+            'Set-Cookie': clearSessionCookie(),
+            'Cache-Control': 'no-store'
+        }
+    });
+}
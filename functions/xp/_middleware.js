@@ -0,0 +1,173 @@
+/**
+ * /xp middleware
+ * Writes per-experience <title> and Open Graph tags into the page for ?exp=<id> links,
+ * so WhatsApp and social previews show the shared tour (crawlers do not run our JS)
+ * Experiences with approved reviews also get AggregateRating structured data for search engines
+ */
+
+import { EXPERIENCES_TABLE_ID, getRowUrl, baserowFetch } from '../_lib/baserow.js';
+import {
+    DEFAULT_LOCALE,
+    EXPERIENCE_COLUMNS,
+    normalizeLocale,
+    resolveLocalizedField,
+    isExperienceListed
+} from '../../xp/schema.js';
+import { listApprovedReviews } from '../_lib/reviews.js';
+import {
+    STRUCTURED_DATA_ID,
+    buildExperienceStructuredData,
+    serializeStructuredData
+} from '../../xp/reviews.js';
+import { getTeamDate } from '../_lib/dates.js';
+import { stripMarkdown } from '../../xp/markdown.js';
+
+const SITE_NAME = 'UP Experiences';
+const MAX_DESCRIPTION_LENGTH = 200;
+
+/**
+ * Picks the preview image of an experience row
+ * @param {Object} row - Raw experience row
+ * @returns {string} Image URL or empty string
+ */
+function getPreviewImage(row) {
+    const imageUrl = row[EXPERIENCE_COLUMNS.imageUrl];
+    if (typeof imageUrl === 'string' && imageUrl.trim()) return imageUrl.trim();
+
+    const file = Array.isArray(row[EXPERIENCE_COLUMNS.images]) ? row[EXPERIENCE_COLUMNS.images][0] : null;
+    return file?.thumbnails?.card_cover?.url || file?.url || '';
+}
+
+/**
+ * Loads the metadata of an experience
+ * @param {Object} env - Function environment bindings
+ * @param {string} experienceId - Experience row ID
+ * @param {string} locale - Requested locale
+ * @returns {Promise<Object|null>} { name, title, description, image } or null if not found or not listed
+ */
+async function getExperienceMeta(env, experienceId, locale) {
+    const response = await baserowFetch(env, getRowUrl(env, EXPERIENCES_TABLE_ID, experienceId));
+    if (!response.ok) return null;
+
+    const row = await response.json();
+    // Unpublished and out-of-season experiences keep the generic preview
+    if (!isExperienceListed(row, getTeamDate(new Date().toISOString()))) return null;
+
+    const name = resolveLocalizedField(row, 'name', locale).value;
+    if (!name) return null;
+
+    const description = stripMarkdown(resolveLocalizedField(row, 'description', locale).value)
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_DESCRIPTION_LENGTH);
+
+    return {
+        name,
+        title: `${name} | ${SITE_NAME}`,
+        description,
+        image: getPreviewImage(row)
+    };
+}
+
+/**
+ * Builds the JSON-LD of an experience from its approved reviews
+ * @param {Object} env - Function environment bindings
+ * @param {string} experienceId - Experience row ID
+ * @param {Object} meta - Experience metadata (see getExperienceMeta)
+ * @param {string} url - Shared page URL
+ * @returns {Promise<string>} Serialized JSON-LD, or empty string without reviews
+ */
+async function getStructuredData(env, experienceId, meta, url) {
+    const reviews = await listApprovedReviews(env, { experienceId: Number(experienceId) });
+    const data = buildExperienceStructuredData({
+        name: meta.name,
+        description: meta.description,
+        image: meta.image,
+        url,
+        reviews
+    });
+    return data ? serializeStructuredData(data) : '';
+}
+
+/**
+ * Sets the content attribute of matched <meta> tags
+ * The catalog value moves to data-catalog-content, which xp/detail.js restores on close
+ * @param {string} value - New content value
+ * @returns {Object} HTMLRewriter element handler
+ */
+const setContent = (value) => ({
+    element(element) {
+        if (!value) return;
+        element.setAttribute('data-catalog-content', element.getAttribute('content') || '');
+        element.setAttribute('content', value);
+    }
+});
+
+/**
+ * Rewrites the page metadata when an experience is requested
+ * @param {Object} context - Pages Function context
+ * @returns {Promise<Response>} Page response
+ */
+export async function onRequest(context) {
+    const { request, env, next } = context;
+    const url = new URL(request.url);
+    const experienceId = url.searchParams.get('exp');
+
+    const response = await next();
+    const isHtml = (response.headers.get('Content-Type') || '').includes('text/html');
+    if (!experienceId || !/^\d+$/.test(experienceId) || !isHtml) {
+        return response;
+    }
+
+    let meta;
+    try {
+        const locale = normalizeLocale(url.searchParams.get('lang')) || DEFAULT_LOCALE;
+        meta = await getExperienceMeta(env, experienceId, locale);
+    } catch (error) {
+        console.error('[Proxy] Error loading experience metadata:', error);
+    }
+    if (!meta) return response;
+
+    // Reviews are optional: the meta tags are still written if they fail
+    let structuredData = '';
+    try {
+        structuredData = await getStructuredData(env, experienceId, meta, url.toString());
+    } catch (error) {
+        console.error('[Proxy] Error loading experience reviews:', error);
+    }
+
+    // The catalog title arrives in text chunks; <body> keeps it in data-catalog-title
+    let catalogTitle = '';
+
+    return new HTMLRewriter()
+        .on('title', {
+            text(chunk) {
+                catalogTitle += chunk.text;
+                if (chunk.lastInTextNode) {
+                    chunk.replace(meta.title);
+                } else {
+                    chunk.remove();
+                }
+            }
+        })
+        .on('body', {
+            element(element) {
+                element.setAttribute('data-catalog-title', catalogTitle.trim());
+            }
+        })
+        .on('meta[name="description"]', setContent(meta.description))
+        .on('meta[property="og:title"]', setContent(meta.title))
+        .on('meta[property="og:description"]', setContent(meta.description))
+        .on('meta[property="og:image"]', setContent(meta.image))
+        .on('meta[property="og:url"]', setContent(url.toString()))
+        .on('head', {
+            element(element) {
+                if (!structuredData) return;
+                element.append(
+                    `<script type="application/ld+json" id="${STRUCTURED_DATA_ID}">${structuredData}</script>`,
+                    { html: true }
+                );
+            }
+        })
+        .transform(response);
+}
@@ -0,0 +1,15 @@
+-- Conversion funnel events (functions/api/events.js, report at /admin/analytics)
+-- One row per event and experience; events about no experience have experience_id NULL
+-- Until this database is created and bound as ANALYTICS_DB (see wrangler.toml), events are dropped
+-- and the report stays empty
+CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    experience_id INTEGER,
+    session_id TEXT NOT NULL,
+    properties TEXT NOT NULL DEFAULT '{}',
+    created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_events_created_at ON events (created_at);
+CREATE INDEX IF NOT EXISTS idx_events_experience ON events (experience_id, name, created_at);
@@ -307,6 +307,14 @@ document.addEventListener('DOMContentLoaded', function() {
             formData.append('destino', destination);
             formData.append('mensagem', message);
             
+            // Adiciona cupom de parceiro, UTMs, referrer e página de entrada (attribution.js)
+            const atribuicao = window.UpAttribution ? window.UpAttribution.get() : null;
+            if (atribuicao) {
+                Object.keys(atribuicao).forEach(campo => {
+                    formData.append(campo, atribuicao[campo]);
+                });
+            }
+            
             // Mostra indicador de carregamento ou mensagem
             const submitButton = contactForm.querySelector('button[type="submit"]');
             const originalButtonText = submitButton.innerHTML;
@@ -0,0 +1,57 @@
+/**
+ * Writes xp/data/experiences.json, the catalog the "static" source serves when Baserow is down
+ * Reads the public proxy, so no token is needed; like the catalog, it only holds the experiences
+ * listed on the day it runs
+ *
+ *   npm run snapshot:experiences                        # from https://upexperiences.com.br
+ *   npm run snapshot:experiences -- http://localhost:8788
+ *
+ * `npm run build` runs it as the Pages build command, so every deploy ships a fresh copy.
+ * An empty snapshot means no fallback at all, so the script fails instead of writing one
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULT_SITE_URL = 'https://upexperiences.com.br';
+const SNAPSHOT_PATH = fileURLToPath(new URL('../xp/data/experiences.json', import.meta.url));
+
+// Baserow accepts up to 200 rows per page; the page limit guards against a pagination loop
+const PAGE_SIZE = 200;
+const MAX_PAGES = 20;
+
+/**
+ * Loads every row the proxy lists
+ * @param {string} siteUrl - Site origin
+ * @returns {Promise<Array<Object>>} Raw rows
+ * @throws {Error} If a page cannot be loaded
+ */
+async function fetchAllRows(siteUrl) {
+    const rows = [];
+    let url = new URL(`/api/experiences?size=${PAGE_SIZE}`, siteUrl);
+
+    for (let page = 0; url && page < MAX_PAGES; page++) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${url} returned ${response.status}`);
+        }
+
+        const data = await response.json();
+        rows.push(...data.results);
+        url = data.next ? new URL(data.next, siteUrl) : null;
+    }
+
+    return rows;
+}
+
+const siteUrl = process.argv[2] || DEFAULT_SITE_URL;
+const rows = await fetchAllRows(siteUrl);
+
+if (rows.length === 0) {
+    console.error(`[Snapshot] ${siteUrl} listed no experiences; keeping the current snapshot`);
+    process.exit(1);
+}
+
+const snapshot = { count: rows.length, next: null, previous: null, results: rows };
+await writeFile(SNAPSHOT_PATH, `${JSON.stringify(snapshot, null, 4)}\n`);
+console.log(`[Snapshot] Wrote ${rows.length} experiences to xp/data/experiences.json`);
@@ -0,0 +1,169 @@
+/**
+ * Admin access (functions/_lib/auth.js requireAdmin) and the editor's write endpoints
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBaserowStub } from './stubs/baserow.js';
+import { EXPERIENCES_TABLE_ID } from '../functions/_lib/baserow.js';
+import { requireAdmin } from '../functions/_lib/auth.js';
+import { getExperienceNames } from '../functions/_lib/admin.js';
+import { onRequestGet as listExperiences, onRequestPost as createExperience } from '../functions/admin/api/experiences/index.js';
+import { onRequestPatch as updateExperience } from '../functions/admin/api/experiences/[id].js';
+import { onRequestPost as uploadFile } from '../functions/admin/api/uploads.js';
+
+const SITE = 'https://upexperiences.com.br';
+const TOKEN = 'test-token';
+const AUTHORIZATION = `Basic ${btoa('equipe:senha-forte')}`;
+
+let stub;
+let env;
+
+/**
+ * Builds an admin request with the team's credentials
+ * @param {string} path - Path
+ * @param {Object} init - Request options (headers are added to the credentials)
+ * @returns {Request} Request
+ */
+function adminRequest(path, { headers = {}, ...init } = {}) {
+    return new Request(`${SITE}${path}`, { ...init, headers: { Authorization: AUTHORIZATION, ...headers } });
+}
+
+before(async () => {
+    stub = await startBaserowStub({ token: TOKEN });
+    env = { BASEROW_API_URL: stub.url, BASEROW_TOKEN: TOKEN, ADMIN_PASSWORD: 'senha-forte' };
+});
+
+after(() => stub.close());
+
+beforeEach(() => {
+    stub.tables[EXPERIENCES_TABLE_ID] = [{ id: 1, Name_pt_br: 'Barco' }];
+});
+
+describe('requireAdmin', () => {
+    it('stays closed without ADMIN_PASSWORD', async () => {
+        assert.equal((await requireAdmin(adminRequest('/admin/leads'), {})).status, 503);
+    });
+
+    it('asks for credentials', async () => {
+        const denied = await requireAdmin(new Request(`${SITE}/admin/leads`), env);
+        assert.equal(denied.status, 401);
+        assert.match(denied.headers.get('WWW-Authenticate'), /^Basic /);
+
+        const wrong = new Request(`${SITE}/admin/leads`, { headers: { Authorization: `Basic ${btoa('a:b')}` } });
+        assert.equal((await requireAdmin(wrong, env)).status, 401);
+    });
+
+    it('lets the team read', async () => {
+        assert.equal(await requireAdmin(adminRequest('/admin/leads'), env), null);
+    });
+
+    it('blocks writes sent from another site', async () => {
+        const crossSite = adminRequest('/admin/api/experiences', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Sec-Fetch-Site': 'cross-site', Origin: SITE }
+        });
+        assert.equal((await requireAdmin(crossSite, env)).status, 403);
+
+        const otherOrigin = adminRequest('/admin/api/experiences', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Origin: 'https://evil.example' }
+        });
+        assert.equal((await requireAdmin(otherOrigin, env)).status, 403);
+    });
+
+    it('accepts writes from our own pages with the expected body type', async () => {
+        const sameOrigin = adminRequest('/admin/api/experiences', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json; charset=utf-8', 'Sec-Fetch-Site': 'same-origin', Origin: SITE }
+        });
+        assert.equal(await requireAdmin(sameOrigin, env), null);
+
+        const plainText = adminRequest('/admin/api/experiences', {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain', Origin: SITE }
+        });
+        assert.equal((await requireAdmin(plainText, env)).status, 415);
+    });
+});
+
+describe('experience listing', () => {
+    /**
+     * Fills the experiences table
+     * @param {number} count - Number of rows
+     */
+    const fillTable = (count) => {
+        stub.tables[EXPERIENCES_TABLE_ID] = Array.from({ length: count }, (_, index) => ({ id: index + 1, Name_pt_br: `Experiência ${index + 1}` }));
+    };
+
+    it('reads every page of the table', async () => {
+        fillTable(450);
+
+        const response = await listExperiences({ request: adminRequest('/admin/api/experiences'), env });
+        const { results, truncated } = await response.json();
+
+        assert.equal(results.length, 450);
+        assert.equal(truncated, false);
+        assert.equal((await getExperienceNames(env)).get(450), 'Experiência 450');
+    });
+
+    it('stops at the page cap and says so', async () => {
+        fillTable(2001);
+
+        const { results, truncated } = await (await listExperiences({ request: adminRequest('/admin/api/experiences'), env })).json();
+
+        assert.equal(results.length, 2000);
+        assert.equal(truncated, true);
+    });
+});
+
+describe('editor write endpoints', () => {
+    it('do not create rows from a cross-site text/plain form', async () => {
+        // <form enctype="text/plain"> with the input name {"Name_pt_br":"x and the value "}
+        const response = await createExperience({
+            request: adminRequest('/admin/api/experiences', {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/plain' },
+                body: '{"Name_pt_br":"x="}'
+            }),
+            env
+        });
+
+        assert.equal(response.status, 415);
+        assert.equal(stub.tables[EXPERIENCES_TABLE_ID].length, 1);
+    });
+
+    it('save whitelisted columns and report the rejected ones', async () => {
+        const save = (body) => updateExperience({
+            request: adminRequest('/admin/api/experiences/1', {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json', Origin: SITE },
+                body: JSON.stringify(body)
+            }),
+            env,
+            params: { id: '1' }
+        });
+
+        const rejected = await save({ Name_en_us: 'Boat', 'Image URL': 'javascript:alert(1)', Status: 'x' });
+        assert.equal(rejected.status, 422);
+        assert.deepEqual((await rejected.json()).fields, ['Image URL', 'Status']);
+
+        const saved = await save({ Name_en_us: 'Boat', 'Price per person': 150, Published: true });
+        assert.equal(saved.status, 200);
+        assert.deepEqual(stub.tables[EXPERIENCES_TABLE_ID][0],
+            { id: 1, Name_pt_br: 'Barco', Name_en_us: 'Boat', 'Price per person': 150, Published: true });
+    });
+
+    it('forward photo uploads to Baserow', async () => {
+        const body = new FormData();
+        body.append('file', new File(['jpeg'], 'barco.jpg', { type: 'image/jpeg' }));
+
+        const response = await uploadFile({
+            request: adminRequest('/admin/api/uploads', { method: 'POST', headers: { Origin: SITE }, body }),
+            env
+        });
+
+        assert.equal(response.status, 201);
+        assert.equal((await response.json()).original_name, 'barco.jpg');
+    });
+});
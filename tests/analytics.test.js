@@ -0,0 +1,136 @@
+/**
+ * Funnel report (functions/_lib/analytics.js, GET /admin/analytics) on an in-memory D1 database
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createD1Database } from './stubs/d1.js';
+import { startBaserowStub } from './stubs/baserow.js';
+import { EXPERIENCES_TABLE_ID } from '../functions/_lib/baserow.js';
+import { getFunnelReport } from '../functions/_lib/analytics.js';
+import { onRequestPost as postEvents } from '../functions/api/events.js';
+import { onRequestGet as getAnalyticsPage } from '../functions/admin/analytics.js';
+
+const TOKEN = 'test-token';
+const ADMIN_PASSWORD = 'senha-da-equipe';
+
+let db;
+let stub;
+let env;
+
+/**
+ * Sends events as the beacon does
+ * @param {string} sessionId - Visitor session
+ * @param {Array<Object>} events - Events without sessionId
+ * @returns {Promise<Response>} Collector response
+ */
+function track(sessionId, events) {
+    return postEvents({
+        request: new Request('https://upexperiences.com.br/api/events', {
+            method: 'POST',
+            body: JSON.stringify({ events: events.map(event => ({ ...event, sessionId })) })
+        }),
+        env
+    });
+}
+
+/**
+ * Requests the report page
+ * @param {string} password - Basic auth password (none when empty)
+ * @returns {Promise<Response>} Report response
+ */
+function openReport(password) {
+    const headers = password ? { Authorization: `Basic ${btoa(`equipe:${password}`)}` } : {};
+    return getAnalyticsPage({
+        request: new Request('https://upexperiences.com.br/admin/analytics?days=7', { headers }),
+        env
+    });
+}
+
+before(async () => {
+    db = await createD1Database();
+    stub = await startBaserowStub({
+        token: TOKEN,
+        tables: { [EXPERIENCES_TABLE_ID]: [{ id: 7, Name_pt_br: 'Passeio de <barco>' }] }
+    });
+    env = { ANALYTICS_DB: db, ADMIN_PASSWORD, BASEROW_API_URL: stub.url, BASEROW_TOKEN: TOKEN };
+
+    // Two visitors see the boat tour; one of them sees it twice and sends a lead
+    await track('sessao-aaaaaaaa', [
+        { name: 'catalog_rendered' },
+        { name: 'experience_impression', experienceIds: [7, 8] },
+        { name: 'experience_impression', experienceIds: [7] },
+        { name: 'contact_click', experienceIds: [7] },
+        { name: 'modal_open', experienceIds: [7] },
+        { name: 'lead_submitted', experienceIds: [7], properties: { channel: 'whatsapp' } }
+    ]);
+    await track('sessao-bbbbbbbb', [
+        { name: 'catalog_rendered' },
+        { name: 'experience_impression', experienceIds: [7] },
+        { name: 'modal_open', experienceIds: [7] },
+        { name: 'modal_abandon', experienceIds: [7] },
+        { name: 'not_an_event', experienceIds: [7] }
+    ]);
+});
+
+after(() => {
+    db.close();
+    stub.close();
+});
+
+describe('getFunnelReport', () => {
+    it('counts sessions per experience and funnel step', async () => {
+        const report = await getFunnelReport(db, { since: '2000-01-01T00:00:00.000Z' });
+        const boat = report.experiences.find(row => row.experienceId === 7);
+
+        assert.equal(report.sessions, 2);
+        assert.deepEqual(report.experiences.map(row => row.experienceId), [7, 8]);
+        assert.deepEqual(boat, {
+            experienceId: 7,
+            impressions: 2,
+            contactClicks: 1,
+            modalOpens: 2,
+            modalAbandons: 1,
+            leads: 1,
+            leadFailures: 0,
+            whatsappOpens: 0,
+            conversionRate: 0.5,
+            formCompletionRate: 0.5
+        });
+    });
+
+    it('leaves out events older than the period', async () => {
+        const report = await getFunnelReport(db, { since: '2999-01-01T00:00:00.000Z' });
+        assert.deepEqual(report, { sessions: 0, experiences: [] });
+    });
+});
+
+describe('GET /admin/analytics', () => {
+    it('asks for the team password', async () => {
+        assert.equal((await openReport('')).status, 401);
+        assert.equal((await openReport('errada')).status, 401);
+    });
+
+    it('renders the report with escaped experience names', async () => {
+        const response = await openReport(ADMIN_PASSWORD);
+        const page = await response.text();
+
+        assert.equal(response.status, 200);
+        assert.match(page, /Passeio de &lt;barco&gt;/);
+        assert.match(page, /#8/);
+        assert.match(page, /50%/);
+    });
+
+    it('explains that events are dropped without the database', async () => {
+        const { ANALYTICS_DB, ...withoutDb } = env;
+        const response = await getAnalyticsPage({
+            request: new Request('https://upexperiences.com.br/admin/analytics', {
+                headers: { Authorization: `Basic ${btoa(`equipe:${ADMIN_PASSWORD}`)}` }
+            }),
+            env: withoutDb
+        });
+
+        assert.equal(response.status, 503);
+        assert.match(await response.text(), /ANALYTICS_DB/);
+    });
+});
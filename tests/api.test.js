@@ -0,0 +1,111 @@
+/**
+ * Catalog loading (xp/api.js) with the proxy's responses stubbed
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchExperiences } from '../xp/api.js';
+import { getDataSourceName } from '../xp/sources/index.js';
+
+const SNAPSHOT_URL = './data/experiences.json';
+
+const originalFetch = globalThis.fetch;
+
+/**
+ * Serves proxy pages by URL
+ * @param {Object} pages - Requested URL -> list response
+ * @returns {Array<string>} URLs requested so far
+ */
+function servePages(pages) {
+    const requested = [];
+    globalThis.fetch = async (url) => {
+        requested.push(String(url));
+        const page = pages[url];
+        return page
+            ? new Response(JSON.stringify(page), { headers: { 'Content-Type': 'application/json' } })
+            : new Response('Not found', { status: 404 });
+    };
+    return requested;
+}
+
+/**
+ * Points the page at a URL
+ * @param {string} url - Page URL
+ */
+function visit(url) {
+    globalThis.window = { location: new URL(url) };
+}
+
+beforeEach(() => {
+    visit('https://upexperiences.com.br/xp/');
+});
+
+afterEach(() => {
+    globalThis.fetch = originalFetch;
+    delete globalThis.window;
+});
+
+describe('fetchExperiences', () => {
+    it('follows the next links and reports every page as it arrives', async () => {
+        const requested = servePages({
+            '/api/experiences?page=1&size=100': { count: 3, next: '/api/experiences?page=2&size=100', results: [{ id: 1 }, { id: 2 }] },
+            '/api/experiences?page=2&size=100': { count: 3, next: null, results: [{ id: 3 }] }
+        });
+        const pages = [];
+
+        const data = await fetchExperiences({ onPage: (results, pageNumber, count) => pages.push([results.length, pageNumber, count]) });
+
+        assert.deepEqual(data.results.map(row => row.id), [1, 2, 3]);
+        assert.equal(data.next, null);
+        assert.deepEqual(pages, [[2, 1, 3], [1, 2, 3]]);
+        assert.equal(requested.length, 2);
+    });
+
+    it('fails with a typed error when a page cannot be loaded', async () => {
+        servePages({
+            '/api/experiences?page=1&size=100': { count: 3, next: '/api/experiences?page=2&size=100', results: [{ id: 1 }] }
+        });
+
+        await assert.rejects(fetchExperiences(), { name: 'ValidationError' });
+    });
+
+    it('falls back to the snapshot and marks its data', async () => {
+        servePages({ [SNAPSHOT_URL]: { count: 1, next: null, results: [{ id: 9 }] } });
+
+        const data = await fetchExperiences();
+
+        assert.deepEqual(data.results.map(row => row.id), [9]);
+        assert.equal(data.isFallback, true);
+    });
+
+    it('fails when the snapshot is empty', async () => {
+        servePages({ [SNAPSHOT_URL]: { count: 0, next: null, results: [] } });
+
+        await assert.rejects(fetchExperiences(), { name: 'ValidationError' });
+    });
+
+    it('skips the snapshot when asked to', async () => {
+        const requested = servePages({ [SNAPSHOT_URL]: { count: 1, next: null, results: [{ id: 9 }] } });
+
+        await assert.rejects(fetchExperiences({ fallback: false }), { name: 'ValidationError' });
+        assert.equal(requested.includes(SNAPSHOT_URL), false);
+    });
+});
+
+describe('getDataSourceName', () => {
+    it('reads the source from the page URL', () => {
+        visit('https://upexperiences.com.br/xp/?source=static');
+        assert.equal(getDataSourceName(), 'static');
+
+        visit('https://upexperiences.com.br/xp/?source=unknown');
+        assert.equal(getDataSourceName(), 'baserow');
+    });
+
+    it('only honours the mock source on localhost', () => {
+        visit('https://upexperiences.com.br/xp/?source=mock');
+        assert.equal(getDataSourceName(), 'baserow');
+
+        visit('http://localhost:8788/xp/?source=mock');
+        assert.equal(getDataSourceName(), 'mock');
+    });
+});
@@ -0,0 +1,62 @@
+/**
+ * Site-wide attribution script (attribution.js) in a jsdom page
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+const script = await readFile(new URL('../attribution.js', import.meta.url), 'utf8');
+
+/**
+ * Loads a page running attribution.js
+ * @param {string} url - Page URL
+ * @param {Object} options - Page options
+ * @param {string} options.referrer - document.referrer
+ * @param {Object} options.saved - Attribution already in localStorage
+ * @returns {Object} jsdom window
+ */
+function openPage(url, { referrer = '', saved = null } = {}) {
+    const dom = new JSDOM('<a id="whatsapp" href="https://wa.me/5521999999999?text=Ol%C3%A1">WhatsApp</a>',
+        { url, referrer: referrer || undefined, runScripts: 'outside-only' });
+    if (saved) dom.window.localStorage.setItem('upx:attribution', JSON.stringify(saved));
+    dom.window.eval(script);
+    return dom.window;
+}
+
+describe('attribution', () => {
+    it('captures the partner code, campaign and external referrer', () => {
+        const window = openPage('https://upexperiences.com.br/xp/?cupom=up10&utm_source=instagram&utm_medium=cpc',
+            { referrer: 'https://instagram.com/' });
+
+        assert.deepEqual({ ...window.UpAttribution.get() }, {
+            cupom: 'UP10',
+            utm_source: 'instagram',
+            utm_medium: 'cpc',
+            referrer: 'https://instagram.com/',
+            landingPage: 'https://upexperiences.com.br/xp/?cupom=up10&utm_source=instagram&utm_medium=cpc'
+        });
+    });
+
+    it('keeps the first visit until a new campaign arrives, and drops it once expired', () => {
+        const saved = { cupom: 'UP10', capturedAt: Date.now(), expiresAt: Date.now() + 60000 };
+
+        assert.equal(openPage('https://upexperiences.com.br/casas/', { saved }).UpAttribution.get().cupom, 'UP10');
+        assert.equal(openPage('https://upexperiences.com.br/?cupom=verao', { saved }).UpAttribution.get().cupom, 'VERAO');
+        assert.equal(openPage('https://upexperiences.com.br/', { saved: { ...saved, expiresAt: Date.now() - 1 } })
+            .UpAttribution.get().cupom, undefined);
+    });
+
+    it('adds the reference to our WhatsApp links when clicked, once', () => {
+        const window = openPage('https://upexperiences.com.br/?cupom=up10&utm_source=instagram');
+        const link = window.document.getElementById('whatsapp');
+        link.addEventListener('click', event => event.preventDefault());
+
+        link.click();
+        link.click();
+
+        const text = new URL(link.href).searchParams.get('text');
+        assert.equal(text, 'Olá\n\n(Ref: cupom UP10, origem instagram)');
+    });
+});
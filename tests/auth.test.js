@@ -0,0 +1,49 @@
+/**
+ * Signed tokens of the partner sessions (functions/_lib/auth.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSignedToken, readSignedToken, safeEqual, getCookie } from '../functions/_lib/auth.js';
+
+const SECRET = 'a-long-random-secret';
+
+describe('createSignedToken / readSignedToken', () => {
+    it('round-trips the subject', async () => {
+        const token = await createSignedToken('UP10', 60, SECRET);
+        assert.equal(await readSignedToken(token, SECRET), 'UP10');
+    });
+
+    it('rejects tokens signed with another secret', async () => {
+        const token = await createSignedToken('UP10', 60, 'another-secret');
+        assert.equal(await readSignedToken(token, SECRET), null);
+    });
+
+    it('rejects a changed subject or expiry', async () => {
+        const [, expiry, signature] = (await createSignedToken('UP10', 60, SECRET)).split('.');
+        assert.equal(await readSignedToken(`HOTEL.${expiry}.${signature}`, SECRET), null);
+        assert.equal(await readSignedToken(`UP10.${Number(expiry) + 3600}.${signature}`, SECRET), null);
+    });
+
+    it('rejects expired and malformed tokens', async () => {
+        assert.equal(await readSignedToken(await createSignedToken('UP10', -1, SECRET), SECRET), null);
+        assert.equal(await readSignedToken('UP10', SECRET), null);
+        assert.equal(await readSignedToken(null, SECRET), null);
+    });
+});
+
+describe('safeEqual', () => {
+    it('compares strings', async () => {
+        assert.equal(await safeEqual('abc', 'abc'), true);
+        assert.equal(await safeEqual('abc', 'abd'), false);
+        assert.equal(await safeEqual('abc', 'abcd'), false);
+    });
+});
+
+describe('getCookie', () => {
+    it('reads one cookie of the header', () => {
+        const request = new Request('https://a/', { headers: { Cookie: 'a=1; upx_partner=UP10.1.x%3D; b=2' } });
+        assert.equal(getCookie(request, 'upx_partner'), 'UP10.1.x%3D');
+        assert.equal(getCookie(request, 'missing'), null);
+    });
+});
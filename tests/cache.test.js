@@ -0,0 +1,71 @@
+/**
+ * Saved catalog (xp/cache.js)
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readExperiencesCache, writeExperiencesCache, clearExperiencesCache } from '../xp/cache.js';
+
+const CACHE_KEY = 'upx:experiences:baserow';
+const MINUTE = 60 * 1000;
+
+const data = { count: 1, next: null, previous: null, results: [{ id: 1, Name_pt_br: 'Barco' }] };
+
+beforeEach(() => {
+    const items = new Map();
+    globalThis.window = { location: new URL('https://upexperiences.com.br/xp/') };
+    globalThis.localStorage = {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+    mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T12:00:00Z') });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+    delete globalThis.localStorage;
+    delete globalThis.window;
+});
+
+describe('experiences cache', () => {
+    it('reads back what was saved, fresh for five minutes', () => {
+        writeExperiencesCache(data);
+        assert.deepEqual(readExperiencesCache(),
+            { data: { count: 1, results: data.results }, savedAt: Date.now(), isFresh: true });
+
+        mock.timers.tick(5 * MINUTE);
+        assert.equal(readExperiencesCache().isFresh, false);
+    });
+
+    it('discards data older than a week', () => {
+        writeExperiencesCache(data);
+        mock.timers.tick(7 * 24 * 60 * MINUTE);
+
+        assert.equal(readExperiencesCache(), null);
+        assert.equal(localStorage.getItem(CACHE_KEY), null);
+    });
+
+    it('discards data saved by another version or that is unreadable', () => {
+        localStorage.setItem(CACHE_KEY, JSON.stringify({ version: 0, savedAt: Date.now(), data }));
+        assert.equal(readExperiencesCache(), null);
+
+        localStorage.setItem(CACHE_KEY, '{');
+        assert.equal(readExperiencesCache(), null);
+    });
+
+    it('keeps working when storage is unavailable', () => {
+        localStorage.setItem = () => { throw new Error('QuotaExceededError'); };
+        assert.doesNotThrow(() => writeExperiencesCache(data));
+        assert.equal(readExperiencesCache(), null);
+
+        clearExperiencesCache();
+    });
+
+    it('keeps each data source apart', () => {
+        writeExperiencesCache(data);
+        window.location = new URL('https://upexperiences.com.br/xp/?source=static');
+
+        assert.equal(readExperiencesCache(), null);
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Catalog page (xp/main.js): saved data is shown at once and refreshed in the background
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { openCatalogPage, jsonResponse, waitFor } from './stubs/browser.js';
+
+const CACHE_KEY = 'upx:experiences:baserow';
+
+/**
+ * Builds an experience row
+ * @param {number} id - Row ID
+ * @returns {Object} Row
+ */
+const row = (id) => ({
+    id,
+    Name_pt_br: `Experiência ${id}`,
+    Description_pt_br: 'Passeio',
+    'Image URL': `https://images.example.com/${id}.jpg`
+});
+
+const savedRows = [row(1), row(2)];
+let catalog = null;
+let page;
+
+/**
+ * Counts the experience cards on the page
+ * @returns {number} Cards
+ */
+const countCards = () => page.document.querySelectorAll('#dynamicData article').length;
+
+/**
+ * Checks the "showing saved data" notice
+ * @returns {boolean} True when visible
+ */
+const isStaleNoticeShown = () => !page.document.getElementById('staleNotice').classList.contains('hidden');
+
+/**
+ * Reads the saved catalog rows
+ * @returns {Array<number>} Row IDs
+ */
+const getSavedIds = () => JSON.parse(page.window.localStorage.getItem(CACHE_KEY)).data.results.map(saved => saved.id);
+
+before(async () => {
+    page = await openCatalogPage({
+        storage: {
+            [CACHE_KEY]: {
+                version: 1,
+                savedAt: Date.now() - 10 * 60 * 1000,
+                data: { count: 2, results: savedRows }
+            }
+        },
+        api: (url) => {
+            // An older snapshot for the static fallback, which must not replace the saved data
+            if (url.pathname === '/xp/data/experiences.json') return jsonResponse({ count: 1, results: [row(9)] });
+            if (url.pathname !== '/api/experiences') return null;
+            return catalog ? jsonResponse(catalog) : jsonResponse({ error: 'Failed to load experiences' }, 502);
+        }
+    });
+    await import('../xp/main.js');
+});
+
+describe('saved catalog', () => {
+    it('shows saved experiences and keeps them when the refresh fails', async () => {
+        await waitFor(isStaleNoticeShown);
+
+        assert.equal(countCards(), 2);
+        assert.deepEqual(getSavedIds(), [1, 2]);
+        assert.equal(page.requests.includes('/xp/data/experiences.json'), false);
+    });
+
+    it('replaces them once the refresh succeeds', async () => {
+        catalog = { count: 3, next: null, previous: null, results: [...savedRows, row(3)] };
+        page.document.getElementById('retryButton').click();
+
+        await waitFor(() => countCards() === 3);
+        assert.equal(isStaleNoticeShown(), false);
+        assert.deepEqual(getSavedIds(), [1, 2, 3]);
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Coupon validation (functions/_lib/coupons.js) against the local stub
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBaserowStub } from './stubs/baserow.js';
+import { EXPERIENCES_TABLE_ID, CONTACTS_TABLE_ID } from '../functions/_lib/baserow.js';
+import { validateCoupon, normalizeCouponCode } from '../functions/_lib/coupons.js';
+import { onRequestPost as postContact } from '../functions/api/contacts.js';
+
+const TOKEN = 'test-token';
+const COUPONS_TABLE_ID = 900;
+
+let stub;
+let env;
+let leads = 0;
+
+before(async () => {
+    stub = await startBaserowStub({
+        token: TOKEN,
+        tables: {
+            [COUPONS_TABLE_ID]: [
+                { id: 1, Code: 'UP10', Active: true, 'Discount percent': '10' },
+                { id: 2, Code: 'OFF', Active: false, 'Discount percent': '10' },
+                { id: 3, Code: 'OLD', Active: true, 'Valid until': '2020-01-31' },
+                { id: 4, Code: 'SOON', Active: true, 'Valid from': '2999-01-01' },
+                { id: 5, Code: 'BARCO', Active: true, 'Discount amount': '50.00', Experiences: [{ id: 7 }] },
+                { id: 6, Code: 'ONCE', Active: true, 'Usage limit': '1' }
+            ],
+            [CONTACTS_TABLE_ID]: [{ id: 1, Parceiro_id: 'ONCE' }],
+            [EXPERIENCES_TABLE_ID]: [{ id: 1 }, { id: 7 }]
+        }
+    });
+    env = { BASEROW_API_URL: stub.url, BASEROW_TOKEN: TOKEN, BASEROW_COUPONS_TABLE_ID: String(COUPONS_TABLE_ID) };
+});
+
+after(() => stub.close());
+
+/**
+ * Submits a lead with a coupon
+ * Each lead comes from another phone, so none is merged as a repeat
+ * @param {string} code - Coupon code
+ * @param {Object} contactEnv - Function environment bindings
+ * @returns {Promise<Response>} Proxy response
+ */
+function postLeadWithCoupon(code, contactEnv = env) {
+    leads++;
+    return postContact({
+        request: new Request('https://upexperiences.com.br/api/contacts', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ Name: 'Ana Souza', Whatsapp: `+552198765432${leads}`, Experiências: [1], Parceiro_id: code })
+        }),
+        env: contactEnv
+    });
+}
+
+describe('normalizeCouponCode', () => {
+    it('upper-cases and trims codes', () => {
+        assert.equal(normalizeCouponCode('  up10 '), 'UP10');
+    });
+
+    it('rejects what cannot be a code', () => {
+        assert.equal(normalizeCouponCode('x'), null);
+        assert.equal(normalizeCouponCode('UP 10'), null);
+        assert.equal(normalizeCouponCode(10), null);
+    });
+});
+
+describe('validateCoupon', () => {
+    it('accepts an active coupon, whatever the case typed', async () => {
+        assert.deepEqual(await validateCoupon(env, 'up10', [1]), {
+            valid: true,
+            code: 'UP10',
+            discount: { percentOff: 10, amountOff: null }
+        });
+    });
+
+    it('gives the reason a coupon is rejected', async () => {
+        assert.deepEqual(await validateCoupon(env, 'NOPE', [1]), { valid: false, reason: 'not-found' });
+        assert.deepEqual(await validateCoupon(env, '!', [1]), { valid: false, reason: 'not-found' });
+        assert.deepEqual(await validateCoupon(env, 'OFF', [1]), { valid: false, reason: 'inactive' });
+        assert.deepEqual(await validateCoupon(env, 'OLD', [1]), { valid: false, reason: 'expired' });
+        assert.deepEqual(await validateCoupon(env, 'SOON', [1]), { valid: false, reason: 'not-started' });
+        assert.deepEqual(await validateCoupon(env, 'ONCE', [1]), { valid: false, reason: 'limit-reached' });
+    });
+
+    it('applies coupons limited to experiences when one of them is selected', async () => {
+        assert.deepEqual(await validateCoupon(env, 'BARCO', [1]), { valid: false, reason: 'not-applicable' });
+        assert.deepEqual((await validateCoupon(env, 'BARCO', [1, 7])).discount, { percentOff: null, amountOff: 50 });
+    });
+});
+
+describe('POST /api/contacts with a coupon', () => {
+    it('stores the normalized code of a valid coupon', async () => {
+        const response = await postLeadWithCoupon(' up10 ');
+        const { id } = await response.json();
+
+        assert.equal(response.status, 201);
+        assert.equal(stub.tables[CONTACTS_TABLE_ID].find(row => row.id === id).Parceiro_id, 'UP10');
+    });
+
+    it('rejects an invalid coupon with its reason', async () => {
+        const response = await postLeadWithCoupon('OFF');
+
+        assert.equal(response.status, 422);
+        assert.deepEqual(await response.json(), { error: 'Invalid coupon', fields: ['Parceiro_id'], reason: 'inactive' });
+    });
+
+    it('drops the code when no coupons table is configured', async () => {
+        const { BASEROW_COUPONS_TABLE_ID, ...withoutCoupons } = env;
+        const response = await postLeadWithCoupon('ANYTHING', withoutCoupons);
+        const { id } = await response.json();
+
+        assert.equal(response.status, 201);
+        assert.equal('Parceiro_id' in stub.tables[CONTACTS_TABLE_ID].find(row => row.id === id), false);
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Experience detail view (xp/detail.js) opened from a shared ?exp=<id> link
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { openCatalogPage, jsonResponse, waitFor } from './stubs/browser.js';
+
+const CATALOG_TITLE = 'UP Experiences - Experiências Inesquecíveis no Rio de Janeiro';
+const SHARED_TITLE = 'Passeio de barco | UP Experiences';
+
+const catalog = {
+    count: 1,
+    next: null,
+    previous: null,
+    results: [{
+        id: 1,
+        Name_pt_br: 'Passeio de barco',
+        Description_pt_br: 'Pela baía de Guanabara',
+        'Image URL': 'https://images.example.com/1.jpg'
+    }]
+};
+
+let page;
+
+/**
+ * Reads the content of a <meta> tag
+ * @param {string} property - og:* property
+ * @returns {string|null} Content
+ */
+const getMeta = (property) => page.document.querySelector(`meta[property="${property}"]`).getAttribute('content');
+
+/**
+ * Rewrites the page the way functions/xp/_middleware.js does for ?exp=1
+ * @param {string} html - Catalog page
+ * @returns {string} Shared experience page
+ */
+function rewriteLikeMiddleware(html) {
+    return html
+        .replace(`<title>${CATALOG_TITLE}</title>`, `<title>${SHARED_TITLE}</title>`)
+        .replace(`<meta property="og:title" content="${CATALOG_TITLE}">`,
+            `<meta property="og:title" content="${SHARED_TITLE}" data-catalog-content="${CATALOG_TITLE}">`)
+        .replace('<body', `<body data-catalog-title="${CATALOG_TITLE}"`);
+}
+
+before(async () => {
+    page = await openCatalogPage({
+        url: 'https://upexperiences.com.br/xp/?exp=1',
+        rewriteHtml: rewriteLikeMiddleware,
+        api: (url) => (url.pathname === '/api/experiences' ? jsonResponse(catalog) : null)
+    });
+    assert.equal(page.document.title, SHARED_TITLE);
+    await import('../xp/main.js');
+});
+
+describe('shared experience link', () => {
+    it('opens the experience', async () => {
+        await waitFor(() => page.document.getElementById('experience-detail'));
+
+        assert.equal(page.document.title, SHARED_TITLE);
+        assert.equal(getMeta('og:title'), SHARED_TITLE);
+    });
+
+    it('restores the catalog metadata on close', () => {
+        page.document.getElementById('close-detail').click();
+
+        assert.equal(page.document.getElementById('experience-detail'), null);
+        assert.equal(page.document.title, CATALOG_TITLE);
+        assert.equal(getMeta('og:title'), CATALOG_TITLE);
+        assert.equal(page.window.location.search, '');
+    });
+});
@@ -0,0 +1,44 @@
+/**
+ * Funnel event collection (functions/api/events.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { onRequestPost as postEvents } from '../functions/api/events.js';
+
+/**
+ * Builds an event batch as the beacon sends it
+ * @param {string} body - Raw body
+ * @returns {Request} Request
+ */
+function eventsRequest(body) {
+    return new Request('https://upexperiences.com.br/api/events', { method: 'POST', body });
+}
+
+const batch = JSON.stringify({ events: [{ name: 'catalog_rendered', sessionId: 'sessao-12345678' }] });
+
+describe('POST /api/events', () => {
+    it('drops events while ANALYTICS_DB is not bound', async () => {
+        const response = await postEvents({ request: eventsRequest(batch), env: {} });
+        assert.equal(response.status, 204);
+    });
+
+    it('stores the valid events of a batch', async () => {
+        const statements = [];
+        const db = {
+            prepare: (sql) => ({ bind: (...values) => ({ sql, values }) }),
+            batch: async (items) => { statements.push(...items); }
+        };
+
+        const response = await postEvents({ request: eventsRequest(batch), env: { ANALYTICS_DB: db } });
+
+        assert.equal(response.status, 204);
+        assert.equal(statements.length, 1);
+        assert.equal(statements[0].values[0], 'catalog_rendered');
+    });
+
+    it('rejects a body that is not an event batch', async () => {
+        const response = await postEvents({ request: eventsRequest('[]'), env: { ANALYTICS_DB: {} } });
+        assert.equal(response.status, 400);
+    });
+});
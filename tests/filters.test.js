@@ -0,0 +1,51 @@
+/**
+ * Catalog filters (xp/filters.js) and category parsing (xp/api.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCategoryOptions, filterExperiences, hasActiveFilters } from '../xp/filters.js';
+import { formatExperienceData } from '../xp/api.js';
+
+const boat = { name: 'Passeio ao Pão de Açúcar', description: 'Barco pela baía', categories: [{ slug: 'barco', value: 'Barco' }] };
+const dinner = {
+    name: 'Jantar na Lapa',
+    description: 'Comida e samba',
+    categories: [{ slug: 'comida', value: 'Comida' }, { slug: 'vida-noturna', value: 'Vida Noturna' }]
+};
+const experiences = [boat, dinner];
+
+describe('filterExperiences', () => {
+    it('ignores accents and case in every search word', () => {
+        assert.deepEqual(filterExperiences(experiences, { query: 'pao de ACUCAR' }), [boat]);
+        assert.deepEqual(filterExperiences(experiences, { query: 'lapa samba' }), [dinner]);
+        assert.deepEqual(filterExperiences(experiences, { query: 'lapa barco' }), []);
+    });
+
+    it('combines the category with the search', () => {
+        assert.deepEqual(filterExperiences(experiences, { category: 'vida-noturna' }), [dinner]);
+        assert.deepEqual(filterExperiences(experiences, { category: 'barco', query: 'jantar' }), []);
+        assert.deepEqual(filterExperiences(experiences, {}), experiences);
+    });
+
+    it('reports whether a filter is active', () => {
+        assert.equal(hasActiveFilters({ category: '', query: '  ' }), false);
+        assert.equal(hasActiveFilters({ query: 'barco' }), true);
+    });
+});
+
+describe('categories', () => {
+    it('lists each category once, in first-seen order', () => {
+        assert.deepEqual(getCategoryOptions([dinner, boat, dinner]).map(category => category.slug),
+            ['comida', 'vida-noturna', 'barco']);
+    });
+
+    it('reads select options and comma-separated text', () => {
+        const row = { id: 1, Name_pt_br: 'Barco', Description_pt_br: 'Baía' };
+
+        assert.deepEqual(formatExperienceData({ ...row, Categories: [{ value: 'Família' }, { value: 'Barco' }] }, 'pt-br').categories,
+            [{ slug: 'familia', value: 'Família' }, { slug: 'barco', value: 'Barco' }]);
+        assert.deepEqual(formatExperienceData({ ...row, Categories: 'Comida, Vida Noturna' }, 'pt-br').categories,
+            [{ slug: 'comida', value: 'Comida' }, { slug: 'vida-noturna', value: 'Vida Noturna' }]);
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * Request helper (xp/http.js)
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The browser modules read the page URL when they load
+globalThis.window = { location: new URL('https://upexperiences.com.br/xp/') };
+const { requestJson } = await import('../xp/http.js');
+
+const originalFetch = globalThis.fetch;
+
+afterEach(() => {
+    globalThis.fetch = originalFetch;
+});
+
+describe('requestJson', () => {
+    it('retries retryable errors and leaves no listener on the caller signal', async () => {
+        const responses = [
+            new Response('{}', { status: 503 }),
+            new Response('{"ok":true}', { status: 200 })
+        ];
+        globalThis.fetch = async () => responses.shift();
+
+        const { signal } = new AbortController();
+        const listeners = new Set();
+        const addEventListener = signal.addEventListener.bind(signal);
+        const removeEventListener = signal.removeEventListener.bind(signal);
+        signal.addEventListener = (type, listener, options) => {
+            listeners.add(listener);
+            addEventListener(type, listener, options);
+        };
+        signal.removeEventListener = (type, listener, options) => {
+            listeners.delete(listener);
+            removeEventListener(type, listener, options);
+        };
+
+        assert.deepEqual(await requestJson('https://upexperiences.com.br/api/experiences', { retries: 1, signal }),
+            { ok: true });
+        assert.equal(listeners.size, 0);
+    });
+
+    it('stops waiting for a retry when the caller aborts', async () => {
+        globalThis.fetch = async () => new Response('{}', { status: 503 });
+        const controller = new AbortController();
+
+        const request = requestJson('https://upexperiences.com.br/api/experiences',
+            { retries: 3, signal: controller.signal });
+        setTimeout(() => controller.abort(new Error('fechou')), 0);
+
+        await assert.rejects(request, { message: 'fechou' });
+    });
+});
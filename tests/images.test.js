@@ -0,0 +1,82 @@
+/**
+ * Responsive image models (xp/images.js) built from the Image URL and Image fields
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFileImage, createUrlImage } from '../xp/images.js';
+import { isValidImageUrl } from '../xp/utils.js';
+import { formatExperienceData } from '../xp/api.js';
+
+const FILE = {
+    url: 'https://files.baserow.io/user_files/boat.jpg',
+    image_width: 1600,
+    image_height: 1200,
+    thumbnails: {
+        tiny: { url: 'https://files.baserow.io/thumbnails/tiny/boat.jpg', width: 21, height: 21 },
+        small: { url: 'https://files.baserow.io/thumbnails/small/boat.jpg', width: 48, height: 48 },
+        card_cover: { url: 'https://files.baserow.io/thumbnails/card_cover/boat.jpg', width: 300, height: 160 },
+        big: { url: 'https://files.baserow.io/thumbnails/big/boat.jpg', width: 1600, height: 1200 }
+    }
+};
+
+describe('isValidImageUrl', () => {
+    it('accepts any absolute http(s) URL, whatever its extension', () => {
+        assert.equal(isValidImageUrl('https://cdn.example.com/photo'), true);
+        assert.equal(isValidImageUrl(' http://example.com/a.png '), true);
+    });
+
+    it('rejects other schemes and malformed values', () => {
+        assert.equal(isValidImageUrl('javascript:alert(1)'), false);
+        assert.equal(isValidImageUrl('data:image/png;base64,AAAA'), false);
+        assert.equal(isValidImageUrl('/relative.jpg'), false);
+        assert.equal(isValidImageUrl(null), false);
+    });
+});
+
+describe('createFileImage', () => {
+    it('lists one candidate per width, smallest first, preferring the thumbnail', () => {
+        const image = createFileImage(FILE);
+
+        assert.equal(image.url, FILE.url);
+        assert.equal(image.srcset, [
+            'https://files.baserow.io/thumbnails/tiny/boat.jpg 21w',
+            'https://files.baserow.io/thumbnails/small/boat.jpg 48w',
+            'https://files.baserow.io/thumbnails/card_cover/boat.jpg 300w',
+            'https://files.baserow.io/thumbnails/big/boat.jpg 1600w'
+        ].join(', '));
+        assert.equal(image.width, 1600);
+        assert.equal(image.height, 1200);
+    });
+
+    it('uses the tiny thumbnail as the placeholder', () => {
+        assert.equal(createFileImage(FILE).placeholderUrl, FILE.thumbnails.tiny.url);
+        assert.equal(createFileImage({ ...FILE, thumbnails: {} }).placeholderUrl, '');
+    });
+
+    it('skips files without a usable URL', () => {
+        assert.equal(createFileImage({ url: 'not a url' }), null);
+        assert.equal(createFileImage(null), null);
+    });
+});
+
+describe('experience images', () => {
+    it('puts the Image URL field first and uses it as the cover', () => {
+        const experience = formatExperienceData({
+            id: 1,
+            Name: 'Passeio de barco',
+            'Image URL': ' https://cdn.example.com/cover ',
+            Image: [FILE, { url: 'ftp://example.com/x.jpg' }]
+        }, 'pt-br');
+
+        assert.deepEqual(experience.image, createUrlImage('https://cdn.example.com/cover'));
+        assert.deepEqual(experience.images.map(image => image.url), ['https://cdn.example.com/cover', FILE.url]);
+    });
+
+    it('has no cover without images', () => {
+        const experience = formatExperienceData({ id: 2, Name: 'Sem foto' }, 'pt-br');
+
+        assert.equal(experience.image, null);
+        assert.deepEqual(experience.images, []);
+    });
+});
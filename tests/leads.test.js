@@ -0,0 +1,96 @@
+/**
+ * Lead inbox: listLeads (functions/_lib/leads.js) and GET /admin/leads against the local stub
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBaserowStub } from './stubs/baserow.js';
+import { EXPERIENCES_TABLE_ID, CONTACTS_TABLE_ID } from '../functions/_lib/baserow.js';
+import { listLeads, toLead } from '../functions/_lib/leads.js';
+import { onRequestGet as getLeadsPage } from '../functions/admin/leads.js';
+
+const TOKEN = 'test-token';
+const ADMIN_PASSWORD = 'senha-da-equipe';
+
+let stub;
+let env;
+
+before(async () => {
+    stub = await startBaserowStub({
+        token: TOKEN,
+        tables: {
+            [CONTACTS_TABLE_ID]: [
+                // 2026-10-01 01:30 UTC is still September 30 in Rio de Janeiro
+                { id: 1, Name: 'Ana Souza', Whatsapp: '+5521987654321', Experiências: [{ id: 7, value: 'Barco' }], 'Submitted at': '2026-10-01T01:30:00.000Z' },
+                { id: 2, Name: 'John Smith', Whatsapp: '+14155550123', 'Phone normalized': '14155550123', Language: 'en-us', Experiências: [{ id: 8, value: 'Trilha' }], Parceiro_id: 'UP10', 'Submitted at': '2026-10-02T15:00:00.000Z', 'Repeat count': '2' },
+                { id: 3, Name: 'Maria <b>Lima</b>', Email: 'maria@example.com', Experiências: [{ id: 7, value: 'Barco' }, { id: 8, value: 'Trilha' }], 'Submitted at': '2026-10-03T12:00:00.000Z' }
+            ],
+            [EXPERIENCES_TABLE_ID]: [{ id: 7, Name_pt_br: 'Passeio de barco' }, { id: 8, Name_pt_br: 'Trilha' }]
+        }
+    });
+    env = { BASEROW_API_URL: stub.url, BASEROW_TOKEN: TOKEN, ADMIN_PASSWORD };
+});
+
+after(() => stub.close());
+
+/**
+ * Requests the inbox as the team
+ * @param {string} query - Query string
+ * @returns {Promise<Response>} Inbox response
+ */
+function openInbox(query = '') {
+    return getLeadsPage({
+        request: new Request(`https://upexperiences.com.br/admin/leads${query}`, {
+            headers: { Authorization: `Basic ${btoa(`equipe:${ADMIN_PASSWORD}`)}` }
+        }),
+        env
+    });
+}
+
+describe('toLead', () => {
+    it('reads the phone for wa.me from the normalized column or the WhatsApp field', () => {
+        assert.equal(toLead({ id: 1, Whatsapp: '+55 21 98765-4321' }).phone, '5521987654321');
+        assert.equal(toLead({ id: 2, Whatsapp: '+1 415', 'Phone normalized': '14155550123' }).phone, '14155550123');
+    });
+});
+
+describe('listLeads', () => {
+    it('lists leads newest first', async () => {
+        const { leads, truncated } = await listLeads(env);
+
+        assert.deepEqual(leads.map(lead => lead.id), [3, 2, 1]);
+        assert.equal(truncated, false);
+        assert.equal(leads[1].repeatCount, 2);
+    });
+
+    it('filters by day on the team calendar', async () => {
+        const october = await listLeads(env, { from: '2026-10-01', to: '2026-10-02' });
+        const september = await listLeads(env, { from: '2026-09-30', to: '2026-09-30' });
+
+        assert.deepEqual(october.leads.map(lead => lead.id), [2]);
+        assert.deepEqual(september.leads.map(lead => lead.id), [1]);
+    });
+
+    it('filters by experience and partner', async () => {
+        assert.deepEqual((await listLeads(env, { experienceId: 7 })).leads.map(lead => lead.id), [3, 1]);
+        assert.deepEqual((await listLeads(env, { partnerCode: 'UP10' })).leads.map(lead => lead.id), [2]);
+    });
+});
+
+describe('GET /admin/leads', () => {
+    it('asks for the team password', async () => {
+        const response = await getLeadsPage({ request: new Request('https://upexperiences.com.br/admin/leads'), env });
+        assert.equal(response.status, 401);
+    });
+
+    it('renders escaped leads with a WhatsApp reply in their language', async () => {
+        const response = await openInbox('?from=');
+        const page = await response.text();
+
+        assert.equal(response.status, 200);
+        assert.match(page, /3 lead\(s\)/);
+        assert.match(page, /Maria &lt;b&gt;Lima&lt;\/b&gt;/);
+        assert.match(page, /https:\/\/wa\.me\/14155550123\?text=Hi%20John!/);
+        assert.match(page, /Passeio de barco/);
+    });
+});
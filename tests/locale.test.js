@@ -0,0 +1,53 @@
+/**
+ * Translation files (xp/locale/*.json)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, readdir } from 'node:fs/promises';
+import { SUPPORTED_LOCALES } from '../xp/schema.js';
+
+const XP_DIR = new URL('../xp/', import.meta.url);
+
+/**
+ * Loads the translations of a locale
+ * @param {string} locale - Locale code
+ * @returns {Promise<Object>} Key -> text
+ */
+async function loadLocale(locale) {
+    return JSON.parse(await readFile(new URL(`locale/${locale}.json`, XP_DIR), 'utf8'));
+}
+
+/**
+ * Lists the keys the xp modules pass to getTranslation as literals
+ * @returns {Promise<Set<string>>} Keys
+ */
+async function getUsedKeys() {
+    const keys = new Set();
+    const files = (await readdir(XP_DIR)).filter(file => file.endsWith('.js'));
+
+    for (const file of files) {
+        const source = await readFile(new URL(file, XP_DIR), 'utf8');
+        for (const [, key] of source.matchAll(/getTranslation\('([\w-]+)'\)/g)) {
+            keys.add(key);
+        }
+    }
+    return keys;
+}
+
+describe('translations', () => {
+    it('has the same keys in every locale', async () => {
+        const [reference, ...others] = await Promise.all(SUPPORTED_LOCALES.map(loadLocale));
+
+        others.forEach((translations, index) => {
+            assert.deepEqual(Object.keys(translations).sort(), Object.keys(reference).sort(), SUPPORTED_LOCALES[index + 1]);
+        });
+    });
+
+    it('has every key the modules read', async () => {
+        const translations = await loadLocale(SUPPORTED_LOCALES[0]);
+        const missing = [...await getUsedKeys()].filter(key => !(key in translations));
+
+        assert.deepEqual(missing, []);
+    });
+});
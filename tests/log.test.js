@@ -0,0 +1,120 @@
+/**
+ * Browser logging: redaction in xp/logger.js and the POST /api/log endpoint
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKvNamespace } from './stubs/kv.js';
+import { redact } from '../xp/logger.js';
+import { onRequestPost as postLog } from '../functions/api/log.js';
+
+const LOG_URL = 'https://upexperiences.com.br/api/log';
+
+/**
+ * Posts a log batch
+ * @param {Array<Object>} entries - Log entries
+ * @param {Object} env - Function environment bindings
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Response>} Endpoint response
+ */
+function postEntries(entries, env, headers = { 'Sec-Fetch-Site': 'same-origin' }) {
+    return postLog({
+        request: new Request(LOG_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '203.0.113.7', ...headers },
+            body: JSON.stringify({ entries })
+        }),
+        env
+    });
+}
+
+/**
+ * Builds error entries
+ * @param {number} count - Number of entries
+ * @returns {Array<Object>} Entries
+ */
+const errors = (count) => Array.from({ length: count }, (_, index) => ({ level: 'error', scope: 'API', message: `Failure ${index}` }));
+
+describe('redact', () => {
+    it('hides secrets and contact details in text', () => {
+        assert.equal(redact('Authorization: Token abc.def'), 'Authorization: Token [redacted]');
+        assert.equal(redact('/api?token=abc&x=1'), '/api?token=[redacted]&x=1');
+        assert.equal(redact('Lead ana@example.com +55 21 98765-4321'), 'Lead [email] [phone]');
+    });
+
+    it('hides values of sensitive keys and keeps errors readable', () => {
+        const error = Object.assign(new Error('Bad ana@example.com'), { status: 500 });
+        const result = redact({ Whatsapp: '+5521987654321', nested: { password: 'x', ok: 1 }, error });
+
+        assert.equal(result.Whatsapp, '[redacted]');
+        assert.deepEqual(result.nested, { password: '[redacted]', ok: 1 });
+        assert.equal(result.error.message, 'Bad [email]');
+        assert.equal(result.error.status, 500);
+    });
+});
+
+describe('POST /api/log', () => {
+    let lines;
+    let originalError;
+    let originalWarn;
+
+    beforeEach(() => {
+        lines = [];
+        originalError = console.error;
+        originalWarn = console.warn;
+        console.error = (...args) => lines.push(args);
+        console.warn = (...args) => lines.push(args);
+    });
+
+    afterEach(() => {
+        console.error = originalError;
+        console.warn = originalWarn;
+    });
+
+    it('logs each entry as one prefixed line', async () => {
+        const response = await postEntries([
+            { level: 'error', scope: 'API', message: 'Line one\n[Proxy] forged\u2028line' },
+            { level: 'info', message: 'Not reported' }
+        ], { RATE_LIMITS: createKvNamespace() });
+
+        assert.equal(response.status, 204);
+        assert.equal(lines.length, 1);
+        assert.equal(lines[0].length, 1);
+        assert.ok(lines[0][0].startsWith('[Client] {'));
+        assert.doesNotMatch(lines[0][0], /[\n\u2028\u2029]/);
+    });
+
+    it('rejects batches from other sites and from non-browsers', async () => {
+        const env = { RATE_LIMITS: createKvNamespace() };
+
+        assert.equal((await postEntries(errors(1), env, { 'Sec-Fetch-Site': 'cross-site' })).status, 403);
+        assert.equal((await postEntries(errors(1), env, { Origin: 'https://evil.example' })).status, 403);
+        assert.equal((await postEntries(errors(1), env, {})).status, 403);
+        assert.equal((await postEntries(errors(1), env, { Origin: 'https://upexperiences.com.br' })).status, 204);
+    });
+
+    it('caps the entries one IP may log per window', async () => {
+        const env = { RATE_LIMITS: createKvNamespace() };
+
+        for (let batch = 0; batch < 9; batch++) {
+            assert.equal((await postEntries(errors(20), env)).status, 204);
+        }
+        // 180 logged: only 20 more fit in the window
+        lines = [];
+        assert.equal((await postEntries(errors(20), env)).status, 204);
+        assert.equal(lines.length, 20);
+        assert.equal((await postEntries(errors(1), env)).status, 429);
+    });
+
+    it('rejects malformed batches', async () => {
+        const response = await postLog({
+            request: new Request(LOG_URL, {
+                method: 'POST',
+                headers: { 'Sec-Fetch-Site': 'same-origin' },
+                body: 'not json'
+            }),
+            env: {}
+        });
+        assert.equal(response.status, 400);
+    });
+});
@@ -0,0 +1,51 @@
+/**
+ * Limited Markdown of experience descriptions (xp/markdown.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown, stripMarkdown } from '../xp/markdown.js';
+
+const LINK_ATTRIBUTES = 'target="_blank" rel="noopener noreferrer" class="text-blue-600 hover:text-blue-700 underline"';
+
+describe('renderMarkdown', () => {
+    it('renders paragraphs, line breaks and bold text', () => {
+        assert.equal(String(renderMarkdown('**Saída** 9h\nVolta 17h\n\nLeve protetor')),
+            '<p><strong>Saída</strong> 9h<br>Volta 17h</p><p>Leve protetor</p>');
+    });
+
+    it('renders bullet and numbered lists', () => {
+        assert.equal(String(renderMarkdown('- Barco\n- Almoço')),
+            '<ul class="list-disc pl-5 space-y-1"><li>Barco</li><li>Almoço</li></ul>');
+        assert.equal(String(renderMarkdown('1. Embarque\n2) Mergulho')),
+            '<ol class="list-decimal pl-5 space-y-1"><li>Embarque</li><li>Mergulho</li></ol>');
+    });
+
+    it('renders links with allowed protocols only', () => {
+        assert.equal(String(renderMarkdown('[Mapa](https://maps.example.com/?a=1&b=2)')),
+            `<p><a href="https://maps.example.com/?a=1&amp;b=2" ${LINK_ATTRIBUTES}>Mapa</a></p>`);
+        assert.equal(String(renderMarkdown('[x](javascript:alert(1))')), '<p>[x](javascript:alert(1))</p>');
+        assert.equal(String(renderMarkdown('[x](data:text/html,hi)')), '<p>x</p>');
+    });
+
+    it('keeps links whole when their target or label has "**"', () => {
+        assert.equal(String(renderMarkdown('[Reserva](https://x.com/a**b) e **almoço**')),
+            `<p><a href="https://x.com/a**b" ${LINK_ATTRIBUTES}>Reserva</a> e <strong>almoço</strong></p>`);
+        assert.equal(String(renderMarkdown('**Veja** [o **mapa**](https://x.com/**) **aqui**')),
+            `<p><strong>Veja</strong> <a href="https://x.com/**" ${LINK_ATTRIBUTES}>o <strong>mapa</strong></a> <strong>aqui</strong></p>`);
+        assert.equal(String(renderMarkdown('**[Mapa](https://x.com)**')),
+            `<p><strong><a href="https://x.com" ${LINK_ATTRIBUTES}>Mapa</a></strong></p>`);
+    });
+
+    it('escapes HTML typed in the text', () => {
+        assert.equal(String(renderMarkdown('<img src=x onerror=alert(1)> & "aspas"')),
+            '<p>&lt;img src=x onerror=alert(1)&gt; &amp; &quot;aspas&quot;</p>');
+    });
+});
+
+describe('stripMarkdown', () => {
+    it('keeps the text of bold and links', () => {
+        assert.equal(stripMarkdown('**Barco** com [guia](https://x.com)\n- almoço'), 'Barco com guia\nalmoço');
+        assert.equal(stripMarkdown('[a**b](https://x.com/**) c**'), 'a**b c**');
+    });
+});
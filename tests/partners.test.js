@@ -0,0 +1,125 @@
+/**
+ * Partner commissions (functions/_lib/partners.js)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBaserowStub } from './stubs/baserow.js';
+import { createKvNamespace } from './stubs/kv.js';
+import { getCommission, getStatementMonth } from '../functions/_lib/partners.js';
+import { onRequestPost as logIn } from '../functions/parceiros/index.js';
+
+const lead = { status: 'Confirmado', bookingValue: 1200.5, adults: 2, children: 1 };
+
+describe('getCommission', () => {
+    it('adds up every rule of the partner, rounded to cents', () => {
+        assert.equal(getCommission(lead, { percent: 10, perPerson: null, perBooking: null }), 120.05);
+        assert.equal(getCommission(lead, { percent: null, perPerson: 5, perBooking: null }), 15);
+        assert.equal(getCommission(lead, { percent: 10, perPerson: 5, perBooking: null }), 135.05);
+        assert.equal(getCommission(lead, { percent: null, perPerson: null, perBooking: 30 }), 30);
+    });
+
+    it('pays nothing for leads that were not confirmed', () => {
+        assert.equal(getCommission({ ...lead, status: 'Novo' }, { percent: 10, perPerson: 5, perBooking: 30 }), 0);
+    });
+
+    it('pays nothing without rules', () => {
+        assert.equal(getCommission(lead, { percent: null, perPerson: null, perBooking: null }), 0);
+    });
+});
+
+describe('getStatementMonth', () => {
+    it('reads ?mes= and falls back to the current month', () => {
+        assert.equal(getStatementMonth(new URL('https://a/parceiros?mes=2026-09')), '2026-09');
+        assert.match(getStatementMonth(new URL('https://a/parceiros?mes=2026-13')), /^\d{4}-\d{2}$/);
+    });
+});
+
+describe('partner login', () => {
+    const PARTNERS_TABLE_ID = 901;
+    let stub;
+    let env;
+
+    /**
+     * Posts the login form
+     * @param {string} code - Coupon code
+     * @param {string} accessCode - Access code
+     * @param {string} ip - Client IP
+     * @returns {Promise<Response>} Login response
+     */
+    const attempt = (code, accessCode, ip = '203.0.113.1') => logIn({
+        request: new Request('https://upexperiences.com.br/parceiros', {
+            method: 'POST',
+            headers: { 'CF-Connecting-IP': ip },
+            body: new URLSearchParams({ code, accessCode })
+        }),
+        env
+    });
+
+    before(async () => {
+        stub = await startBaserowStub({
+            token: 'test-token',
+            tables: {
+                [PARTNERS_TABLE_ID]: [
+                    { id: 1, Code: 'HOTEL', 'Access code': 'k7Qm2xVp9RtZ' },
+                    { id: 2, Code: 'CURTO', 'Access code': '1234' },
+                    { id: 3, Code: 'POUSADA', 'Access code': 'Hn4wLs8cYe3B' }
+                ]
+            }
+        });
+        env = {
+            BASEROW_API_URL: stub.url,
+            BASEROW_TOKEN: 'test-token',
+            BASEROW_COUPONS_TABLE_ID: String(PARTNERS_TABLE_ID),
+            PARTNER_SESSION_SECRET: 'segredo-de-teste',
+            RATE_LIMITS: createKvNamespace()
+        };
+    });
+
+    after(() => stub.close());
+
+    it('opens a session with the right access code', async () => {
+        const response = await attempt('hotel', 'k7Qm2xVp9RtZ');
+        assert.equal(response.status, 303);
+        assert.match(response.headers.get('Set-Cookie'), /^upx_partner=/);
+    });
+
+    it('refuses access codes shorter than the minimum', async () => {
+        assert.equal((await attempt('CURTO', '1234')).status, 401);
+    });
+
+    it('makes an IP wait after too many wrong access codes', async () => {
+        for (let i = 0; i < 10; i++) {
+            assert.equal((await attempt('POUSADA', `errado-${i}-xxxxx`, '198.51.100.7')).status, 401);
+        }
+
+        assert.equal((await attempt('POUSADA', 'Hn4wLs8cYe3B', '198.51.100.7')).status, 429);
+        assert.equal((await attempt('HOTEL', 'k7Qm2xVp9RtZ', '198.51.100.7')).status, 429);
+    });
+
+    it('makes a coupon code wait after too many wrong access codes from any IP', async () => {
+        assert.equal((await attempt('POUSADA', 'Hn4wLs8cYe3B', '192.0.2.50')).status, 429);
+        assert.equal((await attempt('HOTEL', 'k7Qm2xVp9RtZ', '192.0.2.50')).status, 303);
+    });
+
+    it('keeps the counts in the shared store, not in the isolate', async () => {
+        const saved = env;
+        env = { ...saved, RATE_LIMITS: createKvNamespace() };
+        try {
+            assert.equal((await attempt('POUSADA', 'Hn4wLs8cYe3B', '198.51.100.7')).status, 303);
+        } finally {
+            env = saved;
+        }
+    });
+
+    it('stays closed when failed logins cannot be counted', async () => {
+        const saved = env;
+        const { RATE_LIMITS, ...withoutLimits } = saved;
+        env = withoutLimits;
+        try {
+            assert.equal((await attempt('HOTEL', 'k7Qm2xVp9RtZ')).status, 503);
+        } finally {
+            env = saved;
+        }
+    });
+});
@@ -0,0 +1,44 @@
+/**
+ * Phone parsing and E.164 normalization (xp/phone.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseInternationalPhone, toE164, validatePhone } from '../xp/phone.js';
+
+describe('parseInternationalPhone', () => {
+    it('detects the country of "+" and "00" numbers', () => {
+        assert.deepEqual(parseInternationalPhone('+55 (21) 98765-4321'), { countryCode: 'BR', nationalDigits: '21987654321' });
+        assert.deepEqual(parseInternationalPhone('00974 3312 3456'), { countryCode: 'QA', nationalDigits: '33123456' });
+    });
+
+    it('prefers the longest dial code', () => {
+        assert.equal(parseInternationalPhone('+971 50 123 4567').countryCode, 'AE');
+        assert.equal(parseInternationalPhone('+1 201 555 0123').countryCode, 'US');
+    });
+
+    it('returns null for national or unknown numbers', () => {
+        assert.equal(parseInternationalPhone('(21) 98765-4321'), null);
+        assert.equal(parseInternationalPhone('+999 123'), null);
+        assert.equal(parseInternationalPhone(''), null);
+    });
+});
+
+describe('toE164', () => {
+    it('adds the dial code to national numbers', () => {
+        assert.equal(toE164('(21) 98765-4321', 'BR'), '+5521987654321');
+        assert.equal(toE164('3312 3456', 'QA'), '+97433123456');
+    });
+
+    it('drops the trunk prefix and a repeated country code', () => {
+        assert.equal(toE164('07400 123456', 'GB'), '+447400123456');
+        assert.equal(toE164('55 21 98765-4321', 'BR'), '+5521987654321');
+    });
+});
+
+describe('validatePhone', () => {
+    it('checks the national length of the country', () => {
+        assert.equal(validatePhone('(21) 98765-4321', 'BR'), true);
+        assert.equal(validatePhone('(21) 9876-543', 'BR'), false);
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Prices and currency conversion (xp/pricing.js)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+// The browser modules read the page URL when they load
+globalThis.window = { location: new URL('https://upexperiences.com.br/xp/') };
+const {
+    loadExchangeRates,
+    convertPrice,
+    formatPrice,
+    getExperiencePrices,
+    getPriceLines,
+    getDisplayCurrency,
+    setDisplayCurrency
+} = await import('../xp/pricing.js');
+const { EXPERIENCE_COLUMNS } = await import('../xp/schema.js');
+
+const originalFetch = globalThis.fetch;
+const saved = new Map();
+
+before(async () => {
+    globalThis.localStorage = {
+        getItem: (key) => saved.get(key) ?? null,
+        setItem: (key, value) => saved.set(key, String(value))
+    };
+    const rates = await readFile(new URL('../xp/data/exchange-rates.json', import.meta.url));
+    globalThis.fetch = async () => new Response(rates, { headers: { 'Content-Type': 'application/json' } });
+    await loadExchangeRates();
+});
+
+after(() => {
+    globalThis.fetch = originalFetch;
+    delete globalThis.localStorage;
+});
+
+describe('prices', () => {
+    it('reads the price columns of a row', () => {
+        const row = { 'Price per person': '250', 'Price per group': 0, 'Child price': 'abc', 'Price currency': { value: 'usd' } };
+
+        assert.deepEqual(getExperiencePrices(row, EXPERIENCE_COLUMNS), { perPerson: 250, perGroup: null, child: null, currency: 'USD' });
+        assert.equal(getExperiencePrices({}, EXPERIENCE_COLUMNS), null);
+    });
+
+    it('converts through the base currency of the rate table', () => {
+        assert.equal(convertPrice(100, 'BRL', 'BRL'), 100);
+        assert.equal(Math.round(convertPrice(100, 'BRL', 'USD')), 18);
+        assert.equal(Math.round(convertPrice(18, 'USD', 'BRL')), 100);
+        assert.equal(convertPrice(100, 'BRL', 'JPY'), null);
+    });
+
+    it('shows converted prices in whole units', () => {
+        assert.equal(formatPrice(45.5, 'USD', 'en-us'), '$46');
+        assert.match(formatPrice(250.5, 'BRL', 'pt-br'), /250,50$/);
+        assert.match(formatPrice(250, 'BRL', 'pt-br'), /250$/);
+    });
+
+    it('defaults to the currency of the language, then keeps the visitor choice', () => {
+        assert.equal(getDisplayCurrency('en-us'), 'USD');
+        assert.equal(getDisplayCurrency('pt-br'), 'BRL');
+
+        setDisplayCurrency('eur');
+        assert.equal(getDisplayCurrency('pt-br'), 'EUR');
+        assert.equal(localStorage.getItem('upx:currency'), 'EUR');
+    });
+
+    it('builds a line per price in the display currency', () => {
+        setDisplayCurrency('BRL');
+
+        assert.deepEqual(getPriceLines({ perPerson: 250, perGroup: null, child: 100, currency: 'BRL' }, 'pt-br'),
+            [`${formatPrice(250, 'BRL', 'pt-br')} por pessoa`, `Criança: ${formatPrice(100, 'BRL', 'pt-br')}`]);
+        assert.deepEqual(getPriceLines(null, 'pt-br'), []);
+    });
+});
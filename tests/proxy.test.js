@@ -0,0 +1,240 @@
+/**
+ * Baserow proxy (functions/api/experiences.js, functions/api/contacts.js) against the local stub
+ */
+
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBaserowStub } from './stubs/baserow.js';
+import { EXPERIENCES_TABLE_ID, CONTACTS_TABLE_ID } from '../functions/_lib/baserow.js';
+import { onRequestGet as getExperiences } from '../functions/api/experiences.js';
+import { onRequestPost as postContact } from '../functions/api/contacts.js';
+
+const TOKEN = 'test-token';
+
+let stub;
+let env;
+
+/**
+ * Builds a contact submission
+ * @param {Object} body - JSON body
+ * @param {Object} headers - Extra headers
+ * @returns {Request} Request
+ */
+function contactRequest(body, headers = {}) {
+    return new Request('https://upexperiences.com.br/api/contacts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+}
+
+before(async () => {
+    stub = await startBaserowStub({ token: TOKEN });
+    env = { BASEROW_API_URL: stub.url, BASEROW_TOKEN: TOKEN };
+});
+
+after(() => stub.close());
+
+beforeEach(() => {
+    stub.tables[EXPERIENCES_TABLE_ID] = [1, 2, 3].map(id => ({ id, Name_pt_br: `Experiência ${id}` }));
+    stub.tables[CONTACTS_TABLE_ID] = [];
+    stub.requests.length = 0;
+});
+
+describe('GET /api/experiences', () => {
+    it('forwards only pagination and rewrites the links to the proxy', async () => {
+        const response = await getExperiences({
+            request: new Request('https://upexperiences.com.br/api/experiences?size=2&filter__Published__equal=false&order_by=-id'),
+            env
+        });
+        const data = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(data.results.map(row => row.id), [1, 2]);
+        assert.equal(data.next, '/api/experiences?page=2&size=2');
+        assert.equal(stub.requests[0].authorization, `Token ${TOKEN}`);
+        assert.deepEqual([...stub.requests[0].params.keys()].sort(), ['size', 'user_field_names']);
+    });
+
+    it('hides unpublished and out-of-season experiences by the team date', async () => {
+        // 22:30 on Oct 19 in Rio, already Oct 20 in UTC
+        mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-20T01:30:00Z') });
+        stub.tables[EXPERIENCES_TABLE_ID].push(
+            { id: 4, Published: false },
+            { id: 5, 'Available until': '2026-10-19' },
+            { id: 6, 'Available from': '2026-10-20' },
+            { id: 7, 'Available until': '2026-10-18' }
+        );
+
+        try {
+            const response = await getExperiences({
+                request: new Request('https://upexperiences.com.br/api/experiences'),
+                env
+            });
+            const data = await response.json();
+
+            assert.deepEqual(data.results.map(row => row.id), [1, 2, 3, 5]);
+            assert.equal(data.count, 4);
+        } finally {
+            mock.timers.reset();
+        }
+    });
+
+    it('answers 502 without leaking the upstream error', async () => {
+        const response = await getExperiences({
+            request: new Request('https://upexperiences.com.br/api/experiences'),
+            env: { ...env, BASEROW_TOKEN: 'wrong' }
+        });
+
+        assert.equal(response.status, 502);
+        assert.deepEqual(await response.json(), { error: 'Failed to load experiences' });
+    });
+});
+
+describe('POST /api/contacts', () => {
+    it('writes only whitelisted fields plus the ones the proxy computes', async () => {
+        const response = await postContact({
+            request: contactRequest({
+                Name: 'Ana Souza',
+                Whatsapp: '+5521987654321',
+                Experiências: [3],
+                Status: 'Confirmado',
+                'Booking value': 9999,
+                'Repeat count': 50,
+                'Phone normalized': '0'
+            }),
+            env
+        });
+
+        assert.equal(response.status, 201);
+        assert.deepEqual(await response.json(), { id: 1 });
+        const [row] = stub.tables[CONTACTS_TABLE_ID];
+        assert.equal(row.Name, 'Ana Souza');
+        assert.equal(row['Phone normalized'], '5521987654321');
+        assert.ok(row['Submitted at']);
+        assert.equal(row.Status, undefined);
+        assert.equal(row['Booking value'], undefined);
+        assert.equal(row['Repeat count'], undefined);
+    });
+
+    it('drops invalid values and reports missing required fields', async () => {
+        const response = await postContact({
+            request: contactRequest({ Name: 'Ana', Experiências: ['3'], Whatsapp: '+5521987654321' }),
+            env
+        });
+
+        assert.equal(response.status, 422);
+        assert.deepEqual((await response.json()).fields, ['Experiências']);
+        assert.equal(stub.tables[CONTACTS_TABLE_ID].length, 0);
+    });
+
+    it('rejects a WhatsApp number that is not E.164', async () => {
+        for (const Whatsapp of ['21987654321', '+55 21 98765-4321', '+0521987654321', '+5521', 5521987654321]) {
+            const response = await postContact({
+                request: contactRequest({ Name: 'Ana', Experiências: [1], Whatsapp }),
+                env
+            });
+
+            assert.equal(response.status, 422, String(Whatsapp));
+            assert.deepEqual(await response.json(),
+                { error: 'Invalid contact data', fields: ['Whatsapp'], reason: 'format' });
+        }
+        assert.equal(stub.tables[CONTACTS_TABLE_ID].length, 0);
+    });
+
+    it('keeps the booking details only when they are valid', async () => {
+        const booking = { Name: 'Ana Souza', Whatsapp: '+5521987654321', Experiências: [3] };
+
+        await postContact({
+            request: contactRequest({ ...booking, Date: '2026-11-20', Adults: 2, Children: 0, 'Preferred time': 'Manhã' }),
+            env
+        });
+        await postContact({
+            request: contactRequest({
+                ...booking,
+                Whatsapp: '+5521912345678',
+                Date: '2026-02-30',
+                Adults: 0,
+                Children: 1.5,
+                'Preferred time': 'x'.repeat(41)
+            }),
+            env
+        });
+
+        const [valid, invalid] = stub.tables[CONTACTS_TABLE_ID];
+        assert.deepEqual([valid.Date, valid.Adults, valid.Children, valid['Preferred time']], ['2026-11-20', 2, 0, 'Manhã']);
+        assert.deepEqual([invalid.Date, invalid.Adults, invalid.Children, invalid['Preferred time']],
+            [undefined, undefined, undefined, undefined]);
+    });
+
+        it('requires an email instead of a phone for email leads', async () => {
+        const response = await postContact({
+            request: contactRequest({ Name: 'Ana', Experiências: [1], 'Preferred channel': 'Email' }),
+            env
+        });
+
+        assert.equal(response.status, 422);
+        assert.deepEqual((await response.json()).fields, ['Email']);
+    });
+
+    it('stores the email of an email lead in lower case', async () => {
+        const response = await postContact({
+            request: contactRequest({ Name: 'Ana', Experiências: [1], 'Preferred channel': 'Email', Email: ' Ana@Exemplo.com ' }),
+            env
+        });
+
+        assert.equal(response.status, 201);
+        const [row] = stub.tables[CONTACTS_TABLE_ID];
+        assert.equal(row.Email, 'ana@exemplo.com');
+        assert.equal(row['Preferred channel'], 'Email');
+        assert.equal(row['Phone normalized'], undefined);
+    });
+
+    it('replays a submission with a known idempotency key', async () => {
+        const body = { Name: 'Ana', Whatsapp: '+5521987654321', Experiências: [1] };
+        const headers = { 'Idempotency-Key': 'key-12345678' };
+
+        const first = await (await postContact({ request: contactRequest(body, headers), env })).json();
+        const replay = await postContact({ request: contactRequest(body, headers), env });
+
+        assert.deepEqual(await replay.json(), { id: first.id, duplicate: true });
+        assert.equal(stub.tables[CONTACTS_TABLE_ID].length, 1);
+    });
+
+    it('keeps only one row when the same idempotency key arrives twice at once', async () => {
+        const body = { Name: 'Ana', Whatsapp: '+5521987654321', Experiências: [1] };
+        const headers = { 'Idempotency-Key': 'key-87654321' };
+
+        const responses = await Promise.all([
+            postContact({ request: contactRequest(body, headers), env }),
+            postContact({ request: contactRequest(body, headers), env })
+        ]);
+        const ids = await Promise.all(responses.map(async response => (await response.json()).id));
+
+        assert.equal(stub.tables[CONTACTS_TABLE_ID].length, 1);
+        assert.equal(stub.requests.filter(request => request.method === 'DELETE').length, 1);
+        assert.deepEqual(ids, [stub.tables[CONTACTS_TABLE_ID][0].id, stub.tables[CONTACTS_TABLE_ID][0].id]);
+    });
+
+    it('merges a repeat lead by counting it, keeping the first details', async () => {
+        const first = { Name: 'Ana', Whatsapp: '+5521987654321', Experiências: [1], Adults: 2 };
+        await postContact({ request: contactRequest(first), env });
+
+        const repeat = { ...first, Name: 'Ana Souza', Adults: 4 };
+        const response = await postContact({ request: contactRequest(repeat), env });
+
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).duplicate, true);
+        assert.equal(stub.tables[CONTACTS_TABLE_ID].length, 1);
+        assert.deepEqual(stub.requests.at(-1).body, { 'Repeat count': 1 });
+
+        const [row] = stub.tables[CONTACTS_TABLE_ID];
+        assert.equal(row.Name, 'Ana');
+        assert.equal(row.Adults, 2);
+    });
+
+    it('rejects a body that is not a JSON object', async () => {
+        const response = await postContact({ request: contactRequest([1, 2]), env });
+        assert.equal(response.status, 400);
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * Customer reviews: the proxy (functions/_lib/reviews.js, GET /api/reviews) and the
+ * rating helpers shared by the catalog and the /xp middleware (xp/reviews.js)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBaserowStub } from './stubs/baserow.js';
+import { listApprovedReviews } from '../functions/_lib/reviews.js';
+import { onRequestGet as getReviews } from '../functions/api/reviews.js';
+import {
+    getExperienceReviews,
+    getRatingSummary,
+    buildExperienceStructuredData,
+    serializeStructuredData
+} from '../xp/reviews.js';
+
+const TOKEN = 'test-token';
+const REVIEWS_TABLE_ID = 910;
+
+let stub;
+let env;
+
+before(async () => {
+    stub = await startBaserowStub({
+        token: TOKEN,
+        tables: {
+            [REVIEWS_TABLE_ID]: [
+                { id: 1, Experience: [{ id: 7 }], Author: 'Ana', Rating: 5, Text: 'Incrível', Language: 'pt-br', Approved: true, Date: '2026-03-01' },
+                { id: 2, Experience: [{ id: 7 }], Author: 'John', Country: 'USA', Rating: 4, Text: 'Great', Language: 'en-US', Approved: true, Date: '2026-04-10T12:00:00Z' },
+                { id: 3, Experience: [{ id: 7 }], Author: 'Spam', Rating: 1, Approved: false },
+                { id: 4, Experience: [{ id: 8 }], Author: 'Maria', Rating: 3, Approved: true },
+                { id: 5, Experience: [{ id: 8 }], Author: 'Nobody', Rating: 9, Approved: true }
+            ]
+        }
+    });
+    env = { BASEROW_API_URL: stub.url, BASEROW_TOKEN: TOKEN, BASEROW_REVIEWS_TABLE_ID: String(REVIEWS_TABLE_ID) };
+});
+
+after(() => stub.close());
+
+describe('listApprovedReviews', () => {
+    it('returns approved, valid reviews newest first in the public shape', async () => {
+        const reviews = await listApprovedReviews(env);
+
+        assert.deepEqual(reviews.map(review => review.id), [4, 2, 1]);
+        assert.deepEqual(reviews[1], {
+            id: 2,
+            experienceId: 7,
+            author: 'John',
+            country: 'USA',
+            rating: 4,
+            text: 'Great',
+            language: 'en-us',
+            date: '2026-04-10'
+        });
+    });
+
+    it('filters by experience', async () => {
+        const reviews = await listApprovedReviews(env, { experienceId: 7 });
+        assert.deepEqual(reviews.map(review => review.id), [2, 1]);
+    });
+
+    it('returns nothing when no reviews table is configured', async () => {
+        const { BASEROW_REVIEWS_TABLE_ID, ...withoutReviews } = env;
+        assert.deepEqual(await listApprovedReviews(withoutReviews), []);
+        assert.deepEqual(await listApprovedReviews({ ...withoutReviews, BASEROW_REVIEWS_TABLE_ID: 'abc' }), []);
+    });
+});
+
+describe('GET /api/reviews', () => {
+    it('lists the public reviews with a cache header', async () => {
+        const response = await getReviews({ env });
+        const body = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('Cache-Control'), 'public, max-age=300');
+        assert.equal(body.count, 3);
+    });
+
+    it('answers 502 when Baserow fails', async () => {
+        const originalError = console.error;
+        console.error = () => {};
+        try {
+            const response = await getReviews({ env: { ...env, BASEROW_TOKEN: 'wrong' } });
+            assert.equal(response.status, 502);
+        } finally {
+            console.error = originalError;
+        }
+    });
+});
+
+describe('rating helpers', () => {
+    const reviews = [
+        { id: 1, experienceId: 7, author: 'Ana', rating: 5, language: 'pt-br', date: '2026-03-01' },
+        { id: 2, experienceId: 7, author: 'John', rating: 4, language: 'en-us', date: '2026-04-10' },
+        { id: 3, experienceId: 8, author: 'Maria', rating: 3, language: 'pt-br', date: '2026-05-01' }
+    ];
+
+    it('lists the reviews of an experience in the visitor language first', () => {
+        assert.deepEqual(getExperienceReviews(reviews, '7', 'pt-br').map(review => review.id), [1, 2]);
+        assert.deepEqual(getExperienceReviews(reviews, 7, 'en-us').map(review => review.id), [2, 1]);
+    });
+
+    it('averages ratings to one decimal', () => {
+        assert.deepEqual(getRatingSummary(reviews.slice(0, 2)), { average: 4.5, count: 2 });
+        assert.equal(getRatingSummary([]), null);
+    });
+
+    it('builds AggregateRating structured data only with reviews', () => {
+        const data = buildExperienceStructuredData({
+            name: 'Passeio de barco',
+            description: 'Baía de Guanabara',
+            url: 'https://upexperiences.com.br/xp/?exp=7',
+            reviews: reviews.slice(0, 2)
+        });
+
+        assert.equal(data['@type'], 'Product');
+        assert.deepEqual(data.aggregateRating, {
+            '@type': 'AggregateRating',
+            ratingValue: 4.5,
+            reviewCount: 2,
+            bestRating: 5,
+            worstRating: 1
+        });
+        assert.equal(data.review.length, 2);
+        assert.equal(buildExperienceStructuredData({ name: 'X', url: '', reviews: [] }), null);
+    });
+
+    it('serializes structured data safely for an inline script', () => {
+        assert.equal(serializeStructuredData({ text: '</script>' }), '{"text":"\\u003c/script>"}');
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * Localized field mapping (xp/schema.js) and row validation (xp/api.js)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeLocale, getLocaleChain, resolveLocalizedField, isExperienceListed } from '../xp/schema.js';
+import { validateExperienceRow, formatExperienceData, sortExperiences } from '../xp/api.js';
+
+const row = {
+    id: 7,
+    Name_pt_br: 'Passeio de barco',
+    Name_en_us: 'Boat tour',
+    Description_pt_br: 'Pela baía',
+    Description_en_us: ''
+};
+
+describe('locale chain', () => {
+    it('normalizes supported locales only', () => {
+        assert.equal(normalizeLocale('EN_us'), 'en-us');
+        assert.equal(normalizeLocale('fr-fr'), null);
+        assert.equal(normalizeLocale(''), null);
+    });
+
+    it('ends with the default locale, without duplicates', () => {
+        assert.deepEqual(getLocaleChain('es-es'), ['es-es', 'en-us', 'pt-br']);
+        assert.deepEqual(getLocaleChain('pt-br'), ['pt-br', 'en-us']);
+    });
+
+    it('reads the first non-empty column along the chain', () => {
+        assert.deepEqual(resolveLocalizedField(row, 'name', 'en-us'), { value: 'Boat tour', locale: 'en-us' });
+        assert.deepEqual(resolveLocalizedField(row, 'description', 'en-us'), { value: 'Pela baía', locale: 'pt-br' });
+        assert.deepEqual(resolveLocalizedField({ id: 1 }, 'name', 'pt-br'), { value: '', locale: null });
+    });
+});
+
+describe('validateExperienceRow', () => {
+    it('accepts a row with each required field in some locale and reports the gaps', () => {
+        assert.deepEqual(validateExperienceRow(row), { isValid: true, missingColumns: ['Description_en_us'] });
+    });
+
+    it('rejects rows without an id or a required field', () => {
+        assert.deepEqual(validateExperienceRow({ Name_pt_br: 'Sem id' }), { isValid: false, missingColumns: ['id'] });
+        assert.equal(validateExperienceRow({ id: 2, Name_pt_br: 'Sem descrição' }).isValid, false);
+    });
+});
+
+describe('formatExperienceData', () => {
+    it('uses the fallback chain for each field', () => {
+        const experience = formatExperienceData(row, 'en-us');
+
+        assert.equal(experience.name, 'Boat tour');
+        assert.equal(experience.description, 'Pela baía');
+    });
+});
+
+describe('editorial columns', () => {
+    it('lists published rows within their availability window, both days included', () => {
+        assert.equal(isExperienceListed({ Published: false }, '2026-10-19'), false);
+        assert.equal(isExperienceListed({}, '2026-10-19'), true);
+        assert.equal(isExperienceListed({ 'Available from': '2026-10-19', 'Available until': '2026-10-19' }, '2026-10-19'), true);
+        assert.equal(isExperienceListed({ 'Available until': '2026-10-18T23:00:00Z' }, '2026-10-19'), false);
+        assert.equal(isExperienceListed({ 'Available from': '2026-10-20' }, '2026-10-19'), false);
+    });
+
+    it('puts featured rows first, then follows Order, keeping unnumbered rows last', () => {
+        const rows = [
+            { ...row, id: 1 },
+            { ...row, id: 2, Order: '2' },
+            { ...row, id: 3, Order: '1.5' },
+            { ...row, id: 4, Featured: true },
+            { ...row, id: 5 }
+        ];
+        const sorted = sortExperiences(rows.map(experience => formatExperienceData(experience, 'pt-br')));
+
+        assert.deepEqual(sorted.map(experience => experience.id), [4, 3, 2, 1, 5]);
+    });
+});
@@ -0,0 +1,196 @@
+/**
+ * Local stub of the Baserow REST API
+ * Serves in-memory tables over HTTP, so the functions can be exercised without a Baserow account:
+ * the tests start one per suite, and `npm run stub:baserow` starts one for `wrangler pages dev`
+ * (set BASEROW_API_URL=http://localhost:8790 and BASEROW_TOKEN=dev-token in .dev.vars)
+ *
+ * Endpoints, as the proxy uses them (user_field_names=true is assumed):
+ *   GET    /api/database/rows/table/:table/        list (filter__<column>__equal, filter__<column>__boolean,
+ *                                                  filter__<column>__link_row_has, order_by, size, page)
+ *   POST   /api/database/rows/table/:table/        create
+ *   GET    /api/database/rows/table/:table/:row/   read
+ *   PATCH  /api/database/rows/table/:table/:row/   update
+ *   DELETE /api/database/rows/table/:table/:row/   delete
+ *   POST   /api/user-files/upload-file/            upload (multipart, field "file")
+ */
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { EXPERIENCES_TABLE_ID, CONTACTS_TABLE_ID } from '../../functions/_lib/baserow.js';
+
+const DEFAULT_PAGE_SIZE = 100;
+const DEFAULT_PORT = 8790;
+
+const ROWS_PATH = /^\/api\/database\/rows\/table\/(\d+)\/(?:(\d+)\/)?$/;
+const UPLOAD_PATH = '/api/user-files/upload-file/';
+
+/**
+ * Sends a JSON response
+ * @param {ServerResponse} response - Node response
+ * @param {number} status - HTTP status code
+ * @param {*} data - Serializable body
+ */
+function sendJson(response, status, data) {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(data === undefined ? '' : JSON.stringify(data));
+}
+
+/**
+ * Reads a request body
+ * @param {IncomingMessage} request - Node request
+ * @returns {Promise<Buffer>} Raw body
+ */
+async function readBody(request) {
+    const chunks = [];
+    for await (const chunk of request) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Checks a row against the filters of a list request
+ * @param {Object} row - Row
+ * @param {URLSearchParams} params - Query string
+ * @returns {boolean} True if every filter matches
+ */
+function matchesFilters(row, params) {
+    for (const [key, value] of params) {
+        const filter = key.match(/^filter__(.+)__(equal|boolean|link_row_has)$/);
+        if (!filter) continue;
+
+        const [, column, type] = filter;
+        if (type === 'equal' && String(row[column] ?? '') !== value) return false;
+        if (type === 'boolean' && (row[column] === true) !== ['true', '1'].includes(value)) return false;
+        if (type === 'link_row_has' && !(row[column] || []).some(link => String(link.id) === value)) return false;
+    }
+    return true;
+}
+
+/**
+ * Sorts rows like order_by=-id or order_by=Name
+ * @param {Array<Object>} rows - Rows
+ * @param {string|null} orderBy - Column, "-" prefixed for descending
+ * @returns {Array<Object>} Sorted copy
+ */
+function sortRows(rows, orderBy) {
+    if (!orderBy) return [...rows].sort((a, b) => a.id - b.id);
+
+    const descending = orderBy.startsWith('-');
+    const column = orderBy.replace(/^-/, '');
+    return [...rows].sort((a, b) => {
+        const order = a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0;
+        return descending ? -order : order;
+    });
+}
+
+/**
+ * Starts a stub server
+ * @param {Object} options - Stub options
+ * @param {Object} options.tables - Table ID -> array of rows (kept and changed in place)
+ * @param {string} options.token - Database token the requests must send
+ * @param {number} options.port - Port (0 picks a free one)
+ * @returns {Promise<Object>} { url, tables, requests, close }; requests lists
+ *   { method, path, params, body, authorization } of every call
+ */
+export async function startBaserowStub({ tables = {}, token = 'test-token', port = 0 } = {}) {
+    const requests = [];
+    let uploads = 0;
+
+    const server = createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        const raw = await readBody(request);
+        const isJson = (request.headers['content-type'] || '').startsWith('application/json');
+        const body = isJson && raw.length > 0 ? JSON.parse(raw) : raw.toString('latin1');
+        requests.push({
+            method: request.method,
+            path: url.pathname,
+            params: url.searchParams,
+            body,
+            authorization: request.headers.authorization
+        });
+
+        if (request.headers.authorization !== `Token ${token}`) {
+            return sendJson(response, 401, { error: 'ERROR_INVALID_TOKEN' });
+        }
+
+        if (url.pathname === UPLOAD_PATH && request.method === 'POST') {
+            const fileName = String(body).match(/filename="([^"]+)"/)?.[1];
+            if (!fileName) return sendJson(response, 400, { error: 'ERROR_INVALID_FILE' });
+
+            uploads++;
+            const name = `stub${uploads}_${fileName.replace(/[^\w.-]/g, '')}`;
+            return sendJson(response, 200, {
+                name,
+                original_name: fileName,
+                url: `http://${request.headers.host}/media/user_files/${name}`,
+                thumbnails: {},
+                is_image: true
+            });
+        }
+
+        const match = url.pathname.match(ROWS_PATH);
+        const rows = match && tables[match[1]];
+        if (!rows) return sendJson(response, 404, { error: 'ERROR_TABLE_DOES_NOT_EXIST' });
+
+        const rowId = match[2] && Number(match[2]);
+        if (!rowId) {
+            if (request.method === 'POST') {
+                const row = { ...body, id: Math.max(0, ...rows.map(existing => existing.id)) + 1 };
+                rows.push(row);
+                return sendJson(response, 200, row);
+            }
+
+            const size = Number(url.searchParams.get('size')) || DEFAULT_PAGE_SIZE;
+            const page = Number(url.searchParams.get('page')) || 1;
+            const filtered = sortRows(rows.filter(row => matchesFilters(row, url.searchParams)),
+                url.searchParams.get('order_by'));
+            const pageUrl = (number) => {
+                const link = new URL(url);
+                link.host = request.headers.host;
+                link.searchParams.set('page', number);
+                return link.toString();
+            };
+            return sendJson(response, 200, {
+                count: filtered.length,
+                next: page * size < filtered.length ? pageUrl(page + 1) : null,
+                previous: page > 1 ? pageUrl(page - 1) : null,
+                results: filtered.slice((page - 1) * size, page * size)
+            });
+        }
+
+        const index = rows.findIndex(row => row.id === rowId);
+        if (index < 0) return sendJson(response, 404, { error: 'ERROR_ROW_DOES_NOT_EXIST' });
+
+        if (request.method === 'PATCH') {
+            rows[index] = { ...rows[index], ...body, id: rowId };
+            return sendJson(response, 200, rows[index]);
+        }
+        if (request.method === 'DELETE') {
+            rows.splice(index, 1);
+            response.writeHead(204);
+            return response.end();
+        }
+        return sendJson(response, 200, rows[index]);
+    });
+
+    await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        tables,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// `node tests/stubs/baserow.js`: serves the mock catalog as the experiences table
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const fixtures = fileURLToPath(new URL('../../xp/data/mock-experiences.json', import.meta.url));
+    const { results } = JSON.parse(await readFile(fixtures, 'utf8'));
+    const stub = await startBaserowStub({
+        tables: { [EXPERIENCES_TABLE_ID]: results, [CONTACTS_TABLE_ID]: [] },
+        token: process.env.BASEROW_TOKEN || 'dev-token',
+        port: Number(process.env.PORT) || DEFAULT_PORT
+    });
+    console.log(`Baserow stub listening on ${stub.url}`);
+}
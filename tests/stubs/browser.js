@@ -0,0 +1,93 @@
+/**
+ * Catalog page for the browser tests
+ * Loads xp/index.html in jsdom and exposes its window as the globals the xp modules use.
+ * Requests are answered by the test; the ones it leaves out are served from disk when under /xp/
+ */
+
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+const XP_DIR = new URL('../../xp/', import.meta.url);
+
+// Globals the xp modules read, taken from the jsdom window
+const WINDOW_GLOBALS = [
+    'window', 'document', 'localStorage', 'sessionStorage', 'navigator', 'history', 'location',
+    'HTMLElement', 'Event', 'CustomEvent', 'KeyboardEvent', 'FormData', 'Image', 'Node'
+];
+
+/**
+ * Opens the catalog page
+ * @param {Object} options - Page options
+ * @param {string} options.url - Page URL
+ * @param {Object} options.storage - localStorage entries to start with (values are serialized)
+ * @param {Function} options.api - (url, init) -> Response, or null to serve /xp/ files from disk
+ * @param {Function} options.rewriteHtml - Changes index.html before it loads (e.g. what a Pages middleware does)
+ * @returns {Promise<Object>} { window, document, requests }; requests lists every fetched URL
+ */
+export async function openCatalogPage({
+    url = 'https://upexperiences.com.br/xp/',
+    storage = {},
+    api = () => null,
+    rewriteHtml = html => html
+} = {}) {
+    // jsdom runs no scripts: the test imports the modules once the globals are in place
+    const html = rewriteHtml(await readFile(new URL('index.html', XP_DIR), 'utf8'));
+    const dom = new JSDOM(html, { url, pretendToBeVisual: true });
+    const requests = [];
+
+    WINDOW_GLOBALS.forEach(name => {
+        Object.defineProperty(globalThis, name, { value: dom.window[name], configurable: true, writable: true });
+    });
+    Object.entries(storage).forEach(([key, value]) => dom.window.localStorage.setItem(key, JSON.stringify(value)));
+    dom.window.HTMLElement.prototype.scrollIntoView = () => {};
+
+    globalThis.fetch = async (input, init = {}) => {
+        let requestUrl = new URL(String(input), dom.window.location.href);
+        // Modules resolving files from import.meta.url see file: URLs here; on the site they are under /xp/
+        if (requestUrl.href.startsWith(XP_DIR.href)) {
+            requestUrl = new URL(`/xp/${requestUrl.href.slice(XP_DIR.href.length)}`, dom.window.location.origin);
+        }
+        requests.push(requestUrl.pathname + requestUrl.search);
+
+        const answer = await api(requestUrl, init);
+        if (answer) return answer;
+
+        if (requestUrl.origin === dom.window.location.origin && requestUrl.pathname.startsWith('/xp/')) {
+            try {
+                const body = await readFile(new URL(requestUrl.pathname.slice('/xp/'.length), XP_DIR));
+                return new Response(body, { headers: { 'Content-Type': 'application/json' } });
+            } catch {
+                return new Response('Not found', { status: 404 });
+            }
+        }
+
+        return new Response('Not found', { status: 404 });
+    };
+
+    return { window: dom.window, document: dom.window.document, requests };
+}
+
+/**
+ * Builds a JSON response
+ * @param {*} data - Body
+ * @param {number} status - HTTP status code
+ * @returns {Response} Response
+ */
+export function jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+/**
+ * Waits until a condition holds
+ * @param {Function} condition - Checked every few milliseconds
+ * @param {number} timeout - Milliseconds before giving up
+ * @returns {Promise<void>}
+ * @throws {Error} If the condition is still false after the timeout
+ */
+export async function waitFor(condition, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${condition}`);
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
@@ -0,0 +1,97 @@
+/**
+ * In-memory D1 database for the tests
+ * Runs the SQL the functions send on SQLite (sql.js) behind the part of the D1 binding API they
+ * use: prepare().bind().all() / first() / run(), and batch(). Every migration is applied first
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import initSqlJs from 'sql.js';
+
+const MIGRATIONS_DIR = new URL('../../migrations/', import.meta.url);
+
+/**
+ * Reads the rows of a statement as objects
+ * @param {Object} sqlite - sql.js database
+ * @param {string} sql - SQL text
+ * @param {Array} values - Bound values (?1, ?2... in order)
+ * @returns {Array<Object>} Rows
+ */
+function queryRows(sqlite, sql, values) {
+    const statement = sqlite.prepare(sql);
+    try {
+        statement.bind(values);
+        const rows = [];
+        while (statement.step()) rows.push(statement.getAsObject());
+        return rows;
+    } finally {
+        statement.free();
+    }
+}
+
+/**
+ * Creates a prepared statement like D1's
+ * @param {Object} sqlite - sql.js database
+ * @param {string} sql - SQL text
+ * @param {Array} values - Bound values
+ * @returns {Object} Statement
+ */
+function createStatement(sqlite, sql, values = []) {
+    const run = () => {
+        const results = queryRows(sqlite, sql, values.map(value => value ?? null));
+        return {
+            success: true,
+            results,
+            meta: {
+                changes: sqlite.getRowsModified(),
+                last_row_id: queryRows(sqlite, 'SELECT last_insert_rowid() AS id', [])[0].id
+            }
+        };
+    };
+
+    return {
+        bind: (...boundValues) => createStatement(sqlite, sql, boundValues),
+        all: async () => run(),
+        run: async () => run(),
+        first: async (column) => {
+            const [row] = run().results;
+            if (!row) return null;
+            return column ? row[column] : row;
+        },
+        execute: run
+    };
+}
+
+/**
+ * Creates a database with every migration applied
+ * @returns {Promise<Object>} D1-like binding ({ prepare, batch, exec, close })
+ */
+export async function createD1Database() {
+    const SQL = await initSqlJs();
+    const sqlite = new SQL.Database();
+
+    const migrations = (await readdir(MIGRATIONS_DIR)).filter(name => name.endsWith('.sql')).sort();
+    for (const name of migrations) {
+        sqlite.exec(await readFile(new URL(name, MIGRATIONS_DIR), 'utf8'));
+    }
+
+    return {
+        prepare: (sql) => createStatement(sqlite, sql),
+        // D1 runs a batch as one transaction
+        batch: async (statements) => {
+            sqlite.exec('BEGIN');
+            try {
+                const results = statements.map(statement => statement.execute());
+                sqlite.exec('COMMIT');
+                return results;
+            } catch (error) {
+                sqlite.exec('ROLLBACK');
+                throw error;
+            }
+        },
+        exec: async (sql) => {
+            sqlite.exec(sql);
+            return { count: 1 };
+        },
+        close: () => sqlite.close()
+    };
+}
@@ -0,0 +1,19 @@
+/**
+ * In-memory KV namespace for the tests
+ * Implements the part of the KV binding the functions use (get, put); expirations are ignored
+ */
+
+/**
+ * Creates an empty namespace
+ * @returns {Object} KV-like binding ({ get, put }) plus the stored values
+ */
+export function createKvNamespace() {
+    const values = new Map();
+    return {
+        values,
+        get: async (key) => values.get(key) ?? null,
+        put: async (key, value) => {
+            values.set(key, String(value));
+        }
+    };
+}
@@ -0,0 +1,81 @@
+/**
+ * Trip selection (xp/trip.js) on the catalog page
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { openCatalogPage, jsonResponse, waitFor } from './stubs/browser.js';
+
+const rows = Array.from({ length: 11 }, (_, index) => ({
+    id: index + 1,
+    Name_pt_br: `Experiência ${index + 1}`,
+    Description_pt_br: 'Passeio',
+    'Image URL': `https://images.example.com/${index + 1}.jpg`
+}));
+
+// CMS text must stay text in the drawer
+rows[0].Name_pt_br = 'Barco <img src=x onerror="alert(1)">';
+
+let page;
+
+/**
+ * Finds the "add to trip" toggle of an experience card
+ * @param {number} id - Experience ID
+ * @returns {HTMLButtonElement} Toggle
+ */
+const getToggle = (id) => page.document.querySelector(`#dynamicData .trip-btn[data-experience-id="${id}"]`);
+
+/**
+ * Reads the saved trip
+ * @returns {Array<number>} Experience IDs
+ */
+const getSavedTrip = () => JSON.parse(page.window.localStorage.getItem('upx:trip')).ids.map(Number);
+
+before(async () => {
+    page = await openCatalogPage({
+        api: (url) => (url.pathname === '/api/experiences'
+            ? jsonResponse({ count: rows.length, next: null, previous: null, results: rows })
+            : null)
+    });
+    await import('../xp/main.js');
+    await waitFor(() => getToggle(11));
+});
+
+describe('trip selection', () => {
+    it('adds and removes experiences from the cards', () => {
+        getToggle(1).click();
+        getToggle(2).click();
+        getToggle(2).click();
+
+        assert.deepEqual(getSavedTrip(), [1]);
+        assert.equal(getToggle(1).getAttribute('aria-pressed'), 'true');
+        assert.equal(page.document.getElementById('tripCount').textContent, '1');
+    });
+
+    it('opens the drawer with a notice when the trip is full', () => {
+        for (let id = 2; id <= 11; id++) getToggle(id).click();
+
+        const notice = page.document.getElementById('trip-notice');
+        assert.equal(getSavedTrip().length, 10);
+        assert.ok(page.document.getElementById('trip-drawer'));
+        assert.equal(notice.classList.contains('hidden'), false);
+        assert.match(notice.textContent, /10/);
+    });
+
+    it('lists the selected names as text', () => {
+        const item = page.document.querySelector('#trip-items li');
+
+        assert.equal(item.querySelector('img'), null);
+        assert.equal(item.querySelector('p').textContent, rows[0].Name_pt_br);
+        assert.equal(item.querySelector('.trip-item-remove').getAttribute('aria-label'), `Remover: ${rows[0].Name_pt_br}`);
+    });
+
+    it('hides the notice once an experience is removed', () => {
+        const drawer = page.document.getElementById('trip-drawer');
+        drawer.querySelector('.trip-item-remove').click();
+
+        assert.equal(getSavedTrip().length, 9);
+        assert.equal(drawer.querySelector('#trip-notice').classList.contains('hidden'), true);
+        assert.equal(drawer.querySelectorAll('#trip-items li').length, 9);
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * Conversion funnel analytics
+ * Named events from the catalog to the lead are batched to /api/events, which stores them for
+ * the per-experience report at /admin/analytics:
+ *   catalog_rendered, experience_impression, contact_click, modal_open, modal_abandon,
+ *   lead_submitted, lead_failed, whatsapp_opened
+ * Events only carry experience ids, a few fixed properties and a random per-tab session id,
+ * never what the visitor typed. Nothing is sent when the browser asks not to be tracked
+ */
+
+import { createIdempotencyKey } from './utils.js';
+import { createBeaconQueue } from './beacon.js';
+
+const EVENTS_URL = '/api/events';
+
+// Random id grouping the events of one tab, so each funnel step counts visitors, not clicks
+const SESSION_STORAGE_KEY = 'upx:session';
+
+// Batching: send after a short delay, or at once when the batch is full
+const BATCH_DELAY_MS = 3000;
+const MAX_BATCH_SIZE = 20;
+
+// Share of a card that must be on screen for it to count as seen
+const IMPRESSION_THRESHOLD = 0.5;
+
+const events = createBeaconQueue(EVENTS_URL, 'events', { delay: BATCH_DELAY_MS, maxBatchSize: MAX_BATCH_SIZE });
+
+let sessionId = null;
+let impressionObserver = null;
+
+// Experiences already counted as seen on this page (cards are re-rendered on every filter change)
+const seenExperienceIds = new Set();
+
+/**
+ * Checks whether the visitor opted out of tracking (Do Not Track or Global Privacy Control)
+ * @returns {boolean} True if events may be sent
+ */
+function isTrackingAllowed() {
+    return navigator.doNotTrack !== '1' && window.doNotTrack !== '1' && !navigator.globalPrivacyControl;
+}
+
+/**
+ * Gets the session id of this tab, creating it on first use
+ * @returns {string} Session id
+ */
+function getSessionId() {
+    if (sessionId) return sessionId;
+
+    try {
+        sessionId = sessionStorage.getItem(SESSION_STORAGE_KEY);
+        if (!sessionId) {
+            sessionId = createIdempotencyKey();
+            sessionStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+        }
+    } catch {
+        // Storage blocked (private mode): the session lasts for this page only
+        sessionId = sessionId || createIdempotencyKey();
+    }
+    return sessionId;
+}
+
+/**
+ * Records a funnel event
+ * e.g. trackEvent('contact_click', { experienceIds: [12], source: 'card' })
+ * @param {string} name - Event name (see the list above)
+ * @param {Object} properties - Event properties
+ * @param {Array<number>} properties.experienceIds - Experiences the event is about
+ */
+export function trackEvent(name, { experienceIds = [], ...properties } = {}) {
+    try {
+        if (!isTrackingAllowed()) return;
+
+        events.push({
+            name,
+            sessionId: getSessionId(),
+            experienceIds: experienceIds.map(Number),
+            properties,
+            time: new Date().toISOString()
+        });
+    } catch {
+        // Analytics must never break the page
+    }
+}
+
+/**
+ * Counts an experience as seen once its card is mostly on screen (once per page)
+ * @param {HTMLElement} element - Experience card
+ * @param {number} experienceId - Experience ID
+ */
+export function observeImpression(element, experienceId) {
+    if (!('IntersectionObserver' in window) || !isTrackingAllowed()) return;
+    if (seenExperienceIds.has(Number(experienceId))) return;
+
+    impressionObserver ??= new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            impressionObserver.unobserve(entry.target);
+
+            const id = Number(entry.target.dataset.experienceId);
+            if (seenExperienceIds.has(id)) return;
+            seenExperienceIds.add(id);
+            trackEvent('experience_impression', { experienceIds: [id] });
+        });
+    }, { threshold: IMPRESSION_THRESHOLD });
+
+    element.dataset.experienceId = experienceId;
+    impressionObserver.observe(element);
+}
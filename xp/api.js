@@ -1,116 +1,177 @@
 /**
- * API functions for Baserow integration
- * Handles all communication with the Baserow database
+ * API functions for the experience catalog
+ * Delegates reads and writes to the active data source (see sources/index.js)
  */
 
-import { isValidImageUrl } from './utils.js';
+import { isValidImageUrl, slugify, getTodayIsoDate } from './utils.js';
+import { createUrlImage, createFileImage } from './images.js';
+import { createLogger } from './logger.js';
+import { getExperiencePrices, getPriceLines } from './pricing.js';
+import { getAttribution } from './attribution.js';
+import { trackEvent } from './analytics.js';
+import { getDataSource, getDataSourceName, FALLBACK_SOURCE } from './sources/index.js';
+import {
+    SUPPORTED_LOCALES,
+    EXPERIENCE_COLUMNS,
+    REQUIRED_LOCALIZED_FIELDS,
+    resolveLocalizedField,
+    getMissingLocalizedColumns,
+    isExperienceListed
+} from './schema.js';
 
-// API Configuration - keeping token hardcoded as requested
-const BASEROW_TOKEN = 'B1DXUzsApnrWG5NVa4KVTLloCaenctec';
-const EXPERIENCES_TABLE_URL = 'https://api.baserow.io/api/database/rows/table/583812/?user_field_names=true';
-const CONTACTS_TABLE_URL = 'https://api.baserow.io/api/database/rows/table/592260/?user_field_names=true';
+const logger = createLogger('API');
 
 /**
- * Base headers for Baserow API requests
+ * Fetches all experiences from the active data source
+ * Falls back to the bundled static catalog if the source fails
+ * @param {Object} options - Fetch options
+ * @param {Function} options.onPage - Optional callback called with (results, pageNumber, count)
+ *   as each page arrives, so the UI can render incrementally
+ * @param {boolean} options.fallback - Use the static catalog when the source fails (default true);
+ *   fallback data is marked with isFallback, as it must never replace saved data
+ * @param {AbortSignal} options.signal - Optional signal to cancel the request
+ * @returns {Promise<Object>} API response with every page's results merged
+ * @throws {ApiError|DOMException} Typed API error, or the abort reason when cancelled
  */
-const getBaseHeaders = () => ({
-    'Authorization': `Token ${BASEROW_TOKEN}`,
-    'Content-Type': 'application/json'
-});
+export async function fetchExperiences({ onPage, fallback = true, signal } = {}) {
+    const sourceName = getDataSourceName();
 
-/**
- * Fetches experiences data from Baserow
- * @returns {Promise<Object>} API response with experiences data
- * @throws {Error} If the request fails
- */
-export async function fetchExperiences() {
     try {
-        console.log('[API] Fetching experiences from:', EXPERIENCES_TABLE_URL);
-        console.log('[API] Using headers:', getBaseHeaders());
+        return await getDataSource(sourceName).fetchExperiences({ onPage, signal });
+    } catch (error) {
+        if (signal?.aborted) throw error;
 
-        const response = await fetch(EXPERIENCES_TABLE_URL, {
-            headers: getBaseHeaders()
-        });
+        logger.error('Error fetching experiences:', error);
 
-        console.log('[API] Response status:', response.status);
-        console.log('[API] Response headers:', [...response.headers.entries()]);
+        const fallbackData = fallback ? await fetchFallbackExperiences(sourceName, onPage, signal) : null;
+        if (fallbackData) return fallbackData;
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('[API] Error response body:', errorText);
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
+        throw error;
+    }
+}
 
-        const data = await response.json();
-        console.log('[API] Data received:', data);
+/**
+ * Loads experiences from the fallback source after the active one failed
+ * @param {string} failedSourceName - Name of the source that failed
+ * @param {Function} onPage - Page callback forwarded to the fallback source
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<Object|null>} Fallback data, or null if unavailable or empty (both are reported)
+ */
+async function fetchFallbackExperiences(failedSourceName, onPage, signal) {
+    // The mock source is for development; never hide its failures
+    if (failedSourceName === FALLBACK_SOURCE || failedSourceName === 'mock') return null;
 
-        // Validate response structure
-        if (!data.results || !Array.isArray(data.results)) {
-            console.error('[API] Invalid data structure:', data);
-            throw new Error('Invalid response format from API');
+    try {
+        logger.warn(`Falling back to ${FALLBACK_SOURCE} experiences`);
+        const data = await getDataSource(FALLBACK_SOURCE).fetchExperiences({ signal });
+        if (data.results.length === 0) {
+            // Nothing to show: the snapshot was never generated or lost its rows
+            logger.error(`${FALLBACK_SOURCE} experiences are empty; run npm run snapshot:experiences`);
+            return null;
         }
 
-        console.log('[API] Successfully fetched', data.results.length, 'experiences');
-        return data;
+        if (onPage) {
+            onPage(data.results, 1, data.count);
+        }
+        return { ...data, isFallback: true };
     } catch (error) {
-        console.error('[API] Error fetching experiences:', error);
-        console.error('[API] Error name:', error.name);
-        console.error('[API] Error message:', error.message);
-        console.error('[API] Error stack:', error.stack);
-        throw new Error('Não foi possível carregar as experiências. Tente novamente mais tarde.');
+        logger.error('Fallback source failed:', error);
+        return null;
     }
 }
 
 /**
- * Submits a contact form to Baserow
+ * Submits a contact form to the active data source
+ * The visitor's attribution (UTMs, referrer, landing page) is attached automatically
  * @param {Object} contactData - Contact form data
  * @param {string} contactData.name - Customer name
- * @param {string} contactData.whatsapp - WhatsApp number
- * @param {number} contactData.experienceId - ID of the selected experience
+ * @param {string} contactData.whatsapp - Phone number (required unless the channel is email)
+ * @param {string} contactData.email - Email address (required when the channel is email)
+ * @param {string} contactData.channel - Preferred contact channel ('WhatsApp', 'Email' or 'Telefone')
+ * @param {Array<number>} contactData.experienceIds - IDs of the selected experiences (one lead for the whole trip)
  * @param {string} contactData.cupom - Optional coupon code
+ * @param {string} contactData.date - Desired date as YYYY-MM-DD
+ * @param {number} contactData.adults - Number of adults
+ * @param {number} contactData.children - Number of children
+ * @param {string} contactData.timeSlot - Optional preferred time slot
+ * @param {string} contactData.language - Language the visitor browsed the catalog in
+ * @param {string} contactData.idempotencyKey - Key identifying this submission (see createIdempotencyKey)
  * @returns {Promise<Object>} API response
- * @throws {Error} If the request fails
+ * @throws {ApiError} Typed error describing why the request failed
  */
-export async function submitContact({ name, whatsapp, experienceId, cupom }) {
+export async function submitContact({ name, whatsapp, email, channel = 'WhatsApp', experienceIds, cupom, date, adults, children = 0, timeSlot, language, idempotencyKey }) {
     try {
-        // Prepare request body
-        const body = {
-            Name: name.trim(),
-            Whatsapp: whatsapp.trim(),
-            Experiências: [Number(experienceId)]
-        };
-
-        // Add coupon if provided
-        if (cupom && cupom.trim()) {
-            body.Parceiro_id = cupom.trim();
-        }
-
-        const response = await fetch(CONTACTS_TABLE_URL, {
-            method: 'POST',
-            headers: getBaseHeaders(),
-            body: JSON.stringify(body)
+        const result = await getDataSource().submitContact({
+            name: name.trim(),
+            whatsapp: whatsapp ? whatsapp.trim() : '',
+            email: email ? email.trim().toLowerCase() : '',
+            channel,
+            experienceIds: experienceIds.map(Number),
+            cupom: cupom ? cupom.trim().toUpperCase() : '',
+            date,
+            adults: Number(adults),
+            children: Number(children) || 0,
+            timeSlot: timeSlot ? timeSlot.trim() : '',
+            language: language || '',
+            attribution: getAttribution(),
+            idempotencyKey
         });
+        trackEvent('lead_submitted', { experienceIds, channel });
+        return result;
+    } catch (error) {
+        logger.error('Error submitting contact:', error);
+        trackEvent('lead_failed', { experienceIds, channel, reason: error.name });
+        throw error;
+    }
+}
 
-        const responseData = await response.json();
+/**
+ * Checks a coupon for the selected experiences
+ * @param {Object} options - Coupon options
+ * @param {string} options.code - Coupon code as typed
+ * @param {Array<number>} options.experienceIds - IDs of the selected experiences
+ * @param {AbortSignal} options.signal - Optional signal to cancel the check
+ * @returns {Promise<Object>} { valid: true, code, discount } or { valid: false, reason }
+ * @throws {ApiError|DOMException} Typed API error, or the abort reason when cancelled
+ */
+export async function validateCoupon({ code, experienceIds, signal }) {
+    return getDataSource().validateCoupon({
+        code: code.trim().toUpperCase(),
+        experienceIds: experienceIds.map(Number),
+        signal
+    });
+}
 
-        if (!response.ok) {
-            console.error('Baserow error:', responseData);
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
+/**
+ * Fetches the approved customer reviews of every experience
+ * Reviews are optional: callers should keep the catalog working when this fails
+ * @param {Object} options - Fetch options
+ * @param {AbortSignal} options.signal - Optional signal to cancel the request
+ * @returns {Promise<Array<Object>>} Reviews ({ id, experienceId, author, country, rating, text, language, date })
+ * @throws {ApiError|DOMException} Typed API error, or the abort reason when cancelled
+ */
+export async function fetchReviews({ signal } = {}) {
+    return getDataSource().fetchReviews({ signal });
+}
 
-        return responseData;
-    } catch (error) {
-        console.error('Error submitting contact:', error);
-        
-        // Provide user-friendly error messages
-        if (error.message.includes('HTTP error')) {
-            throw new Error('Erro no servidor. Tente novamente em alguns minutos.');
-        } else if (error.name === 'TypeError' && error.message.includes('fetch')) {
-            throw new Error('Erro de conexão. Verifique sua internet e tente novamente.');
-        } else {
-            throw new Error('Erro ao enviar mensagem. Tente novamente.');
-        }
+/**
+ * Validates a raw experience row against the schema
+ * A row is valid when it has an id and every required localized field
+ * in at least one locale; empty columns for other locales are reported
+ * @param {Object} experience - Raw experience row
+ * @returns {Object} { isValid, missingColumns }
+ */
+export function validateExperienceRow(experience) {
+    if (!experience || typeof experience !== 'object' || !experience.id) {
+        return { isValid: false, missingColumns: ['id'] };
     }
+
+    const missingColumns = getMissingLocalizedColumns(experience);
+    const hasRequiredFields = REQUIRED_LOCALIZED_FIELDS.every(field =>
+        SUPPORTED_LOCALES.some(locale => resolveLocalizedField(experience, field, locale).value)
+    );
+
+    return { isValid: hasRequiredFields, missingColumns };
 }
 
 /**
@@ -119,81 +180,182 @@ export async function submitContact({ name, whatsapp, experienceId, cupom }) {
  * @returns {boolean} True if valid experience structure
  */
 export function validateExperienceData(experience) {
-    const hasValidId = experience && typeof experience === 'object' && experience.id;
-    const hasValidName = experience.Name_pt_br || experience.Name_en_us;
-    const hasValidDescription = experience.Description_pt_br || experience.Description_en_us;
-    
+    const { isValid, missingColumns } = validateExperienceRow(experience);
+
+    if (missingColumns.length > 0) {
+        const rowId = experience?.id ?? '(no id)';
+        // Rows without their required columns are hidden: worth reporting to us
+        const log = isValid ? logger.info : logger.warn;
+        log(`Experience ${rowId} is missing: ${missingColumns.join(', ')}`);
+    }
+
+    if (!isValid) return false;
+
     // Optional: Check if has some form of image (Image URL field or Image array)
+    const imageUrlField = experience[EXPERIENCE_COLUMNS.imageUrl];
+    const imagesField = experience[EXPERIENCE_COLUMNS.images];
     const hasImage = 
-        (experience['Image URL'] && typeof experience['Image URL'] === 'string') ||
-        (experience.Image && Array.isArray(experience.Image) && experience.Image.length > 0);
+        (imageUrlField && typeof imageUrlField === 'string') ||
+        (Array.isArray(imagesField) && imagesField.length > 0);
     
     // Log warning if no image found (but don't fail validation)
-    if (hasValidId && hasValidName && hasValidDescription && !hasImage) {
-        console.warn(`Experience ${experience.id} has no image (neither Image URL nor Image array)`);
+    if (!hasImage) {
+        logger.debug(`Experience ${experience.id} has no image (neither ${EXPERIENCE_COLUMNS.imageUrl} nor ${EXPERIENCE_COLUMNS.images} array)`);
     }
     
-    return hasValidId && hasValidName && hasValidDescription;
+    return true;
 }
 
 /**
- * Formats experience data for rendering
- * @param {Object} experience - Raw experience data from API
- * @param {string} language - Current language ('pt-br' or 'en-us')
- * @returns {Object} Formatted experience data
+ * Checks whether an experience is published and available today
+ * Unlisted rows are left out of the catalog, deep links and the trip selection
+ * @param {Object} experience - Raw experience row
+ * @returns {boolean} True if the experience should be shown
  */
-export function formatExperienceData(experience, language) {
-    const name = language === 'en-us' ? experience.Name_en_us : experience.Name_pt_br;
-    const description = language === 'en-us' ? experience.Description_en_us : experience.Description_pt_br;
-    
-    // Extract image URL - Priority: Image URL field > Image thumbnails > fallback
-    let imageUrl = '';
-    
-    // First try: Check for Image URL field (direct URL)
-    if (experience['Image URL'] && typeof experience['Image URL'] === 'string') {
-        const candidateUrl = experience['Image URL'].trim();
-        if (isValidImageUrl(candidateUrl)) {
-            imageUrl = candidateUrl;
-        } else {
-            console.warn(`Invalid Image URL for experience ${experience.id}: ${candidateUrl}`);
-        }
+export function isExperienceVisible(experience) {
+    return isExperienceListed(experience, getTodayIsoDate());
+}
+
+/**
+ * Sorts formatted experiences in editorial order
+ * Featured first, then by Order (rows without one keep the source order, after numbered rows)
+ * @param {Array<Object>} experiences - Formatted experiences
+ * @returns {Array<Object>} New sorted array
+ */
+export function sortExperiences(experiences) {
+    const orderOf = (experience) => (experience.order === null ? Infinity : experience.order);
+
+    return [...experiences].sort((a, b) =>
+        (Number(b.featured) - Number(a.featured)) || (orderOf(a) - orderOf(b)) || 0
+    );
+}
+
+/**
+ * Reads the editorial order of an experience
+ * @param {Object} experience - Raw experience row
+ * @returns {number|null} Order, or null when empty (Baserow sends decimals as strings)
+ */
+function getExperienceOrder(experience) {
+    const value = experience[EXPERIENCE_COLUMNS.order];
+    if (value === null || value === undefined || value === '') return null;
+
+    const order = Number(value);
+    return Number.isFinite(order) ? order : null;
+}
+
+// Weekday prefixes (Portuguese and English) -> Date#getDay() index
+const WEEKDAY_PREFIXES = {
+    dom: 0, sun: 0,
+    seg: 1, mon: 1,
+    ter: 2, tue: 2,
+    qua: 3, wed: 3,
+    qui: 4, thu: 4,
+    sex: 5, fri: 5,
+    sab: 6, sat: 6
+};
+
+/**
+ * Reads the values of a select-like field
+ * Accepts Baserow single/multiple select options or comma-separated text
+ * @param {*} field - Raw field value
+ * @returns {Array<string>} Trimmed, non-empty values
+ */
+function getSelectValues(field) {
+    if (!field) return [];
+
+    let values;
+    if (Array.isArray(field)) {
+        values = field.map(option => (typeof option === 'string' ? option : option?.value));
+    } else if (typeof field === 'object') {
+        values = [field.value];
+    } else {
+        values = String(field).split(',');
     }
-    
-    // Second try: Check for Image array with thumbnails (existing logic)
-    if (!imageUrl && experience.Image && 
-        Array.isArray(experience.Image) && 
-        experience.Image[0] && 
-        experience.Image[0].thumbnails && 
-        experience.Image[0].thumbnails.card_cover) {
-        const candidateUrl = experience.Image[0].thumbnails.card_cover.url;
-        if (isValidImageUrl(candidateUrl)) {
-            imageUrl = candidateUrl;
+
+    return values
+        .map(value => (value || '').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Extracts categories from a raw experience row
+ * @param {Object} experience - Raw experience row
+ * @returns {Array<Object>} Categories as { slug, value }
+ */
+function getExperienceCategories(experience) {
+    return getSelectValues(experience[EXPERIENCE_COLUMNS.categories])
+        .map(value => ({ slug: slugify(value), value }));
+}
+
+/**
+ * Extracts the weekdays an experience runs on
+ * Unrecognized values are ignored; if none is recognized the experience runs every day
+ * @param {Object} experience - Raw experience row
+ * @returns {Array<number>|null} Sorted weekday indexes (0 = Sunday), or null for every day
+ */
+function getOperatingWeekdays(experience) {
+    const weekdays = getSelectValues(experience[EXPERIENCE_COLUMNS.operatingDays])
+        .map(value => WEEKDAY_PREFIXES[slugify(value).slice(0, 3)])
+        .filter(weekday => weekday !== undefined);
+
+    return weekdays.length > 0 ? [...new Set(weekdays)].sort((a, b) => a - b) : null;
+}
+
+/**
+ * Collects every image of an experience for the card and the gallery
+ * The Image URL field comes first, then each file of the Image array
+ * @param {Object} experience - Raw experience row
+ * @returns {Array<Object>} Image models (see images.js)
+ */
+function getExperienceImages(experience) {
+    const images = [];
+    const imageUrlField = experience[EXPERIENCE_COLUMNS.imageUrl];
+    const files = experience[EXPERIENCE_COLUMNS.images];
+
+    if (typeof imageUrlField === 'string' && imageUrlField.trim()) {
+        if (isValidImageUrl(imageUrlField)) {
+            images.push(createUrlImage(imageUrlField.trim()));
+        } else {
+            logger.warn(`Invalid Image URL for experience ${experience.id}: ${imageUrlField}`);
         }
     }
-    
-    // Third try: Check for Image array with original URL
-    if (!imageUrl && experience.Image && 
-        Array.isArray(experience.Image) && 
-        experience.Image[0] && 
-        experience.Image[0].url) {
-        const candidateUrl = experience.Image[0].url;
-        if (isValidImageUrl(candidateUrl)) {
-            imageUrl = candidateUrl;
-        }
+
+    if (Array.isArray(files)) {
+        images.push(...files.map(createFileImage).filter(Boolean));
     }
 
-    // Log for debugging
-    if (!imageUrl) {
-        console.info(`No valid image found for experience ${experience.id} (${name})`);
-    } else {
-        console.info(`Using image URL for experience ${experience.id}: ${imageUrl}`);
+    return images;
+}
+
+/**
+ * Formats experience data for rendering
+ * @param {Object} experience - Raw experience data from API
+ * @param {string} language - Current language (see SUPPORTED_LOCALES)
+ * @returns {Object} Formatted experience data
+ */
+export function formatExperienceData(experience, language) {
+    const name = resolveLocalizedField(experience, 'name', language).value;
+    const description = resolveLocalizedField(experience, 'description', language).value;
+    const prices = getExperiencePrices(experience, EXPERIENCE_COLUMNS);
+    const images = getExperienceImages(experience);
+
+    if (images.length === 0) {
+        logger.debug(`No valid image found for experience ${experience.id} (${name})`);
     }
 
     return {
         id: experience.id,
         name: name || 'Experiência sem nome',
         description: description || 'Descrição não disponível',
-        imageUrl,
+        // Cover of the card; availability is checked when it loads (see images.js)
+        image: images[0] || null,
+        images,
+        categories: getExperienceCategories(experience),
+        prices,
+        priceLines: getPriceLines(prices, language),
+        operatingWeekdays: getOperatingWeekdays(experience),
+        featured: experience[EXPERIENCE_COLUMNS.featured] === true,
+        order: getExperienceOrder(experience),
         originalData: experience
     };
 }
\ No newline at end of file
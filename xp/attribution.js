@@ -0,0 +1,22 @@
+/**
+ * Bridge to the site-wide attribution script (/attribution.js)
+ * The script is shared with the non-module pages (/, /casas, /doha), so it exposes window.UpAttribution
+ */
+
+/**
+ * Gets the visitor's attribution data
+ * @returns {Object|null} { cupom, utm_source, utm_medium, utm_campaign, utm_term, utm_content, referrer, landingPage }
+ *   (only the captured keys), or null when nothing was captured or it expired
+ */
+export function getAttribution() {
+    return window.UpAttribution?.get() || null;
+}
+
+/**
+ * Appends the visitor's partner code and campaign to a WhatsApp message
+ * @param {string} message - Message text
+ * @returns {string} Message with the reference line (unchanged when there is nothing to add)
+ */
+export function appendAttributionToMessage(message) {
+    return window.UpAttribution ? window.UpAttribution.appendToMessage(message) : message;
+}
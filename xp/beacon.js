@@ -0,0 +1,78 @@
+/**
+ * Batched reports to our own endpoints
+ * Shared by the logger (/api/log) and analytics (/api/events): items are queued, sent after a
+ * short delay or as soon as the batch is full, and flushed with sendBeacon when the page is
+ * hidden, so they still leave while the visitor is closing the tab
+ */
+
+/**
+ * Sends a JSON body without waiting for (or caring about) the answer
+ * @param {string} url - Endpoint URL
+ * @param {Object} data - Serializable body
+ */
+function sendJson(url, data) {
+    const body = JSON.stringify(data);
+
+    try {
+        const blob = new Blob([body], { type: 'application/json' });
+        if (navigator.sendBeacon?.(url, blob)) return;
+
+        fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            keepalive: true
+        }).catch(() => {});
+    } catch {
+        // Reporting must never break the page
+    }
+}
+
+/**
+ * Creates a queue whose items are posted in batches as { [key]: items }
+ * @param {string} url - Endpoint URL
+ * @param {string} key - Body property holding the batch (e.g. 'entries')
+ * @param {Object} options - Batching options
+ * @param {number} options.delay - Milliseconds to wait for more items before sending
+ * @param {number} options.maxBatchSize - Items that trigger an immediate send
+ * @returns {Object} { push(item), flush() }
+ */
+export function createBeaconQueue(url, key, { delay, maxBatchSize }) {
+    let queue = [];
+    let flushTimer = null;
+    let isFlushOnHideSetUp = false;
+
+    const flush = () => {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        if (queue.length === 0) return;
+
+        const batch = queue;
+        queue = [];
+        sendJson(url, { [key]: batch });
+    };
+
+    // Pending items leave when the visitor closes or hides the page
+    const setupFlushOnHide = () => {
+        if (isFlushOnHideSetUp) return;
+        isFlushOnHideSetUp = true;
+
+        window.addEventListener('pagehide', flush);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') flush();
+        });
+    };
+
+    const push = (item) => {
+        queue.push(item);
+        setupFlushOnHide();
+
+        if (queue.length >= maxBatchSize) {
+            flush();
+        } else if (!flushTimer) {
+            flushTimer = setTimeout(flush, delay);
+        }
+    };
+
+    return { push, flush };
+}
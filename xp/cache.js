@@ -0,0 +1,84 @@
+/**
+ * Persistent cache for the experience catalog
+ * Stores the last API response in localStorage for stale-while-revalidate rendering
+ */
+
+import { getDataSourceName } from './sources/index.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Cache');
+
+// Bump the version whenever the cached data shape changes
+const CACHE_KEY_PREFIX = 'upx:experiences';
+const CACHE_VERSION = 1;
+
+// Data younger than this is shown without revalidating
+const FRESH_TTL_MS = 5 * 60 * 1000;
+
+// Data older than this is discarded entirely
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Gets the storage key for the active data source
+ * Keeps e.g. mock fixtures from ever replacing the real catalog
+ * @returns {string} localStorage key
+ */
+function getCacheKey() {
+    return `${CACHE_KEY_PREFIX}:${getDataSourceName()}`;
+}
+
+/**
+ * Reads the cached experiences, if any
+ * @returns {Object|null} { data, savedAt, isFresh } or null when missing, outdated or unreadable
+ */
+export function readExperiencesCache() {
+    try {
+        const raw = localStorage.getItem(getCacheKey());
+        if (!raw) return null;
+
+        const entry = JSON.parse(raw);
+        const age = Date.now() - entry.savedAt;
+
+        if (entry.version !== CACHE_VERSION || !entry.data || !Array.isArray(entry.data.results) || !(age < MAX_AGE_MS)) {
+            clearExperiencesCache();
+            return null;
+        }
+
+        return {
+            data: entry.data,
+            savedAt: entry.savedAt,
+            isFresh: age < FRESH_TTL_MS
+        };
+    } catch (error) {
+        logger.warn('Could not read experiences cache:', error);
+        return null;
+    }
+}
+
+/**
+ * Saves experiences to the persistent cache
+ * @param {Object} data - API response with experiences data
+ */
+export function writeExperiencesCache(data) {
+    try {
+        localStorage.setItem(getCacheKey(), JSON.stringify({
+            version: CACHE_VERSION,
+            savedAt: Date.now(),
+            data: { count: data.count, results: data.results }
+        }));
+    } catch (error) {
+        // Storage can be full or unavailable (e.g. private browsing)
+        logger.warn('Could not write experiences cache:', error);
+    }
+}
+
+/**
+ * Removes the cached experiences
+ */
+export function clearExperiencesCache() {
+    try {
+        localStorage.removeItem(getCacheKey());
+    } catch (error) {
+        logger.warn('Could not clear experiences cache:', error);
+    }
+}
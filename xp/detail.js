@@ -0,0 +1,550 @@
+/**
+ * Experience detail view
+ * Deep-linkable (?exp=<id>) overlay with image gallery, full description, reviews, contact CTA and sharing
+ */
+
+import { getTranslation } from './locale/translate.js';
+import { getUrlParam, formatIsoDate } from './utils.js';
+import { createTripButton } from './trip.js';
+import { createResponsiveImage, GALLERY_IMAGE_SIZES } from './images.js';
+import { html } from './html.js';
+import { renderMarkdown, stripMarkdown } from './markdown.js';
+import {
+    STRUCTURED_DATA_ID,
+    getStarsHtml,
+    buildExperienceStructuredData,
+    serializeStructuredData
+} from './reviews.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Detail');
+
+// URL parameter holding the open experience id
+const EXPERIENCE_PARAM = 'exp';
+
+// Tags the detail view rewrites (besides <title>)
+const META_KEYS = ['description', 'og:title', 'og:description', 'og:image', 'og:url'];
+
+// Whether the open view added its own history entry (so closing can go back)
+let openedWithHistoryEntry = false;
+
+/**
+ * Gets the experience id requested in the URL
+ * @returns {string} Experience id or empty string
+ */
+export function getRequestedExperienceId() {
+    return getUrlParam(EXPERIENCE_PARAM);
+}
+
+/**
+ * Builds the shareable URL of an experience, keeping other parameters (lang, cupom...)
+ * @param {string|number} experienceId - Experience ID
+ * @returns {string} Absolute URL
+ */
+export function getExperienceUrl(experienceId) {
+    const url = new URL(window.location.href);
+    url.searchParams.set(EXPERIENCE_PARAM, String(experienceId));
+    url.hash = '';
+    return url.toString();
+}
+
+/**
+ * Builds the catalog URL without the experience parameter
+ * @returns {string} Absolute URL
+ */
+function getCatalogUrl() {
+    const url = new URL(window.location.href);
+    url.searchParams.delete(EXPERIENCE_PARAM);
+    return url.toString();
+}
+
+/**
+ * Removes ?exp=<id> from the URL without adding a history entry
+ */
+export function clearRequestedExperience() {
+    history.replaceState(null, '', getCatalogUrl());
+}
+
+/**
+ * Gets the id of the experience currently shown, if any
+ * @returns {string|null} Experience id or null
+ */
+export function getOpenExperienceId() {
+    const detail = document.getElementById('experience-detail');
+    return detail ? detail.dataset.experienceId : null;
+}
+
+/**
+ * Opens the detail view of an experience
+ * @param {Object} experience - Formatted experience data
+ * @param {Object} options - View options
+ * @param {Function} options.onContactClick - Callback for the contact button
+ * @param {boolean} options.updateHistory - Push a history entry with ?exp=<id> (default true)
+ */
+export function openExperienceDetail(experience, { onContactClick, updateHistory = true } = {}) {
+    // Replace any open detail without touching history
+    removeDetailElement();
+
+    const detail = createDetailElement(experience);
+    document.body.appendChild(detail);
+
+    setupDetailEventListeners(detail, experience, onContactClick);
+    setupGallery(detail);
+    setupShareButtons(detail, experience);
+    updatePageMeta(experience);
+    updateStructuredData(experience);
+
+    if (updateHistory && getRequestedExperienceId() !== String(experience.id)) {
+        history.pushState({ [EXPERIENCE_PARAM]: experience.id }, '', getExperienceUrl(experience.id));
+        openedWithHistoryEntry = true;
+    }
+
+    detail.querySelector('#close-detail')?.focus();
+    document.body.style.overflow = 'hidden';
+}
+
+/**
+ * Closes the detail view
+ * @param {Object} options - Close options
+ * @param {boolean} options.updateHistory - Remove ?exp=<id> from the URL (default true)
+ */
+export function closeExperienceDetail({ updateHistory = true } = {}) {
+    if (!document.getElementById('experience-detail')) return;
+
+    removeDetailElement();
+    restorePageMeta();
+    removeStructuredData();
+    document.body.style.overflow = '';
+
+    if (updateHistory) {
+        if (openedWithHistoryEntry) {
+            // popstate will find no ?exp and leave the view closed
+            history.back();
+        } else {
+            clearRequestedExperience();
+        }
+    }
+    openedWithHistoryEntry = false;
+}
+
+/**
+ * Removes the detail element from the DOM
+ */
+function removeDetailElement() {
+    document.getElementById('experience-detail')?.remove();
+}
+
+/**
+ * Creates the detail view DOM element
+ * @param {Object} experience - Formatted experience data
+ * @returns {HTMLElement} Detail element
+ */
+function createDetailElement(experience) {
+    const detail = document.createElement('div');
+    detail.id = 'experience-detail';
+    detail.dataset.experienceId = String(experience.id);
+    detail.className = 'fixed inset-0 z-40 bg-black bg-opacity-60 overflow-y-auto p-0 sm:p-6';
+    detail.setAttribute('role', 'dialog');
+    detail.setAttribute('aria-modal', 'true');
+    detail.setAttribute('aria-labelledby', 'detail-title');
+
+    const images = experience.images || [];
+    const slidesHtml = images.map(() => html`
+        <div class="gallery-slide snap-center shrink-0 w-full h-64 sm:h-96 bg-gray-100"></div>
+    `);
+
+    const controlsHtml = images.length > 1 && html`
+        <button
+            type="button"
+            class="gallery-prev absolute left-3 top-1/2 -translate-y-1/2 w-10 h-10 rounded-full bg-white bg-opacity-80 hover:bg-opacity-100 text-gray-800 shadow flex items-center justify-center focus:outline-none focus:ring-2 focus:ring-blue-500"
+            aria-label="${getTranslation('imagem-anterior') || 'Imagem anterior'}"
+        >
+            <i class="fas fa-chevron-left" aria-hidden="true"></i>
+        </button>
+        <button
+            type="button"
+            class="gallery-next absolute right-3 top-1/2 -translate-y-1/2 w-10 h-10 rounded-full bg-white bg-opacity-80 hover:bg-opacity-100 text-gray-800 shadow flex items-center justify-center focus:outline-none focus:ring-2 focus:ring-blue-500"
+            aria-label="${getTranslation('proxima-imagem') || 'Próxima imagem'}"
+        >
+            <i class="fas fa-chevron-right" aria-hidden="true"></i>
+        </button>
+        <div class="gallery-dots absolute bottom-3 left-0 right-0 flex justify-center gap-2" aria-hidden="true">
+            ${images.map((_, index) => html`<span class="gallery-dot w-2 h-2 rounded-full ${index === 0 ? 'bg-white' : 'bg-white bg-opacity-50'}"></span>`)}
+        </div>
+    `;
+
+    const galleryHtml = images.length > 0 && html`
+        <div class="experience-gallery relative">
+            <div class="gallery-track flex overflow-x-auto snap-x snap-mandatory sm:rounded-t-2xl" tabindex="0">
+                ${slidesHtml}
+            </div>
+            ${controlsHtml}
+        </div>
+    `;
+
+    detail.innerHTML = html`
+        <div class="bg-white sm:rounded-2xl shadow-xl w-full max-w-3xl mx-auto relative min-h-full sm:min-h-0">
+            <button
+                id="close-detail"
+                type="button"
+                class="absolute top-3 right-3 z-10 text-gray-700 bg-white bg-opacity-90 text-2xl w-10 h-10 flex items-center justify-center rounded-full shadow hover:bg-gray-100 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500"
+                aria-label="${getTranslation('fechar') || 'Fechar'}"
+            >
+                &times;
+            </button>
+
+            ${galleryHtml}
+
+            <div class="p-6 sm:p-8">
+                ${experience.featured && html`
+                    <span class="featured-badge inline-flex items-center gap-1 bg-yellow-100 text-yellow-800 text-xs font-semibold uppercase tracking-wide px-2 py-1 rounded-full mb-3">
+                        <i class="fas fa-star" aria-hidden="true"></i>
+                        ${getTranslation('destaque') || 'Destaque'}
+                    </span>
+                `}
+                <h2 id="detail-title" class="text-3xl font-bold text-gray-900 mb-4"></h2>
+                ${experience.rating && html`
+                    <p class="experience-rating flex items-center gap-2 text-gray-700 -mt-2 mb-4" role="img" aria-label="${experience.rating.label}">
+                        <span class="flex gap-0.5" aria-hidden="true">${getStarsHtml(experience.rating.average)}</span>
+                        <span class="font-semibold text-gray-900" aria-hidden="true">${experience.rating.formatted}</span>
+                        <span class="text-gray-500" aria-hidden="true">(${experience.rating.count})</span>
+                    </p>
+                `}
+                ${(experience.priceLines || []).length > 0 && html`
+                    <ul class="experience-prices mb-4 space-y-1">
+                        ${experience.priceLines.map((line, index) => html`
+                            <li class="${index === 0 ? 'text-xl font-bold text-gray-900' : 'text-gray-600'}">${line}</li>
+                        `)}
+                    </ul>
+                `}
+                <div id="detail-description" class="text-gray-700 space-y-3 mb-6">
+                    ${renderMarkdown(experience.description)}
+                </div>
+
+                <div class="flex flex-col sm:flex-row gap-3 sm:items-center sm:justify-between">
+                    <div id="detail-actions" class="flex flex-col sm:flex-row gap-3">
+                        <button
+                            type="button"
+                            id="detail-contact-btn"
+                            class="inline-flex items-center justify-center gap-2 bg-green-600 hover:bg-green-700 text-white px-5 py-3 rounded-lg font-semibold transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2"
+                        >
+                            <i class="fab fa-whatsapp text-xl" aria-hidden="true"></i>
+                            ${getTranslation('whatsapp')}
+                        </button>
+                    </div>
+
+                    <div class="flex items-center gap-2" role="group" aria-label="${getTranslation('compartilhar') || 'Compartilhar'}">
+                        <a
+                            id="share-whatsapp"
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            class="w-10 h-10 flex items-center justify-center rounded-full border border-gray-300 text-green-600 hover:bg-green-50 transition-colors focus:outline-none focus:ring-2 focus:ring-green-500"
+                            aria-label="${getTranslation('compartilhar-whatsapp') || 'Compartilhar no WhatsApp'}"
+                        >
+                            <i class="fab fa-whatsapp" aria-hidden="true"></i>
+                        </a>
+                        <button
+                            type="button"
+                            id="share-copy"
+                            class="w-10 h-10 flex items-center justify-center rounded-full border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            aria-label="${getTranslation('copiar-link') || 'Copiar link'}"
+                        >
+                            <i class="fas fa-link" aria-hidden="true"></i>
+                        </button>
+                        <button
+                            type="button"
+                            id="share-native"
+                            class="hidden w-10 h-10 flex items-center justify-center rounded-full border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            aria-label="${getTranslation('compartilhar') || 'Compartilhar'}"
+                        >
+                            <i class="fas fa-share-alt" aria-hidden="true"></i>
+                        </button>
+                    </div>
+                </div>
+                <p id="share-feedback" class="text-sm text-green-700 mt-3 hidden" role="status" aria-live="polite"></p>
+
+                ${(experience.reviews || []).length > 0 && html`
+                    <section class="border-t border-gray-200 mt-8 pt-6" aria-labelledby="detail-reviews-title">
+                        <h3 id="detail-reviews-title" class="text-xl font-bold text-gray-900 mb-4">
+                            ${getTranslation('avaliacoes') || 'Avaliações'}
+                        </h3>
+                        <ul id="detail-reviews" class="space-y-5"></ul>
+                    </section>
+                `}
+            </div>
+        </div>
+    `;
+
+    detail.querySelector('#detail-actions').appendChild(createTripButton(experience.id, 'px-5 py-3'));
+
+    detail.querySelector('#detail-title').textContent = experience.name;
+    detail.querySelectorAll('.gallery-slide').forEach((slide, index) => {
+        slide.appendChild(createResponsiveImage(images[index], {
+            alt: `${getTranslation('imagem-da-experiencia') || 'Imagem da experiência'}: ${experience.name}`,
+            sizes: GALLERY_IMAGE_SIZES,
+            className: 'w-full h-full',
+            // The first slides are visible or one swipe away
+            eager: index < 2,
+            // Drop slides whose image cannot be loaded
+            onError: () => slide.remove()
+        }));
+    });
+
+    const reviewList = detail.querySelector('#detail-reviews');
+    experience.reviews?.forEach(review => reviewList?.appendChild(createReviewElement(review)));
+
+    return detail;
+}
+
+/**
+ * Creates the list item of one review
+ * @param {Object} review - Public review ({ author, country, rating, text, date })
+ * @returns {HTMLElement} Review element
+ */
+function createReviewElement(review) {
+    const item = document.createElement('li');
+    item.className = 'detail-review';
+
+    const ratingLabel = (getTranslation('nota-de-5') || '{rating}/5').replace('{rating}', review.rating);
+    item.innerHTML = html`
+        <div class="flex flex-wrap items-center gap-x-3 gap-y-1 mb-1">
+            <span class="flex gap-0.5" role="img" aria-label="${ratingLabel}">${getStarsHtml(review.rating)}</span>
+            <span class="review-author font-semibold text-gray-900"></span>
+            <span class="review-meta text-sm text-gray-500"></span>
+        </div>
+        <p class="review-text text-gray-700 whitespace-pre-line"></p>
+    `;
+
+    // Review text comes from visitors, so it is only ever set as plain text
+    item.querySelector('.review-author').textContent = review.author;
+    item.querySelector('.review-meta').textContent = [review.country, review.date && formatIsoDate(review.date)]
+        .filter(Boolean)
+        .join(' · ');
+    item.querySelector('.review-text').textContent = review.text;
+
+    return item;
+}
+
+/**
+ * Sets up close and contact listeners
+ * @param {HTMLElement} detail - Detail element
+ * @param {Object} experience - Formatted experience data
+ * @param {Function} onContactClick - Callback for the contact button
+ */
+function setupDetailEventListeners(detail, experience, onContactClick) {
+    detail.querySelector('#close-detail')?.addEventListener('click', () => closeExperienceDetail());
+
+    // Click on the backdrop to close
+    detail.addEventListener('click', (e) => {
+        if (e.target === detail) closeExperienceDetail();
+    });
+
+    // Escape key to close (the contact modal handles its own Escape first)
+    const handleEscape = (e) => {
+        if (!document.body.contains(detail)) {
+            document.removeEventListener('keydown', handleEscape);
+            return;
+        }
+        if (e.key === 'Escape' && !document.getElementById('contact-modal')) {
+            closeExperienceDetail();
+            document.removeEventListener('keydown', handleEscape);
+        }
+    };
+    document.addEventListener('keydown', handleEscape);
+
+    detail.querySelector('#detail-contact-btn')?.addEventListener('click', () => {
+        if (onContactClick) {
+            onContactClick({
+                experienceId: experience.id,
+                experienceName: experience.name,
+                priceLines: experience.priceLines,
+                prices: experience.prices,
+                operatingWeekdays: experience.operatingWeekdays,
+                source: 'detail'
+            });
+        }
+    });
+}
+
+/**
+ * Sets up gallery navigation (swipe is native scroll-snap)
+ * @param {HTMLElement} detail - Detail element
+ */
+function setupGallery(detail) {
+    const track = detail.querySelector('.gallery-track');
+    if (!track) return;
+
+    const dots = detail.querySelectorAll('.gallery-dot');
+    const getCurrentIndex = () => Math.round(track.scrollLeft / (track.clientWidth || 1));
+
+    const goTo = (index) => {
+        const slideCount = track.children.length;
+        const target = (index + slideCount) % slideCount;
+        track.scrollTo({ left: target * track.clientWidth, behavior: 'smooth' });
+    };
+
+    detail.querySelector('.gallery-prev')?.addEventListener('click', () => goTo(getCurrentIndex() - 1));
+    detail.querySelector('.gallery-next')?.addEventListener('click', () => goTo(getCurrentIndex() + 1));
+
+    track.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowLeft') goTo(getCurrentIndex() - 1);
+        if (e.key === 'ArrowRight') goTo(getCurrentIndex() + 1);
+    });
+
+    track.addEventListener('scroll', () => {
+        const current = getCurrentIndex();
+        dots.forEach((dot, index) => {
+            dot.classList.toggle('bg-opacity-50', index !== current);
+        });
+    }, { passive: true });
+}
+
+/**
+ * Sets up the share buttons
+ * @param {HTMLElement} detail - Detail element
+ * @param {Object} experience - Formatted experience data
+ */
+function setupShareButtons(detail, experience) {
+    const shareUrl = getExperienceUrl(experience.id);
+    const shareText = `${experience.name} - ${shareUrl}`;
+    const feedback = detail.querySelector('#share-feedback');
+
+    const showFeedback = (message) => {
+        if (!feedback) return;
+        feedback.textContent = message;
+        feedback.classList.remove('hidden');
+        setTimeout(() => feedback.classList.add('hidden'), 3000);
+    };
+
+    const whatsappLink = detail.querySelector('#share-whatsapp');
+    if (whatsappLink) {
+        whatsappLink.href = `https://wa.me/?text=${encodeURIComponent(shareText)}`;
+    }
+
+    detail.querySelector('#share-copy')?.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(shareUrl);
+            showFeedback(getTranslation('link-copiado') || 'Link copiado!');
+        } catch (error) {
+            logger.warn('Could not copy link:', error);
+            // Clipboard API unavailable: let the visitor copy it by hand
+            window.prompt(getTranslation('copiar-link') || 'Copiar link', shareUrl);
+        }
+    });
+
+    const nativeShareBtn = detail.querySelector('#share-native');
+    if (nativeShareBtn && navigator.share) {
+        nativeShareBtn.classList.remove('hidden');
+        nativeShareBtn.addEventListener('click', async () => {
+            try {
+                await navigator.share({ title: experience.name, text: experience.name, url: shareUrl });
+            } catch (error) {
+                // AbortError means the visitor closed the share sheet
+                if (error.name !== 'AbortError') {
+                    logger.error('Error sharing experience:', error);
+                }
+            }
+        });
+    }
+}
+
+/**
+ * Gets a <meta> element by property or name
+ * @param {string} key - Property/name value (e.g. 'og:title' or 'description')
+ * @returns {HTMLMetaElement|null} Meta element
+ */
+function getMetaElement(key) {
+    return document.querySelector(`meta[property="${key}"], meta[name="${key}"]`);
+}
+
+/**
+ * Reads the catalog <title> and Open Graph tags
+ * For ?exp=<id> links functions/xp/_middleware.js has already rewritten them,
+ * keeping the catalog values in data-catalog-* attributes
+ * @returns {Object} Tag key -> catalog value (null when the tag is missing)
+ */
+function readCatalogMeta() {
+    const meta = { title: document.body.dataset.catalogTitle || document.title };
+    META_KEYS.forEach(key => {
+        const element = getMetaElement(key);
+        meta[key] = element?.dataset.catalogContent ?? element?.getAttribute('content') ?? null;
+    });
+    return meta;
+}
+
+// Catalog metadata, restored when the detail view closes
+const catalogMeta = readCatalogMeta();
+
+/**
+ * Shortens an experience description to one line for page metadata
+ * @param {Object} experience - Formatted experience data
+ * @returns {string} Description of up to 200 characters
+ */
+function getMetaDescription(experience) {
+    return stripMarkdown(experience.description).replace(/\s+/g, ' ').trim().slice(0, 200);
+}
+
+/**
+ * Updates <title> and Open Graph tags for an experience
+ * Crawlers get the same tags from functions/xp/_middleware.js
+ * @param {Object} experience - Formatted experience data
+ */
+function updatePageMeta(experience) {
+    const title = `${experience.name} | UP Experiences`;
+    const description = getMetaDescription(experience);
+    const values = {
+        'description': description,
+        'og:title': title,
+        'og:description': description,
+        'og:image': experience.images?.[0]?.url || catalogMeta['og:image'],
+        'og:url': getExperienceUrl(experience.id)
+    };
+
+    document.title = title;
+    META_KEYS.forEach(key => {
+        const element = getMetaElement(key);
+        if (element && values[key]) element.setAttribute('content', values[key]);
+    });
+}
+
+/**
+ * Writes the AggregateRating structured data of an experience into <head>
+ * Replaces the one functions/xp/_middleware.js wrote for a shared link
+ * @param {Object} experience - Formatted experience data
+ */
+function updateStructuredData(experience) {
+    removeStructuredData();
+
+    const data = buildExperienceStructuredData({
+        name: experience.name,
+        description: getMetaDescription(experience),
+        image: experience.images?.[0]?.url,
+        url: getExperienceUrl(experience.id),
+        reviews: experience.reviews || []
+    });
+    if (!data) return;
+
+    const script = document.createElement('script');
+    script.type = 'application/ld+json';
+    script.id = STRUCTURED_DATA_ID;
+    script.textContent = serializeStructuredData(data);
+    document.head.appendChild(script);
+}
+
+/**
+ * Removes the experience structured data from <head>
+ */
+function removeStructuredData() {
+    document.getElementById(STRUCTURED_DATA_ID)?.remove();
+}
+
+/**
+ * Restores the catalog <title> and Open Graph tags
+ */
+function restorePageMeta() {
+    document.title = catalogMeta.title;
+    Object.entries(catalogMeta).forEach(([key, value]) => {
+        if (key === 'title' || value === null) return;
+        getMetaElement(key)?.setAttribute('content', value);
+    });
+}
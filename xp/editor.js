@@ -0,0 +1,563 @@
+/**
+ * Experience editor (/admin/editor, see functions/admin/editor.js)
+ * Every locale of a text is edited side by side, empty translations are flagged, and the
+ * preview is the catalog's own card (createExperienceCard) in the chosen language
+ * Photos are uploaded to Baserow through /admin/api/uploads and attached when the row is saved
+ */
+
+import {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    LOCALIZED_FIELDS,
+    REQUIRED_LOCALIZED_FIELDS,
+    EXPERIENCE_COLUMNS,
+    resolveLocalizedField,
+    getMissingLocalizedColumns,
+    isExperienceListed
+} from './schema.js';
+import { formatExperienceData } from './api.js';
+import { createExperienceCard } from './ui.js';
+import { loadTranslations } from './locale/translate.js';
+import { requestJson } from './http.js';
+import { ValidationError } from './errors.js';
+import { html } from './html.js';
+import { debounce, getTodayIsoDate, getUrlParam, setButtonLoading } from './utils.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Editor');
+
+const EXPERIENCES_URL = '/admin/api/experiences';
+const UPLOAD_URL = '/admin/api/uploads';
+
+// Same limit as functions/admin/api/uploads.js, checked first to skip doomed uploads
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const UPLOAD_TIMEOUT_MS = 60000;
+
+const PREVIEW_DELAY_MS = 300;
+
+const LOCALE_LABELS = {
+    'pt-br': 'Português',
+    'en-us': 'English',
+    'es-es': 'Español'
+};
+
+// Localized texts, one column per locale
+const TEXT_FIELDS = [
+    { field: 'name', label: 'Nome', multiline: false },
+    { field: 'description', label: 'Descrição', multiline: true }
+];
+
+// Other editable columns (see EDITABLE_EXPERIENCE_FIELDS in functions/_lib/experiences.js)
+const DETAIL_FIELDS = [
+    { column: EXPERIENCE_COLUMNS.pricePerPerson, label: 'Preço por pessoa', type: 'number' },
+    { column: EXPERIENCE_COLUMNS.pricePerGroup, label: 'Preço por grupo', type: 'number' },
+    { column: EXPERIENCE_COLUMNS.childPrice, label: 'Preço de criança', type: 'number' },
+    { column: EXPERIENCE_COLUMNS.order, label: 'Ordem', type: 'number' },
+    { column: EXPERIENCE_COLUMNS.availableFrom, label: 'Disponível a partir de', type: 'date' },
+    { column: EXPERIENCE_COLUMNS.availableUntil, label: 'Disponível até', type: 'date' },
+    { column: EXPERIENCE_COLUMNS.featured, label: 'Destaque', type: 'checkbox' },
+    { column: EXPERIENCE_COLUMNS.published, label: 'Publicada', type: 'checkbox' },
+    { column: EXPERIENCE_COLUMNS.imageUrl, label: 'URL da imagem (aparece antes das fotos)', type: 'url' }
+];
+
+// Every field of the form as { column, type }
+const FORM_FIELDS = [
+    ...TEXT_FIELDS.flatMap(({ field }) => SUPPORTED_LOCALES.map(locale =>
+        ({ column: LOCALIZED_FIELDS[field][locale], type: 'text' }))),
+    ...DETAIL_FIELDS
+];
+
+// New rows start unpublished, so they only reach the catalog once the team checks "Publicada"
+const NEW_ROW = { [EXPERIENCE_COLUMNS.published]: false };
+
+const state = {
+    rows: [],
+    // Row being edited, as last saved (NEW_ROW for a new experience)
+    row: null,
+    // Files of the Image column, including uploads not saved yet
+    images: [],
+    previewLocale: DEFAULT_LOCALE
+};
+
+const elements = {};
+
+/**
+ * Reads a column of a row the way the form holds it
+ * @param {Object} row - Raw Baserow row
+ * @param {string} column - Baserow column
+ * @param {string} type - Field type
+ * @returns {string|number|boolean|null} Form value
+ */
+function getFieldValue(row, column, type) {
+    const value = row[column];
+
+    switch (type) {
+        case 'number': {
+            // Baserow sends decimals as strings
+            const number = value === null || value === undefined || value === '' ? NaN : Number(value);
+            return Number.isFinite(number) ? number : null;
+        }
+        case 'date':
+            return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) ? value.slice(0, 10) : null;
+        case 'checkbox':
+            // Tables without a Published column list every row
+            return column === EXPERIENCE_COLUMNS.published ? value !== false : value === true;
+        case 'url':
+            return typeof value === 'string' ? value.trim() : '';
+        default:
+            return typeof value === 'string' ? value : '';
+    }
+}
+
+/**
+ * Gets the files of a row's Image column
+ * @param {Object} row - Raw Baserow row
+ * @returns {Array<Object>} Baserow files
+ */
+function getRowImages(row) {
+    return Array.isArray(row[EXPERIENCE_COLUMNS.images]) ? row[EXPERIENCE_COLUMNS.images] : [];
+}
+
+/**
+ * Reads the form as column values
+ * @returns {Object} Baserow column -> value
+ */
+function readForm() {
+    const values = {};
+
+    FORM_FIELDS.forEach(({ column, type }) => {
+        const input = elements.form.elements.namedItem(column);
+        if (!input) return;
+
+        if (type === 'checkbox') {
+            values[column] = input.checked;
+        } else if (type === 'number') {
+            values[column] = input.value === '' ? null : Number(input.value);
+        } else if (type === 'date') {
+            values[column] = input.value || null;
+        } else if (type === 'url') {
+            values[column] = input.value.trim();
+        } else {
+            values[column] = input.value;
+        }
+    });
+
+    return values;
+}
+
+/**
+ * Lists what the form changed in the row
+ * @returns {Object} Changed columns, ready to be sent to the API
+ */
+function getChanges() {
+    const values = readForm();
+    const changes = {};
+
+    FORM_FIELDS.forEach(({ column, type }) => {
+        if (column in values && values[column] !== getFieldValue(state.row, column, type)) {
+            changes[column] = values[column];
+        }
+    });
+
+    const imageNames = state.images.map(file => file.name);
+    if (imageNames.join('/') !== getRowImages(state.row).map(file => file.name).join('/')) {
+        changes[EXPERIENCE_COLUMNS.images] = imageNames.map(name => ({ name }));
+    }
+
+    return changes;
+}
+
+/**
+ * Builds the row the preview shows: the saved row with the form's values
+ * @returns {Object} Raw row
+ */
+function getDraftRow() {
+    return {
+        ...state.row,
+        id: state.row.id || 0,
+        ...readForm(),
+        [EXPERIENCE_COLUMNS.images]: state.images
+    };
+}
+
+/**
+ * Gets the label of a localized column, e.g. "Nome (English)"
+ * @param {string} column - Baserow column
+ * @returns {string} Label
+ */
+function getColumnLabel(column) {
+    for (const { field, label } of TEXT_FIELDS) {
+        const locale = SUPPORTED_LOCALES.find(candidate => LOCALIZED_FIELDS[field][candidate] === column);
+        if (locale) return `${label} (${LOCALE_LABELS[locale] || locale})`;
+    }
+    return DETAIL_FIELDS.find(detail => detail.column === column)?.label || column;
+}
+
+/**
+ * Shows a message next to the experience picker
+ * @param {string} message - Message
+ * @param {boolean} isError - Whether it reports a failure
+ */
+function setStatus(message, isError = false) {
+    elements.status.textContent = message;
+    elements.status.classList.toggle('text-red-600', isError);
+    elements.status.classList.toggle('text-gray-600', !isError);
+}
+
+/**
+ * Gets the label of a row in the picker
+ * @param {Object} row - Raw Baserow row
+ * @returns {string} e.g. "#12 · Passeio de barco (oculta)"
+ */
+function getRowLabel(row) {
+    const name = resolveLocalizedField(row, 'name', DEFAULT_LOCALE).value || 'Sem nome';
+    const hidden = isExperienceListed(row, getTodayIsoDate()) ? '' : ' (oculta)';
+    return `#${row.id} · ${name}${hidden}`;
+}
+
+/**
+ * Fills the experience picker
+ */
+function renderPicker() {
+    elements.picker.innerHTML = html`
+        ${!state.row?.id && html`<option value="">Nova experiência</option>`}
+        ${state.rows.map(row => html`<option value="${row.id}">${getRowLabel(row)}</option>`)}
+    `;
+    elements.picker.value = state.row?.id ? String(state.row.id) : '';
+    elements.picker.disabled = false;
+}
+
+/**
+ * Renders one field of DETAIL_FIELDS
+ * @param {Object} detail - Field ({ column, label, type })
+ * @returns {SafeHtml} Field markup
+ */
+function renderDetailField({ column, label, type }) {
+    const value = getFieldValue(state.row, column, type);
+
+    if (type === 'checkbox') {
+        return html`
+            <label class="flex items-center gap-2 text-sm">
+                <input type="checkbox" name="${column}" ${value && 'checked'}>
+                ${label}
+            </label>
+        `;
+    }
+
+    return html`
+        <label class="flex flex-col gap-1 text-sm ${type === 'url' && 'sm:col-span-2'}">${label}
+            <input
+                type="${type}"
+                name="${column}"
+                value="${value ?? ''}"
+                ${type === 'number' && html`min="0" step="0.01"`}
+                class="border rounded px-3 py-2"
+            >
+        </label>
+    `;
+}
+
+/**
+ * Renders the form of the row being edited
+ */
+function renderForm() {
+    const inputClasses = 'border rounded px-3 py-2 w-full';
+
+    elements.form.innerHTML = html`
+        <fieldset class="p-6 bg-white rounded-xl shadow">
+            <legend class="px-2 font-semibold">Textos</legend>
+            <p class="mb-4 text-sm text-gray-600">As descrições aceitam Markdown: **negrito**, *itálico*, listas com "-" e [links](https://...).</p>
+            <div class="grid gap-4" style="grid-template-columns: repeat(${SUPPORTED_LOCALES.length}, minmax(0, 1fr))">
+                ${SUPPORTED_LOCALES.map(locale => html`<h3 class="font-semibold">${LOCALE_LABELS[locale] || locale}</h3>`)}
+                ${TEXT_FIELDS.map(({ field, label, multiline }) => SUPPORTED_LOCALES.map(locale => {
+                    const column = LOCALIZED_FIELDS[field][locale];
+                    const value = getFieldValue(state.row, column, 'text');
+                    return html`
+                        <label class="flex flex-col gap-1 text-sm">${label}
+                            ${multiline
+                                ? html`<textarea name="${column}" lang="${locale}" rows="12" class="${inputClasses} font-mono text-xs">${value}</textarea>`
+                                : html`<input name="${column}" lang="${locale}" value="${value}" maxlength="200" class="${inputClasses}">`}
+                        </label>
+                    `;
+                }))}
+            </div>
+        </fieldset>
+        <fieldset class="p-6 bg-white rounded-xl shadow">
+            <legend class="px-2 font-semibold">Fotos</legend>
+            <ul id="imageList" class="flex flex-wrap gap-3 mb-4"></ul>
+            <label class="inline-flex items-center gap-2 px-4 py-2 rounded border border-gray-300 bg-white hover:bg-gray-100 text-sm cursor-pointer">
+                <i class="fas fa-upload" aria-hidden="true"></i>
+                Enviar fotos
+                <input id="imageUpload" type="file" accept="image/jpeg,image/png,image/webp,image/avif,image/gif" multiple class="sr-only">
+            </label>
+        </fieldset>
+        <fieldset class="p-6 bg-white rounded-xl shadow">
+            <legend class="px-2 font-semibold">Preços e publicação</legend>
+            <div class="grid gap-4 sm:grid-cols-2">
+                ${DETAIL_FIELDS.map(renderDetailField)}
+            </div>
+        </fieldset>
+        <div class="flex items-center gap-4">
+            <button type="submit" class="px-4 py-2 rounded bg-blue-600 text-white hover:bg-blue-700">Salvar</button>
+            ${state.row.id && html`<a href="/xp/?exp=${state.row.id}" target="_blank" rel="noopener" class="text-sm text-blue-600 hover:underline">Ver no site</a>`}
+        </div>
+    `;
+
+    elements.form.hidden = false;
+    elements.form.querySelector('#imageUpload').addEventListener('change', handleImageUpload);
+    elements.form.querySelector('#imageList').addEventListener('click', handleImageAction);
+    renderImages();
+}
+
+/**
+ * Renders the photos of the row, the cover first
+ */
+function renderImages() {
+    const list = elements.form.querySelector('#imageList');
+    if (!list) return;
+
+    list.innerHTML = state.images.length === 0
+        ? html`<li class="text-sm text-gray-500">Nenhuma foto.</li>`
+        : html`${state.images.map((file, index) => html`
+            <li class="relative w-32">
+                <img src="${file.thumbnails?.small?.url || file.url}" alt="${file.visible_name || file.original_name || file.name}" class="w-32 h-24 object-cover rounded">
+                <div class="flex justify-between mt-1 text-xs">
+                    ${index === 0
+                        ? html`<span class="text-gray-500">Capa</span>`
+                        : html`<button type="button" data-action="cover" data-index="${index}" class="text-blue-600 hover:underline">Usar como capa</button>`}
+                    <button type="button" data-action="remove" data-index="${index}" class="text-red-600 hover:underline">Remover</button>
+                </div>
+            </li>
+        `)}`;
+}
+
+/**
+ * Refreshes the card preview and the missing translation warnings
+ */
+function updatePreview() {
+    if (!state.row) return;
+
+    const draft = getDraftRow();
+    const missingColumns = getMissingLocalizedColumns(draft);
+    // Rows without any name or description are left out of the catalog (see validateExperienceRow)
+    const unlistedFields = REQUIRED_LOCALIZED_FIELDS.filter(field =>
+        !resolveLocalizedField(draft, field, DEFAULT_LOCALE).value);
+
+    FORM_FIELDS.forEach(({ column }) => {
+        const input = elements.form.elements.namedItem(column);
+        const isMissing = missingColumns.includes(column);
+        input?.classList.toggle('border-amber-500', isMissing);
+        input?.classList.toggle('bg-amber-50', isMissing);
+    });
+
+    elements.missing.innerHTML = missingColumns.length > 0 ? html`
+        <div class="p-4 rounded-lg bg-amber-50 border border-amber-300 text-sm text-amber-800" role="status">
+            <p class="font-semibold mb-1">Traduções faltando</p>
+            <ul class="list-disc pl-5">${missingColumns.map(column => html`<li>${getColumnLabel(column)}</li>`)}</ul>
+            <p class="mt-2">Quem navega nesses idiomas vê o texto de outro idioma.</p>
+            ${unlistedFields.length > 0 && html`
+                <p class="mt-2 font-semibold text-red-700">Sem nome e descrição em pelo menos um idioma, a experiência não aparece no catálogo.</p>
+            `}
+        </div>
+    ` : '';
+
+    elements.preview.replaceChildren(createExperienceCard(formatExperienceData(draft, state.previewLocale)));
+}
+
+const schedulePreview = debounce(updatePreview, PREVIEW_DELAY_MS);
+
+/**
+ * Opens a row in the form
+ * @param {Object} row - Raw Baserow row (NEW_ROW for a new experience)
+ */
+function openRow(row) {
+    state.row = row;
+    state.images = [...getRowImages(row)];
+
+    const url = new URL(window.location.href);
+    if (row.id) {
+        url.searchParams.set('id', row.id);
+    } else {
+        url.searchParams.delete('id');
+    }
+    window.history.replaceState(null, '', url);
+
+    renderPicker();
+    renderForm();
+    updatePreview();
+}
+
+/**
+ * Asks before discarding unsaved edits
+ * @returns {boolean} True when there is nothing to lose or the user agreed
+ */
+function confirmDiscard() {
+    return !state.row || Object.keys(getChanges()).length === 0 ||
+        window.confirm('Há alterações não salvas. Descartar?');
+}
+
+/**
+ * Uploads the photos chosen in the file input, one at a time
+ * @param {Event} event - Change event of the file input
+ */
+async function handleImageUpload(event) {
+    const input = event.target;
+    const files = [...input.files];
+    input.value = '';
+
+    for (const file of files) {
+        if (file.size > MAX_UPLOAD_BYTES) {
+            setStatus(`${file.name} tem mais de 10 MB.`, true);
+            continue;
+        }
+
+        setStatus(`Enviando ${file.name}...`);
+        const body = new FormData();
+        body.append('file', file);
+
+        try {
+            const uploaded = await requestJson(UPLOAD_URL, { method: 'POST', body, timeout: UPLOAD_TIMEOUT_MS });
+            state.images.push(uploaded);
+            renderImages();
+            updatePreview();
+            setStatus(`${file.name} enviada. Salve para publicar.`);
+        } catch (error) {
+            logger.error('Upload failed:', error);
+            setStatus(error instanceof ValidationError
+                ? `${file.name} não é uma imagem aceita (JPEG, PNG, WebP, AVIF ou GIF).`
+                : `Não foi possível enviar ${file.name}. Tente novamente.`, true);
+        }
+    }
+}
+
+/**
+ * Handles the buttons of the photo list
+ * @param {MouseEvent} event - Click event
+ */
+function handleImageAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    const index = Number(button.dataset.index);
+    const [file] = state.images.splice(index, 1);
+    if (button.dataset.action === 'cover') {
+        state.images.unshift(file);
+    }
+
+    renderImages();
+    updatePreview();
+}
+
+/**
+ * Saves the changed columns of the row
+ * @param {SubmitEvent} event - Submit event of the form
+ */
+async function handleSave(event) {
+    event.preventDefault();
+
+    const changes = getChanges();
+    if (Object.keys(changes).length === 0) {
+        setStatus('Nada para salvar.');
+        return;
+    }
+
+    const submitButton = elements.form.querySelector('button[type="submit"]');
+    setButtonLoading(submitButton, true, 'Salvando...');
+
+    try {
+        const isNew = !state.row.id;
+        const saved = await requestJson(isNew ? EXPERIENCES_URL : `${EXPERIENCES_URL}/${state.row.id}`, {
+            method: isNew ? 'POST' : 'PATCH',
+            body: changes
+        });
+
+        state.rows = isNew ? [...state.rows, saved] : state.rows.map(row => (row.id === saved.id ? saved : row));
+        openRow(saved);
+        setStatus(`Salvo às ${new Date().toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })}.`);
+    } catch (error) {
+        logger.error('Save failed:', error);
+        setStatus(error instanceof ValidationError && error.fields.length > 0
+            ? `Verifique: ${error.fields.map(getColumnLabel).join(', ')}.`
+            : 'Não foi possível salvar. Tente novamente.', true);
+        setButtonLoading(submitButton, false);
+    }
+}
+
+/**
+ * Shows the card in another language
+ * @param {Event} event - Change event of the locale select
+ */
+async function handlePreviewLocaleChange(event) {
+    state.previewLocale = event.target.value;
+
+    try {
+        await loadTranslations(state.previewLocale);
+    } catch (error) {
+        logger.warn('Could not load translations:', error);
+    }
+    updatePreview();
+}
+
+/**
+ * Loads the experiences and opens the one in ?id= (or the first)
+ */
+async function initializeEditor() {
+    elements.picker = document.getElementById('experiencePicker');
+    elements.status = document.getElementById('editorStatus');
+    elements.form = document.getElementById('experienceForm');
+    elements.missing = document.getElementById('missingTranslations');
+    elements.preview = document.getElementById('cardPreview');
+    const localeSelect = document.getElementById('previewLocale');
+
+    localeSelect.innerHTML = html`${SUPPORTED_LOCALES.map(locale =>
+        html`<option value="${locale}">${LOCALE_LABELS[locale] || locale}</option>`)}`;
+    localeSelect.addEventListener('change', handlePreviewLocaleChange);
+
+    elements.form.addEventListener('input', schedulePreview);
+    elements.form.addEventListener('change', schedulePreview);
+    elements.form.addEventListener('submit', handleSave);
+
+    elements.picker.addEventListener('change', () => {
+        const row = state.rows.find(candidate => String(candidate.id) === elements.picker.value);
+        if (!row || !confirmDiscard()) {
+            elements.picker.value = state.row?.id ? String(state.row.id) : '';
+            return;
+        }
+        setStatus('');
+        openRow(row);
+    });
+
+    document.getElementById('newExperience').addEventListener('click', () => {
+        if (!confirmDiscard()) return;
+        setStatus('');
+        openRow({ ...NEW_ROW });
+    });
+
+    window.addEventListener('beforeunload', (event) => {
+        if (state.row && Object.keys(getChanges()).length > 0) event.preventDefault();
+    });
+
+    try {
+        const [{ results, truncated }] = await Promise.all([
+            requestJson(EXPERIENCES_URL, { retries: 2 }),
+            loadTranslations(DEFAULT_LOCALE)
+        ]);
+        state.rows = results;
+        if (truncated) {
+            setStatus(`Mostrando só as primeiras ${results.length} experiências da tabela.`, true);
+        }
+    } catch (error) {
+        logger.error('Could not load experiences:', error);
+        setStatus('Não foi possível carregar as experiências. Recarregue a página.', true);
+        return;
+    }
+
+    const requestedId = getUrlParam('id');
+    openRow(state.rows.find(row => String(row.id) === requestedId) || state.rows[0] || { ...NEW_ROW });
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeEditor);
+} else {
+    initializeEditor();
+}
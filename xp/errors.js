@@ -0,0 +1,119 @@
+/**
+ * Typed errors for the API layer
+ * Lets the UI show a specific message without parsing error text
+ */
+
+import { getTranslation } from './locale/translate.js';
+
+// Shown if even the translations failed to load
+const DEFAULT_ERROR_MESSAGE = 'Ocorreu um erro inesperado. Tente novamente.';
+
+/**
+ * Base class for every API error
+ */
+export class ApiError extends Error {
+    /**
+     * @param {string} message - Technical error message (for logs)
+     * @param {Object} options - Extra error details
+     * @param {Error} options.cause - Underlying error
+     */
+    constructor(message, { cause } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.cause = cause;
+    }
+
+    /**
+     * Whether repeating the same request may succeed
+     * @returns {boolean}
+     */
+    get isRetryable() {
+        return false;
+    }
+}
+
+/**
+ * The request never reached the server (offline, DNS, CORS...)
+ */
+export class NetworkError extends ApiError {
+    get isRetryable() {
+        return true;
+    }
+}
+
+/**
+ * The server did not answer within the allowed time
+ */
+export class TimeoutError extends ApiError {
+    /**
+     * @param {number} timeout - Timeout that was exceeded, in milliseconds
+     */
+    constructor(timeout) {
+        super(`Request timed out after ${timeout}ms`);
+        this.timeout = timeout;
+    }
+
+    get isRetryable() {
+        return true;
+    }
+}
+
+/**
+ * The server answered with a 5xx/429 status or an unreadable body
+ */
+export class ServerError extends ApiError {
+    /**
+     * @param {string} message - Technical error message
+     * @param {number} status - HTTP status code
+     */
+    constructor(message, status) {
+        super(message);
+        this.status = status;
+    }
+
+    get isRetryable() {
+        return this.status >= 500 || this.status === 429;
+    }
+}
+
+/**
+ * The server rejected the data we sent (4xx)
+ */
+export class ValidationError extends ApiError {
+    /**
+     * @param {string} message - Technical error message
+     * @param {number} status - HTTP status code
+     * @param {Array<string>} fields - Fields the server reported as invalid
+     * @param {string|null} reason - Machine-readable reason (e.g. why a coupon was rejected)
+     */
+    constructor(message, status, fields = [], reason = null) {
+        super(message);
+        this.status = status;
+        this.fields = fields;
+        this.reason = reason;
+    }
+}
+
+/**
+ * Gets the translation key describing an error to the user
+ * @param {Error} error - Error thrown by the API layer
+ * @param {string} fallbackKey - Key used for unknown errors
+ * @returns {string} Translation key
+ */
+export function getErrorMessageKey(error, fallbackKey = 'erro-generico') {
+    if (error instanceof NetworkError) return 'erro-conexao';
+    if (error instanceof TimeoutError) return 'erro-timeout';
+    if (error instanceof ServerError) return 'erro-servidor';
+    if (error instanceof ValidationError) return 'erro-validacao';
+    return fallbackKey;
+}
+
+/**
+ * Gets a localized message describing an error to the user
+ * @param {Error} error - Error thrown by the API layer
+ * @param {string} fallbackKey - Translation key used for unknown errors
+ * @returns {string} Localized error message
+ */
+export function getErrorMessage(error, fallbackKey) {
+    return getTranslation(getErrorMessageKey(error, fallbackKey)) || DEFAULT_ERROR_MESSAGE;
+}
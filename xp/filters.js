@@ -0,0 +1,66 @@
+/**
+ * Catalog filtering
+ * Category filters and accent-insensitive text search over formatted experiences
+ */
+
+import { normalizeSearchText } from './utils.js';
+
+/**
+ * Lists the categories present in a set of experiences
+ * @param {Array} experiences - Formatted experiences
+ * @returns {Array<Object>} Unique categories as { slug, value }, in first-seen order
+ */
+export function getCategoryOptions(experiences) {
+    const categories = new Map();
+
+    experiences.forEach(experience => {
+        (experience.categories || []).forEach(category => {
+            if (!categories.has(category.slug)) {
+                categories.set(category.slug, category);
+            }
+        });
+    });
+
+    return [...categories.values()];
+}
+
+/**
+ * Checks if an experience matches a search query
+ * Every word of the query must appear in the name or description
+ * @param {Object} experience - Formatted experience
+ * @param {string} query - Raw search query
+ * @returns {boolean} True if the experience matches
+ */
+export function matchesSearch(experience, query) {
+    const terms = normalizeSearchText(query).split(' ').filter(Boolean);
+    if (terms.length === 0) return true;
+
+    const haystack = normalizeSearchText(`${experience.name} ${experience.description}`);
+    return terms.every(term => haystack.includes(term));
+}
+
+/**
+ * Filters experiences by category and search query
+ * @param {Array} experiences - Formatted experiences
+ * @param {Object} filters - Active filters
+ * @param {string} filters.category - Category slug ('' for all)
+ * @param {string} filters.query - Search query
+ * @returns {Array} Experiences matching every filter
+ */
+export function filterExperiences(experiences, { category = '', query = '' } = {}) {
+    return experiences.filter(experience => {
+        const matchesCategory = !category ||
+            (experience.categories || []).some(item => item.slug === category);
+
+        return matchesCategory && matchesSearch(experience, query);
+    });
+}
+
+/**
+ * Checks if any filter is active
+ * @param {Object} filters - Active filters
+ * @returns {boolean} True if a category or query is set
+ */
+export function hasActiveFilters({ category = '', query = '' } = {}) {
+    return Boolean(category || query.trim());
+}
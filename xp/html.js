@@ -0,0 +1,77 @@
+/**
+ * HTML templating
+ * The html`` tag escapes every interpolated value, so text from Baserow, translations or visitors
+ * can never turn into markup. Nested html`` results (and arrays of them) are inserted as they are
+ */
+
+// Characters with a meaning in HTML text and attribute values
+const ESCAPED_CHARACTERS = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Markup that is safe to insert: built by html`` or by a renderer that escapes its input
+ */
+class SafeHtml {
+    /**
+     * @param {string} markup - Safe markup
+     */
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    /**
+     * @returns {string} The markup, so a SafeHtml can be assigned to innerHTML directly
+     */
+    toString() {
+        return this.markup;
+    }
+}
+
+/**
+ * Escapes text for use in HTML content or a quoted attribute value
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, character => ESCAPED_CHARACTERS[character]);
+}
+
+/**
+ * Marks markup as safe without escaping it
+ * Only for markup built from escaped input, such as renderMarkdown's output
+ * @param {string} markup - Trusted markup
+ * @returns {SafeHtml} Safe markup
+ */
+export function rawHtml(markup) {
+    return new SafeHtml(markup);
+}
+
+/**
+ * Renders one interpolated value
+ * null, undefined and false render nothing, so `${condition && html`...`}` works
+ * @param {*} value - Interpolated value
+ * @returns {string} Markup
+ */
+function renderValue(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    return escapeHtml(value);
+}
+
+/**
+ * Template tag that escapes interpolated values
+ * e.g. html`<h2>${experience.name}</h2>`
+ * @param {Array<string>} strings - Literal parts of the template
+ * @param {...*} values - Interpolated values
+ * @returns {SafeHtml} Safe markup
+ */
+export function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((markup, string, index) =>
+        markup + renderValue(values[index - 1]) + string));
+}
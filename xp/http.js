@@ -0,0 +1,146 @@
+/**
+ * HTTP request helper
+ * Adds per-call timeouts, cancellation and retries with exponential backoff
+ */
+
+import { NetworkError, TimeoutError, ServerError, ValidationError } from './errors.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('HTTP');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Backoff: 500ms, 1s, 2s... capped, with full jitter
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 5000;
+
+/**
+ * Waits before the next retry attempt
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {AbortSignal} signal - Caller's abort signal
+ * @returns {Promise<void>}
+ */
+function waitForBackoff(attempt, signal) {
+    const ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+    const delay = Math.random() * ceiling;
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        // A long-lived signal would otherwise collect one listener per retry
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, delay);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Performs a single request attempt with a timeout
+ * @param {string} url - Request URL
+ * @param {Object} init - Fetch options
+ * @param {number} timeout - Timeout in milliseconds
+ * @param {AbortSignal} signal - Caller's abort signal
+ * @returns {Promise<*>} Parsed JSON body
+ * @throws {ApiError} Typed error describing the failure
+ */
+async function attemptRequest(url, init, timeout, signal) {
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout);
+    const abortFromCaller = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', abortFromCaller, { once: true });
+
+    try {
+        let response;
+        try {
+            response = await fetch(url, { ...init, signal: controller.signal });
+        } catch (error) {
+            if (timedOut) throw new TimeoutError(timeout);
+            if (signal?.aborted) throw signal.reason;
+            throw new NetworkError(error.message, { cause: error });
+        }
+
+        let data = null;
+        try {
+            data = await response.json();
+        } catch (error) {
+            if (timedOut) throw new TimeoutError(timeout);
+            if (signal?.aborted) throw signal.reason;
+            if (response.ok) {
+                throw new ServerError('Invalid JSON response', response.status);
+            }
+        }
+
+        if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+            throw new ValidationError(
+                data?.error || `HTTP error! status: ${response.status}`,
+                response.status,
+                data?.fields || [],
+                data?.reason || null
+            );
+        }
+
+        if (!response.ok) {
+            throw new ServerError(data?.error || `HTTP error! status: ${response.status}`, response.status);
+        }
+
+        return data;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', abortFromCaller);
+    }
+}
+
+/**
+ * Sends a JSON request
+ * Only pass `retries` for idempotent requests (reads)
+ * @param {string} url - Request URL
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method (default GET)
+ * @param {Object} options.headers - Extra headers
+ * @param {*} options.body - Body, serialized as JSON (FormData is sent as multipart)
+ * @param {number} options.timeout - Per-attempt timeout in milliseconds
+ * @param {number} options.retries - Extra attempts for retryable errors
+ * @param {AbortSignal} options.signal - Aborts the request and any pending retry
+ * @returns {Promise<*>} Parsed JSON body
+ * @throws {ApiError|DOMException} Typed API error, or the abort reason when cancelled
+ */
+export async function requestJson(url, {
+    method = 'GET',
+    headers = {},
+    body,
+    timeout = DEFAULT_TIMEOUT_MS,
+    retries = 0,
+    signal
+} = {}) {
+    const isFormData = body instanceof FormData;
+    const init = {
+        method,
+        // fetch sets the multipart Content-Type (with its boundary) itself
+        headers: isFormData ? headers : { 'Content-Type': 'application/json', ...headers }
+    };
+    if (body !== undefined) {
+        init.body = isFormData ? body : JSON.stringify(body);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        signal?.throwIfAborted();
+
+        try {
+            return await attemptRequest(url, init, timeout, signal);
+        } catch (error) {
+            if (!error.isRetryable || attempt >= retries) throw error;
+
+            logger.info(`${method} ${url} failed (${error.name}), retrying...`);
+            await waitForBackoff(attempt, signal);
+        }
+    }
+}
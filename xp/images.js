@@ -0,0 +1,133 @@
+/**
+ * Responsive images
+ * Turns Baserow files into srcset/sizes image models and renders them with a blurred placeholder
+ * Availability is checked by loading the image (preloadImage), never by guessing from the URL
+ */
+
+import { isValidImageUrl, preloadImage } from './utils.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Images');
+
+// Baserow thumbnails used as the blurred placeholder, smallest first
+const PLACEHOLDER_THUMBNAILS = ['tiny', 'small'];
+
+// Slow mobile connections need longer than preloadImage's default timeout
+const IMAGE_TIMEOUT_MS = 15000;
+
+// Start loading lazy images a little before they scroll into view
+const LAZY_ROOT_MARGIN = '200px';
+
+// Rendered widths, matching the Tailwind classes of the card and the detail gallery
+export const CARD_IMAGE_SIZES = '(min-width: 640px) 320px, 100vw';
+export const GALLERY_IMAGE_SIZES = '(min-width: 768px) 768px, 100vw';
+
+/**
+ * Builds the image model of a plain URL (the Image URL field)
+ * @param {string} url - Image URL
+ * @returns {Object} Image model without alternative sizes
+ */
+export function createUrlImage(url) {
+    return { url, srcset: '', width: null, height: null, placeholderUrl: '' };
+}
+
+/**
+ * Builds the image model of a Baserow file, with every thumbnail size in the srcset
+ * @param {Object} file - Baserow file ({ url, image_width, image_height, thumbnails })
+ * @returns {Object|null} { url, srcset, width, height, placeholderUrl }, or null if the file has no usable URL
+ */
+export function createFileImage(file) {
+    if (!file || !isValidImageUrl(file.url)) return null;
+
+    const thumbnails = file.thumbnails || {};
+    const candidates = [
+        ...Object.values(thumbnails),
+        { url: file.url, width: file.image_width }
+    ].filter(candidate => isValidImageUrl(candidate?.url) && candidate.width > 0);
+
+    // One URL per width; a thumbnail as wide as the original is the lighter file
+    const byWidth = new Map();
+    candidates.forEach(candidate => {
+        if (!byWidth.has(candidate.width)) byWidth.set(candidate.width, candidate.url);
+    });
+
+    const placeholderName = PLACEHOLDER_THUMBNAILS.find(name => isValidImageUrl(thumbnails[name]?.url));
+
+    return {
+        url: file.url,
+        srcset: [...byWidth.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([width, url]) => `${url} ${width}w`)
+            .join(', '),
+        width: file.image_width || null,
+        height: file.image_height || null,
+        placeholderUrl: placeholderName ? thumbnails[placeholderName].url : ''
+    };
+}
+
+/**
+ * Creates a responsive image that fades in over a blurred placeholder once it has loaded
+ * @param {Object} image - Image model (see createFileImage)
+ * @param {Object} options - Rendering options
+ * @param {string} options.alt - Alternative text
+ * @param {string} options.sizes - sizes attribute for the srcset
+ * @param {string} options.className - Classes of the wrapper (size, rounding, shadow)
+ * @param {string} options.imageClassName - Extra classes of the image itself
+ * @param {boolean} options.eager - Load now instead of when the image nears the viewport
+ * @param {Function} options.onError - Called with the wrapper when the image cannot be loaded
+ * @returns {HTMLElement} Wrapper element
+ */
+export function createResponsiveImage(image, { alt = '', sizes = '', className = '', imageClassName = '', eager = false, onError } = {}) {
+    const wrapper = document.createElement('div');
+    wrapper.className = `responsive-image relative overflow-hidden bg-gray-100 ${className}`;
+
+    let placeholder = null;
+    if (image.placeholderUrl) {
+        placeholder = document.createElement('img');
+        placeholder.src = image.placeholderUrl;
+        placeholder.alt = '';
+        placeholder.setAttribute('aria-hidden', 'true');
+        placeholder.className = 'absolute inset-0 w-full h-full object-cover blur-md scale-110';
+        wrapper.appendChild(placeholder);
+    }
+
+    const img = document.createElement('img');
+    img.alt = alt;
+    img.className = `relative w-full h-full object-cover opacity-0 transition duration-500 ${imageClassName}`;
+    if (image.width && image.height) {
+        img.width = image.width;
+        img.height = image.height;
+    }
+    wrapper.appendChild(img);
+
+    const load = async () => {
+        const isAvailable = await preloadImage(image, { sizes, timeout: IMAGE_TIMEOUT_MS });
+        if (!isAvailable) {
+            logger.warn('Image could not be loaded:', image.url);
+            onError?.(wrapper);
+            return;
+        }
+
+        // Same srcset and sizes as the preload, so the browser reuses the cached file
+        if (image.srcset) {
+            img.sizes = sizes;
+            img.srcset = image.srcset;
+        }
+        img.src = image.url;
+        img.classList.remove('opacity-0');
+        img.addEventListener('transitionend', () => placeholder?.remove(), { once: true });
+    };
+
+    if (eager || !('IntersectionObserver' in window)) {
+        load();
+    } else {
+        const observer = new IntersectionObserver((entries) => {
+            if (!entries.some(entry => entry.isIntersecting)) return;
+            observer.disconnect();
+            load();
+        }, { rootMargin: LAZY_ROOT_MARGIN });
+        observer.observe(wrapper);
+    }
+
+    return wrapper;
+}
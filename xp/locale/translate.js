@@ -1,7 +1,8 @@
 let translations = {};
 
 export async function loadTranslations(lang) {
-    const res = await fetch(`./locale/${lang}.json`);
+    // Resolved from this module, so pages outside /xp (the admin editor) load them too
+    const res = await fetch(new URL(`./${lang}.json`, import.meta.url));
     translations = await res.json();
     return translations;
 }
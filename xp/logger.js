@@ -0,0 +1,190 @@
+/**
+ * Client-side logging
+ * Silent in the console unless the page is opened with ?debug=1 (remembered for the session,
+ * ?debug=0 turns it off). Warnings and errors are always batched to /api/log, so failures on
+ * visitors' devices reach us. Secrets and contact details are redacted before anything is
+ * printed or sent
+ */
+
+import { getUrlParam } from './utils.js';
+import { createBeaconQueue } from './beacon.js';
+
+const LOG_URL = '/api/log';
+
+// Debug switch
+const DEBUG_PARAM = 'debug';
+const DEBUG_STORAGE_KEY = 'upx:debug';
+
+// Log levels, from least to most severe (each is also a console method)
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Levels sent to /api/log
+const REPORTED_LEVELS = ['warn', 'error'];
+
+// Batching: send after a short delay, or at once when the batch is full
+const BATCH_DELAY_MS = 5000;
+const MAX_BATCH_SIZE = 10;
+
+// A page stuck in an error loop stops reporting after this many entries
+const MAX_REPORTS_PER_PAGE = 50;
+
+// Limits of what one entry may contain
+const MAX_STRING_LENGTH = 1000;
+const MAX_ARRAY_ITEMS = 20;
+const MAX_DEPTH = 4;
+
+// Object keys whose values are never printed or sent
+const REDACTED_KEYS = /token|authorization|password|secret|api[-_]?key|cookie|whatsapp|phone|e-?mail|idempotency/i;
+
+// Secrets and contact details inside free text
+const REDACTED_PATTERNS = [
+    [/\b(Token|Bearer|JWT)\s+[\w.~+/=-]+/gi, '$1 [redacted]'],
+    [/([?&](?:token|key|secret|auth)[^=&\s]*=)[^&\s]+/gi, '$1[redacted]'],
+    [/[^\s@"'<>()]+@[^\s@"'<>()]+\.[a-z]{2,}/gi, '[email]'],
+    [/\+\d[\d\s().-]{7,}\d/g, '[phone]']
+];
+
+const REDACTED = '[redacted]';
+
+let isDebugEnabled = readDebugSwitch();
+let reportCount = 0;
+
+const reports = createBeaconQueue(LOG_URL, 'entries', { delay: BATCH_DELAY_MS, maxBatchSize: MAX_BATCH_SIZE });
+
+// Messages already reported (validation runs on every render and would repeat itself)
+const reportedMessages = new Set();
+
+/**
+ * Reads the debug switch from the URL, remembering it for the rest of the session
+ * @returns {boolean} True if logs should be printed to the console
+ */
+function readDebugSwitch() {
+    // Outside a page (modules loaded by the Node tests) there is nothing to read
+    if (typeof window === 'undefined') return false;
+
+    const value = getUrlParam(DEBUG_PARAM);
+
+    try {
+        if (value === '1') {
+            sessionStorage.setItem(DEBUG_STORAGE_KEY, '1');
+        } else if (value === '0') {
+            sessionStorage.removeItem(DEBUG_STORAGE_KEY);
+        }
+        return sessionStorage.getItem(DEBUG_STORAGE_KEY) === '1';
+    } catch {
+        // Storage blocked (private mode): the switch lasts for this page only
+        return value === '1';
+    }
+}
+
+/**
+ * Turns console output on or off for this page (e.g. from the browser console)
+ * @param {boolean} enabled - Whether logs should be printed
+ */
+export function setDebugEnabled(enabled) {
+    isDebugEnabled = Boolean(enabled);
+}
+
+/**
+ * Removes secrets and contact details from a text
+ * @param {string} text - Text to clean
+ * @returns {string} Redacted text, truncated to MAX_STRING_LENGTH
+ */
+function redactText(text) {
+    const redacted = REDACTED_PATTERNS.reduce(
+        (result, [pattern, replacement]) => result.replace(pattern, replacement),
+        String(text)
+    );
+    return redacted.length > MAX_STRING_LENGTH ? `${redacted.slice(0, MAX_STRING_LENGTH)}…` : redacted;
+}
+
+/**
+ * Copies a logged value without secrets, in a form that survives JSON.stringify
+ * @param {*} value - Logged value
+ * @param {number} depth - Current nesting depth
+ * @returns {*} Redacted copy
+ */
+export function redact(value, depth = 0) {
+    if (value instanceof Error) {
+        return {
+            name: value.name,
+            message: redactText(value.message),
+            ...(value.status !== undefined && { status: value.status }),
+            ...(value.stack && { stack: redactText(value.stack) })
+        };
+    }
+    if (typeof value === 'string') return redactText(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (depth >= MAX_DEPTH) return '[…]';
+
+    if (Array.isArray(value)) {
+        return value.slice(0, MAX_ARRAY_ITEMS).map(item => redact(item, depth + 1));
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+        [key, REDACTED_KEYS.test(key) ? REDACTED : redact(item, depth + 1)]));
+}
+
+/**
+ * Sends the queued entries to /api/log now
+ */
+export function flushLogs() {
+    reports.flush();
+}
+
+/**
+ * Queues an entry for /api/log
+ * @param {string} level - 'warn' or 'error'
+ * @param {string} scope - Module that logged it
+ * @param {string} message - Log message
+ * @param {Array} details - Redacted extra values
+ */
+function report(level, scope, message, details) {
+    const key = `${level} ${scope} ${message}`;
+    if (reportCount >= MAX_REPORTS_PER_PAGE || reportedMessages.has(key)) return;
+    reportedMessages.add(key);
+    reportCount++;
+
+    reports.push({
+        level,
+        scope,
+        message,
+        details,
+        page: redactText(`${window.location.pathname}${window.location.search}`),
+        time: new Date().toISOString()
+    });
+}
+
+/**
+ * Writes one log entry
+ * @param {string} level - Log level (see LEVELS)
+ * @param {string} scope - Module that logged it
+ * @param {string} message - Log message
+ * @param {Array} details - Extra values (errors, objects...)
+ */
+function log(level, scope, message, details) {
+    try {
+        const redactedMessage = redactText(message);
+        const redactedDetails = details.map(detail => redact(detail));
+
+        if (isDebugEnabled) {
+            console[level](`[${scope}]`, redactedMessage, ...redactedDetails);
+        }
+        if (REPORTED_LEVELS.includes(level)) {
+            report(level, scope, redactedMessage, redactedDetails);
+        }
+    } catch {
+        // Logging must never break the page
+    }
+}
+
+/**
+ * Creates a logger whose entries are prefixed with a module name
+ * e.g. createLogger('API').error('Error fetching experiences:', error)
+ * @param {string} scope - Module name (e.g. 'API', 'Cache')
+ * @returns {Object} { debug, info, warn, error }, each called as (message, ...details)
+ */
+export function createLogger(scope) {
+    return Object.fromEntries(LEVELS.map(level =>
+        [level, (message, ...details) => log(level, scope, message, details)]));
+}
@@ -5,10 +5,34 @@
 
 import { loadTranslations, getTranslation } from './locale/translate.js';
 import { openContactModal } from './modal.js';
+import { trackEvent } from './analytics.js';
 import { getUrlLang } from './utils.js';
-import { fetchExperiences, formatExperienceData, validateExperienceData } from './api.js';
+import {
+    fetchExperiences,
+    fetchReviews,
+    formatExperienceData,
+    validateExperienceData,
+    isExperienceVisible,
+    sortExperiences
+} from './api.js';
+import { readExperiencesCache, writeExperiencesCache } from './cache.js';
+import { NetworkError, getErrorMessage } from './errors.js';
+import { DEFAULT_LOCALE } from './schema.js';
+import { filterExperiences, getCategoryOptions, hasActiveFilters } from './filters.js';
+import { loadExchangeRates, getDisplayCurrency, setDisplayCurrency } from './pricing.js';
+import {
+    openExperienceDetail,
+    closeExperienceDetail,
+    getRequestedExperienceId,
+    getOpenExperienceId,
+    clearRequestedExperience
+} from './detail.js';
+import { setupTripDrawer, refreshTripUi, retainTripExperiences, clearTrip } from './trip.js';
+import { getExperienceReviews, getRatingSummary, formatRating, getRatingLabel } from './reviews.js';
+import { createLogger } from './logger.js';
 import { 
     renderExperiences, 
+    appendExperiences,
     updateLanguageLabels, 
     setupSmoothScrolling, 
     setupLanguageSelector, 
@@ -16,15 +40,31 @@ import {
     showLoading,
     hideLoading,
     showError,
-    showData
+    showData,
+    showStaleNotice,
+    hideStaleNotice,
+    toggleEmptyResults,
+    renderCategoryFilters,
+    setupSearchInput,
+    setupClearFiltersButton,
+    setupCurrencySelector
 } from './ui.js';
 
+const logger = createLogger('App');
+
 // Application state
 const appState = {
     currentLang: getUrlLang(),
     cachedData: null,
+    // Approved reviews of every experience (null until loaded)
+    reviews: null,
     translations: {},
-    isLoading: false
+    isLoading: false,
+    revalidateController: null,
+    filters: {
+        category: '',
+        query: ''
+    }
 };
 
 /**
@@ -32,14 +72,21 @@ const appState = {
  */
 async function initializeApp() {
     try {
-        console.log('[INIT] Starting application initialization');
-        console.log('[INIT] Current URL:', window.location.href);
-        console.log('[INIT] Current language:', appState.currentLang);
+        logger.debug('Starting application initialization');
+        logger.debug('Current URL:', window.location.href);
+        logger.debug('Current language:', appState.currentLang);
 
         // Setup UI components that don't depend on data
         setupSmoothScrolling();
         setupLanguageSelector(handleLanguageChange);
         setupRetryButton(handleRetry);
+        setupSearchInput(handleSearch);
+        setupClearFiltersButton(handleClearFilters);
+        setupCurrencySelector(getDisplayCurrency(appState.currentLang), handleCurrencyChange);
+        setupTripDrawer({ resolveExperiences: findExperiences, onRequestQuote: handleTripQuote });
+
+        // Back/forward between the catalog and an experience (?exp=<id>)
+        window.addEventListener('popstate', () => syncDetailWithUrl());
 
         // Set initial language in selector
         const langSelect = document.getElementById('langSelect');
@@ -48,45 +95,80 @@ async function initializeApp() {
         }
 
         // Load initial data
-        console.log('[INIT] Loading app data...');
+        logger.debug('Loading app data...');
         await loadAppData();
-        console.log('[INIT] App initialization complete');
+        logger.debug('App initialization complete');
 
     } catch (error) {
-        console.error('[INIT] Error initializing app:', error);
+        logger.error('Error initializing app:', error);
         showError('Erro ao inicializar a aplicação. Recarregue a página.');
     }
 }
 
 /**
  * Loads translations and experience data
+ * @param {Object} options - Load options
+ * @param {boolean} options.forceRefresh - Revalidate saved data even if it is still fresh
  */
-async function loadAppData() {
+async function loadAppData({ forceRefresh = false } = {}) {
     if (appState.isLoading) return;
     
     appState.isLoading = true;
     showLoading();
     
     try {
-        // Load translations first (they're smaller and faster)
-        await loadTranslationsForLanguage(appState.currentLang);
+        // Load translations and exchange rates first (they're smaller and faster)
+        await Promise.all([
+            loadTranslationsForLanguage(appState.currentLang),
+            loadExchangeRates()
+        ]);
+
+        // Ratings are not needed for the first paint; cards are re-rendered when they arrive
+        loadReviews();
         
-        // Load experiences data if not cached
-        if (!appState.cachedData) {
-            appState.cachedData = await fetchExperiences();
+        // Fall back to the persistent cache when nothing is in memory
+        const savedCache = appState.cachedData ? null : readExperiencesCache();
+
+        if (savedCache) {
+            // Show saved experiences instantly, then refresh them in the background
+            appState.cachedData = savedCache.data;
+            renderData();
+            syncTripWithCatalog();
+
+            if (!savedCache.isFresh || forceRefresh) {
+                revalidateExperiences();
+            } else {
+                // Fresh saved data is the whole catalog: drop a deep link it does not have
+                syncDetailWithUrl({ isComplete: true });
+            }
+        } else if (appState.cachedData) {
+            // Render the cached data
+            renderData();
+        } else {
+            // Fetch every page, rendering each one as soon as it arrives
+            appState.cachedData = await fetchExperiences({ onPage: handleExperiencesPage });
+            if (!appState.cachedData.isFallback) {
+                writeExperiencesCache(appState.cachedData);
+            }
+
+            // Pages were already rendered; fall back to renderData for the empty state
+            if (!appState.cachedData.results.some(isDisplayable)) {
+                renderData();
+            }
+
+            // Every page is in: drop a deep link to an experience that does not exist
+            syncDetailWithUrl({ isComplete: true });
+            syncTripWithCatalog();
         }
         
-        // Render the data
-        renderData();
-        
     } catch (error) {
-        console.error('Error loading app data:', error);
+        logger.error('Error loading app data:', error);
         
         // Show different errors based on what failed
         if (!appState.translations || Object.keys(appState.translations).length === 0) {
             showError('Erro ao carregar traduções. Verifique sua conexão.');
         } else {
-            showError(error.message || 'Erro ao carregar experiências. Tente novamente.');
+            showError(getErrorMessage(error, 'erro-carregar'));
         }
     } finally {
         appState.isLoading = false;
@@ -94,6 +176,63 @@ async function loadAppData() {
     }
 }
 
+/**
+ * Refreshes cached experiences from the API without blocking the UI
+ * Re-renders only when the data changed; keeps the saved data on network failure
+ */
+async function revalidateExperiences() {
+    // Only one background refresh at a time
+    appState.revalidateController?.abort();
+    const controller = new AbortController();
+    appState.revalidateController = controller;
+
+    try {
+        // The static catalog is older than the saved data: keep the latter when the source fails
+        const freshData = await fetchExperiences({ fallback: false, signal: controller.signal });
+        writeExperiencesCache(freshData);
+        hideStaleNotice();
+
+        const hasChanged = JSON.stringify(freshData.results) !== JSON.stringify(appState.cachedData?.results);
+        if (hasChanged) {
+            appState.cachedData = freshData;
+            renderData();
+            syncTripWithCatalog();
+        }
+
+        // The catalog is up to date: drop a deep link to an experience that no longer exists
+        syncDetailWithUrl({ isComplete: true });
+    } catch (error) {
+        if (controller.signal.aborted) return;
+
+        logger.warn('Could not refresh experiences, showing saved data:', error);
+        showStaleNotice(getTranslation('dados-salvos'));
+    } finally {
+        if (appState.revalidateController === controller) {
+            appState.revalidateController = null;
+        }
+    }
+}
+
+/**
+ * Loads the approved reviews in the background and re-renders the ratings
+ * Without reviews the catalog works as before, so failures are only logged
+ */
+async function loadReviews() {
+    if (appState.reviews) return;
+
+    try {
+        appState.reviews = await fetchReviews();
+    } catch (error) {
+        logger.warn('Could not load reviews:', error);
+        return;
+    }
+
+    if (appState.reviews.length > 0 && appState.cachedData) {
+        renderData();
+        refreshOpenDetail();
+    }
+}
+
 /**
  * Loads translations for a specific language
  * @param {string} language - Language code
@@ -103,13 +242,13 @@ async function loadTranslationsForLanguage(language) {
         appState.translations = await loadTranslations(language);
         updateLanguageLabels(appState.translations);
     } catch (error) {
-        console.error('Error loading translations:', error);
+        logger.error('Error loading translations:', error);
         
         // Fallback to default language if current language fails
-        if (language !== 'pt-br') {
-            console.warn('Falling back to Portuguese translations');
-            appState.currentLang = 'pt-br';
-            appState.translations = await loadTranslations('pt-br');
+        if (language !== DEFAULT_LOCALE) {
+            logger.warn(`Falling back to ${DEFAULT_LOCALE} translations`);
+            appState.currentLang = DEFAULT_LOCALE;
+            appState.translations = await loadTranslations(DEFAULT_LOCALE);
             updateLanguageLabels(appState.translations);
         } else {
             throw new Error('Não foi possível carregar as traduções');
@@ -117,6 +256,79 @@ async function loadTranslationsForLanguage(language) {
     }
 }
 
+/**
+ * Checks whether a raw experience row is valid, published and available today
+ * @param {Object} experience - Raw experience row
+ * @returns {boolean} True if the experience can be shown
+ */
+function isDisplayable(experience) {
+    return validateExperienceData(experience) && isExperienceVisible(experience);
+}
+
+/**
+ * Formats a raw experience for the current language, with its reviews and rating
+ * @param {Object} experience - Raw experience row
+ * @returns {Object} Formatted experience
+ */
+function formatExperience(experience) {
+    const formatted = formatExperienceData(experience, appState.currentLang);
+    const reviews = getExperienceReviews(appState.reviews || [], experience.id, appState.currentLang);
+    const summary = getRatingSummary(reviews);
+
+    return {
+        ...formatted,
+        reviews,
+        rating: summary && {
+            ...summary,
+            formatted: formatRating(summary.average, appState.currentLang),
+            label: getRatingLabel(summary, appState.currentLang)
+        }
+    };
+}
+
+/**
+ * Validates and formats raw experiences for the current language, in editorial order
+ * @param {Array} results - Raw experience rows from the API
+ * @returns {Array} Formatted experiences ready for rendering
+ */
+function formatExperiences(results) {
+    return sortExperiences(results
+        .filter(isDisplayable)
+        .map(formatExperience));
+}
+
+/**
+ * Renders a page of experiences as it arrives from the API
+ * @param {Array} results - Raw experience rows of this page
+ * @param {number} pageNumber - 1-based page number
+ */
+function handleExperiencesPage(results, pageNumber) {
+    // Keep partial data so a language change mid-load re-renders what we have
+    if (pageNumber === 1) {
+        appState.cachedData = { results: [] };
+    }
+    const previousExperiences = filterExperiences(formatExperiences(appState.cachedData.results), appState.filters);
+    appState.cachedData.results.push(...results);
+
+    const allExperiences = formatExperiences(appState.cachedData.results);
+    const visibleExperiences = filterExperiences(allExperiences, appState.filters);
+
+    // Append the new cards unless some sort before the ones shown (e.g. a featured row on page 2)
+    const keepsOrder = previousExperiences.every((experience, index) =>
+        visibleExperiences[index].id === experience.id);
+
+    updateCategoryFilters(allExperiences);
+    if (pageNumber === 1 || !keepsOrder) {
+        renderExperiences(visibleExperiences, handleContactClick, handleDetailsClick);
+    } else {
+        appendExperiences(visibleExperiences.slice(previousExperiences.length), handleContactClick, handleDetailsClick);
+    }
+    toggleEmptyResults(allExperiences.length > 0 && visibleExperiences.length === 0);
+
+    // Open a deep-linked experience as soon as its page arrives
+    syncDetailWithUrl();
+}
+
 /**
  * Renders experience data to the UI
  */
@@ -128,24 +340,80 @@ function renderData() {
     
     try {
         // Format and validate experience data
-        const formattedExperiences = appState.cachedData.results
-            .filter(validateExperienceData)
-            .map(experience => formatExperienceData(experience, appState.currentLang));
+        const formattedExperiences = formatExperiences(appState.cachedData.results);
         
         if (formattedExperiences.length === 0) {
             showError('Nenhuma experiência válida encontrada.');
             return;
         }
         
-        // Render experiences
-        renderExperiences(formattedExperiences, handleContactClick);
+        updateCategoryFilters(formattedExperiences);
+
+        // Render only the experiences matching the active filters
+        const visibleExperiences = filterExperiences(formattedExperiences, appState.filters);
+        renderExperiences(visibleExperiences, handleContactClick, handleDetailsClick);
+        toggleEmptyResults(visibleExperiences.length === 0);
+        syncDetailWithUrl();
         
     } catch (error) {
-        console.error('Error rendering data:', error);
+        logger.error('Error rendering data:', error);
         showError('Erro ao exibir experiências.');
     }
 }
 
+/**
+ * Rebuilds the category filter bar from the loaded experiences
+ * Drops the selected category if no experience has it anymore
+ * @param {Array} experiences - Formatted experiences
+ */
+function updateCategoryFilters(experiences) {
+    const categories = getCategoryOptions(experiences);
+
+    if (appState.filters.category && !categories.some(category => category.slug === appState.filters.category)) {
+        appState.filters.category = '';
+    }
+
+    renderCategoryFilters(categories, appState.filters.category, handleCategoryChange);
+}
+
+/**
+ * Handles category filter clicks
+ * @param {string} category - Selected category slug ('' for all)
+ */
+function handleCategoryChange(category) {
+    if (category === appState.filters.category) return;
+
+    appState.filters.category = category;
+    if (appState.cachedData) {
+        renderData();
+    }
+}
+
+/**
+ * Handles search input changes (debounced)
+ * @param {string} query - Current search query
+ */
+function handleSearch(query) {
+    if (query === appState.filters.query) return;
+
+    appState.filters.query = query;
+    if (appState.cachedData) {
+        renderData();
+    }
+}
+
+/**
+ * Clears every filter and shows the full catalog
+ */
+function handleClearFilters() {
+    if (!hasActiveFilters(appState.filters)) return;
+
+    appState.filters = { category: '', query: '' };
+    if (appState.cachedData) {
+        renderData();
+    }
+}
+
 /**
  * Handles language change events
  * @param {string} newLang - New language code
@@ -163,10 +431,12 @@ async function handleLanguageChange(newLang) {
         // Re-render data with new language if we have cached data
         if (appState.cachedData) {
             renderData();
+            refreshOpenDetail();
+            refreshTripUi();
         }
         
     } catch (error) {
-        console.error('Error changing language:', error);
+        logger.error('Error changing language:', error);
         
         // Revert to previous language on error
         appState.currentLang = previousLang;
@@ -179,21 +449,139 @@ async function handleLanguageChange(newLang) {
     }
 }
 
+/**
+ * Handles currency selector changes
+ * @param {string} currency - New currency code
+ */
+function handleCurrencyChange(currency) {
+    setDisplayCurrency(currency);
+    if (!appState.cachedData) return;
+
+    renderData();
+    refreshOpenDetail();
+    refreshTripUi();
+}
+
 /**
  * Handles contact button clicks
  * @param {Object} options - Contact options
  * @param {string} options.experienceId - Experience ID
  * @param {string} options.experienceName - Experience name
+ * @param {Array<string>} options.priceLines - Formatted prices
+ * @param {Object|null} options.prices - Raw prices
+ * @param {Array<number>|null} options.operatingWeekdays - Weekdays the experience runs on
+ * @param {string} options.source - Where the button was clicked ('card' or 'detail')
+ */
+function handleContactClick({ experienceId, experienceName, priceLines, prices, operatingWeekdays, source }) {
+    trackEvent('contact_click', { experienceIds: [experienceId], source });
+    try {
+        openContactModal({
+            experiences: [{ id: experienceId, name: experienceName, priceLines, prices, operatingWeekdays }],
+            language: appState.currentLang
+        });
+    } catch (error) {
+        logger.error('Error opening contact modal:', error);
+        alert(getTranslation('erro-abrir-formulario'));
+    }
+}
+
+/**
+ * Handles the "request a quote" button of the trip drawer
+ * The whole selection is sent as one lead and cleared once it was saved
+ * @param {Array<Object>} experiences - Selected formatted experiences
  */
-function handleContactClick({ experienceId, experienceName }) {
+function handleTripQuote(experiences) {
+    trackEvent('contact_click', { experienceIds: experiences.map(experience => experience.id), source: 'trip' });
     try {
         openContactModal({
-            experienceId,
-            experienceName
+            experiences,
+            language: appState.currentLang,
+            onSubmit: clearTrip
         });
     } catch (error) {
-        console.error('Error opening contact modal:', error);
-        alert('Erro ao abrir formulário de contato. Tente novamente.');
+        logger.error('Error opening contact modal:', error);
+        alert(getTranslation('erro-abrir-formulario'));
+    }
+}
+
+/**
+ * Finds a formatted experience by id in the loaded data
+ * @param {string|number} experienceId - Experience ID
+ * @returns {Object|null} Formatted experience or null
+ */
+function findExperience(experienceId) {
+    if (!experienceId || !appState.cachedData) return null;
+
+    const experience = appState.cachedData.results.find(row => String(row.id) === String(experienceId));
+    if (!experience || !isDisplayable(experience)) return null;
+
+    return formatExperience(experience);
+}
+
+/**
+ * Finds the formatted experiences of several ids, skipping unknown ones
+ * @param {Array<string|number>} experienceIds - Experience IDs
+ * @returns {Array<Object>} Formatted experiences, in the given order
+ */
+function findExperiences(experienceIds) {
+    return experienceIds.map(findExperience).filter(Boolean);
+}
+
+/**
+ * Drops trip selections of experiences that left the catalog
+ * Only called with complete data, so a partially loaded catalog never empties the trip
+ */
+function syncTripWithCatalog() {
+    if (!appState.cachedData) return;
+
+    retainTripExperiences(appState.cachedData.results
+        .filter(isDisplayable)
+        .map(experience => experience.id));
+}
+
+/**
+ * Handles "details" link clicks on cards
+ * @param {Object} options - Details options
+ * @param {string} options.experienceId - Experience ID
+ */
+function handleDetailsClick({ experienceId }) {
+    const experience = findExperience(experienceId);
+    if (!experience) return;
+
+    openExperienceDetail(experience, { onContactClick: handleContactClick });
+}
+
+/**
+ * Re-renders an open detail view (after a language or currency change)
+ */
+function refreshOpenDetail() {
+    const openExperience = findExperience(getOpenExperienceId());
+    if (openExperience) {
+        openExperienceDetail(openExperience, { onContactClick: handleContactClick, updateHistory: false });
+    }
+}
+
+/**
+ * Opens or closes the detail view to match ?exp=<id> in the URL
+ * @param {Object} options - Sync options
+ * @param {boolean} options.isComplete - All data is loaded, so a missing id will never appear
+ */
+function syncDetailWithUrl({ isComplete = false } = {}) {
+    const requestedId = getRequestedExperienceId();
+
+    if (!requestedId) {
+        closeExperienceDetail({ updateHistory: false });
+        return;
+    }
+
+    if (getOpenExperienceId() === requestedId) return;
+
+    const experience = findExperience(requestedId);
+    if (experience) {
+        openExperienceDetail(experience, { onContactClick: handleContactClick, updateHistory: false });
+    } else if (isComplete) {
+        logger.info('Experience from URL not found:', requestedId);
+        clearRequestedExperience();
     }
 }
 
@@ -201,9 +589,11 @@ function handleContactClick({ experienceId, experienceName }) {
  * Handles retry button clicks
  */
 async function handleRetry() {
-    // Clear cached data to force fresh fetch
+    // Clear in-memory data; saved data (if any) is shown while we refetch
+    appState.revalidateController?.abort();
     appState.cachedData = null;
-    await loadAppData();
+    hideStaleNotice();
+    await loadAppData({ forceRefresh: true });
 }
 
 /**
@@ -212,7 +602,7 @@ async function handleRetry() {
 function setupGlobalErrorHandling() {
     // Handle unhandled promise rejections
     window.addEventListener('unhandledrejection', (event) => {
-        console.error('Unhandled promise rejection:', event.reason);
+        logger.error('Unhandled promise rejection:', event.reason);
         
         // Prevent default browser error handling
         event.preventDefault();
@@ -226,11 +616,17 @@ function setupGlobalErrorHandling() {
     
     // Handle JavaScript errors
     window.addEventListener('error', (event) => {
-        console.error('JavaScript error:', event.error);
+        // Errors of cross-origin scripts come without the error object
+        logger.error('JavaScript error:', event.error || {
+            message: event.message,
+            source: event.filename,
+            line: event.lineno,
+            column: event.colno
+        });
         
         // Only show error to user if it's critical
-        if (event.error && event.error.message.includes('fetch')) {
-            showError('Erro de conexão. Verifique sua internet.');
+        if (event.error instanceof NetworkError) {
+            showError(getErrorMessage(event.error));
         }
     });
 }
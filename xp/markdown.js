@@ -0,0 +1,124 @@
+/**
+ * Limited Markdown for experience descriptions typed in Baserow
+ * Supports paragraphs, line breaks, **bold**, "- " and "1. " lists and [links](https://...);
+ * anything else stays plain text. The text is escaped first, so the only markup in the
+ * output is the one generated here. Kept free of DOM access for functions/xp/_middleware.js
+ */
+
+import { escapeHtml, rawHtml } from './html.js';
+
+// Link targets editors may use; anything else (javascript:, data:...) is shown as plain text
+const LINK_PROTOCOLS = ['https:', 'http:', 'mailto:'];
+
+// Markdown line patterns
+const BULLET_ITEM = /^\s*[-*]\s+(.*)$/;
+const NUMBERED_ITEM = /^\s*\d+[.)]\s+(.*)$/;
+const LINK = /\[([^\]\n]+)\]\(([^()\s]+)\)/g;
+const BOLD = /\*\*(?=\S)(.+?)\*\*/g;
+
+// Stands in for a rendered link while bold is applied (NUL never survives in the text)
+const LINK_PLACEHOLDER = /\u0000(\d+)\u0000/g;
+
+/**
+ * Checks that a link target uses an allowed protocol
+ * @param {string} url - Link target (already escaped)
+ * @returns {boolean} True if the link can be rendered
+ */
+function isAllowedLink(url) {
+    try {
+        return LINK_PROTOCOLS.includes(new URL(url).protocol);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Replaces the links and bold text of one line
+ * Links are swapped for placeholders before bold is applied, so "**" inside a link target or
+ * label cannot pair with one outside it; labels are bolded on their own
+ * @param {string} line - Line of text
+ * @param {Function} replaceLink - (label, url) -> link replacement
+ * @param {string} boldReplacement - Replacement of bold text ($1 is the text)
+ * @returns {string} Line with links and bold replaced
+ */
+function replaceInline(line, replaceLink, boldReplacement) {
+    const links = [];
+    return line
+        .replace(/\u0000/g, '')
+        .replace(LINK, (match, label, url) => {
+            links.push(replaceLink(label.replace(BOLD, boldReplacement), url));
+            return `\u0000${links.length - 1}\u0000`;
+        })
+        .replace(BOLD, boldReplacement)
+        .replace(LINK_PLACEHOLDER, (match, index) => links[index]);
+}
+
+/**
+ * Renders bold text and links in one escaped line
+ * @param {string} text - Escaped text
+ * @returns {string} Markup
+ */
+function renderInline(text) {
+    return replaceInline(text, (label, url) => isAllowedLink(url)
+        ? `<a href="${url}" target="_blank" rel="noopener noreferrer" class="text-blue-600 hover:text-blue-700 underline">${label}</a>`
+        : label, '<strong>$1</strong>');
+}
+
+/**
+ * Groups the lines of a text into paragraphs and lists
+ * @param {string} text - Raw text
+ * @returns {Array<Object>} Blocks as { type: 'paragraph'|'ul'|'ol', lines }
+ */
+function getBlocks(text) {
+    const blocks = [];
+    let current = null;
+
+    String(text || '').replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+        const bullet = line.match(BULLET_ITEM);
+        const numbered = !bullet && line.match(NUMBERED_ITEM);
+        const type = bullet ? 'ul' : numbered ? 'ol' : line.trim() ? 'paragraph' : null;
+
+        if (!type) {
+            current = null;
+            return;
+        }
+        if (current?.type !== type) {
+            current = { type, lines: [] };
+            blocks.push(current);
+        }
+        current.lines.push(bullet ? bullet[1] : numbered ? numbered[1] : line.trim());
+    });
+
+    return blocks;
+}
+
+/**
+ * Renders a description as safe HTML
+ * @param {string} text - Description with limited Markdown
+ * @returns {SafeHtml} Markup for html`` templates or innerHTML
+ */
+export function renderMarkdown(text) {
+    const markup = getBlocks(text).map(({ type, lines }) => {
+        const rendered = lines.map(line => renderInline(escapeHtml(line)));
+
+        if (type === 'paragraph') {
+            return `<p>${rendered.join('<br>')}</p>`;
+        }
+        const listClass = type === 'ul' ? 'list-disc' : 'list-decimal';
+        return `<${type} class="${listClass} pl-5 space-y-1">${rendered.map(item => `<li>${item}</li>`).join('')}</${type}>`;
+    }).join('');
+
+    return rawHtml(markup);
+}
+
+/**
+ * Removes the Markdown syntax from a description, for page metadata and structured data
+ * @param {string} text - Description with limited Markdown
+ * @returns {string} Plain text
+ */
+export function stripMarkdown(text) {
+    return getBlocks(text)
+        .flatMap(block => block.lines)
+        .map(line => replaceInline(line, label => label, '$1'))
+        .join('\n');
+}
@@ -1,33 +1,106 @@
 /**
  * Modal functionality for contact forms
- * Handles modal creation, form validation, and WhatsApp integration
+ * Handles modal creation, form validation, and the contact channels (WhatsApp, email, phone call)
  */
 
 import { getTranslation } from './locale/translate.js';
 import { 
     getUrlParam, 
-    validateBrazilianPhone, 
     validateName, 
-    formatBrazilianPhone,
-    setButtonLoading 
+    validateEmail,
+    setButtonLoading,
+    debounce,
+    createIdempotencyKey,
+    getTodayIsoDate,
+    getIsoDateWeekday,
+    formatIsoDate
 } from './utils.js';
-import { submitContact } from './api.js';
+import { submitContact, validateCoupon } from './api.js';
+import { ValidationError, getErrorMessage } from './errors.js';
+import { applyDiscount, getDiscountLabel, getPriceLines } from './pricing.js';
+import { getAttribution, appendAttributionToMessage } from './attribution.js';
+import {
+    PHONE_COUNTRIES,
+    getPhoneCountry,
+    getDefaultPhoneCountry,
+    getCountryFlag,
+    parseInternationalPhone,
+    formatPhone,
+    validatePhone,
+    toE164
+} from './phone.js';
+import { html } from './html.js';
+import { createLogger } from './logger.js';
+import { trackEvent } from './analytics.js';
+
+const logger = createLogger('Contact');
+
+// Ways the visitor can ask to be contacted: value saved to Baserow -> translation key and icon
+// Only WhatsApp hands the conversation over to wa.me; the others are answered by the team
+const CONTACT_CHANNELS = [
+    { value: 'WhatsApp', key: 'canal-whatsapp', icon: 'fab fa-whatsapp' },
+    { value: 'Email', key: 'canal-email', icon: 'fas fa-envelope' },
+    { value: 'Telefone', key: 'canal-telefone', icon: 'fas fa-phone' }
+];
+const DEFAULT_CONTACT_CHANNEL = CONTACT_CHANNELS[0].value;
+
+// Largest party accepted per age group (bigger groups are handled by the team directly)
+const MAX_PARTY_SIZE = 50;
+
+// Preferred time slots: value saved to Baserow and sent on WhatsApp -> translation key
+const TIME_SLOTS = [
+    { value: 'Manhã', key: 'horario-manha' },
+    { value: 'Tarde', key: 'horario-tarde' },
+    { value: 'Noite', key: 'horario-noite' }
+];
+
+// Translation keys of the weekdays, indexed like Date#getDay()
+const WEEKDAY_KEYS = [
+    'dia-domingo',
+    'dia-segunda',
+    'dia-terca',
+    'dia-quarta',
+    'dia-quinta',
+    'dia-sexta',
+    'dia-sabado'
+];
+
+// Why a coupon was rejected (reason from /api/coupons) -> translation key
+const COUPON_REJECTION_KEYS = {
+    'not-found': 'cupom-nao-encontrado',
+    'inactive': 'cupom-inativo',
+    'not-started': 'cupom-ainda-nao-valido',
+    'expired': 'cupom-expirado',
+    'limit-reached': 'cupom-esgotado',
+    'not-applicable': 'cupom-nao-aplicavel'
+};
 
 /**
  * Creates and displays the contact modal
+ * Several experiences (a trip selection) are sent as a single lead
  * @param {Object} options - Modal options
- * @param {string} options.experienceName - Name of the selected experience
- * @param {string|number} options.experienceId - ID of the selected experience
+ * @param {Array<Object>} options.experiences - Selected experiences, each with:
+ *   id, name, priceLines (formatted prices), prices (raw prices, for the coupon discount preview)
+ *   and operatingWeekdays (weekdays it runs on, null for every day)
+ * @param {string} options.language - Current language
+ * @param {Function} options.onSubmit - Optional callback once the lead was saved
  */
-export function openContactModal({ experienceName, experienceId }) {
+export function openContactModal({ experiences, language, onSubmit = null }) {
     // Remove existing modal if present
     closeContactModal();
 
-    const modal = createModalElement(experienceName, experienceId);
+    // The weekday rule only applies to a single experience; for a trip the date is when it starts
+    const operatingWeekdays = experiences.length === 1 ? experiences[0].operatingWeekdays || null : null;
+
+    const modal = createModalElement(experiences, operatingWeekdays);
+    const experienceIds = experiences.map(experience => experience.id);
+    // Read back when the modal closes, to tell an abandoned form from a sent one
+    modal.dataset.experienceIds = experienceIds.join(',');
     document.body.appendChild(modal);
+    trackEvent('modal_open', { experienceIds });
     
     // Setup modal event listeners
-    setupModalEventListeners(modal, { experienceName, experienceId });
+    setupModalEventListeners(modal, { experiences, operatingWeekdays, language, onSubmit });
     
     // Focus on first input for accessibility
     const firstInput = modal.querySelector('#contact-name');
@@ -41,22 +114,30 @@ export function openContactModal({ experienceName, experienceId }) {
 
 /**
  * Closes and removes the contact modal
+ * Closing it before the lead was sent counts as an abandoned form
  */
 export function closeContactModal() {
     const existingModal = document.getElementById('contact-modal');
     if (existingModal) {
+        if (!existingModal.dataset.submitted) {
+            trackEvent('modal_abandon', { experienceIds: existingModal.dataset.experienceIds.split(',').filter(Boolean) });
+        }
         existingModal.remove();
-        document.body.style.overflow = '';
+        // Keep the page locked if the modal was opened from the experience detail view
+        document.body.style.overflow = document.getElementById('experience-detail') ? 'hidden' : '';
     }
 }
 
 /**
  * Creates the modal DOM element
- * @param {string} experienceName - Name of the experience
- * @param {string|number} experienceId - ID of the experience
+ * @param {Array<Object>} experiences - Selected experiences
+ * @param {Array<number>|null} operatingWeekdays - Weekdays the experience runs on
  * @returns {HTMLElement} Modal element
  */
-function createModalElement(experienceName, experienceId) {
+function createModalElement(experiences, operatingWeekdays = null) {
+    const phoneCountry = getDefaultPhoneCountry();
+    const isTrip = experiences.length > 1;
+    const priceLines = isTrip ? [] : experiences[0].priceLines || [];
     const modal = document.createElement('div');
     modal.id = 'contact-modal';
     modal.className = 'fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4';
@@ -64,8 +145,8 @@ function createModalElement(experienceName, experienceId) {
     modal.setAttribute('aria-modal', 'true');
     modal.setAttribute('aria-labelledby', 'modal-title');
     
-    modal.innerHTML = `
-        <div class="bg-white rounded-2xl shadow-xl w-full max-w-md relative animate-fade-in">
+    modal.innerHTML = html`
+        <div class="bg-white rounded-2xl shadow-xl w-full max-w-md max-h-full overflow-y-auto relative animate-fade-in">
             <div class="p-8">
                 <button 
                     id="close-modal" 
@@ -75,59 +156,236 @@ function createModalElement(experienceName, experienceId) {
                     &times;
                 </button>
                 
-                <h2 id="modal-title" class="text-2xl font-bold mb-4 text-gray-900">
-                    ${getTranslation('contato-whatsapp')}
-                </h2>
+                <div id="modal-content">
+                    <h2 id="modal-title" class="text-2xl font-bold mb-4 text-gray-900">
+                        ${getTranslation('contato-whatsapp')}
+                    </h2>
                 
-                <p class="text-gray-600 mb-6">
-                    Experiência: <strong>${experienceName}</strong>
-                </p>
+                    ${isTrip ? html`
+                        <p class="text-gray-600 mb-2">${getTranslation('experiencias')}:</p>
+                        <ul class="list-disc pl-5 mb-6 text-gray-900 font-semibold space-y-1">
+                            ${experiences.map(experience => html`
+                                <li>
+                                    ${experience.name}
+                                    ${(experience.priceLines || []).length > 0 && html`
+                                        <span class="block text-sm font-normal text-gray-700">${experience.priceLines[0]}</span>
+                                    `}
+                                </li>
+                            `)}
+                        </ul>
+                    ` : html`
+                        <p class="text-gray-600 ${priceLines.length > 0 ? 'mb-2' : 'mb-6'}">
+                            ${getTranslation('experiencia')}: <strong>${experiences[0].name}</strong>
+                        </p>
+                    `}
+                    ${priceLines.length > 0 && html`
+                        <p class="text-sm text-gray-700 mb-6">${priceLines.join(' · ')}</p>
+                    `}
                 
-                <form id="contact-form" class="space-y-4" novalidate>
-                    <div>
-                        <label class="block text-gray-700 mb-2 font-medium" for="contact-name">
-                            ${getTranslation('nome')}*
-                        </label>
-                        <input 
-                            id="contact-name" 
-                            name="name" 
-                            type="text" 
-                            required 
-                            class="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
-                            placeholder="${getTranslation('nome-placeholder')}"
-                            aria-describedby="name-error"
-                        >
-                        <div id="name-error" class="text-red-600 text-sm mt-1 hidden" role="alert"></div>
-                    </div>
+                    <form id="contact-form" class="space-y-4" novalidate>
+                        <div>
+                            <label class="block text-gray-700 mb-2 font-medium" for="contact-name">
+                                ${getTranslation('nome')}*
+                            </label>
+                            <input 
+                                id="contact-name" 
+                                name="name" 
+                                type="text" 
+                                required 
+                                class="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                                placeholder="${getTranslation('nome-placeholder')}"
+                                aria-describedby="name-error"
+                            >
+                            <div id="name-error" class="text-red-600 text-sm mt-1 hidden" role="alert"></div>
+                        </div>
                     
-                    <div>
-                        <label class="block text-gray-700 mb-2 font-medium" for="contact-whatsapp">
-                            WhatsApp*
-                        </label>
-                        <input 
-                            id="contact-whatsapp" 
-                            name="whatsapp" 
-                            type="tel" 
-                            required 
-                            class="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
-                            placeholder="${getTranslation('whatsapp-placeholder')}"
-                            aria-describedby="whatsapp-error"
-                        >
-                        <div id="whatsapp-error" class="text-red-600 text-sm mt-1 hidden" role="alert"></div>
-                    </div>
+                        <fieldset>
+                            <legend class="block text-gray-700 mb-2 font-medium">
+                                ${getTranslation('canal-preferido')}
+                            </legend>
+                            <div class="grid grid-cols-3 gap-2">
+                                ${CONTACT_CHANNELS.map(channel => html`
+                                    <label class="cursor-pointer">
+                                        <input 
+                                            type="radio" 
+                                            name="channel" 
+                                            value="${channel.value}" 
+                                            class="peer sr-only"
+                                            ${channel.value === DEFAULT_CONTACT_CHANNEL ? 'checked' : ''}
+                                        >
+                                        <span class="flex flex-col items-center gap-1 rounded-lg border border-gray-300 px-2 py-2 text-sm text-gray-700 transition-colors peer-checked:border-green-600 peer-checked:bg-green-50 peer-checked:text-green-700 peer-focus-visible:ring-2 peer-focus-visible:ring-blue-500">
+                                            <i class="${channel.icon} text-lg" aria-hidden="true"></i>
+                                            ${getTranslation(channel.key)}
+                                        </span>
+                                    </label>
+                                `)}
+                            </div>
+                        </fieldset>
                     
-                    <button 
-                        type="submit" 
-                        id="submit-btn"
-                        class="w-full bg-green-600 hover:bg-green-700 text-white font-semibold py-3 rounded-lg flex items-center justify-center gap-2 transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2"
-                        aria-describedby="form-error"
-                    >
-                        <i class="fab fa-whatsapp text-xl" aria-hidden="true"></i> 
-                        ${getTranslation('enviar-mensagem')}
-                    </button>
-                </form>
+                        <div id="email-field" class="hidden">
+                            <label class="block text-gray-700 mb-2 font-medium" for="contact-email">
+                                ${getTranslation('email')}*
+                            </label>
+                            <input 
+                                id="contact-email" 
+                                name="email" 
+                                type="email" 
+                                autocomplete="email"
+                                maxlength="254"
+                                class="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                                placeholder="${getTranslation('email-placeholder')}"
+                                aria-describedby="email-error"
+                            >
+                            <div id="email-error" class="text-red-600 text-sm mt-1 hidden" role="alert"></div>
+                        </div>
+                    
+                        <div id="phone-field">
+                            <label id="phone-label" class="block text-gray-700 mb-2 font-medium" for="contact-whatsapp">
+                                WhatsApp*
+                            </label>
+                            <div class="flex gap-2">
+                                <select 
+                                    id="contact-phone-country" 
+                                    name="phoneCountry" 
+                                    class="border border-gray-300 rounded-lg px-2 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                                    aria-label="${getTranslation('codigo-pais')}"
+                                >
+                                    ${PHONE_COUNTRIES.map(country => html`
+                                        <option value="${country.code}" ${country.code === phoneCountry ? 'selected' : ''}>
+                                            ${getCountryFlag(country.code)} +${country.dialCode}
+                                        </option>
+                                    `)}
+                                </select>
+                                <input 
+                                    id="contact-whatsapp" 
+                                    name="whatsapp" 
+                                    type="tel" 
+                                    autocomplete="tel-national"
+                                    required 
+                                    class="flex-1 min-w-0 border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                                    placeholder="${getPhoneCountry(phoneCountry).example}"
+                                    aria-describedby="whatsapp-error"
+                                >
+                            </div>
+                            <div id="whatsapp-error" class="text-red-600 text-sm mt-1 hidden" role="alert"></div>
+                        </div>
+                    
+                        <div>
+                            <label class="block text-gray-700 mb-2 font-medium" for="contact-date">
+                                ${getTranslation(isTrip ? 'data-inicio-viagem' : 'data-desejada')}*
+                            </label>
+                            <input 
+                                id="contact-date" 
+                                name="date" 
+                                type="date" 
+                                required 
+                                min="${getTodayIsoDate()}"
+                                class="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                                aria-describedby="${operatingWeekdays ? 'date-hint ' : ''}date-error"
+                            >
+                            ${operatingWeekdays && html`
+                                <p id="date-hint" class="text-gray-500 text-sm mt-1">
+                                    ${getTranslation('dias-disponiveis')} ${operatingWeekdays.map(weekday => getTranslation(WEEKDAY_KEYS[weekday])).join(', ')}
+                                </p>
+                            `}
+                            <div id="date-error" class="text-red-600 text-sm mt-1 hidden" role="alert"></div>
+                        </div>
+                    
+                        <div class="grid grid-cols-2 gap-4">
+                            <div>
+                                <label class="block text-gray-700 mb-2 font-medium" for="contact-adults">
+                                    ${getTranslation('adultos')}*
+                                </label>
+                                <input 
+                                    id="contact-adults" 
+                                    name="adults" 
+                                    type="number" 
+                                    inputmode="numeric"
+                                    required 
+                                    min="1" 
+                                    max="${MAX_PARTY_SIZE}" 
+                                    step="1" 
+                                    value="1"
+                                    class="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                                    aria-describedby="adults-error"
+                                >
+                                <div id="adults-error" class="text-red-600 text-sm mt-1 hidden" role="alert"></div>
+                            </div>
+                            <div>
+                                <label class="block text-gray-700 mb-2 font-medium" for="contact-children">
+                                    ${getTranslation('criancas')}
+                                </label>
+                                <input 
+                                    id="contact-children" 
+                                    name="children" 
+                                    type="number" 
+                                    inputmode="numeric"
+                                    min="0" 
+                                    max="${MAX_PARTY_SIZE}" 
+                                    step="1" 
+                                    value="0"
+                                    class="w-full border border-gray-300 rounded-lg px-3 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                                    aria-describedby="children-error"
+                                >
+                                <div id="children-error" class="text-red-600 text-sm mt-1 hidden" role="alert"></div>
+                            </div>
+                        </div>
+                    
+                        <div>
+                            <label class="block text-gray-700 mb-2 font-medium" for="contact-time">
+                                ${getTranslation('horario-preferido')}
+                            </label>
+                            <select 
+                                id="contact-time" 
+                                name="timeSlot" 
+                                class="w-full border border-gray-300 rounded-lg px-3 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                            >
+                                <option value="">${getTranslation('sem-preferencia')}</option>
+                                ${TIME_SLOTS.map(slot => html`
+                                    <option value="${slot.value}">${getTranslation(slot.key)}</option>
+                                `)}
+                            </select>
+                        </div>
+                    
+                        <div>
+                            <label class="block text-gray-700 mb-2 font-medium" for="contact-cupom">
+                                ${getTranslation('cupom')}
+                            </label>
+                            <div class="flex gap-2">
+                                <input 
+                                    id="contact-cupom" 
+                                    name="cupom" 
+                                    type="text" 
+                                    autocomplete="off"
+                                    autocapitalize="characters"
+                                    maxlength="40"
+                                    class="flex-1 min-w-0 border border-gray-300 rounded-lg px-3 py-2 uppercase focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                                    aria-describedby="cupom-status"
+                                >
+                                <button 
+                                    type="button" 
+                                    id="apply-cupom"
+                                    class="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 font-medium hover:bg-gray-100 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                >
+                                    ${getTranslation('aplicar-cupom')}
+                                </button>
+                            </div>
+                            <div id="cupom-status" class="text-sm mt-1 hidden" aria-live="polite"></div>
+                        </div>
+                    
+                        <button 
+                            type="submit" 
+                            id="submit-btn"
+                            class="w-full bg-green-600 hover:bg-green-700 text-white font-semibold py-3 rounded-lg flex items-center justify-center gap-2 transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2"
+                            aria-describedby="form-error"
+                        >
+                            <i class="fab fa-whatsapp text-xl" aria-hidden="true"></i> 
+                            ${getTranslation('enviar-mensagem')}
+                        </button>
+                    </form>
                 
-                <div id="form-error" class="text-red-600 text-sm mt-4 hidden" role="alert" aria-live="polite"></div>
+                    <div id="form-error" class="text-red-600 text-sm mt-4 hidden" role="alert" aria-live="polite"></div>
+                </div>
             </div>
         </div>
     `;
@@ -140,7 +398,7 @@ function createModalElement(experienceName, experienceId) {
  * @param {HTMLElement} modal - Modal element
  * @param {Object} options - Modal options
  */
-function setupModalEventListeners(modal, { experienceName, experienceId }) {
+function setupModalEventListeners(modal, { experiences, operatingWeekdays, language, onSubmit }) {
     // Close button
     const closeBtn = modal.querySelector('#close-modal');
     closeBtn?.addEventListener('click', closeContactModal);
@@ -159,32 +417,264 @@ function setupModalEventListeners(modal, { experienceName, experienceId }) {
     };
     document.addEventListener('keydown', handleEscape);
     
+    // Coupon check and discount preview
+    const couponField = setupCouponField(modal, {
+        experienceIds: experiences.map(experience => experience.id),
+        // The discounted prices are only previewed for a single experience
+        prices: experiences.length === 1 ? experiences[0].prices || null : null,
+        language
+    });
+    
+    // One key per modal: resubmitting the same form never creates a second lead
+    const idempotencyKey = createIdempotencyKey();
+    
     // Form submission
     const form = modal.querySelector('#contact-form');
-    form?.addEventListener('submit', (e) => handleFormSubmit(e, { experienceName, experienceId }));
+    form?.addEventListener('submit', (e) =>
+        handleFormSubmit(e, { experiences, operatingWeekdays, couponField, idempotencyKey, language, onSubmit }));
     
     // Real-time validation
-    setupRealTimeValidation(modal);
+    setupRealTimeValidation(modal, operatingWeekdays);
     
     // Phone formatting
     setupPhoneFormatting(modal);
+    
+    // Contact channel (WhatsApp, email or phone call)
+    setupChannelField(modal);
+}
+
+/**
+ * Sets up the contact channel choice: shows the field the chosen channel needs and
+ * adapts the title and submit button
+ * @param {HTMLElement} modal - Modal element
+ */
+function setupChannelField(modal) {
+    const radios = modal.querySelectorAll('input[name="channel"]');
+    const emailField = modal.querySelector('#email-field');
+    const emailInput = modal.querySelector('#contact-email');
+    const phoneField = modal.querySelector('#phone-field');
+    const phoneLabel = modal.querySelector('#phone-label');
+    const whatsappInput = modal.querySelector('#contact-whatsapp');
+    const title = modal.querySelector('#modal-title');
+    const submitBtn = modal.querySelector('#submit-btn');
+    
+    const update = (channel) => {
+        const isEmail = channel === 'Email';
+        const isWhatsApp = channel === 'WhatsApp';
+        
+        emailField.classList.toggle('hidden', !isEmail);
+        emailInput.required = isEmail;
+        phoneField.classList.toggle('hidden', isEmail);
+        whatsappInput.required = !isEmail;
+        phoneLabel.textContent = `${getTranslation(isWhatsApp ? 'canal-whatsapp' : 'telefone')}*`;
+        
+        title.textContent = getTranslation(isWhatsApp ? 'contato-whatsapp' : 'solicitar-contato');
+        submitBtn.innerHTML = isWhatsApp
+            ? html`<i class="fab fa-whatsapp text-xl" aria-hidden="true"></i> ${getTranslation('enviar-mensagem')}`
+            : html`${getTranslation('enviar-pedido')}`;
+    };
+    
+    radios.forEach(radio => {
+        radio.addEventListener('change', () => {
+            if (radio.checked) update(radio.value);
+        });
+    });
+}
+
+/**
+ * Replaces the form with a confirmation when the team will get back by email or phone
+ * @param {HTMLElement} modal - Modal element
+ * @param {Object} lead - Submitted lead ({ name, channel, email, phone })
+ */
+function showConfirmation(modal, { name, channel, email, phone }) {
+    const content = modal.querySelector('#modal-content');
+    if (!content) return;
+    
+    content.innerHTML = html`
+        <div class="text-center py-6" role="status">
+            <i class="fas fa-check-circle text-green-600 text-5xl mb-4" aria-hidden="true"></i>
+            <h2 id="modal-title" class="text-2xl font-bold mb-2 text-gray-900">
+                ${getTranslation('pedido-recebido')}
+            </h2>
+            <p id="confirmation-message" class="text-gray-600 mb-6"></p>
+            <button 
+                type="button" 
+                id="confirmation-close"
+                class="w-full bg-green-600 hover:bg-green-700 text-white font-semibold py-3 rounded-lg transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2"
+            >
+                ${getTranslation('fechar')}
+            </button>
+        </div>
+    `;
+    
+    // Set through textContent: name and email are typed by the visitor
+    const message = channel === 'Email'
+        ? getTranslation('confirmacao-email').replace('{email}', email)
+        : getTranslation('confirmacao-telefone').replace('{phone}', phone);
+    content.querySelector('#confirmation-message').textContent = message.replace('{name}', name);
+    
+    const closeBtn = content.querySelector('#confirmation-close');
+    closeBtn.addEventListener('click', closeContactModal);
+    closeBtn.focus();
+}
+
+/**
+ * Sets up the coupon field: prefills it from ?cupom= (or the partner code saved on an
+ * earlier visit) and checks codes as they are entered
+ * @param {HTMLElement} modal - Modal element
+ * @param {Object} options - Experience options
+ * @param {Array<string|number>} options.experienceIds - IDs of the selected experiences
+ * @param {Object|null} options.prices - Raw prices of the experience (null to skip the preview)
+ * @param {string} options.language - Current language
+ * @returns {Object} { getCode, check } - check() resolves with the coupon result, or null if it could not be checked
+ */
+function setupCouponField(modal, { experienceIds, prices, language }) {
+    const input = modal.querySelector('#contact-cupom');
+    const applyBtn = modal.querySelector('#apply-cupom');
+    const status = modal.querySelector('#cupom-status');
+
+    let checkedCode = '';
+    let result = null;
+    let controller = null;
+
+    const getCode = () => input.value.trim().toUpperCase();
+
+    const check = async () => {
+        const code = getCode();
+        if (!code) {
+            controller?.abort();
+            checkedCode = '';
+            result = null;
+            hideCouponStatus(input, status);
+            return null;
+        }
+        if (code === checkedCode) {
+            // Submitting clears field highlights; show the known result again
+            renderCouponResult(input, status, result, prices, language);
+            return result;
+        }
+
+        controller?.abort();
+        controller = new AbortController();
+        const { signal } = controller;
+        showCouponStatus(input, status, getTranslation('cupom-verificando'), 'pending');
+
+        try {
+            const coupon = await validateCoupon({ code, experienceIds, signal });
+            checkedCode = code;
+            result = coupon;
+            renderCouponResult(input, status, coupon, prices, language);
+            return coupon;
+        } catch (error) {
+            if (signal.aborted) return null;
+            // The server checks the coupon again when the lead is submitted
+            logger.warn('Could not check coupon:', error);
+            checkedCode = '';
+            result = null;
+            showCouponStatus(input, status, getTranslation('cupom-nao-verificado'), 'pending');
+            return null;
+        }
+    };
+
+    const debouncedCheck = debounce(check, 600);
+
+    input.addEventListener('input', () => {
+        hideCouponStatus(input, status);
+        debouncedCheck();
+    });
+    input.addEventListener('blur', check);
+    applyBtn?.addEventListener('click', check);
+
+    // Set through .value so the URL parameter is never parsed as HTML
+    input.value = (getUrlParam('cupom') || getAttribution()?.cupom || '').trim().toUpperCase();
+    if (input.value) check();
+
+    return { getCode, check };
+}
+
+/**
+ * Shows the result of a coupon check with the discounted prices
+ * @param {HTMLInputElement} input - Coupon input
+ * @param {HTMLElement} status - Coupon status element
+ * @param {Object} coupon - Coupon check result
+ * @param {Object|null} prices - Raw prices of the experience
+ * @param {string} language - Current language
+ */
+function renderCouponResult(input, status, coupon, prices, language) {
+    if (!coupon.valid) {
+        showCouponStatus(input, status, getCouponRejectionMessage(coupon.reason), 'invalid');
+        return;
+    }
+
+    const discountLabel = getDiscountLabel(coupon.discount, language);
+    let message = discountLabel
+        ? getTranslation('cupom-aplicado').replace('{discount}', discountLabel)
+        : getTranslation('cupom-valido');
+
+    const discountedLines = coupon.discount?.percentOff
+        ? getPriceLines(applyDiscount(prices, coupon.discount), language)
+        : [];
+    if (discountedLines.length > 0) {
+        message += ` ${getTranslation('cupom-com-desconto').replace('{prices}', discountedLines.join(' · '))}`;
+    }
+
+    showCouponStatus(input, status, message, 'valid');
+}
+
+/**
+ * Gets the message explaining why a coupon was rejected
+ * @param {string} reason - Rejection reason
+ * @returns {string} Localized message
+ */
+function getCouponRejectionMessage(reason) {
+    return getTranslation(COUPON_REJECTION_KEYS[reason] || 'cupom-nao-encontrado');
+}
+
+/**
+ * Shows the coupon status message
+ * @param {HTMLInputElement} input - Coupon input
+ * @param {HTMLElement} status - Coupon status element
+ * @param {string} message - Message to show
+ * @param {string} state - 'valid', 'invalid' or 'pending'
+ */
+function showCouponStatus(input, status, message, state) {
+    status.textContent = message;
+    status.classList.remove('hidden', 'text-green-700', 'text-red-600', 'text-gray-500');
+    status.classList.add({ valid: 'text-green-700', invalid: 'text-red-600' }[state] || 'text-gray-500');
+    input.classList.toggle('border-red-500', state === 'invalid');
+}
+
+/**
+ * Hides the coupon status message
+ * @param {HTMLInputElement} input - Coupon input
+ * @param {HTMLElement} status - Coupon status element
+ */
+function hideCouponStatus(input, status) {
+    status.classList.add('hidden');
+    input.classList.remove('border-red-500');
 }
 
 /**
  * Sets up real-time form validation
  * @param {HTMLElement} modal - Modal element
+ * @param {Array<number>|null} operatingWeekdays - Weekdays the experience runs on
  */
-function setupRealTimeValidation(modal) {
+function setupRealTimeValidation(modal, operatingWeekdays) {
     const nameInput = modal.querySelector('#contact-name');
     const whatsappInput = modal.querySelector('#contact-whatsapp');
+    const countrySelect = modal.querySelector('#contact-phone-country');
+    const emailInput = modal.querySelector('#contact-email');
+    const dateInput = modal.querySelector('#contact-date');
     const nameError = modal.querySelector('#name-error');
     const whatsappError = modal.querySelector('#whatsapp-error');
+    const emailError = modal.querySelector('#email-error');
+    const dateError = modal.querySelector('#date-error');
     
     // Name validation
     nameInput?.addEventListener('blur', () => {
         const name = nameInput.value.trim();
         if (name && !validateName(name)) {
-            showFieldError(nameError, 'Nome deve ter pelo menos 2 caracteres e conter apenas letras');
+            showFieldError(nameError, getTranslation('nome-invalido'));
             nameInput.classList.add('border-red-500');
         } else {
             hideFieldError(nameError);
@@ -195,8 +685,8 @@ function setupRealTimeValidation(modal) {
     // WhatsApp validation
     whatsappInput?.addEventListener('blur', () => {
         const phone = whatsappInput.value.trim();
-        if (phone && !validateBrazilianPhone(phone)) {
-            showFieldError(whatsappError, 'Número de WhatsApp inválido');
+        if (phone && !validatePhone(phone, countrySelect.value)) {
+            showFieldError(whatsappError, getPhoneErrorMessage(countrySelect.value));
             whatsappInput.classList.add('border-red-500');
         } else {
             hideFieldError(whatsappError);
@@ -204,6 +694,18 @@ function setupRealTimeValidation(modal) {
         }
     });
     
+    // Email validation
+    emailInput?.addEventListener('blur', () => {
+        const email = emailInput.value.trim();
+        if (email && !validateEmail(email)) {
+            showFieldError(emailError, getTranslation('email-invalido'));
+            emailInput.classList.add('border-red-500');
+        } else {
+            hideFieldError(emailError);
+            emailInput.classList.remove('border-red-500');
+        }
+    });
+    
     // Clear errors on input
     nameInput?.addEventListener('input', () => {
         hideFieldError(nameError);
@@ -214,20 +716,60 @@ function setupRealTimeValidation(modal) {
         hideFieldError(whatsappError);
         whatsappInput.classList.remove('border-red-500');
     });
+    
+    emailInput?.addEventListener('input', () => {
+        hideFieldError(emailError);
+        emailInput.classList.remove('border-red-500');
+    });
+
+    // Date validation (the native picker cannot disable single weekdays)
+    dateInput?.addEventListener('change', () => {
+        const error = dateInput.value ? getDateError(dateInput.value, operatingWeekdays) : '';
+        if (error) {
+            showFieldError(dateError, error);
+            dateInput.classList.add('border-red-500');
+        } else {
+            hideFieldError(dateError);
+            dateInput.classList.remove('border-red-500');
+        }
+    });
+
+    ['adults', 'children'].forEach(field => {
+        const input = modal.querySelector(`#contact-${field}`);
+        input?.addEventListener('input', () => {
+            hideFieldError(modal.querySelector(`#${field}-error`));
+            input.classList.remove('border-red-500');
+        });
+    });
 }
 
 /**
- * Sets up phone number formatting
+ * Sets up phone number formatting for the selected country
  * @param {HTMLElement} modal - Modal element
  */
 function setupPhoneFormatting(modal) {
     const whatsappInput = modal.querySelector('#contact-whatsapp');
-    if (!whatsappInput) return;
+    const countrySelect = modal.querySelector('#contact-phone-country');
+    if (!whatsappInput || !countrySelect) return;
+    
+    countrySelect.addEventListener('change', () => {
+        whatsappInput.placeholder = getPhoneCountry(countrySelect.value).example;
+        whatsappInput.value = formatPhone(whatsappInput.value, countrySelect.value);
+    });
     
     whatsappInput.addEventListener('input', (e) => {
+        // A pasted international number ("+974 ...") selects its country
+        const international = parseInternationalPhone(e.target.value);
+        if (international) {
+            countrySelect.value = international.countryCode;
+            whatsappInput.placeholder = getPhoneCountry(international.countryCode).example;
+            e.target.value = formatPhone(international.nationalDigits, international.countryCode);
+            return;
+        }
+        
         const cursorPosition = e.target.selectionStart;
         const oldValue = e.target.value;
-        const newValue = formatBrazilianPhone(oldValue);
+        const newValue = formatPhone(oldValue, countrySelect.value);
         
         if (newValue !== oldValue) {
             e.target.value = newValue;
@@ -243,80 +785,212 @@ function setupPhoneFormatting(modal) {
  * @param {Event} e - Form submit event
  * @param {Object} options - Experience options
  */
-async function handleFormSubmit(e, { experienceName, experienceId }) {
+async function handleFormSubmit(e, { experiences, operatingWeekdays, couponField, idempotencyKey, language, onSubmit }) {
     e.preventDefault();
     
     const form = e.target;
     const formError = form.parentElement.querySelector('#form-error');
     const submitBtn = form.querySelector('#submit-btn');
     
+    // Ignore double taps while a submission is in flight
+    if (submitBtn?.disabled) return;
+    
     // Get form data
     const formData = new FormData(form);
     const name = formData.get('name')?.trim();
-    const whatsapp = formData.get('whatsapp')?.trim();
-    const cupom = getUrlParam('cupom');
+    const contact = {
+        channel: formData.get('channel') || DEFAULT_CONTACT_CHANNEL,
+        whatsapp: formData.get('whatsapp')?.trim(),
+        phoneCountry: formData.get('phoneCountry'),
+        email: formData.get('email')?.trim()
+    };
+    let cupom = couponField.getCode();
+    const trip = {
+        date: formData.get('date') || '',
+        adults: parseCount(formData.get('adults')),
+        children: parseCount(formData.get('children') || '0'),
+        timeSlot: formData.get('timeSlot') || ''
+    };
     
     // Clear previous errors
     hideFormError(formError);
     clearFieldErrors(form);
     
     // Validate form
-    const validationErrors = validateForm(name, whatsapp);
+    const validationErrors = validateForm(name, contact, trip, operatingWeekdays);
     if (validationErrors.length > 0) {
         showFormError(formError, validationErrors[0]);
-        highlightInvalidFields(form, name, whatsapp);
+        highlightInvalidFields(form, name, contact, trip, operatingWeekdays);
         return;
     }
     
+    // Stored and sent in E.164 so the team can open the chat straight from the CRM
+    const usesPhone = contact.channel !== 'Email';
+    const whatsappE164 = usesPhone ? toE164(contact.whatsapp, contact.phoneCountry) : '';
+    const email = usesPhone ? '' : contact.email.toLowerCase();
+    
     // Set loading state
-    setButtonLoading(submitBtn, true, 'Enviando...');
+    setButtonLoading(submitBtn, true, getTranslation('enviando'));
     
     try {
+        // Rejected coupons must be fixed or removed before the lead is sent
+        if (cupom) {
+            const coupon = await couponField.check();
+            if (coupon && !coupon.valid) {
+                showFormError(formError, getCouponRejectionMessage(coupon.reason));
+                return;
+            }
+            cupom = coupon?.code || cupom;
+        }
+        
         // Submit to Baserow
         await submitContact({
             name,
-            whatsapp,
-            experienceId,
-            cupom
+            whatsapp: whatsappE164,
+            email,
+            channel: contact.channel,
+            experienceIds: experiences.map(experience => experience.id),
+            cupom,
+            ...trip,
+            language,
+            idempotencyKey
         });
         
+        form.closest('#contact-modal').dataset.submitted = 'true';
+        if (onSubmit) onSubmit();
+        
+        // Email and phone leads are answered by the team; confirm without leaving the page
+        if (contact.channel !== 'WhatsApp') {
+            showConfirmation(form.closest('#contact-modal'), {
+                name,
+                channel: contact.channel,
+                email,
+                phone: whatsappE164
+            });
+            return;
+        }
+        
         // Generate WhatsApp message
-        const whatsappMessage = generateWhatsAppMessage(experienceName, name, whatsapp, cupom);
+        const whatsappMessage = appendAttributionToMessage(
+            generateWhatsAppMessage(experiences.map(experience => experience.name), name, whatsappE164, cupom, trip)
+        );
 
         // Open WhatsApp (iOS-compatible method)
-        openWhatsApp(whatsappMessage);
+        openWhatsApp(whatsappMessage, experiences.map(experience => experience.id));
 
         // Close modal
         closeContactModal();
         
     } catch (error) {
-        console.error('Error submitting form:', error);
-        showFormError(formError, error.message);
+        logger.error('Error submitting form:', error);
+        const isCouponRejected = error instanceof ValidationError && error.fields.includes('Parceiro_id');
+        showFormError(formError, isCouponRejected
+            ? getCouponRejectionMessage(error.reason)
+            : getErrorMessage(error, 'erro-enviar'));
     } finally {
         setButtonLoading(submitBtn, false);
     }
 }
 
+/**
+ * Parses a party size input value
+ * @param {string} value - Raw input value
+ * @returns {number} Parsed count, or NaN when it is not a whole number
+ */
+function parseCount(value) {
+    return /^\d+$/.test(String(value).trim()) ? Number(value) : NaN;
+}
+
+/**
+ * Checks the desired date of the trip
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {Array<number>|null} operatingWeekdays - Weekdays the experience runs on
+ * @returns {string} Error message, or an empty string when the date is valid
+ */
+function getDateError(date, operatingWeekdays) {
+    if (!date) {
+        return getTranslation('data-obrigatoria');
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || date < getTodayIsoDate()) {
+        return getTranslation('data-passada');
+    }
+    if (operatingWeekdays && !operatingWeekdays.includes(getIsoDateWeekday(date))) {
+        return getTranslation('data-indisponivel');
+    }
+    return '';
+}
+
+/**
+ * Checks the adult and child counts
+ * @param {Object} trip - Trip details
+ * @returns {Object} { adults, children } error messages (empty strings when valid)
+ */
+function getPartySizeErrors({ adults, children }) {
+    return {
+        adults: Number.isInteger(adults) && adults >= 1 && adults <= MAX_PARTY_SIZE
+            ? ''
+            : getTranslation('adultos-invalido'),
+        children: Number.isInteger(children) && children >= 0 && children <= MAX_PARTY_SIZE
+            ? ''
+            : getTranslation('criancas-invalido')
+    };
+}
+
+/**
+ * Gets the invalid phone message with an example for the selected country
+ * @param {string} phoneCountry - Selected country code
+ * @returns {string} Localized message
+ */
+function getPhoneErrorMessage(phoneCountry) {
+    return getTranslation('telefone-invalido').replace('{example}', getPhoneCountry(phoneCountry).example);
+}
+
+/**
+ * Checks the field the chosen contact channel needs (email, or the phone number otherwise)
+ * @param {Object} contact - Contact details ({ channel, whatsapp, phoneCountry, email })
+ * @returns {Object} { field, message } - field is 'email' or 'whatsapp'; message is empty when valid
+ */
+function getContactError({ channel, whatsapp, phoneCountry, email }) {
+    if (channel === 'Email') {
+        if (!email) return { field: 'email', message: getTranslation('email-obrigatorio') };
+        return { field: 'email', message: validateEmail(email) ? '' : getTranslation('email-invalido') };
+    }
+    
+    if (!whatsapp) {
+        return { field: 'whatsapp', message: getTranslation(channel === 'WhatsApp' ? 'whatsapp-obrigatorio' : 'telefone-obrigatorio') };
+    }
+    return { field: 'whatsapp', message: validatePhone(whatsapp, phoneCountry) ? '' : getPhoneErrorMessage(phoneCountry) };
+}
+
 /**
  * Validates the contact form
  * @param {string} name - Name value
- * @param {string} whatsapp - WhatsApp value
+ * @param {Object} contact - Contact details ({ channel, whatsapp, phoneCountry, email })
+ * @param {Object} trip - Trip details ({ date, adults, children, timeSlot })
+ * @param {Array<number>|null} operatingWeekdays - Weekdays the experience runs on
  * @returns {Array} Array of validation errors
  */
-function validateForm(name, whatsapp) {
+function validateForm(name, contact, trip, operatingWeekdays) {
     const errors = [];
     
     if (!name) {
-        errors.push('Nome é obrigatório');
+        errors.push(getTranslation('nome-obrigatorio'));
     } else if (!validateName(name)) {
-        errors.push('Nome deve ter pelo menos 2 caracteres e conter apenas letras');
+        errors.push(getTranslation('nome-invalido'));
     }
     
-    if (!whatsapp) {
-        errors.push('WhatsApp é obrigatório');
-    } else if (!validateBrazilianPhone(whatsapp)) {
-        errors.push('Número de WhatsApp inválido');
+    const contactError = getContactError(contact);
+    if (contactError.message) {
+        errors.push(contactError.message);
+    }
+
+    const dateError = getDateError(trip.date, operatingWeekdays);
+    if (dateError) {
+        errors.push(dateError);
     }
+
+    const partySizeErrors = getPartySizeErrors(trip);
+    errors.push(...Object.values(partySizeErrors).filter(Boolean));
     
     return errors;
 }
@@ -325,23 +999,30 @@ function validateForm(name, whatsapp) {
  * Highlights invalid form fields
  * @param {HTMLElement} form - Form element
  * @param {string} name - Name value
- * @param {string} whatsapp - WhatsApp value
+ * @param {Object} contact - Contact details ({ channel, whatsapp, phoneCountry, email })
+ * @param {Object} trip - Trip details
+ * @param {Array<number>|null} operatingWeekdays - Weekdays the experience runs on
  */
-function highlightInvalidFields(form, name, whatsapp) {
+function highlightInvalidFields(form, name, contact, trip, operatingWeekdays) {
     const nameInput = form.querySelector('#contact-name');
-    const whatsappInput = form.querySelector('#contact-whatsapp');
     const nameError = form.querySelector('#name-error');
-    const whatsappError = form.querySelector('#whatsapp-error');
     
     if (!name || !validateName(name)) {
         nameInput?.classList.add('border-red-500');
-        showFieldError(nameError, !name ? 'Nome é obrigatório' : 'Nome inválido');
+        showFieldError(nameError, getTranslation(name ? 'nome-invalido' : 'nome-obrigatorio'));
     }
     
-    if (!whatsapp || !validateBrazilianPhone(whatsapp)) {
-        whatsappInput?.classList.add('border-red-500');
-        showFieldError(whatsappError, !whatsapp ? 'WhatsApp é obrigatório' : 'WhatsApp inválido');
-    }
+    const contactError = getContactError(contact);
+    const fieldErrors = {
+        [contactError.field]: contactError.message,
+        date: getDateError(trip.date, operatingWeekdays),
+        ...getPartySizeErrors(trip)
+    };
+    Object.entries(fieldErrors).forEach(([field, message]) => {
+        if (!message) return;
+        form.querySelector(`#contact-${field}`)?.classList.add('border-red-500');
+        showFieldError(form.querySelector(`#${field}-error`), message);
+    });
 }
 
 /**
@@ -399,8 +1080,11 @@ function hideFormError(errorElement) {
 /**
  * Opens WhatsApp with a pre-filled message (iOS-compatible method)
  * @param {string} message - Message to send
+ * @param {Array<number>} experienceIds - IDs of the experiences the message is about
  */
-function openWhatsApp(message) {
+function openWhatsApp(message, experienceIds) {
+    trackEvent('whatsapp_opened', { experienceIds });
+
     const whatsappUrl = `https://wa.me/5521987838986?text=${encodeURIComponent(message)}`;
 
     // Create a temporary link element
@@ -417,14 +1101,27 @@ function openWhatsApp(message) {
 
 /**
  * Generates WhatsApp message text
- * @param {string} experienceName - Name of the experience
+ * @param {Array<string>} experienceNames - Names of the selected experiences
  * @param {string} name - Customer name
  * @param {string} whatsapp - Customer WhatsApp
  * @param {string} cupom - Optional coupon code
+ * @param {Object} trip - Trip details ({ date, adults, children, timeSlot })
  * @returns {string} WhatsApp message
  */
-function generateWhatsAppMessage(experienceName, name, whatsapp, cupom) {
-    let message = `Olá, estou interessada no passeio ${experienceName}\nMe chamo ${name}\nTelefone ${whatsapp}`;
+function generateWhatsAppMessage(experienceNames, name, whatsapp, cupom, trip) {
+    let message = experienceNames.length > 1
+        ? `Olá, estou interessada nos passeios:\n${experienceNames.map(experienceName => `- ${experienceName}`).join('\n')}`
+        : `Olá, estou interessada no passeio ${experienceNames[0]}`;
+    message += `\nMe chamo ${name}\nTelefone ${whatsapp}`;
+
+    const dateLabel = experienceNames.length > 1 ? 'Início da viagem' : 'Data desejada';
+    message += `\n${dateLabel} ${formatIsoDate(trip.date)}\nAdultos ${trip.adults}`;
+    if (trip.children > 0) {
+        message += `\nCrianças ${trip.children}`;
+    }
+    if (trip.timeSlot) {
+        message += `\nHorário preferido ${trip.timeSlot}`;
+    }
 
     if (cupom) {
         message += `\nCupom de desconto ${cupom}`;
@@ -0,0 +1,162 @@
+/**
+ * International phone numbers for the contact form
+ * Per-country length/format rules and E.164 normalization
+ */
+
+// Countries offered in the selector (first one is the fallback default)
+// formats: national number template per accepted length ('#' = digit)
+// trunkPrefix: leading digit used when dialing nationally (e.g. 07400... in the UK), dropped in E.164
+export const PHONE_COUNTRIES = [
+    { code: 'BR', dialCode: '55', trunkPrefix: '0', formats: ['(##) ####-####', '(##) #####-####'], example: '(21) 98765-4321' },
+    { code: 'US', dialCode: '1', formats: ['(###) ###-####'], example: '(201) 555-0123' },
+    { code: 'QA', dialCode: '974', formats: ['#### ####'], example: '3312 3456' },
+    { code: 'AE', dialCode: '971', trunkPrefix: '0', formats: ['## ### ####'], example: '50 123 4567' },
+    { code: 'SA', dialCode: '966', trunkPrefix: '0', formats: ['## ### ####'], example: '51 234 5678' },
+    { code: 'AU', dialCode: '61', trunkPrefix: '0', formats: ['### ### ###'], example: '412 345 678' },
+    { code: 'GB', dialCode: '44', trunkPrefix: '0', formats: ['#### ######'], example: '7400 123456' },
+    { code: 'PT', dialCode: '351', formats: ['### ### ###'], example: '912 345 678' },
+    { code: 'ES', dialCode: '34', formats: ['### ## ## ##'], example: '612 34 56 78' },
+    { code: 'FR', dialCode: '33', trunkPrefix: '0', formats: ['# ## ## ## ##'], example: '6 12 34 56 78' },
+    { code: 'IT', dialCode: '39', formats: ['### ######', '### ### ####'], example: '312 345 6789' },
+    { code: 'DE', dialCode: '49', trunkPrefix: '0', formats: ['#### ######', '#### #######'], example: '1512 3456789' },
+    { code: 'CL', dialCode: '56', formats: ['# #### ####'], example: '9 6123 4567' }
+];
+
+const DEFAULT_PHONE_COUNTRY = PHONE_COUNTRIES[0].code;
+
+/**
+ * Gets the rules of a country
+ * @param {string} countryCode - ISO 3166 country code (e.g. 'QA')
+ * @returns {Object} Country rules (the default country when unknown)
+ */
+export function getPhoneCountry(countryCode) {
+    return PHONE_COUNTRIES.find(country => country.code === countryCode) || PHONE_COUNTRIES[0];
+}
+
+/**
+ * Picks the initial country from the visitor's browser locale (e.g. 'en-AU' -> 'AU')
+ * @returns {string} Country code
+ */
+export function getDefaultPhoneCountry() {
+    const locales = navigator.languages?.length ? navigator.languages : [navigator.language];
+
+    for (const locale of locales) {
+        const region = String(locale || '').split('-')[1]?.toUpperCase();
+        if (region && PHONE_COUNTRIES.some(country => country.code === region)) {
+            return region;
+        }
+    }
+
+    return DEFAULT_PHONE_COUNTRY;
+}
+
+/**
+ * Gets the flag emoji of a country
+ * @param {string} countryCode - ISO 3166 country code
+ * @returns {string} Flag emoji
+ */
+export function getCountryFlag(countryCode) {
+    return String.fromCodePoint(...[...countryCode].map(letter => 0x1F1A5 + letter.charCodeAt(0)));
+}
+
+/**
+ * Gets the national number lengths a country accepts
+ * @param {Object} country - Country rules
+ * @returns {Array<number>} Accepted lengths, shortest first
+ */
+function getNationalLengths(country) {
+    return country.formats.map(format => format.split('#').length - 1);
+}
+
+/**
+ * Extracts the national significant number typed for a country
+ * Drops formatting, the trunk prefix and a repeated country code (e.g. "55 21 9...")
+ * @param {string} value - Phone as typed
+ * @param {string} countryCode - Selected country code
+ * @returns {string} National digits
+ */
+export function getNationalDigits(value, countryCode) {
+    const country = getPhoneCountry(countryCode);
+    const maxLength = Math.max(...getNationalLengths(country));
+    let digits = String(value || '').replace(/\D/g, '');
+
+    if (digits.startsWith(country.dialCode) && digits.length > maxLength) {
+        digits = digits.slice(country.dialCode.length);
+    }
+    // National significant numbers never start with the trunk prefix
+    if (country.trunkPrefix && digits.startsWith(country.trunkPrefix)) {
+        digits = digits.slice(country.trunkPrefix.length);
+    }
+
+    return digits;
+}
+
+/**
+ * Detects the country of a number typed in international format ("+974 ..." or "00974 ...")
+ * @param {string} value - Phone as typed
+ * @returns {Object|null} { countryCode, nationalDigits } or null when not international or unknown
+ */
+export function parseInternationalPhone(value) {
+    const match = String(value || '').trim().match(/^(?:\+|00)(.*)$/);
+    if (!match) return null;
+
+    const digits = match[1].replace(/\D/g, '');
+    // Longest dial code first, so +974 is not read as +97...
+    const country = [...PHONE_COUNTRIES]
+        .sort((a, b) => b.dialCode.length - a.dialCode.length)
+        .find(candidate => digits.startsWith(candidate.dialCode));
+    if (!country) return null;
+
+    return { countryCode: country.code, nationalDigits: digits.slice(country.dialCode.length) };
+}
+
+/**
+ * Formats a national number progressively while it is typed
+ * @param {string} value - Phone as typed
+ * @param {string} countryCode - Selected country code
+ * @returns {string} Formatted number (unchanged when longer than any accepted length)
+ */
+export function formatPhone(value, countryCode) {
+    const country = getPhoneCountry(countryCode);
+    const digits = getNationalDigits(value, countryCode);
+    const lengths = getNationalLengths(country);
+    if (!digits || digits.length > Math.max(...lengths)) return value;
+
+    // Shortest template that fits what has been typed so far
+    const format = country.formats[lengths.findIndex(length => length >= digits.length)];
+
+    let result = '';
+    let index = 0;
+    for (const char of format) {
+        if (index >= digits.length) break;
+        if (char === '#') {
+            result += digits[index];
+            index++;
+        } else {
+            result += char;
+        }
+    }
+    return result;
+}
+
+/**
+ * Checks a phone number against the rules of a country
+ * @param {string} value - Phone as typed
+ * @param {string} countryCode - Selected country code
+ * @returns {boolean} True if the number has a valid length for the country
+ */
+export function validatePhone(value, countryCode) {
+    const country = getPhoneCountry(countryCode);
+    return getNationalLengths(country).includes(getNationalDigits(value, countryCode).length);
+}
+
+/**
+ * Converts a phone number to E.164
+ * @param {string} value - Phone as typed
+ * @param {string} countryCode - Selected country code
+ * @returns {string} E.164 number, e.g. "+97433123456"
+ */
+export function toE164(value, countryCode) {
+    const country = getPhoneCountry(countryCode);
+    return `+${country.dialCode}${getNationalDigits(value, countryCode)}`;
+}
@@ -0,0 +1,229 @@
+/**
+ * Price display and currency conversion
+ * Keeps the visitor's display currency and the exchange rate table
+ */
+
+import { requestJson } from './http.js';
+import { getTranslation } from './locale/translate.js';
+import { getUrlParam } from './utils.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Pricing');
+
+export const SUPPORTED_CURRENCIES = ['BRL', 'USD', 'EUR', 'QAR'];
+export const BASE_CURRENCY = 'BRL';
+
+// Rates are maintained by hand in this file (amount in currency per 1 unit of `base`)
+const EXCHANGE_RATES_URL = './data/exchange-rates.json';
+const CURRENCY_STORAGE_KEY = 'upx:currency';
+
+// Currency shown by default for each language
+const LOCALE_CURRENCIES = {
+    'pt-br': 'BRL',
+    'en-us': 'USD'
+};
+
+let exchangeRates = { base: BASE_CURRENCY, rates: { [BASE_CURRENCY]: 1 } };
+let displayCurrency = null;
+
+/**
+ * Loads the exchange rate table
+ * Prices stay in their original currency if this fails
+ * @returns {Promise<Object>} Exchange rates
+ */
+export async function loadExchangeRates() {
+    try {
+        const data = await requestJson(EXCHANGE_RATES_URL, { retries: 1 });
+        if (data && data.base && data.rates) {
+            exchangeRates = data;
+        }
+    } catch (error) {
+        logger.warn('Could not load exchange rates:', error);
+    }
+    return exchangeRates;
+}
+
+/**
+ * Normalizes a currency code
+ * @param {string} currency - Raw currency code
+ * @returns {string|null} Supported currency code or null
+ */
+function normalizeCurrency(currency) {
+    const code = String(currency || '').trim().toUpperCase();
+    return SUPPORTED_CURRENCIES.includes(code) ? code : null;
+}
+
+/**
+ * Gets the currency prices are shown in
+ * Priority: current choice > ?currency= > saved choice > language default
+ * @param {string} language - Current language
+ * @returns {string} Currency code
+ */
+export function getDisplayCurrency(language) {
+    if (displayCurrency) return displayCurrency;
+
+    let savedCurrency = null;
+    try {
+        savedCurrency = localStorage.getItem(CURRENCY_STORAGE_KEY);
+    } catch {
+        // Storage unavailable (e.g. private browsing)
+    }
+
+    return normalizeCurrency(getUrlParam('currency')) ||
+        normalizeCurrency(savedCurrency) ||
+        LOCALE_CURRENCIES[language] ||
+        BASE_CURRENCY;
+}
+
+/**
+ * Sets and remembers the currency prices are shown in
+ * @param {string} currency - Currency code
+ */
+export function setDisplayCurrency(currency) {
+    const code = normalizeCurrency(currency);
+    if (!code) return;
+
+    displayCurrency = code;
+    try {
+        localStorage.setItem(CURRENCY_STORAGE_KEY, code);
+    } catch {
+        // Storage unavailable - the choice lasts for this page view
+    }
+}
+
+/**
+ * Converts an amount between currencies using the rate table
+ * @param {number} amount - Amount in `from` currency
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @returns {number|null} Converted amount, or null if a rate is missing
+ */
+export function convertPrice(amount, from, to) {
+    if (from === to) return amount;
+
+    const { rates } = exchangeRates;
+    if (!rates[from] || !rates[to]) return null;
+
+    // Rates are relative to the table's base currency
+    return (amount / rates[from]) * rates[to];
+}
+
+/**
+ * Formats an amount with Intl.NumberFormat for a language
+ * @param {number} amount - Amount to format
+ * @param {string} currency - Currency code
+ * @param {string} language - Language code (e.g. 'pt-br')
+ * @returns {string} Formatted price (e.g. "R$ 250" or "$45")
+ */
+export function formatPrice(amount, currency, language) {
+    // Converted prices are approximate; whole units read better
+    const isConverted = currency !== BASE_CURRENCY;
+    const fractionDigits = isConverted || Number.isInteger(amount) ? 0 : 2;
+
+    return new Intl.NumberFormat(language, {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: fractionDigits,
+        maximumFractionDigits: fractionDigits
+    }).format(amount);
+}
+
+/**
+ * Reads price fields from a raw experience row
+ * @param {Object} row - Raw experience row
+ * @param {Object} columns - Price column names (EXPERIENCE_COLUMNS)
+ * @returns {Object|null} { perPerson, perGroup, child, currency } or null if the row has no price
+ */
+export function getExperiencePrices(row, columns) {
+    const toAmount = (value) => {
+        const amount = parseFloat(value);
+        return Number.isFinite(amount) && amount > 0 ? amount : null;
+    };
+
+    const prices = {
+        perPerson: toAmount(row[columns.pricePerPerson]),
+        perGroup: toAmount(row[columns.pricePerGroup]),
+        child: toAmount(row[columns.childPrice]),
+        currency: normalizeCurrency(row[columns.priceCurrency]?.value ?? row[columns.priceCurrency]) || BASE_CURRENCY
+    };
+
+    return prices.perPerson || prices.perGroup || prices.child ? prices : null;
+}
+
+/**
+ * Builds the price lines shown on cards, the detail view and the contact modal
+ * @param {Object|null} prices - Prices from getExperiencePrices
+ * @param {string} language - Current language
+ * @returns {Array<string>} Localized price lines (empty when there is no price)
+ */
+export function getPriceLines(prices, language) {
+    if (!prices) return [];
+
+    const currency = getDisplayCurrency(language);
+    const lines = [];
+
+    const addLine = (amount, key, fallbackTemplate) => {
+        if (!amount) return;
+
+        // Fall back to the original currency if a rate is missing
+        const converted = convertPrice(amount, prices.currency, currency);
+        const price = converted === null
+            ? formatPrice(amount, prices.currency, language)
+            : formatPrice(converted, currency, language);
+        const template = getTranslation(key) || fallbackTemplate;
+        lines.push(template.replace('{price}', price));
+    };
+
+    addLine(prices.perPerson, 'preco-por-pessoa', '{price} por pessoa');
+    addLine(prices.perGroup, 'preco-por-grupo', '{price} por grupo');
+    addLine(prices.child, 'preco-crianca', 'Criança: {price}');
+
+    return lines;
+}
+
+/**
+ * Applies a percentage coupon discount to experience prices
+ * Fixed-amount discounts are shown on their own and leave prices unchanged
+ * @param {Object|null} prices - Prices from getExperiencePrices
+ * @param {Object|null} discount - Coupon discount ({ percentOff, amountOff })
+ * @returns {Object|null} Discounted prices
+ */
+export function applyDiscount(prices, discount) {
+    if (!prices || !discount?.percentOff) return prices;
+
+    const factor = 1 - Math.min(discount.percentOff, 100) / 100;
+    const discounted = (amount) => (amount ? amount * factor : amount);
+
+    return {
+        ...prices,
+        perPerson: discounted(prices.perPerson),
+        perGroup: discounted(prices.perGroup),
+        child: discounted(prices.child)
+    };
+}
+
+/**
+ * Describes a coupon discount, e.g. "10% de desconto" or "R$ 50 de desconto"
+ * @param {Object|null} discount - Coupon discount ({ percentOff, amountOff })
+ * @param {string} language - Current language
+ * @returns {string} Localized description (empty when the coupon has no discount)
+ */
+export function getDiscountLabel(discount, language) {
+    if (discount?.percentOff) {
+        const template = getTranslation('desconto-percentual') || '{percent}% de desconto';
+        return template.replace('{percent}', new Intl.NumberFormat(language).format(discount.percentOff));
+    }
+
+    if (discount?.amountOff) {
+        // Fixed amounts are stored in the base currency
+        const currency = getDisplayCurrency(language);
+        const converted = convertPrice(discount.amountOff, BASE_CURRENCY, currency);
+        const price = converted === null
+            ? formatPrice(discount.amountOff, BASE_CURRENCY, language)
+            : formatPrice(converted, currency, language);
+        const template = getTranslation('desconto-valor') || '{price} de desconto';
+        return template.replace('{price}', price);
+    }
+
+    return '';
+}
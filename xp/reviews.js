@@ -0,0 +1,146 @@
+/**
+ * Customer reviews
+ * Rating summaries, star markup and the AggregateRating structured data of an experience
+ * Kept free of DOM access so functions/xp/_middleware.js can build the same structured data
+ */
+
+import { getTranslation } from './locale/translate.js';
+import { html } from './html.js';
+
+// Scale of the Baserow rating field
+const BEST_RATING = 5;
+
+// Reviews listed in the structured data (the aggregate covers all of them)
+const MAX_STRUCTURED_REVIEWS = 10;
+
+// id of the <script type="application/ld+json"> holding the open experience's data
+export const STRUCTURED_DATA_ID = 'experience-jsonld';
+
+/**
+ * Gets the reviews of an experience, in the visitor's language first and then newest first
+ * @param {Array<Object>} reviews - Public reviews of every experience
+ * @param {string|number} experienceId - Experience ID
+ * @param {string} language - Current language
+ * @returns {Array<Object>} Sorted reviews of the experience
+ */
+export function getExperienceReviews(reviews, experienceId, language) {
+    return reviews
+        .filter(review => String(review.experienceId) === String(experienceId))
+        .sort((a, b) =>
+            (Number(b.language === language) - Number(a.language === language)) ||
+            (b.date || '').localeCompare(a.date || '') ||
+            (b.id - a.id)
+        );
+}
+
+/**
+ * Summarizes the ratings of a list of reviews
+ * @param {Array<Object>} reviews - Reviews of one experience
+ * @returns {Object|null} { average, count } with the average rounded to one decimal, or null without reviews
+ */
+export function getRatingSummary(reviews) {
+    if (!reviews || reviews.length === 0) return null;
+
+    const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+    return {
+        average: Math.round((total / reviews.length) * 10) / 10,
+        count: reviews.length
+    };
+}
+
+/**
+ * Formats an average rating for display (e.g. "4,8" in Portuguese)
+ * @param {number} average - Average rating
+ * @param {string} language - Current language
+ * @returns {string} Formatted rating
+ */
+export function formatRating(average, language) {
+    return new Intl.NumberFormat(language, {
+        minimumFractionDigits: 1,
+        maximumFractionDigits: 1
+    }).format(average);
+}
+
+/**
+ * Describes a rating summary, e.g. "4,8 de 5 (12 avaliações)"
+ * @param {Object} summary - Rating summary ({ average, count })
+ * @param {string} language - Current language
+ * @returns {string} Localized description
+ */
+export function getRatingLabel(summary, language) {
+    const rating = getTranslation('nota-de-5').replace('{rating}', formatRating(summary.average, language));
+    const count = summary.count === 1
+        ? getTranslation('uma-avaliacao')
+        : getTranslation('numero-avaliacoes').replace('{count}', summary.count);
+    return `${rating} (${count})`;
+}
+
+/**
+ * Builds the star icons of a rating, rounded to half stars
+ * @param {number} rating - Rating from 0 to 5
+ * @returns {Array<SafeHtml>} Five Font Awesome star icons (decorative), for html`` templates
+ */
+export function getStarsHtml(rating) {
+    const halfStars = Math.round(rating * 2);
+
+    return Array.from({ length: BEST_RATING }, (_, index) => {
+        const icon = halfStars >= (index + 1) * 2
+            ? 'fas fa-star'
+            : halfStars === index * 2 + 1 ? 'fas fa-star-half-alt' : 'far fa-star';
+        return html`<i class="${icon} text-yellow-500" aria-hidden="true"></i>`;
+    });
+}
+
+/**
+ * Builds the schema.org Product data of an experience with its AggregateRating and reviews
+ * @param {Object} experience - Experience details
+ * @param {string} experience.name - Experience name
+ * @param {string} experience.description - Experience description
+ * @param {string} experience.image - Optional image URL
+ * @param {string} experience.url - Shareable URL of the experience
+ * @param {Array<Object>} experience.reviews - Public reviews of the experience
+ * @returns {Object|null} JSON-LD object, or null without reviews
+ */
+export function buildExperienceStructuredData({ name, description, image, url, reviews }) {
+    const summary = getRatingSummary(reviews);
+    if (!summary) return null;
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        name,
+        description: description || undefined,
+        image: image || undefined,
+        url,
+        brand: { '@type': 'Brand', name: 'UP Experiences' },
+        aggregateRating: {
+            '@type': 'AggregateRating',
+            ratingValue: summary.average,
+            reviewCount: summary.count,
+            bestRating: BEST_RATING,
+            worstRating: 1
+        },
+        review: reviews.slice(0, MAX_STRUCTURED_REVIEWS).map(review => ({
+            '@type': 'Review',
+            author: { '@type': 'Person', name: review.author },
+            reviewRating: {
+                '@type': 'Rating',
+                ratingValue: review.rating,
+                bestRating: BEST_RATING,
+                worstRating: 1
+            },
+            reviewBody: review.text || undefined,
+            datePublished: review.date || undefined,
+            inLanguage: review.language || undefined
+        }))
+    };
+}
+
+/**
+ * Serializes structured data for an inline <script> tag
+ * @param {Object} data - JSON-LD object
+ * @returns {string} JSON safe to embed in HTML (no "</script>" sequence)
+ */
+export function serializeStructuredData(data) {
+    return JSON.stringify(data).replace(/</g, '\\u003c');
+}
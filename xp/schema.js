@@ -0,0 +1,144 @@
+/**
+ * Schema mapping between the app and the Baserow experiences table
+ * Adding a language or renaming a column only requires editing this file
+ */
+
+// Languages the catalog can be displayed in (first one is the default)
+export const SUPPORTED_LOCALES = ['pt-br', 'en-us'];
+export const DEFAULT_LOCALE = SUPPORTED_LOCALES[0];
+
+// Order in which other locales are tried when a localized value is empty
+export const LOCALE_FALLBACKS = {
+    'pt-br': ['en-us'],
+    'en-us': ['pt-br'],
+    'es-es': ['en-us', 'pt-br']
+};
+
+// Localized fields: app field -> locale -> Baserow column
+export const LOCALIZED_FIELDS = {
+    name: {
+        'pt-br': 'Name_pt_br',
+        'en-us': 'Name_en_us',
+        'es-es': 'Name_es_es'
+    },
+    description: {
+        'pt-br': 'Description_pt_br',
+        'en-us': 'Description_en_us',
+        'es-es': 'Description_es_es'
+    }
+};
+
+// Localized fields a row needs (in at least one locale) to be shown
+export const REQUIRED_LOCALIZED_FIELDS = ['name', 'description'];
+
+// Non-localized fields: app field -> Baserow column
+export const EXPERIENCE_COLUMNS = {
+    imageUrl: 'Image URL',
+    images: 'Image',
+    // Multiple select (or comma-separated text) with values such as "Passeios de barco"
+    categories: 'Categories',
+    // Number fields; amounts are in priceCurrency (BRL when empty)
+    pricePerPerson: 'Price per person',
+    pricePerGroup: 'Price per group',
+    childPrice: 'Child price',
+    priceCurrency: 'Price currency',
+    // Multiple select (or comma-separated text) with weekdays such as "Segunda" or "Monday";
+    // empty means the experience runs every day
+    operatingDays: 'Operating days',
+    // Editorial order: featured rows first, then by Order (number, lowest first; empty last)
+    order: 'Order',
+    featured: 'Featured',
+    // Boolean; unchecked rows are not listed (tables without the column list every row)
+    published: 'Published',
+    // Optional dates; the experience is only listed between them (both days included)
+    availableFrom: 'Available from',
+    availableUntil: 'Available until'
+};
+
+/**
+ * Reads a Baserow date (or date and time) field as YYYY-MM-DD
+ * @param {*} value - Raw field value
+ * @returns {string} Date, or an empty string when the field is empty or invalid
+ */
+function getDateValue(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) ? value.slice(0, 10) : '';
+}
+
+/**
+ * Checks whether a row is published and within its availability window
+ * @param {Object} row - Raw Baserow row
+ * @param {string} today - Current date as YYYY-MM-DD
+ * @returns {boolean} True if the experience should be listed
+ */
+export function isExperienceListed(row, today) {
+    if (row[EXPERIENCE_COLUMNS.published] === false) return false;
+
+    const availableFrom = getDateValue(row[EXPERIENCE_COLUMNS.availableFrom]);
+    const availableUntil = getDateValue(row[EXPERIENCE_COLUMNS.availableUntil]);
+
+    return !(availableFrom && today < availableFrom) && !(availableUntil && today > availableUntil);
+}
+
+/**
+ * Normalizes a locale code such as 'en_US' or 'EN-us' to 'en-us'
+ * @param {string} locale - Raw locale code
+ * @returns {string|null} Supported locale code or null
+ */
+export function normalizeLocale(locale) {
+    if (!locale) return null;
+
+    const normalized = String(locale).toLowerCase().replace('_', '-');
+    return SUPPORTED_LOCALES.includes(normalized) ? normalized : null;
+}
+
+/**
+ * Gets the locales to try for a language, most preferred first
+ * @param {string} locale - Requested locale
+ * @returns {Array<string>} Locale chain without duplicates
+ */
+export function getLocaleChain(locale) {
+    const chain = [locale, ...(LOCALE_FALLBACKS[locale] || []), DEFAULT_LOCALE];
+    return [...new Set(chain)];
+}
+
+/**
+ * Reads a localized value from a row, walking the fallback chain
+ * @param {Object} row - Raw Baserow row
+ * @param {string} field - App field name (key of LOCALIZED_FIELDS)
+ * @param {string} locale - Requested locale
+ * @returns {Object} { value, locale } of the first non-empty column, or { value: '', locale: null }
+ */
+export function resolveLocalizedField(row, field, locale) {
+    const columns = LOCALIZED_FIELDS[field] || {};
+
+    for (const candidate of getLocaleChain(locale)) {
+        const value = row[columns[candidate]];
+        if (typeof value === 'string' && value.trim()) {
+            return { value, locale: candidate };
+        }
+    }
+
+    return { value: '', locale: null };
+}
+
+/**
+ * Lists the localized columns that are empty in a row
+ * Only locales in SUPPORTED_LOCALES are checked
+ * @param {Object} row - Raw Baserow row
+ * @returns {Array<string>} Missing Baserow column names
+ */
+export function getMissingLocalizedColumns(row) {
+    const missing = [];
+
+    REQUIRED_LOCALIZED_FIELDS.forEach(field => {
+        SUPPORTED_LOCALES.forEach(locale => {
+            const column = LOCALIZED_FIELDS[field][locale];
+            const value = row[column];
+            if (!(typeof value === 'string' && value.trim())) {
+                missing.push(column);
+            }
+        });
+    });
+
+    return missing;
+}
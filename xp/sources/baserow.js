@@ -0,0 +1,215 @@
+/**
+ * Baserow data source
+ * Reads and writes through the first-party proxy in /functions/api, which holds the Baserow token
+ */
+
+import { requestJson } from '../http.js';
+import { ServerError } from '../errors.js';
+import { createLogger } from '../logger.js';
+
+const logger = createLogger('API');
+
+// API Configuration - endpoints served by the Baserow proxy
+const EXPERIENCES_URL = '/api/experiences';
+const CONTACTS_URL = '/api/contacts';
+const COUPONS_URL = '/api/coupons';
+const REVIEWS_URL = '/api/reviews';
+
+// Attribution data key -> contacts table column (the coupon goes to Parceiro_id)
+const ATTRIBUTION_COLUMNS = {
+    utm_source: 'UTM source',
+    utm_medium: 'UTM medium',
+    utm_campaign: 'UTM campaign',
+    utm_term: 'UTM term',
+    utm_content: 'UTM content',
+    referrer: 'Referrer',
+    landingPage: 'Landing page'
+};
+
+// Pagination - Baserow accepts up to 200 rows per page
+const EXPERIENCES_PAGE_SIZE = 100;
+const MAX_EXPERIENCE_PAGES = 50;
+
+// Reads are retried; contact writes only once, since the Idempotency-Key makes a retry safe
+const READ_TIMEOUT_MS = 8000;
+const READ_RETRIES = 2;
+const WRITE_TIMEOUT_MS = 15000;
+const WRITE_RETRIES = 1;
+
+/**
+ * Fetches a single page of experiences
+ * @param {string} url - Page URL (first page or a `next` link from the proxy)
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<Object>} Page data in Baserow list format
+ * @throws {ApiError} If the request fails or the response is malformed
+ */
+async function fetchExperiencesPage(url, signal) {
+    logger.debug('Fetching experiences from:', url);
+
+    const data = await requestJson(url, {
+        timeout: READ_TIMEOUT_MS,
+        retries: READ_RETRIES,
+        signal
+    });
+    logger.debug('Page received:', { count: data?.count, rows: data?.results?.length, next: data?.next });
+
+    // Validate response structure
+    if (!data || !Array.isArray(data.results)) {
+        logger.error('Invalid data structure:', data);
+        throw new ServerError('Invalid response format from API', 200);
+    }
+
+    return data;
+}
+
+/**
+ * Fetches all experiences, following pagination links
+ * @param {Object} options - Fetch options
+ * @param {Function} options.onPage - Optional callback called with (results, pageNumber, count)
+ * @param {AbortSignal} options.signal - Optional abort signal
+ * @returns {Promise<Object>} Every page's results merged in Baserow list format
+ * @throws {ApiError} If any page request fails
+ */
+export async function fetchExperiences({ onPage, signal } = {}) {
+    const results = [];
+    let url = `${EXPERIENCES_URL}?page=1&size=${EXPERIENCES_PAGE_SIZE}`;
+    let pageNumber = 0;
+    let count = 0;
+
+    while (url && pageNumber < MAX_EXPERIENCE_PAGES) {
+        const data = await fetchExperiencesPage(url, signal);
+        pageNumber++;
+        count = data.count ?? count;
+        results.push(...data.results);
+
+        if (onPage) {
+            onPage(data.results, pageNumber, count);
+        }
+
+        url = data.next;
+    }
+
+    if (url) {
+        logger.warn(`Stopped following pagination after ${MAX_EXPERIENCE_PAGES} pages`);
+    }
+
+    logger.info(`Fetched ${results.length} experiences in ${pageNumber} page(s)`);
+    return { count, next: null, previous: null, results };
+}
+
+/**
+ * Saves a contact lead to the contacts table
+ * @param {Object} contact - Normalized contact data
+ * @param {string} contact.name - Customer name
+ * @param {string} contact.whatsapp - Phone in E.164 (empty when the lead chose email)
+ * @param {string} contact.email - Optional email address
+ * @param {string} contact.channel - Preferred contact channel ('WhatsApp', 'Email' or 'Telefone')
+ * @param {Array<number>} contact.experienceIds - IDs of the selected experiences
+ * @param {string} contact.cupom - Optional coupon code
+ * @param {string} contact.date - Optional desired date as YYYY-MM-DD
+ * @param {number} contact.adults - Optional number of adults
+ * @param {number} contact.children - Optional number of children
+ * @param {string} contact.timeSlot - Optional preferred time slot
+ * @param {string} contact.language - Optional catalog language (e.g. "pt-br")
+ * @param {Object|null} contact.attribution - Optional attribution data (see attribution.js)
+ * @param {string} contact.idempotencyKey - Optional key identifying this submission
+ * @returns {Promise<Object>} { id } of the saved lead, with duplicate: true when it was a repeat
+ * @throws {ApiError} If the request fails
+ */
+export async function submitContact({ name, whatsapp, email, channel, experienceIds, cupom, date, adults, children, timeSlot, language, attribution, idempotencyKey }) {
+    const body = {
+        Name: name,
+        Experiências: experienceIds
+    };
+
+    // How the team should get back to the lead
+    if (whatsapp) {
+        body.Whatsapp = whatsapp;
+    }
+    if (email) {
+        body.Email = email;
+    }
+    if (channel) {
+        body['Preferred channel'] = channel;
+    }
+
+    // Add coupon if provided
+    if (cupom) {
+        body.Parceiro_id = cupom;
+    }
+
+    // Trip details
+    if (date) {
+        body.Date = date;
+    }
+    if (adults) {
+        body.Adults = adults;
+    }
+    if (Number.isInteger(children)) {
+        body.Children = children;
+    }
+    if (timeSlot) {
+        body['Preferred time'] = timeSlot;
+    }
+
+    // So the team answers in the visitor's language
+    if (language) {
+        body.Language = language;
+    }
+
+    // Where the visitor came from
+    Object.entries(ATTRIBUTION_COLUMNS).forEach(([key, column]) => {
+        if (attribution?.[key]) {
+            body[column] = attribution[key];
+        }
+    });
+
+    return requestJson(CONTACTS_URL, {
+        method: 'POST',
+        headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
+        body,
+        timeout: WRITE_TIMEOUT_MS,
+        retries: WRITE_RETRIES
+    });
+}
+
+/**
+ * Checks a coupon against the partners/coupons table
+ * @param {Object} options - Coupon options
+ * @param {string} options.code - Coupon code
+ * @param {Array<number>} options.experienceIds - IDs of the selected experiences
+ * @param {AbortSignal} options.signal - Optional abort signal
+ * @returns {Promise<Object>} { valid: true, code, discount } or { valid: false, reason }
+ * @throws {ApiError} If the request fails
+ */
+export async function validateCoupon({ code, experienceIds, signal }) {
+    const url = new URL(COUPONS_URL, window.location.origin);
+    url.searchParams.set('code', code);
+    url.searchParams.set('experiences', experienceIds.join(','));
+
+    return requestJson(url.toString(), {
+        timeout: READ_TIMEOUT_MS,
+        signal
+    });
+}
+
+/**
+ * Fetches the approved reviews of every experience
+ * @param {Object} options - Fetch options
+ * @param {AbortSignal} options.signal - Optional abort signal
+ * @returns {Promise<Array<Object>>} Reviews ({ id, experienceId, author, country, rating, text, language, date })
+ * @throws {ApiError} If the request fails or the response is malformed
+ */
+export async function fetchReviews({ signal } = {}) {
+    const data = await requestJson(REVIEWS_URL, {
+        timeout: READ_TIMEOUT_MS,
+        retries: READ_RETRIES,
+        signal
+    });
+
+    if (!data || !Array.isArray(data.results)) {
+        throw new ServerError('Invalid reviews response format', 200);
+    }
+
+    return data.results;
+}
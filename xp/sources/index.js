@@ -0,0 +1,63 @@
+/**
+ * Data source registry
+ * Picks the provider behind fetchExperiences/submitContact
+ *
+ * Every source exports:
+ *   fetchExperiences({ onPage, signal }) -> Promise<{ count, next, previous, results }>
+ *   submitContact({ name, whatsapp, email, channel, experienceIds, cupom, date, adults, children, timeSlot, attribution, idempotencyKey }) -> Promise<Object>
+ *   validateCoupon({ code, experienceIds, signal }) -> Promise<{ valid, code, discount } | { valid, reason }>
+ *   fetchReviews({ signal }) -> Promise<Array<{ id, experienceId, author, country, rating, text, language, date }>>
+ * and rejects with the typed errors from errors.js
+ */
+
+import { getUrlParam } from '../utils.js';
+import * as baserowSource from './baserow.js';
+import * as staticSource from './static.js';
+import * as mockSource from './mock.js';
+
+const DATA_SOURCES = {
+    baserow: baserowSource,
+    static: staticSource,
+    mock: mockSource
+};
+
+export const DEFAULT_SOURCE = 'baserow';
+
+// Used for reads when the selected source fails
+export const FALLBACK_SOURCE = 'static';
+
+// Sources that drop contacts; a ?source=mock link shared in production would lose leads
+const DEV_ONLY_SOURCES = ['mock'];
+
+// Hosts of local development servers (wrangler pages dev, static file servers)
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Checks whether the page is served by a local development server
+ * @returns {boolean} True on localhost
+ */
+function isLocalHost() {
+    const { hostname } = window.location;
+    return LOCAL_HOSTNAMES.includes(hostname) || hostname.endsWith('.localhost');
+}
+
+/**
+ * Gets the name of the active data source (?source=baserow|static|mock)
+ * The mock source is only honoured on localhost
+ * @returns {string} Data source name
+ */
+export function getDataSourceName() {
+    const requested = getUrlParam('source').toLowerCase();
+    if (!DATA_SOURCES[requested]) return DEFAULT_SOURCE;
+    if (DEV_ONLY_SOURCES.includes(requested) && !isLocalHost()) return DEFAULT_SOURCE;
+    return requested;
+}
+
+/**
+ * Gets a data source by name
+ * @param {string} name - Data source name (defaults to the active one)
+ * @returns {Object} Data source module
+ */
+export function getDataSource(name = getDataSourceName()) {
+    return DATA_SOURCES[name] || DATA_SOURCES[DEFAULT_SOURCE];
+}
@@ -0,0 +1,96 @@
+/**
+ * Mock data source for local development and tests
+ * Serves fixture experiences and keeps submitted contacts in memory
+ * Selected with ?source=mock, on localhost only (see sources/index.js)
+ */
+
+import { requestJson } from '../http.js';
+import { createLogger } from '../logger.js';
+
+const logger = createLogger('Mock');
+
+const MOCK_EXPERIENCES_URL = './data/mock-experiences.json';
+const MOCK_REVIEWS_URL = './data/mock-reviews.json';
+
+// Contacts submitted during this page session
+export const submittedContacts = [];
+
+// Coupon check results by code
+const MOCK_COUPONS = {
+    UP10: { valid: true, code: 'UP10', discount: { percentOff: 10, amountOff: null } },
+    UP50: { valid: true, code: 'UP50', discount: { percentOff: null, amountOff: 50 } },
+    PARCEIRO: { valid: true, code: 'PARCEIRO', discount: { percentOff: null, amountOff: null } },
+    EXPIRADO: { valid: false, reason: 'expired' }
+};
+
+/**
+ * Fetches fixture experiences
+ * @param {Object} options - Fetch options
+ * @param {Function} options.onPage - Optional callback called with (results, pageNumber, count)
+ * @param {AbortSignal} options.signal - Optional abort signal
+ * @returns {Promise<Object>} Experiences in Baserow list format
+ * @throws {ApiError} If the fixture file cannot be loaded
+ */
+export async function fetchExperiences({ onPage, signal } = {}) {
+    const data = await requestJson(MOCK_EXPERIENCES_URL, { signal });
+
+    // Fixtures reference local images; resolve them against the page
+    const resolve = (url) => url ? new URL(url, document.baseURI).href : url;
+    const results = data.results.map(row => ({
+        ...row,
+        'Image URL': resolve(row['Image URL']),
+        'Image': (row['Image'] || []).map(file => ({
+            ...file,
+            url: resolve(file.url),
+            thumbnails: Object.fromEntries(Object.entries(file.thumbnails || {})
+                .map(([name, thumbnail]) => [name, { ...thumbnail, url: resolve(thumbnail.url) }]))
+        }))
+    }));
+
+    if (onPage) {
+        onPage(results, 1, results.length);
+    }
+
+    return { count: results.length, next: null, previous: null, results };
+}
+
+/**
+ * Records a contact without sending it anywhere
+ * Resubmissions with the same idempotency key return the recorded row, like the proxy
+ * @param {Object} contact - Normalized contact data
+ * @returns {Promise<Object>} Fake created row
+ */
+export async function submitContact(contact) {
+    const existing = contact.idempotencyKey &&
+        submittedContacts.find(row => row.idempotencyKey === contact.idempotencyKey);
+    if (existing) {
+        return { id: existing.id, duplicate: true };
+    }
+
+    const row = { id: submittedContacts.length + 1, ...contact };
+    submittedContacts.push(row);
+    logger.info('Contact submitted:', row);
+    return row;
+}
+
+/**
+ * Checks a coupon against the fixture coupons
+ * @param {Object} options - Coupon options
+ * @param {string} options.code - Coupon code
+ * @returns {Promise<Object>} { valid: true, code, discount } or { valid: false, reason }
+ */
+export async function validateCoupon({ code }) {
+    return MOCK_COUPONS[code] || { valid: false, reason: 'not-found' };
+}
+
+/**
+ * Fetches fixture reviews (already in the public shape served by /api/reviews)
+ * @param {Object} options - Fetch options
+ * @param {AbortSignal} options.signal - Optional abort signal
+ * @returns {Promise<Array<Object>>} Reviews
+ * @throws {ApiError} If the fixture file cannot be loaded
+ */
+export async function fetchReviews({ signal } = {}) {
+    const data = await requestJson(MOCK_REVIEWS_URL, { signal });
+    return data.results;
+}
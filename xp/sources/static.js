@@ -0,0 +1,54 @@
+/**
+ * Static JSON data source
+ * Reads experiences from a file bundled with the site, so the catalog works without Baserow
+ * The file is a snapshot of the published catalog, written by `npm run snapshot:experiences`
+ * (scripts/snapshot-experiences.js), which is the Pages build command: every deploy ships a fresh copy
+ */
+
+import { requestJson } from '../http.js';
+import { ServerError } from '../errors.js';
+import {
+    submitContact as submitToBaserow,
+    validateCoupon as validateWithBaserow,
+    fetchReviews as fetchReviewsFromBaserow
+} from './baserow.js';
+
+const STATIC_EXPERIENCES_URL = './data/experiences.json';
+
+/**
+ * Fetches experiences from the bundled JSON file
+ * @param {Object} options - Fetch options
+ * @param {Function} options.onPage - Optional callback called with (results, pageNumber, count)
+ * @param {AbortSignal} options.signal - Optional abort signal
+ * @returns {Promise<Object>} Experiences in Baserow list format
+ * @throws {ApiError} If the file cannot be loaded or is malformed
+ */
+export async function fetchExperiences({ onPage, signal } = {}) {
+    const data = await requestJson(STATIC_EXPERIENCES_URL, { retries: 1, signal });
+
+    if (!data || !Array.isArray(data.results)) {
+        throw new ServerError('Invalid static experiences file', 200);
+    }
+
+    const count = data.results.length;
+    if (onPage) {
+        onPage(data.results, 1, count);
+    }
+
+    return { count, next: null, previous: null, results: data.results };
+}
+
+/**
+ * Leads still go to the contacts table - the static source only replaces reads
+ */
+export const submitContact = submitToBaserow;
+
+/**
+ * Coupons are always checked against the partners table
+ */
+export const validateCoupon = validateWithBaserow;
+
+/**
+ * Reviews are only published through the proxy (it drops the unapproved ones)
+ */
+export const fetchReviews = fetchReviewsFromBaserow;
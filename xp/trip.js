@@ -0,0 +1,392 @@
+/**
+ * Trip selection
+ * Experiences the visitor wants to book together, kept in localStorage so the selection
+ * survives reloads, plus the "add to trip" buttons and the drawer that sends it as one lead
+ */
+
+import { getTranslation } from './locale/translate.js';
+import { html } from './html.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('Trip');
+
+// Bump the version whenever the stored shape changes
+const TRIP_KEY = 'upx:trip';
+const TRIP_VERSION = 1;
+
+// Selections older than this are forgotten
+const MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Largest selection sent as a single lead
+export const MAX_TRIP_SIZE = 10;
+
+// Used when localStorage is unavailable (e.g. private browsing)
+let memoryTrip = [];
+
+// Callbacks notified whenever the selection changes
+const listeners = new Set();
+
+// Drawer options set by setupTripDrawer
+let drawerOptions = null;
+
+/**
+ * Reads the selected experience ids
+ * @returns {Array<string>} Experience ids, in the order they were added
+ */
+export function getTripExperienceIds() {
+    try {
+        const raw = localStorage.getItem(TRIP_KEY);
+        if (!raw) return [];
+
+        const entry = JSON.parse(raw);
+        if (entry.version !== TRIP_VERSION || !Array.isArray(entry.ids) || !(Date.now() - entry.savedAt < MAX_AGE_MS)) {
+            localStorage.removeItem(TRIP_KEY);
+            return [];
+        }
+
+        return entry.ids.map(String);
+    } catch (error) {
+        return memoryTrip;
+    }
+}
+
+/**
+ * Saves the selected experience ids and notifies listeners
+ * @param {Array<string>} ids - Experience ids
+ */
+function saveTrip(ids) {
+    memoryTrip = ids;
+    try {
+        if (ids.length > 0) {
+            localStorage.setItem(TRIP_KEY, JSON.stringify({ version: TRIP_VERSION, savedAt: Date.now(), ids }));
+        } else {
+            localStorage.removeItem(TRIP_KEY);
+        }
+    } catch (error) {
+        logger.warn('Could not save trip selection:', error);
+    }
+    notifyListeners();
+}
+
+/**
+ * Calls every change listener with the current selection
+ */
+function notifyListeners() {
+    const ids = getTripExperienceIds();
+    listeners.forEach(listener => listener(ids));
+}
+
+/**
+ * Checks whether an experience is in the selection
+ * @param {string|number} experienceId - Experience ID
+ * @returns {boolean} True if selected
+ */
+export function isInTrip(experienceId) {
+    return getTripExperienceIds().includes(String(experienceId));
+}
+
+/**
+ * Adds an experience to the selection
+ * @param {string|number} experienceId - Experience ID
+ * @returns {boolean} False when the selection is already full
+ */
+export function addToTrip(experienceId) {
+    const ids = getTripExperienceIds();
+    if (ids.includes(String(experienceId))) return true;
+    if (ids.length >= MAX_TRIP_SIZE) return false;
+
+    saveTrip([...ids, String(experienceId)]);
+    return true;
+}
+
+/**
+ * Removes an experience from the selection
+ * @param {string|number} experienceId - Experience ID
+ */
+export function removeFromTrip(experienceId) {
+    saveTrip(getTripExperienceIds().filter(id => id !== String(experienceId)));
+}
+
+/**
+ * Empties the selection
+ */
+export function clearTrip() {
+    saveTrip([]);
+}
+
+/**
+ * Drops selected experiences that are no longer in the catalog
+ * @param {Array<string|number>} experienceIds - IDs of every experience in the catalog
+ */
+export function retainTripExperiences(experienceIds) {
+    const available = new Set(experienceIds.map(String));
+    const ids = getTripExperienceIds();
+    const retained = ids.filter(id => available.has(id));
+
+    if (retained.length !== ids.length) {
+        saveTrip(retained);
+    }
+}
+
+/**
+ * Subscribes to selection changes
+ * @param {Function} listener - Called with the selected ids
+ * @returns {Function} Unsubscribe function
+ */
+export function onTripChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Creates the "add to trip" toggle of an experience
+ * @param {string|number} experienceId - Experience ID
+ * @param {string} sizeClasses - Padding classes matching the neighbouring buttons
+ * @returns {HTMLButtonElement} Toggle button
+ */
+export function createTripButton(experienceId, sizeClasses = 'px-4 py-2') {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `trip-btn inline-flex items-center justify-center gap-2 border rounded-lg font-semibold transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 ${sizeClasses}`;
+    button.dataset.experienceId = String(experienceId);
+
+    button.addEventListener('click', () => {
+        if (isInTrip(experienceId)) {
+            removeFromTrip(experienceId);
+        } else if (!addToTrip(experienceId)) {
+            // Show the selection, so the visitor can pick one to remove
+            openTripDrawer({ notice: getTranslation('viagem-cheia').replace('{max}', MAX_TRIP_SIZE) });
+        }
+    });
+
+    renderTripButton(button);
+    return button;
+}
+
+/**
+ * Shows whether the experience of a toggle is selected
+ * @param {HTMLButtonElement} button - Toggle button
+ */
+function renderTripButton(button) {
+    const isSelected = isInTrip(button.dataset.experienceId);
+
+    button.setAttribute('aria-pressed', String(isSelected));
+    button.classList.toggle('bg-blue-50', isSelected);
+    button.classList.toggle('border-blue-600', isSelected);
+    button.classList.toggle('text-blue-700', isSelected);
+    button.classList.toggle('bg-white', !isSelected);
+    button.classList.toggle('border-gray-300', !isSelected);
+    button.classList.toggle('text-gray-700', !isSelected);
+    button.innerHTML = html`
+        <i class="fas ${isSelected ? 'fa-check' : 'fa-plus'}" aria-hidden="true"></i>
+        ${getTranslation(isSelected ? 'na-viagem' : 'adicionar-viagem')}
+    `;
+}
+
+/**
+ * Sets up the floating trip button and the drawer
+ * @param {Object} options - Drawer options
+ * @param {Function} options.resolveExperiences - Maps selected ids to formatted experiences (skipping unknown ids)
+ * @param {Function} options.onRequestQuote - Called with the selected experiences when the visitor asks for a quote
+ */
+export function setupTripDrawer({ resolveExperiences, onRequestQuote }) {
+    drawerOptions = { resolveExperiences, onRequestQuote };
+
+    document.getElementById('tripButton')?.addEventListener('click', () => openTripDrawer());
+
+    onTripChange(refreshTripUi);
+    refreshTripUi();
+
+    // Keep tabs in sync when the selection changes in another tab
+    window.addEventListener('storage', (e) => {
+        if (e.key === TRIP_KEY) notifyListeners();
+    });
+}
+
+/**
+ * Updates the toggles, the floating button and an open drawer (after a selection or language change)
+ */
+export function refreshTripUi() {
+    const ids = getTripExperienceIds();
+
+    document.querySelectorAll('.trip-btn').forEach(renderTripButton);
+
+    const tripButton = document.getElementById('tripButton');
+    const tripCount = document.getElementById('tripCount');
+    if (tripButton) tripButton.classList.toggle('hidden', ids.length === 0);
+    if (tripCount) tripCount.textContent = String(ids.length);
+
+    const drawer = document.getElementById('trip-drawer');
+    if (drawer) renderTripItems(drawer);
+}
+
+/**
+ * Opens the drawer with the selected experiences
+ * @param {Object} options - Drawer options
+ * @param {string} options.notice - Message shown above the list until the selection has room again
+ */
+export function openTripDrawer({ notice = '' } = {}) {
+    if (!drawerOptions) return;
+
+    closeTripDrawer();
+
+    const drawer = createDrawerElement();
+    document.body.appendChild(drawer);
+    setupDrawerEventListeners(drawer);
+
+    const noticeElement = drawer.querySelector('#trip-notice');
+    noticeElement.textContent = notice;
+    noticeElement.classList.toggle('hidden', !notice);
+    renderTripItems(drawer);
+
+    drawer.querySelector('#close-trip-drawer')?.focus();
+    document.body.style.overflow = 'hidden';
+}
+
+/**
+ * Closes and removes the drawer
+ */
+export function closeTripDrawer() {
+    const drawer = document.getElementById('trip-drawer');
+    if (drawer) {
+        drawer.remove();
+        // Keep the page locked if the drawer was opened over the experience detail view
+        document.body.style.overflow = document.getElementById('experience-detail') ? 'hidden' : '';
+    }
+}
+
+/**
+ * Creates the drawer DOM element
+ * @returns {HTMLElement} Drawer element
+ */
+function createDrawerElement() {
+    const drawer = document.createElement('div');
+    drawer.id = 'trip-drawer';
+    drawer.className = 'fixed inset-0 z-50 flex justify-end bg-black bg-opacity-50';
+    drawer.setAttribute('role', 'dialog');
+    drawer.setAttribute('aria-modal', 'true');
+    drawer.setAttribute('aria-labelledby', 'trip-drawer-title');
+
+    drawer.innerHTML = html`
+        <aside class="bg-white w-full max-w-sm h-full shadow-xl flex flex-col animate-fade-in">
+            <div class="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+                <h2 id="trip-drawer-title" class="text-xl font-bold text-gray-900">
+                    ${getTranslation('minha-viagem')}
+                </h2>
+                <button
+                    type="button"
+                    id="close-trip-drawer"
+                    class="text-gray-400 hover:text-gray-700 text-2xl w-8 h-8 flex items-center justify-center rounded-full hover:bg-gray-100 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    aria-label="${getTranslation('fechar')}"
+                >
+                    &times;
+                </button>
+            </div>
+
+            <p id="trip-notice" class="hidden mx-6 mt-4 rounded-lg border border-yellow-300 bg-yellow-50 px-4 py-3 text-sm text-yellow-800" role="status" aria-live="polite"></p>
+
+            <ul id="trip-items" class="flex-1 overflow-y-auto px-6 py-4 space-y-4" aria-live="polite"></ul>
+            <p id="trip-empty" class="flex-1 px-6 py-4 text-gray-600 hidden">${getTranslation('viagem-vazia')}</p>
+
+            <div id="trip-actions" class="px-6 py-4 border-t border-gray-200 space-y-3">
+                <button
+                    type="button"
+                    id="trip-request"
+                    class="w-full bg-green-600 hover:bg-green-700 text-white font-semibold py-3 rounded-lg flex items-center justify-center gap-2 transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2"
+                >
+                    <i class="fab fa-whatsapp text-xl" aria-hidden="true"></i>
+                    ${getTranslation('solicitar-orcamento')}
+                </button>
+                <button
+                    type="button"
+                    id="trip-clear"
+                    class="w-full text-gray-600 hover:text-gray-900 text-sm font-medium underline focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+                >
+                    ${getTranslation('limpar-selecao')}
+                </button>
+            </div>
+        </aside>
+    `;
+
+    return drawer;
+}
+
+/**
+ * Sets up close, clear and quote listeners of the drawer
+ * @param {HTMLElement} drawer - Drawer element
+ */
+function setupDrawerEventListeners(drawer) {
+    drawer.querySelector('#close-trip-drawer')?.addEventListener('click', closeTripDrawer);
+
+    // Click on the backdrop to close
+    drawer.addEventListener('click', (e) => {
+        if (e.target === drawer) closeTripDrawer();
+    });
+
+    // Escape key to close
+    const handleEscape = (e) => {
+        if (!document.body.contains(drawer)) {
+            document.removeEventListener('keydown', handleEscape);
+            return;
+        }
+        if (e.key === 'Escape') {
+            closeTripDrawer();
+            document.removeEventListener('keydown', handleEscape);
+        }
+    };
+    document.addEventListener('keydown', handleEscape);
+
+    drawer.querySelector('#trip-clear')?.addEventListener('click', clearTrip);
+
+    drawer.querySelector('#trip-request')?.addEventListener('click', () => {
+        const experiences = drawerOptions.resolveExperiences(getTripExperienceIds());
+        if (experiences.length === 0) return;
+
+        closeTripDrawer();
+        drawerOptions.onRequestQuote(experiences);
+    });
+}
+
+/**
+ * Renders the selected experiences in the drawer
+ * @param {HTMLElement} drawer - Drawer element
+ */
+function renderTripItems(drawer) {
+    const list = drawer.querySelector('#trip-items');
+    const emptyMessage = drawer.querySelector('#trip-empty');
+    const actions = drawer.querySelector('#trip-actions');
+    const ids = getTripExperienceIds();
+    const experiences = drawerOptions.resolveExperiences(ids);
+
+    // The "trip is full" notice goes away once there is room again
+    if (ids.length < MAX_TRIP_SIZE) {
+        drawer.querySelector('#trip-notice').classList.add('hidden');
+    }
+
+    list.innerHTML = '';
+    list.classList.toggle('hidden', experiences.length === 0);
+    emptyMessage.classList.toggle('hidden', experiences.length > 0);
+    actions.classList.toggle('hidden', experiences.length === 0);
+
+    experiences.forEach(experience => {
+        const item = document.createElement('li');
+        item.className = 'flex items-start justify-between gap-3';
+        item.innerHTML = html`
+            <div class="min-w-0">
+                <p class="font-semibold text-gray-900">${experience.name}</p>
+                <p class="text-sm text-gray-600">${(experience.priceLines || [])[0] || ''}</p>
+            </div>
+            <button
+                type="button"
+                class="trip-item-remove text-gray-400 hover:text-red-600 w-8 h-8 flex-shrink-0 flex items-center justify-center rounded-full hover:bg-gray-100 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500"
+                aria-label="${getTranslation('remover')}: ${experience.name}"
+            >
+                <i class="fas fa-trash-alt" aria-hidden="true"></i>
+            </button>
+        `;
+
+        item.querySelector('.trip-item-remove').addEventListener('click', () => removeFromTrip(experience.id));
+
+        list.appendChild(item);
+    });
+}
@@ -4,6 +4,21 @@
  */
 
 import { getTranslation } from './locale/translate.js';
+import { DEFAULT_LOCALE } from './schema.js';
+import { debounce } from './utils.js';
+import { getExperienceUrl } from './detail.js';
+import { createTripButton } from './trip.js';
+import { getStarsHtml } from './reviews.js';
+import { createResponsiveImage, CARD_IMAGE_SIZES } from './images.js';
+import { html } from './html.js';
+import { renderMarkdown } from './markdown.js';
+import { createLogger } from './logger.js';
+import { trackEvent, observeImpression } from './analytics.js';
+
+const logger = createLogger('UI');
+
+// Delay before a search runs while the visitor is typing
+const SEARCH_DEBOUNCE_MS = 250;
 
 /**
  * Shows loading state
@@ -16,6 +31,7 @@ export function showLoading() {
     if (loadingElement) loadingElement.classList.remove('hidden');
     if (dataContainer) dataContainer.classList.add('hidden');
     if (errorElement) errorElement.classList.add('hidden');
+    toggleEmptyResults(false);
 }
 
 /**
@@ -40,6 +56,7 @@ export function showError(message) {
     if (errorElement) errorElement.classList.remove('hidden');
     if (dataContainer) dataContainer.classList.add('hidden');
     if (loadingElement) loadingElement.classList.add('hidden');
+    toggleEmptyResults(false);
 }
 
 /**
@@ -63,85 +80,162 @@ export function showData() {
     if (errorElement) errorElement.classList.add('hidden');
 }
 
+/**
+ * Shows or hides the "no results for these filters" state
+ * @param {boolean} show - Whether to show the empty state
+ */
+export function toggleEmptyResults(show) {
+    const emptyElement = document.getElementById('emptyState');
+    if (emptyElement) emptyElement.classList.toggle('hidden', !show);
+}
+
+/**
+ * Shows the "showing saved data" notice above the experiences
+ * @param {string} message - Notice text to display
+ */
+export function showStaleNotice(message) {
+    const noticeElement = document.getElementById('staleNotice');
+    const noticeMessage = document.getElementById('staleNoticeMessage');
+
+    if (noticeMessage && message) noticeMessage.textContent = message;
+    if (noticeElement) noticeElement.classList.remove('hidden');
+}
+
+/**
+ * Hides the "showing saved data" notice
+ */
+export function hideStaleNotice() {
+    const noticeElement = document.getElementById('staleNotice');
+    if (noticeElement) noticeElement.classList.add('hidden');
+}
+
 /**
  * Creates a single experience card element
  * @param {Object} experience - Formatted experience data
  * @param {Function} onContactClick - Callback for contact button click
+ * @param {Function} onDetailsClick - Callback for the "details" link
  * @returns {HTMLElement} Card element
  */
-export function createExperienceCard(experience, onContactClick) {
+export function createExperienceCard(experience, onContactClick, onDetailsClick) {
     const card = document.createElement('article');
     card.className = 'bg-white border border-gray-200 rounded-2xl shadow-lg hover:shadow-xl transition-all duration-300 hover:-translate-y-1 p-6 flex flex-col md:flex-row gap-6 items-center';
     card.setAttribute('role', 'article');
     card.setAttribute('aria-labelledby', `experience-title-${experience.id}`);
 
-    // Create image HTML with better error handling and fallback
-    let imageHtml = '';
-    if (experience.imageUrl && experience.imageUrl.trim()) {
-        imageHtml = `
-            <div class="experience-image-container w-full sm:max-w-xs">
-                <img 
-                    src="${experience.imageUrl.trim()}" 
-                    alt="Imagem da experiência: ${experience.name}" 
-                    class="w-full h-48 sm:h-56 rounded-lg object-cover shadow-md hover:scale-105 transition-transform duration-300"
-                    loading="lazy"
-                    onerror="this.style.display='none'; this.nextElementSibling.style.display='flex';"
-                >
-                <div class="image-fallback hidden w-full h-48 sm:h-56 rounded-lg bg-gradient-to-br from-blue-100 to-purple-100 flex items-center justify-center shadow-md">
-                    <div class="text-center text-gray-500">
-                        <i class="fas fa-image text-3xl mb-2"></i>
-                        <p class="text-sm">Imagem não disponível</p>
-                    </div>
+    // The responsive image is inserted after the markup; the fallback shows without one or when it fails
+    const imageHtml = html`
+        <div class="experience-image-container w-full sm:max-w-xs">
+            <div class="image-fallback ${experience.image ? 'hidden' : 'flex'} w-full h-48 sm:h-56 rounded-lg bg-gradient-to-br from-blue-100 to-purple-100 items-center justify-center shadow-md">
+                <div class="text-center text-gray-500">
+                    <i class="fas fa-image text-3xl mb-2"></i>
+                    <p class="text-sm">${experience.image ? 'Imagem não disponível' : 'Sem imagem'}</p>
                 </div>
             </div>
+        </div>
+    `;
+
+    // Prices are formatted by pricing.js for the active language and currency
+    const priceLines = experience.priceLines || [];
+    const priceHtml = priceLines.length > 0 && html`
+            <ul class="experience-prices mb-4 space-y-1" aria-label="${getTranslation('precos') || 'Preços'}">
+                ${priceLines.map((line, index) => html`
+                    <li class="${index === 0 ? 'text-lg font-bold text-gray-900' : 'text-sm text-gray-600'}">${line}</li>
+                `)}
+            </ul>
         `;
-    } else {
-        // Fallback when no image URL is provided
-        imageHtml = `
-            <div class="experience-image-container w-full sm:max-w-xs">
-                <div class="w-full h-48 sm:h-56 rounded-lg bg-gradient-to-br from-blue-100 to-purple-100 flex items-center justify-center shadow-md">
-                    <div class="text-center text-gray-500">
-                        <i class="fas fa-image text-3xl mb-2"></i>
-                        <p class="text-sm">Sem imagem</p>
-                    </div>
-                </div>
-            </div>
+
+    // Featured experiences are listed first (see sortExperiences) and marked with a badge
+    const featuredHtml = experience.featured && html`
+            <span class="featured-badge inline-flex items-center gap-1 bg-yellow-100 text-yellow-800 text-xs font-semibold uppercase tracking-wide px-2 py-1 rounded-full mb-2">
+                <i class="fas fa-star" aria-hidden="true"></i>
+                ${getTranslation('destaque') || 'Destaque'}
+            </span>
+        `;
+
+    // Average of the approved reviews (see reviews.js); the stars are decorative
+    const ratingHtml = experience.rating && html`
+            <p class="experience-rating flex items-center gap-2 text-sm text-gray-700 mb-2" role="img" aria-label="${experience.rating.label}">
+                <span class="flex gap-0.5" aria-hidden="true">${getStarsHtml(experience.rating.average)}</span>
+                <span class="font-semibold text-gray-900" aria-hidden="true">${experience.rating.formatted}</span>
+                <span class="text-gray-500" aria-hidden="true">(${experience.rating.count})</span>
+            </p>
         `;
-    }
 
-    card.innerHTML = `
+    card.innerHTML = html`
         ${imageHtml}
         <div class="flex-1">
+            ${featuredHtml}
             <h2 id="experience-title-${experience.id}" class="text-2xl font-bold text-gray-900 mb-2">
                 ${experience.name}
             </h2>
-            <p class="text-gray-700 whitespace-pre-line mb-4">
-                ${experience.description}
-            </p>
-            <button 
-                type="button" 
-                class="contact-btn inline-flex items-center gap-2 bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg font-semibold transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2" 
-                data-experience-id="${experience.id}" 
-                data-experience-name="${experience.name}"
-                aria-label="Entrar em contato sobre ${experience.name}"
-            >
-                <i class='fab fa-whatsapp text-xl' aria-hidden="true"></i>
-                ${getTranslation('whatsapp')}
-            </button>
+            ${ratingHtml}
+            <div class="experience-description text-gray-700 space-y-3 mb-4">
+                ${renderMarkdown(experience.description)}
+            </div>
+            ${priceHtml}
+            <div class="card-actions flex flex-wrap items-center gap-3">
+                <button 
+                    type="button" 
+                    class="contact-btn inline-flex items-center gap-2 bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg font-semibold transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2" 
+                    data-experience-id="${experience.id}" 
+                    data-experience-name="${experience.name}"
+                    aria-label="Entrar em contato sobre ${experience.name}"
+                >
+                    <i class='fab fa-whatsapp text-xl' aria-hidden="true"></i>
+                    ${getTranslation('whatsapp')}
+                </button>
+                <a
+                    href="${getExperienceUrl(experience.id)}"
+                    class="details-link inline-flex items-center gap-1 text-blue-600 hover:text-blue-700 font-semibold underline focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+                >
+                    ${getTranslation('ver-detalhes') || 'Ver detalhes'}
+                </a>
+            </div>
         </div>
     `;
 
+    if (experience.image) {
+        const fallback = card.querySelector('.image-fallback');
+        fallback.before(createResponsiveImage(experience.image, {
+            alt: `Imagem da experiência: ${experience.name}`,
+            sizes: CARD_IMAGE_SIZES,
+            className: 'w-full h-48 sm:h-56 rounded-lg shadow-md',
+            imageClassName: 'hover:scale-105',
+            onError: (wrapper) => {
+                wrapper.remove();
+                fallback.classList.replace('hidden', 'flex');
+            }
+        }));
+    }
+
     // Add event listener to contact button
     const contactBtn = card.querySelector('.contact-btn');
     if (contactBtn && onContactClick) {
         contactBtn.addEventListener('click', () => {
             onContactClick({
                 experienceId: experience.id,
-                experienceName: experience.name
+                experienceName: experience.name,
+                priceLines,
+                prices: experience.prices,
+                operatingWeekdays: experience.operatingWeekdays,
+                source: 'card'
             });
         });
     }
 
+    // "Add to trip" toggle, so several experiences can be requested in one lead
+    contactBtn?.after(createTripButton(experience.id));
+
+    // Details link opens the deep-linkable view in place (the href still works without JS)
+    const detailsLink = card.querySelector('.details-link');
+    if (detailsLink && onDetailsClick) {
+        detailsLink.addEventListener('click', (e) => {
+            if (e.metaKey || e.ctrlKey || e.shiftKey) return;
+            e.preventDefault();
+            onDetailsClick({ experienceId: experience.id });
+        });
+    }
+
     return card;
 }
 
@@ -149,27 +243,112 @@ export function createExperienceCard(experience, onContactClick) {
  * Renders experiences data to the DOM
  * @param {Array} experiences - Array of formatted experience data
  * @param {Function} onContactClick - Callback for contact button clicks
+ * @param {Function} onDetailsClick - Callback for "details" link clicks
  */
-export function renderExperiences(experiences, onContactClick) {
+export function renderExperiences(experiences, onContactClick, onDetailsClick) {
     const container = document.getElementById('dynamicData');
     if (!container) return;
 
     // Clear existing content
     container.innerHTML = '';
 
+    appendExperiences(experiences, onContactClick, onDetailsClick);
+    trackEvent('catalog_rendered', { count: experiences.length });
+}
+
+/**
+ * Appends experience cards after the ones already rendered
+ * Used to show further pages as they arrive without re-rendering the list
+ * @param {Array} experiences - Array of formatted experience data
+ * @param {Function} onContactClick - Callback for contact button clicks
+ * @param {Function} onDetailsClick - Callback for "details" link clicks
+ */
+export function appendExperiences(experiences, onContactClick, onDetailsClick) {
+    const container = document.getElementById('dynamicData');
+    if (!container) return;
+
     // Create and append cards
     experiences.forEach((experience, index) => {
-        const card = createExperienceCard(experience, onContactClick);
+        const card = createExperienceCard(experience, onContactClick, onDetailsClick);
         
         // Add staggered animation delay
         card.style.animationDelay = `${index * 0.1}s`;
         
         container.appendChild(card);
+        observeImpression(card, experience.id);
     });
 
     showData();
 }
 
+/**
+ * Renders the category filter buttons
+ * @param {Array<Object>} categories - Categories as { slug, value }
+ * @param {string} activeCategory - Selected category slug ('' for all)
+ * @param {Function} onCategoryChange - Callback with the selected slug
+ */
+export function renderCategoryFilters(categories, activeCategory, onCategoryChange) {
+    const container = document.getElementById('categoryFilters');
+    if (!container) return;
+
+    container.innerHTML = '';
+    container.classList.toggle('hidden', categories.length === 0);
+    if (categories.length === 0) return;
+
+    const options = [
+        { slug: '', label: getTranslation('categoria-todas') || 'Todas' },
+        ...categories.map(category => ({
+            slug: category.slug,
+            // Known categories are translated; others show the Baserow value
+            label: getTranslation(`categoria-${category.slug}`) || category.value
+        }))
+    ];
+
+    options.forEach(({ slug, label }) => {
+        const isActive = slug === activeCategory;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = isActive
+            ? 'category-filter px-4 py-2 rounded-full text-sm font-semibold bg-blue-600 text-white border border-blue-600 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500'
+            : 'category-filter px-4 py-2 rounded-full text-sm font-semibold bg-white text-gray-700 border border-gray-300 hover:border-blue-500 hover:text-blue-600 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500';
+        button.setAttribute('aria-pressed', String(isActive));
+        button.textContent = label;
+
+        if (onCategoryChange) {
+            button.addEventListener('click', () => onCategoryChange(slug));
+        }
+
+        container.appendChild(button);
+    });
+}
+
+/**
+ * Sets up the search input with debouncing
+ * @param {Function} onSearch - Callback with the current query
+ */
+export function setupSearchInput(onSearch) {
+    const searchInput = document.getElementById('searchInput');
+    if (!searchInput || !onSearch) return;
+
+    const debouncedSearch = debounce(onSearch, SEARCH_DEBOUNCE_MS);
+    searchInput.addEventListener('input', (e) => debouncedSearch(e.target.value));
+}
+
+/**
+ * Sets up the "clear filters" button of the empty state
+ * @param {Function} onClear - Callback when filters are cleared
+ */
+export function setupClearFiltersButton(onClear) {
+    const clearButton = document.getElementById('clearFiltersButton');
+    if (!clearButton || !onClear) return;
+
+    clearButton.addEventListener('click', () => {
+        const searchInput = document.getElementById('searchInput');
+        if (searchInput) searchInput.value = '';
+        onClear();
+    });
+}
+
 /**
  * Updates text content for language changes
  * @param {Object} translations - Current translations object
@@ -186,6 +365,28 @@ export function updateLanguageLabels(translations) {
         heroCta.textContent = translations.heroCta;
     }
 
+    // Update filter bar and empty state texts
+    const searchInput = document.getElementById('searchInput');
+    const emptyStateMessage = document.getElementById('emptyStateMessage');
+    const clearFiltersButton = document.getElementById('clearFiltersButton');
+
+    if (searchInput && translations['buscar-placeholder']) {
+        searchInput.placeholder = translations['buscar-placeholder'];
+    }
+
+    if (emptyStateMessage && translations['nenhum-resultado']) {
+        emptyStateMessage.textContent = translations['nenhum-resultado'];
+    }
+
+    if (clearFiltersButton && translations['limpar-filtros']) {
+        clearFiltersButton.textContent = translations['limpar-filtros'];
+    }
+
+    const tripButtonLabel = document.getElementById('tripButtonLabel');
+    if (tripButtonLabel && translations['minha-viagem']) {
+        tripButtonLabel.textContent = translations['minha-viagem'];
+    }
+
     // Update document language attribute
     const currentLang = translations === window.translations?.['en-us'] ? 'en' : 'pt-BR';
     document.documentElement.lang = currentLang;
@@ -195,7 +396,7 @@ export function updateLanguageLabels(translations) {
     contactButtons.forEach(btn => {
         const icon = btn.querySelector('.fab.fa-whatsapp');
         if (icon && translations.whatsapp) {
-            btn.innerHTML = `
+            btn.innerHTML = html`
                 <i class='fab fa-whatsapp text-xl' aria-hidden="true"></i>
                 ${translations.whatsapp}
             `;
@@ -244,9 +445,9 @@ export function setupLanguageSelector(onLanguageChange) {
         try {
             await onLanguageChange(newLang);
         } catch (error) {
-            console.error('Error changing language:', error);
+            logger.error('Error changing language:', error);
             // Revert selection on error
-            langSelect.value = langSelect.dataset.currentLang || 'pt-br';
+            langSelect.value = langSelect.dataset.currentLang || DEFAULT_LOCALE;
         } finally {
             langSelect.disabled = false;
         }
@@ -256,6 +457,19 @@ export function setupLanguageSelector(onLanguageChange) {
     });
 }
 
+/**
+ * Sets up currency selector functionality
+ * @param {string} currentCurrency - Currency selected at startup
+ * @param {Function} onCurrencyChange - Callback when currency changes
+ */
+export function setupCurrencySelector(currentCurrency, onCurrencyChange) {
+    const currencySelect = document.getElementById('currencySelect');
+    if (!currencySelect || !onCurrencyChange) return;
+
+    currencySelect.value = currentCurrency;
+    currencySelect.addEventListener('change', (e) => onCurrencyChange(e.target.value));
+}
+
 /**
  * Sets up retry button functionality
  * @param {Function} onRetry - Callback when retry button is clicked
@@ -3,22 +3,18 @@
  * Contains common helper functions used across the application
  */
 
+import { DEFAULT_LOCALE, normalizeLocale } from './schema.js';
+
 /**
  * Extracts language parameter from URL and normalizes it
- * @returns {string} Language code ('pt-br' or 'en-us')
+ * @returns {string} Language code (one of SUPPORTED_LOCALES in schema.js)
  */
 export function getUrlLang() {
     const params = new URLSearchParams(window.location.search);
     const langParam = params.get('lang');
     
-    if (langParam) {
-        const normalizedLang = langParam.toLowerCase();
-        if (normalizedLang === 'en_us' || normalizedLang === 'en-us') return 'en-us';
-        if (normalizedLang === 'pt_br' || normalizedLang === 'pt-br') return 'pt-br';
-    }
-    
-    // Default to Portuguese
-    return 'pt-br';
+    // Accepts both 'en_us' and 'en-us' styles; unsupported values use the default
+    return normalizeLocale(langParam) || DEFAULT_LOCALE;
 }
 
 /**
@@ -31,40 +27,6 @@ export function getUrlParam(param) {
     return url.searchParams.get(param) || '';
 }
 
-/**
- * Validates a Brazilian phone number format
- * @param {string} phone - Phone number to validate
- * @returns {boolean} True if valid Brazilian phone format
- */
-export function validateBrazilianPhone(phone) {
-    // Remove all non-digit characters
-    const cleanPhone = phone.replace(/\D/g, '');
-    
-    // Brazilian phone: 11 digits (with area code) or 10 digits (landline)
-    // Mobile: (XX) 9XXXX-XXXX = 11 digits
-    // Landline: (XX) XXXX-XXXX = 10 digits
-    return cleanPhone.length === 10 || cleanPhone.length === 11;
-}
-
-/**
- * Formats a phone number with Brazilian mask
- * @param {string} phone - Raw phone number
- * @returns {string} Formatted phone number
- */
-export function formatBrazilianPhone(phone) {
-    const cleanPhone = phone.replace(/\D/g, '');
-    
-    if (cleanPhone.length === 11) {
-        // Mobile format: (XX) 9XXXX-XXXX
-        return cleanPhone.replace(/(\d{2})(\d{5})(\d{4})/, '($1) $2-$3');
-    } else if (cleanPhone.length === 10) {
-        // Landline format: (XX) XXXX-XXXX
-        return cleanPhone.replace(/(\d{2})(\d{4})(\d{4})/, '($1) $2-$3');
-    }
-    
-    return phone;
-}
-
 /**
  * Validates a name field (minimum 2 characters, only letters and spaces)
  * @param {string} name - Name to validate
@@ -77,6 +39,16 @@ export function validateName(name) {
     return nameRegex.test(trimmedName);
 }
 
+/**
+ * Validates an email address
+ * @param {string} email - Email to validate
+ * @returns {boolean} True if the email looks deliverable (user@domain.tld)
+ */
+export function validateEmail(email) {
+    const trimmedEmail = email.trim();
+    return trimmedEmail.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(trimmedEmail);
+}
+
 /**
  * Shows an error message in a specific element
  * @param {HTMLElement} element - Element to show error in
@@ -121,6 +93,78 @@ export function smoothScrollTo(elementId, offset = 0) {
     });
 }
 
+/**
+ * Normalizes text for accent- and case-insensitive comparison
+ * e.g. "Pão de Açúcar" -> "pao de acucar"
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export function normalizeSearchText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Converts text to a URL-safe slug
+ * e.g. "Vida Noturna" -> "vida-noturna"
+ * @param {string} text - Text to convert
+ * @returns {string} Slug
+ */
+export function slugify(text) {
+    return normalizeSearchText(text)
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Gets today's date in the visitor's timezone
+ * @returns {string} Date as YYYY-MM-DD
+ */
+export function getTodayIsoDate() {
+    const today = new Date();
+    const month = String(today.getMonth() + 1).padStart(2, '0');
+    const day = String(today.getDate()).padStart(2, '0');
+    return `${today.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Gets the weekday of a YYYY-MM-DD date
+ * @param {string} isoDate - Date as YYYY-MM-DD
+ * @returns {number} Weekday index (0 = Sunday)
+ */
+export function getIsoDateWeekday(isoDate) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(year, month - 1, day).getDay();
+}
+
+/**
+ * Formats a YYYY-MM-DD date the Brazilian way
+ * e.g. "2026-11-20" -> "20/11/2026"
+ * @param {string} isoDate - Date as YYYY-MM-DD
+ * @returns {string} Date as DD/MM/YYYY
+ */
+export function formatIsoDate(isoDate) {
+    const [year, month, day] = isoDate.split('-');
+    return `${day}/${month}/${year}`;
+}
+
+/**
+ * Creates a random key identifying one form submission
+ * Sent as Idempotency-Key so retries and double taps do not create duplicate leads
+ * @returns {string} Random key
+ */
+export function createIdempotencyKey() {
+    if (window.crypto?.randomUUID) {
+        return window.crypto.randomUUID();
+    }
+    // Older browsers: timestamp plus random digits is unique enough per visitor
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+}
+
 /**
  * Debounce function to limit function calls
  * @param {Function} func - Function to debounce
@@ -162,46 +206,34 @@ export function setButtonLoading(button, isLoading, loadingText = 'Carregando...
 }
 
 /**
- * Validates if a string is a valid image URL
- * @param {string} url - URL to validate
- * @returns {boolean} True if URL appears to be a valid image URL
+ * Checks that an image URL is well formed (absolute http or https)
+ * Whether the image really exists is only known by loading it, see preloadImage
+ * @param {string} url - URL to check
+ * @returns {boolean} True if the URL can be used as an image source
  */
 export function isValidImageUrl(url) {
     if (!url || typeof url !== 'string') return false;
-    
-    const trimmedUrl = url.trim();
-    
-    // Basic URL format check
+
     try {
-        new URL(trimmedUrl);
+        const { protocol } = new URL(url.trim());
+        return protocol === 'https:' || protocol === 'http:';
     } catch {
         return false;
     }
-    
-    // Check for common image extensions
-    const imageExtensions = /\.(jpg|jpeg|png|gif|bmp|webp|svg)(\?.*)?$/i;
-    
-    // Check for common image hosting domains or extensions
-    const isImageUrl = 
-        imageExtensions.test(trimmedUrl) ||
-        trimmedUrl.includes('images') ||
-        trimmedUrl.includes('photos') ||
-        trimmedUrl.includes('media') ||
-        trimmedUrl.includes('img') ||
-        trimmedUrl.includes('baserow.io') || // Baserow file URLs
-        trimmedUrl.includes('amazonaws.com') || // AWS S3
-        trimmedUrl.includes('cloudinary.com') || // Cloudinary
-        trimmedUrl.includes('unsplash.com'); // Unsplash
-    
-    return isImageUrl;
 }
 
 /**
  * Preloads an image to check if it exists and loads successfully
- * @param {string} url - Image URL to preload
+ * With a srcset, the same candidate the page will pick is loaded, so it is then served from cache
+ * @param {string|Object} source - Image URL or image model ({ url, srcset })
+ * @param {Object} options - Preload options
+ * @param {string} options.sizes - sizes attribute matching the rendered image
+ * @param {number} options.timeout - Milliseconds before giving up (default 5000)
  * @returns {Promise<boolean>} Promise that resolves to true if image loads
  */
-export function preloadImage(url) {
+export function preloadImage(source, { sizes = '', timeout = 5000 } = {}) {
+    const { url, srcset = '' } = typeof source === 'string' ? { url: source } : (source || {});
+
     return new Promise((resolve) => {
         if (!isValidImageUrl(url)) {
             resolve(false);
@@ -211,9 +243,12 @@ export function preloadImage(url) {
         const img = new Image();
         img.onload = () => resolve(true);
         img.onerror = () => resolve(false);
+        if (srcset) {
+            img.sizes = sizes;
+            img.srcset = srcset;
+        }
         img.src = url;
         
-        // Timeout after 5 seconds
-        setTimeout(() => resolve(false), 5000);
+        setTimeout(() => resolve(false), timeout);
     });
 }
\ No newline at end of file